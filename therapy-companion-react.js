@@ -4,42 +4,106 @@ import './App.css';
 import TherapySession from './components/TherapySession';
 import UserProfile from './components/UserProfile';
 import Dashboard from './components/Dashboard';
+import SessionHistoryBrowser from './components/SessionHistoryBrowser';
+import MoodCheckIn from './components/MoodCheckIn';
+import SafetyPlanQuickAccess from './components/SafetyPlanQuickAccess';
+import TherapistPortal from './components/TherapistPortal';
 import Login from './components/Login';
 import { TherapyProvider } from './context/TherapyContext';
+import { createAuthService } from './services/auth/AuthService';
+import RemoteAuthProvider from './services/auth/RemoteAuthProvider';
+import { createCareTeamService } from './services/careTeam/CareTeamService';
+import { createEscalationService } from './services/escalation/EscalationService';
+import { createLocalAgent, createRemoteAgentFactory } from './services/RemoteTherapyAgent';
+
+// Set to the API server's URL to run the agent there instead of in the browser.
+// Sign-in then goes through the same server, so its tokens are ones the API accepts.
+const AGENT_API_URL = process.env.REACT_APP_AGENT_API_URL;
 
 function App() {
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
-  const [activeView, setActiveView] = useState('session'); // 'session', 'profile', 'dashboard'
+  const [authService] = useState(() => (AGENT_API_URL
+    ? createAuthService(new RemoteAuthProvider({ baseUrl: AGENT_API_URL }))
+    : createAuthService()));
+  const [careTeam] = useState(() => createCareTeamService());
+  // Consented crisis notifications; MockNotifier until a real one is configured
+  const [escalation] = useState(() => createEscalationService());
+  const [agentFactory] = useState(() => (AGENT_API_URL
+    ? createRemoteAgentFactory({ baseUrl: AGENT_API_URL, getToken: () => authService.getToken() })
+    : createLocalAgent));
+  const [authSession, setAuthSession] = useState(() => authService.getSession());
+  const [authNotice, setAuthNotice] = useState(null);
+  const [activeView, setActiveView] = useState('session'); // 'session', 'check-in', 'profile', 'dashboard', 'history'
+
+  // Log out automatically when the session token expires
+  useEffect(() => authService.onSessionExpired(() => {
+    setAuthSession(null);
+    setAuthNotice('Your session has expired. Please log in again.');
+  }), [authService]);
+
+  const handleLogin = async (credentials) => {
+    const session = await authService.login(credentials.email, credentials.password);
+    setAuthNotice(null);
+    setAuthSession(session);
+  };
 
-  const handleLogin = (credentials) => {
-    // In a real app, this would authenticate with a backend
-    console.log('Login attempted with:', credentials);
-    setIsLoggedIn(true);
+  const handleRegister = async (details) => {
+    const session = await authService.register(details);
+    setAuthNotice(null);
+    setAuthSession(session);
   };
 
   const handleLogout = () => {
-    setIsLoggedIn(false);
+    authService.logout();
+    setAuthSession(null);
+    setActiveView('session');
   };
 
   return (
     <div className="App">
-      {!isLoggedIn ? (
-        <Login onLogin={handleLogin} />
+      {!authSession ? (
+        <Login
+          onLogin={handleLogin}
+          onRegister={handleRegister}
+          onRequestPasswordReset={(email) => authService.requestPasswordReset(email)}
+          onResetPassword={(code, password) => authService.resetPassword(code, password)}
+          notice={authNotice}
+        />
+      ) : authSession.user.role === 'therapist' ? (
+        <>
+          <header className="App-header">
+            <h1>Therapy Companion</h1>
+            <nav>
+              <button onClick={handleLogout}>Logout</button>
+            </nav>
+          </header>
+          <main>
+            <TherapistPortal therapist={authSession.user} careTeam={careTeam} />
+          </main>
+        </>
       ) : (
-        <TherapyProvider>
+        <TherapyProvider user={authSession.user} careTeam={careTeam} agentFactory={agentFactory} escalation={escalation}>
           <header className="App-header">
             <h1>Therapy Companion</h1>
             <nav>
               <button onClick={() => setActiveView('session')}>Therapy Session</button>
+              <button onClick={() => setActiveView('check-in')}>Check In</button>
               <button onClick={() => setActiveView('profile')}>My Profile</button>
               <button onClick={() => setActiveView('dashboard')}>Progress Dashboard</button>
+              <SafetyPlanQuickAccess onEditPlan={() => setActiveView('profile')} />
               <button onClick={handleLogout}>Logout</button>
             </nav>
           </header>
           <main>
             {activeView === 'session' && <TherapySession />}
+            {activeView === 'check-in' && (
+              <MoodCheckIn
+                onStartSession={() => setActiveView('session')}
+                onViewDashboard={() => setActiveView('dashboard')}
+              />
+            )}
             {activeView === 'profile' && <UserProfile />}
-            {activeView === 'dashboard' && <Dashboard />}
+            {activeView === 'dashboard' && <Dashboard onViewHistory={() => setActiveView('history')} />}
+            {activeView === 'history' && <SessionHistoryBrowser onBack={() => setActiveView('dashboard')} />}
           </main>
         </TherapyProvider>
       )}
@@ -50,83 +114,693 @@ function App() {
 export default App;
 
 // File: src/context/TherapyContext.js
-import React, { createContext, useState, useEffect } from 'react';
-import TherapyCompanionAgent from '../services/TherapyCompanionAgent';
+import React, { createContext, useState, useEffect, useRef, useCallback } from 'react';
+import { createLocalAgent } from '../services/RemoteTherapyAgent';
+import { toMessages } from '../services/SessionArchive';
+import { createStorageService } from '../services/storage/StorageService';
+import {
+  DEFAULT_REMINDER_TIME,
+  addSessionAssignment,
+  fromSessionResult,
+  fromTherapistHomework,
+  getOpenAssignments,
+  completeAssignment as markAssignmentDone,
+  dismissAssignment as markAssignmentDismissed
+} from '../services/AssignmentService';
+import ReminderScheduler from '../services/ReminderScheduler';
+import { DEFAULT_QUESTIONNAIRE_SCHEDULE } from '../services/Questionnaires';
+import { DEFAULT_ESCALATION } from '../services/escalation/EscalationService';
+import EncryptionService from '../services/security/EncryptionService';
+import LockScreen from '../components/LockScreen';
 
 export const TherapyContext = createContext();
 
-export const TherapyProvider = ({ children }) => {
-  const [userProfile, setUserProfile] = useState({
-    id: '12345',
-    name: 'Alex',
-    therapeuticGoals: ['anxiety-management', 'stress-reduction'],
-    currentStressors: ['work', 'relationships'],
-    sessionFrequency: 7,
-    preferredDuration: '10 min',
-    preferredActivityType: 'exercise',
-    interventionEffectiveness: {
-      'breathing-exercise': 0.8,
-      'cognitive-reframing': 0.6
+// Lock stored data after this long without any user activity
+const IDLE_LOCK_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'touchstart', 'click'];
+
+// A session nobody has written in for this long is closed with a summary
+const STALE_SESSION_MS = 2 * 60 * 60 * 1000;
+
+// Starting preferences for a new account; id and name come from the signed-in user
+const DEFAULT_PROFILE = {
+  therapeuticGoals: ['anxiety-management', 'stress-reduction'],
+  currentStressors: ['work', 'relationships'],
+  sessionFrequency: 7,
+  preferredDuration: '10 min',
+  preferredActivityType: 'exercise',
+  // Picks the crisis resources shown by SafetyAlert
+  locale: (typeof navigator !== 'undefined' && navigator.language) || 'en-US',
+  // Home practice reminders; off until the user allows notifications
+  remindersEnabled: false,
+  reminderTime: DEFAULT_REMINDER_TIME,
+  // Days between PHQ-9 / GAD-7 questionnaires; 0 turns one off
+  questionnaireSchedule: DEFAULT_QUESTIONNAIRE_SCHEDULE,
+  // Who may be notified in a crisis; nobody until the user opts in
+  escalation: DEFAULT_ESCALATION,
+  interventionEffectiveness: {
+    'breathing-exercise': 0.8,
+    'cognitive-reframing': 0.6
+  }
+};
+
+const createDefaultProfile = (user) => ({
+  ...DEFAULT_PROFILE,
+  id: user.id,
+  name: user.name
+});
+
+// The greeting plus every recorded exchange, as TherapySession shows them
+const buildSessionMessages = (session, interactions) => [
+  {
+    id: `${session.id}-greeting`,
+    sender: 'agent',
+    text: session.greeting,
+    timestamp: session.startTime
+  },
+  ...toMessages(interactions.filter(interaction => interaction.sessionId === session.id))
+];
+
+const isStale = (session, staleSessionMs) =>
+  Date.now() - new Date(session.lastActivityAt).getTime() >= staleSessionMs;
+
+// `agentFactory` decides where the agent runs: in the browser (default) or on
+// the API server via createRemoteAgentFactory. `escalation` is the
+// EscalationService a local agent uses; the server has its own.
+export const TherapyProvider = ({
+  children,
+  user,
+  storage: storageOverride,
+  careTeam = null,
+  agentFactory = createLocalAgent,
+  escalation = null,
+  idleLockMs = IDLE_LOCK_MS,
+  staleSessionMs = STALE_SESSION_MS
+}) => {
+  const [storage] = useState(() => {
+    const service = storageOverride || createStorageService();
+    if (!service.encryption && EncryptionService.isSupported()) {
+      service.useEncryption(new EncryptionService());
     }
+    return service;
   });
   
+  const [userProfile, setUserProfile] = useState(() => createDefaultProfile(user));
+  
   const [sessionHistory, setSessionHistory] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  // The session in progress lives here rather than in TherapySession, so
+  // switching views doesn't lose it; it's also saved so a reload doesn't either
   const [currentSession, setCurrentSession] = useState(null);
+  const [sessionMessages, setSessionMessages] = useState([]);
+  const [sessionSummary, setSessionSummary] = useState(null);
+  // A session saved before a reload, waiting for the user to resume or end it
+  const [interruptedSession, setInterruptedSession] = useState(null);
+  const [sessionNotice, setSessionNotice] = useState(null);
+  // Home practice, see AssignmentService
+  const [assignments, setAssignments] = useState([]);
+  const [questionnaireResults, setQuestionnaireResults] = useState([]);
   const [therapyAgent, setTherapyAgent] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [storageError, setStorageError] = useState(null);
+  // 'checking', 'setup' (no passphrase yet), 'locked' or 'unlocked'
+  const [lockState, setLockState] = useState('checking');
+  const [reloadToken, setReloadToken] = useState(0);
+  
+  // Locking shouldn't throw away an in-progress session, so data is only
+  // loaded once per user rather than on every unlock
+  const loadedUserRef = useRef(null);
+  // Latest assignments for updates made from async callbacks (session end, reminders)
+  const assignmentsRef = useRef([]);
+  
+  // The helpers below are used by effects, so they only change with the user
+  
+  // Pushes the latest summaries ({ sessions, interactions, userProfile,
+  // safetyEvents }) to any therapist the user has consented to share with
+  const shareWithCareTeam = useCallback((data) => {
+    if (!careTeam) return Promise.resolve();
+    return careTeam.shareClientData(userProfile.id, data)
+      .catch(error => console.error('Failed to share with care team:', error));
+  }, [careTeam, userProfile.id]);
+  
+  // Applies `update` to the assignments and saves the result
+  const updateAssignments = useCallback((update) => {
+    const next = update(assignmentsRef.current);
+    assignmentsRef.current = next;
+    setAssignments(next);
+    return storage.saveAssignments(userProfile.id, next)
+      .catch(error => console.error('Failed to save assignments:', error));
+  }, [storage, userProfile.id]);
+  
+  // Turns homework the therapist has set since we last checked into
+  // assignments, so it's tracked and reminded about before the next session.
+  // A therapist being unreachable shouldn't stop anything else.
+  const syncTherapistHomework = useCallback(async () => {
+    if (!careTeam) return;
+    
+    try {
+      const homework = await careTeam.takePendingHomework(userProfile.id);
+      if (homework.length === 0) return;
+      await updateAssignments(current => [
+        ...current,
+        ...homework.map(item => ({ ...fromTherapistHomework(item), introducedAt: null }))
+      ]);
+    } catch (error) {
+      console.error('Failed to fetch assigned homework:', error);
+    }
+  }, [careTeam, userProfile.id, updateAssignments]);
+  
+  const saveActiveSession = useCallback((record) => storage.saveActiveSession(userProfile.id, record)
+    .catch(error => console.error('Failed to save the active session:', error)), [storage, userProfile.id]);
+  
+  const clearActiveSession = useCallback(() => storage.clearActiveSession(userProfile.id)
+    .catch(error => console.error('Failed to clear the active session:', error)), [storage, userProfile.id]);
+  
+  // Closes the agent's session and saves it; `options` go to agent.endSession
+  const finishSession = useCallback(async (agent, options) => {
+    const sessionId = agent.currentSession && agent.currentSession.id;
+    const summary = await agent.endSession(options);
+    await clearActiveSession();
+    
+    // The home activity becomes homework to track until the next session
+    const assignment = fromSessionResult(summary, sessionId);
+    if (assignment) updateAssignments(current => addSessionAssignment(current, assignment));
+    
+    const updatedSessions = await storage.getSessions(userProfile.id).catch(() => null);
+    const safetyEvents = await storage.getSafetyEvents(userProfile.id).catch(() => null);
+    
+    setCurrentSession(null);
+    setSessionMessages([]);
+    setSessionHistory([...agent.sessionHistory]);
+    setUserProfile(agent.userProfile);
+    if (updatedSessions) setSessions(updatedSessions);
+    // If either can't be read back, leave sharing to the next session so the
+    // therapist's copy doesn't lose anything
+    if (updatedSessions && safetyEvents) {
+      shareWithCareTeam({ sessions: updatedSessions, interactions: agent.sessionHistory, userProfile: agent.userProfile, safetyEvents });
+    }
+    return summary;
+  }, [storage, userProfile.id, clearActiveSession, updateAssignments, shareWithCareTeam]);
+  
+  // Ends a session that was left alone too long, dated to when it was last used
+  const closeStaleSession = useCallback(async (agent, session) => {
+    if (!agent.currentSession) agent.resumeSession(session);
+    
+    let summary = null;
+    try {
+      summary = await finishSession(agent, { endTime: new Date(session.lastActivityAt), autoClosed: true });
+    } catch (error) {
+      // e.g. the API server already dropped it; there's nothing left to close
+      console.error('Failed to close the inactive session:', error);
+      agent.currentSession = null;
+      await clearActiveSession();
+      setCurrentSession(null);
+      setSessionMessages([]);
+    }
+    
+    setInterruptedSession(null);
+    setSessionSummary(summary);
+    setSessionNotice({
+      type: 'auto-closed',
+      startTime: new Date(session.startTime)
+    });
+  }, [finishSession, clearActiveSession]);
+  
+  const lockNow = useCallback(() => {
+    if (!storage.encryption) return;
+    storage.lock();
+    setLockState('locked');
+  }, [storage]);
+  
+  // Find out whether stored data needs a passphrase before loading anything
+  useEffect(() => {
+    let cancelled = false;
+    
+    const checkLock = async () => {
+      if (!storage.encryption) {
+        setLockState('unlocked');
+        return;
+      }
+      
+      try {
+        const hasKeys = await storage.hasEncryption(userProfile.id);
+        if (!cancelled) setLockState(hasKeys ? 'locked' : 'setup');
+      } catch (error) {
+        console.error('Failed to check encryption state:', error);
+        if (!cancelled) {
+          setStorageError(error);
+          setLockState('locked');
+        }
+      }
+    };
+    
+    checkLock();
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, userProfile.id, reloadToken]);
+  
+  // Load saved data and initialize therapy agent, again if the user changes.
+  // Until it has loaded, the profile is the default one, so that's built from
+  // `user` rather than read from state this effect itself replaces.
+  useEffect(() => {
+    if (lockState !== 'unlocked' || loadedUserRef.current === userProfile.id) return;
+    let cancelled = false;
+    
+    const loadUserData = async () => {
+      setIsLoading(true);
+      try {
+        await storage.open(userProfile.id);
+        const savedProfile = await storage.getProfile(userProfile.id);
+        const savedInteractions = await storage.getInteractions(userProfile.id);
+        const savedSessions = await storage.getSessions(userProfile.id);
+        const activeSession = await storage.getActiveSession(userProfile.id);
+        const savedAssignments = await storage.getAssignments(userProfile.id);
+        const savedQuestionnaires = await storage.getQuestionnaireResults(userProfile.id);
+        
+        // First visit: keep the defaults and save them
+        const profile = savedProfile || await storage.saveProfile(createDefaultProfile(user));
+        if (cancelled) return;
+        
+        const agent = agentFactory(profile, {
+          storage,
+          history: savedInteractions,
+          escalation
+        });
+        
+        loadedUserRef.current = userProfile.id;
+        setUserProfile(profile);
+        setSessionHistory(savedInteractions);
+        setSessions(savedSessions);
+        setTherapyAgent(agent);
+        assignmentsRef.current = savedAssignments;
+        setAssignments(savedAssignments);
+        setQuestionnaireResults(savedQuestionnaires);
+        syncTherapistHomework();
+        
+        if (activeSession && isStale(activeSession, staleSessionMs)) {
+          await closeStaleSession(agent, activeSession);
+        } else if (activeSession) {
+          setInterruptedSession(activeSession);
+        }
+      } catch (error) {
+        console.error('Failed to load saved data:', error);
+        if (cancelled) return;
+        
+        // Still usable, just without persistence for this visit
+        setStorageError(error);
+        setTherapyAgent(agentFactory(createDefaultProfile(user), { escalation }));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    
+    loadUserData();
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    user,
+    userProfile.id,
+    lockState,
+    reloadToken,
+    storage,
+    agentFactory,
+    escalation,
+    staleSessionMs,
+    syncTherapistHomework,
+    closeStaleSession
+  ]);
   
-  // Initialize therapy agent
+  // Auto-lock when the app sits idle
   useEffect(() => {
-    const agent = new TherapyCompanionAgent(userProfile);
-    setTherapyAgent(agent);
-  }, [userProfile.id]); // Reinitialize if user changes
+    if (lockState !== 'unlocked' || !storage.encryption) return;
+    
+    let timer = null;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockNow, idleLockMs);
+    };
+    
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, resetTimer));
+    resetTimer();
+    
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, resetTimer));
+    };
+  }, [lockState, idleLockMs, storage.encryption, lockNow]);
+  
+  const unlock = async (passphrase) => {
+    await storage.unlock(userProfile.id, passphrase);
+    setLockState('unlocked');
+  };
+  
+  const setupPassphrase = async (passphrase) => {
+    await storage.setupEncryption(userProfile.id, passphrase);
+    setLockState('unlocked');
+  };
+  
+  const changePassphrase = (currentPassphrase, newPassphrase) =>
+    storage.changePassphrase(userProfile.id, currentPassphrase, newPassphrase);
+  
+  const rotateEncryptionKey = (passphrase) =>
+    storage.rotateEncryptionKey(userProfile.id, passphrase);
+  
+  // Permanently removes everything stored for this user on this device
+  const wipeAllData = async () => {
+    await storage.clearUser(userProfile.id);
+    
+    loadedUserRef.current = null;
+    setSessionHistory([]);
+    setSessions([]);
+    setCurrentSession(null);
+    setSessionMessages([]);
+    setSessionSummary(null);
+    setInterruptedSession(null);
+    setSessionNotice(null);
+    assignmentsRef.current = [];
+    setAssignments([]);
+    setQuestionnaireResults([]);
+    setTherapyAgent(null);
+    setUserProfile(createDefaultProfile(user));
+    setLockState('checking');
+    setReloadToken(token => token + 1);
+  };
+  
+  // Saves restored data (see ImportService.applyImport) and rebuilds the agent from it
+  const importData = async ({ profile, sessions: restoredSessions, interactions }) => {
+    if (currentSession || interruptedSession) {
+      throw new Error('Please end your current session before restoring a backup.');
+    }
+    
+    await storage.replaceUserData(userProfile.id, { profile, sessions: restoredSessions, interactions });
+    
+    setUserProfile(profile);
+    setSessions(restoredSessions);
+    setSessionHistory(interactions);
+    setTherapyAgent(agentFactory(profile, { storage, history: interactions, escalation }));
+  };
   
   const startSession = async () => {
     if (!therapyAgent) return;
     
-    const session = await therapyAgent.startSession();
-    setCurrentSession(session);
+    await syncTherapistHomework();
+    
+    // New therapist homework is introduced; everything else still open is checked in on
+    const open = getOpenAssignments(assignmentsRef.current);
+    const isNew = assignment => assignment.source === 'therapist' && !assignment.introducedAt;
+    const assignedHomework = open.filter(isNew).map(assignment => ({
+      id: assignment.id,
+      title: assignment.title,
+      instructions: assignment.instructions,
+      interventionId: assignment.interventionId,
+      therapistName: assignment.assignedBy
+    }));
+    
+    const session = await therapyAgent.startSession({
+      assignedHomework,
+      assignments: open.filter(assignment => !isNew(assignment))
+    });
+    const now = new Date();
+    const record = {
+      ...session,
+      id: therapyAgent.currentSession.id,
+      startTime: therapyAgent.currentSession.startTime,
+      startEmotionalState: therapyAgent.currentSession.startEmotionalState || null,
+      lastActivityAt: now
+    };
+    
+    setCurrentSession(record);
+    setSessionSummary(null);
+    setSessionNotice(null);
+    setSessionMessages([{
+      id: `${record.id}-greeting`,
+      sender: 'agent',
+      text: session.greeting,
+      timestamp: now
+    }]);
+    saveActiveSession(record);
+    
+    if (assignedHomework.length > 0) {
+      const introduced = assignedHomework.map(item => item.id);
+      updateAssignments(current => current.map(assignment => (
+        introduced.includes(assignment.id) ? { ...assignment, introducedAt: now } : assignment
+      )));
+    }
     return session;
   };
   
+  const resumeSession = async () => {
+    if (!therapyAgent || !interruptedSession) return;
+    
+    if (isStale(interruptedSession, staleSessionMs)) {
+      await closeStaleSession(therapyAgent, interruptedSession);
+      return;
+    }
+    
+    const record = { ...interruptedSession, lastActivityAt: new Date() };
+    therapyAgent.resumeSession(record);
+    
+    setInterruptedSession(null);
+    setSessionNotice(null);
+    setSessionSummary(null);
+    setCurrentSession(record);
+    setSessionMessages(buildSessionMessages(record, therapyAgent.sessionHistory));
+    saveActiveSession(record);
+  };
+  
+  const endInterruptedSession = async () => {
+    if (!therapyAgent || !interruptedSession) return null;
+    
+    therapyAgent.resumeSession(interruptedSession);
+    const summary = await finishSession(therapyAgent);
+    setInterruptedSession(null);
+    setSessionSummary(summary);
+    return summary;
+  };
+  
+  // Restarts the inactivity clock for the current session
+  const touchSession = () => {
+    if (!currentSession) return;
+    
+    const record = { ...currentSession, lastActivityAt: new Date() };
+    setCurrentSession(record);
+    saveActiveSession(record);
+  };
+  
   const processMessage = async (message) => {
     if (!therapyAgent) return null;
     
     const response = await therapyAgent.processUserInput(message);
     
-    // Update session history
-    setSessionHistory(prev => [...prev, {
-      timestamp: new Date(),
-      userInput: message,
-      agentResponse: response
-    }]);
+    // The agent records (and persists) each interaction; mirror its history
+    setSessionHistory([...therapyAgent.sessionHistory]);
+    touchSession();
     
     return response;
   };
   
+  // Streaming version of processMessage; see TherapyCompanionAgent.streamUserInput
+  async function* streamMessage(message, { signal } = {}) {
+    if (!therapyAgent) return;
+    
+    try {
+      yield* therapyAgent.streamUserInput(message, { signal });
+    } finally {
+      setSessionHistory([...therapyAgent.sessionHistory]);
+      touchSession();
+    }
+  }
+  
+  // A quick mood check-in outside a session; see MoodCheckIn
+  const recordCheckIn = async (values) => {
+    if (!therapyAgent) return null;
+    
+    const checkIn = await therapyAgent.recordCheckIn(values);
+    setSessionHistory([...therapyAgent.sessionHistory]);
+    return checkIn;
+  };
+  
+  // Scores a PHQ-9 or GAD-7; returns { result, safetyResponse }. A
+  // safetyResponse means the answers need SafetyAlert shown straight away.
+  const submitQuestionnaire = async (instrumentId, answers) => {
+    if (!therapyAgent) return null;
+    
+    const outcome = await therapyAgent.submitQuestionnaire(instrumentId, answers);
+    setQuestionnaireResults(prev => [...prev, outcome.result]);
+    
+    // A therapist should hear about an item-9 answer now, not after the next session
+    if (outcome.safetyResponse) {
+      storage.getSafetyEvents(userProfile.id)
+        .then(safetyEvents => shareWithCareTeam({ sessions, interactions: sessionHistory, userProfile, safetyEvents }))
+        .catch(error => console.error('Failed to share with care team:', error));
+    }
+    return outcome;
+  };
+  
+  // Called when the user acknowledges a SafetyAlert; `eventId` is the
+  // response's safetyEventId
+  const acknowledgeSafetyEvent = async (eventId) => {
+    if (!therapyAgent || !eventId) return;
+    try {
+      await therapyAgent.acknowledgeSafetyEvent(eventId);
+    } catch (error) {
+      console.error('Failed to record acknowledgement:', error);
+    }
+  };
+  
+  // Who a safety event's crisis notification reached. Sending finishes after
+  // the response, so SafetyAlert asks for this once it's showing. Stable, so
+  // it can be an effect dependency.
+  const getEscalation = useCallback(async (eventId) => {
+    if (!therapyAgent || !eventId) return null;
+    try {
+      return await therapyAgent.getEscalation(eventId);
+    } catch (error) {
+      console.error('Failed to check crisis notifications:', error);
+      return null;
+    }
+  }, [therapyAgent]);
+  
+  // The safety audit log, see SafetyEventLog. Stable per user so it can be an
+  // effect dependency.
+  const getSafetyEvents = useCallback(() => storage.getSafetyEvents(userProfile.id), [storage, userProfile.id]);
+  
+  // Reports a finished guided exercise (see InteractiveExercise) and returns the agent's reply
+  const completeExercise = async (result) => {
+    if (!therapyAgent) return null;
+    
+    try {
+      return await therapyAgent.completeExercise(result);
+    } finally {
+      setSessionHistory([...therapyAgent.sessionHistory]);
+      // Exercise ratings feed the learned effectiveness scores
+      setUserProfile(therapyAgent.userProfile);
+      touchSession();
+    }
+  };
+  
+  // "Did this help?" for an intervention; see TherapyCompanionAgent.rateIntervention
+  const rateIntervention = async (deliveryId, rating) => {
+    if (!therapyAgent) return;
+    
+    await therapyAgent.rateIntervention(deliveryId, rating);
+    setSessionHistory([...therapyAgent.sessionHistory]);
+    setUserProfile(therapyAgent.userProfile);
+    touchSession();
+  };
+  
   const endSession = async () => {
     if (!therapyAgent) return null;
     
-    const summary = await therapyAgent.endSession();
-    setCurrentSession(null);
+    const summary = await finishSession(therapyAgent);
+    setSessionSummary(summary);
     return summary;
   };
   
+  // `feedback` is { rating (1-5, how helpful it was), note }
+  const completeAssignment = (id, feedback) => updateAssignments(current => current.map(assignment => (
+    assignment.id === id ? markAssignmentDone(assignment, feedback) : assignment
+  )));
+  
+  const dismissAssignment = (id) => updateAssignments(current => current.map(assignment => (
+    assignment.id === id ? markAssignmentDismissed(assignment) : assignment
+  )));
+  
+  // Remind the user about open homework at their chosen time while the app is open
+  useEffect(() => {
+    if (lockState !== 'unlocked' || !userProfile.remindersEnabled) return;
+    
+    const scheduler = new ReminderScheduler({
+      onReminderShown: (shown) => updateAssignments(current => current.map(assignment => (
+        assignment.id === shown.id ? { ...assignment, lastRemindedAt: new Date() } : assignment
+      )))
+    });
+    scheduler.schedule(getOpenAssignments(assignments), { reminderTime: userProfile.reminderTime });
+    return () => scheduler.cancel();
+  }, [assignments, lockState, userProfile.remindersEnabled, userProfile.reminderTime, updateAssignments]);
+  
+  const dismissSessionSummary = () => {
+    setSessionSummary(null);
+    setSessionNotice(null);
+  };
+  
+  // Auto-close the current session once it has sat unused for staleSessionMs
+  useEffect(() => {
+    if (!currentSession || !therapyAgent || lockState !== 'unlocked') return;
+    
+    const remaining = new Date(currentSession.lastActivityAt).getTime() + staleSessionMs - Date.now();
+    const timer = setTimeout(() => closeStaleSession(therapyAgent, currentSession), Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+  }, [currentSession, therapyAgent, lockState, staleSessionMs, closeStaleSession]);
+  
   const updateProfile = (newProfile) => {
-    setUserProfile(prev => ({
-      ...prev,
+    const updated = {
+      ...userProfile,
       ...newProfile
-    }));
+    };
+    
+    setUserProfile(updated);
+    if (therapyAgent) therapyAgent.updateProfile(updated);
+    storage.saveProfile(updated).catch(error => console.error('Failed to save profile:', error));
   };
   
+  if (lockState === 'checking') {
+    return <div className="loading">Loading...</div>;
+  }
+  
+  if (lockState === 'setup' || lockState === 'locked') {
+    return (
+      <LockScreen
+        mode={lockState}
+        onUnlock={unlock}
+        onSetup={setupPassphrase}
+        onWipe={wipeAllData}
+      />
+    );
+  }
+  
   return (
     <TherapyContext.Provider
       value={{
         userProfile,
         updateProfile,
         sessionHistory,
+        sessions,
+        assignments,
+        completeAssignment,
+        dismissAssignment,
         currentSession,
+        sessionMessages,
+        setSessionMessages,
+        sessionSummary,
+        dismissSessionSummary,
+        interruptedSession,
+        sessionNotice,
+        resumeSession,
+        endInterruptedSession,
+        isLoading,
+        storageError,
+        isEncrypted: !!storage.encryption,
+        lockNow,
+        changePassphrase,
+        rotateEncryptionKey,
+        wipeAllData,
+        importData,
+        careTeam,
+        shareWithCareTeam,
         startSession,
+        recordCheckIn,
+        questionnaireResults,
+        submitQuestionnaire,
+        acknowledgeSafetyEvent,
+        getEscalation,
+        getSafetyEvents,
         processMessage,
+        streamMessage,
+        completeExercise,
+        rateIntervention,
         endSession
       }}
     >
@@ -140,23 +814,58 @@ import React, { useState, useContext, useEffect, useRef } from 'react';
 import { TherapyContext } from '../context/TherapyContext';
 import MessageBubble from './MessageBubble';
 import SafetyAlert from './SafetyAlert';
+import InteractiveExercise from './InteractiveExercise';
+import HomeworkList from './HomeworkList';
+import DueQuestionnaires from './DueQuestionnaires';
+import { describeExerciseResult } from '../services/InterventionEngine';
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const formatSessionStart = (date) => {
+  const start = new Date(date);
+  return start.toDateString() === new Date().toDateString()
+    ? formatTime(start)
+    : `${start.toLocaleDateString()} at ${formatTime(start)}`;
+};
 
 const TherapySession = () => {
   const {
     currentSession,
+    sessionMessages: messages,
+    setSessionMessages: setMessages,
+    sessionSummary,
+    dismissSessionSummary,
+    interruptedSession,
+    sessionNotice,
+    resumeSession,
+    endInterruptedSession,
     startSession,
-    processMessage,
+    streamMessage,
+    completeExercise,
+    rateIntervention,
+    acknowledgeSafetyEvent,
     endSession
   } = useContext(TherapyContext);
   
-  const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
-  const [isSessionActive, setIsSessionActive] = useState(false);
-  const [sessionSummary, setSessionSummary] = useState(null);
+  // { messageId, interventionId, name, exercise }; messageId is null when
+  // started from the suggestions list
+  const [activeExercise, setActiveExercise] = useState(null);
+  const [isResolving, setIsResolving] = useState(false);
   const [showSafetyAlert, setShowSafetyAlert] = useState(false);
   const [safetyInfo, setSafetyInfo] = useState(null);
+  const [isReplying, setIsReplying] = useState(false);
+  // Starting or ending reaches the agent and storage, so ignore repeat clicks
+  const [isChangingSession, setIsChangingSession] = useState(false);
+  const [sessionError, setSessionError] = useState(null);
   
   const messagesEndRef = useRef(null);
+  const replyControllerRef = useRef(null);
+  
+  // Don't leave a reply streaming into an unmounted component
+  useEffect(() => () => {
+    if (replyControllerRef.current) replyControllerRef.current.abort();
+  }, []);
   
   // Scroll to bottom when messages update
   useEffect(() => {
@@ -165,22 +874,42 @@ const TherapySession = () => {
     }
   }, [messages]);
   
+  const isSessionActive = Boolean(currentSession);
+  const suggestedActivities = (currentSession && currentSession.suggestedActivities) || [];
+  
   const handleStartSession = async () => {
-    const session = await startSession();
-    setIsSessionActive(true);
-    setSessionSummary(null);
-    
-    // Add initial greeting from agent
-    setMessages([{
-      id: Date.now(),
-      sender: 'agent',
-      text: session.greeting,
-      timestamp: new Date()
-    }]);
+    if (isChangingSession) return;
+    setIsChangingSession(true);
+    setSessionError(null);
+    try {
+      // Adds the agent's greeting to the messages
+      await startSession();
+    } catch (error) {
+      console.error('Failed to start session:', error);
+      setSessionError('Sorry, the session couldn\'t be started. Please try again.');
+    } finally {
+      setIsChangingSession(false);
+    }
+  };
+  
+  // Either choice reaches the agent and storage, so ignore repeat clicks
+  const resolveInterrupted = async (action) => {
+    if (isResolving) return;
+    setIsResolving(true);
+    try {
+      await action();
+    } finally {
+      setIsResolving(false);
+    }
+  };
+  
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, ...changes } : msg)));
   };
   
   const handleSendMessage = async () => {
-    if (!inputText.trim() || !isSessionActive) return;
+    // One reply at a time keeps the conversation in order
+    if (!inputText.trim() || !isSessionActive || isReplying) return;
     
     // Add user message
     const userMessage = {
@@ -190,37 +919,165 @@ const TherapySession = () => {
       timestamp: new Date()
     };
     
-    setMessages(prev => [...prev, userMessage]);
+    // Placeholder the reply streams into; shows a typing indicator until text arrives
+    const replyId = userMessage.id + 1;
+    
+    setMessages(prev => [...prev, userMessage, {
+      id: replyId,
+      sender: 'agent',
+      text: '',
+      isStreaming: true,
+      timestamp: new Date()
+    }]);
     setInputText('');
     
-    // Process message with agent
-    const response = await processMessage(inputText);
+    const controller = new AbortController();
+    replyControllerRef.current = controller;
+    setIsReplying(true);
     
-    // Check for safety concerns
-    if (response.type === 'emergency' || response.type === 'resource') {
-      setShowSafetyAlert(true);
-      setSafetyInfo(response);
+    let streamedText = '';
+    try {
+      for await (const event of streamMessage(userMessage.text, { signal: controller.signal })) {
+        if (event.type === 'delta') {
+          streamedText += event.text;
+          updateMessage(replyId, { text: streamedText });
+        } else if (event.type === 'complete') {
+          const { response } = event;
+          
+          // Check for safety concerns
+          if (response.type === 'emergency' || response.type === 'resource') {
+            setShowSafetyAlert(true);
+            setSafetyInfo(response);
+          }
+          
+          updateMessage(replyId, {
+            text: response.message || response.introduction,
+            content: response.content,
+            followUp: response.followUp,
+            exercise: response.exercise,
+            interventionId: response.interventionId,
+            name: response.name,
+            deliveryId: response.deliveryId,
+            isStreaming: false,
+            timestamp: new Date()
+          });
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep whatever had arrived, clearly marked as cut short
+        if (streamedText) {
+          updateMessage(replyId, { isStreaming: false, isCancelled: true });
+        } else {
+          setMessages(prev => prev.filter(msg => msg.id !== replyId));
+        }
+      } else {
+        console.error('Failed to get a reply:', error);
+        updateMessage(replyId, {
+          text: 'Sorry, something went wrong and I couldn\'t reply. Please try sending that again.',
+          isStreaming: false,
+          isError: true
+        });
+      }
+    } finally {
+      replyControllerRef.current = null;
+      setIsReplying(false);
+    }
+  };
+  
+  // Shown as answered straight away; put back if it couldn't be saved
+  const handleRate = async (message, rating) => {
+    updateMessage(message.id, { feedback: { rating } });
+    try {
+      await rateIntervention(message.deliveryId, rating);
+    } catch (error) {
+      console.error('Failed to save feedback:', error);
+      updateMessage(message.id, { feedback: null });
     }
+  };
+  
+  const handleStartExercise = (source, messageId = null) => {
+    if (isReplying) return;
+    setActiveExercise({
+      messageId,
+      interventionId: source.interventionId,
+      name: source.name,
+      exercise: source.exercise
+    });
+  };
+  
+  // The result goes into the chat as the user's turn, and the agent replies to it
+  const handleExerciseComplete = async (result) => {
+    const { messageId } = activeExercise;
+    setActiveExercise(null);
+    if (messageId !== null) updateMessage(messageId, { exerciseDone: true });
+    
+    const userMessage = {
+      id: Date.now(),
+      sender: 'user',
+      text: describeExerciseResult(result),
+      timestamp: new Date()
+    };
+    const replyId = userMessage.id + 1;
     
-    // Add agent response
-    setMessages(prev => [...prev, {
-      id: Date.now() + 1,
+    setMessages(prev => [...prev, userMessage, {
+      id: replyId,
       sender: 'agent',
-      text: response.message || response.introduction,
-      content: response.content,
-      followUp: response.followUp,
+      text: '',
+      isStreaming: true,
       timestamp: new Date()
     }]);
+    setIsReplying(true);
+    
+    try {
+      const response = await completeExercise(result);
+      
+      if (response.type === 'emergency' || response.type === 'resource') {
+        setShowSafetyAlert(true);
+        setSafetyInfo(response);
+      }
+      
+      updateMessage(replyId, {
+        text: response.message || response.introduction,
+        followUp: response.followUp,
+        isStreaming: false,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error('Failed to record the exercise:', error);
+      updateMessage(replyId, {
+        text: 'Sorry, I couldn\'t save how that exercise went. Your practice still counts.',
+        isStreaming: false,
+        isError: true
+      });
+    } finally {
+      setIsReplying(false);
+    }
+  };
+  
+  const handleCancelReply = () => {
+    if (replyControllerRef.current) replyControllerRef.current.abort();
   };
   
   const handleEndSession = async () => {
-    const summary = await endSession();
-    setIsSessionActive(false);
-    setSessionSummary(summary);
+    if (isChangingSession) return;
+    handleCancelReply();
+    setActiveExercise(null);
+    setIsChangingSession(true);
+    setSessionError(null);
+    try {
+      await endSession();
+    } catch (error) {
+      console.error('Failed to end session:', error);
+      setSessionError('Sorry, the session couldn\'t be ended. Please try again.');
+    } finally {
+      setIsChangingSession(false);
+    }
   };
   
   const handleCloseSafetyAlert = () => {
     setShowSafetyAlert(false);
+    acknowledgeSafetyEvent(safetyInfo.safetyEventId);
   };
 
   return (
@@ -232,20 +1089,77 @@ const TherapySession = () => {
         />
       )}
       
-      {!isSessionActive && !sessionSummary && (
+      {sessionError && <p className="error-message" role="alert">{sessionError}</p>}
+      
+      {interruptedSession && (
+        <div className="session-interrupted" role="alert">
+          <p>You have an unfinished session from {formatSessionStart(interruptedSession.startTime)} — resume or end it?</p>
+          <button onClick={() => resolveInterrupted(resumeSession)} disabled={isResolving}>Resume</button>
+          <button onClick={() => resolveInterrupted(endInterruptedSession)} disabled={isResolving}>End it</button>
+        </div>
+      )}
+      
+      {!isSessionActive && !sessionSummary && !interruptedSession && (
         <div className="session-start">
           <h2>Ready for your therapy session?</h2>
           <p>Take a moment to prepare yourself for this session. Find a quiet, comfortable space where you won't be disturbed.</p>
-          <button onClick={handleStartSession}>Start Session</button>
+          <button onClick={handleStartSession} disabled={isChangingSession}>Start Session</button>
+          <DueQuestionnaires />
+          <HomeworkList title="Your Home Practice" />
         </div>
       )}
       
       {isSessionActive && (
         <div className="session-active">
+          {suggestedActivities.length > 0 && (
+            <div className="suggested-activities">
+              <h3>Suggested for today</h3>
+              <ul>
+                {suggestedActivities.map((activity, i) => (
+                  <li key={i} className={activity.type === 'homework' ? 'homework-suggestion' : undefined}>
+                    <strong>{activity.name}</strong>
+                    {activity.duration && ` (${activity.duration})`}
+                    {activity.assignedBy && <span className="assigned-by"> - from {activity.assignedBy}</span>}
+                    {activity.instructions && <p>{activity.instructions}</p>}
+                    {activity.exercise && (
+                      <button
+                        type="button"
+                        onClick={() => handleStartExercise(activity)}
+                        disabled={isReplying || !!activeExercise}
+                      >
+                        Start
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
           <div className="messages-container">
             {messages.map(msg => (
-              <MessageBubble key={msg.id} message={msg} />
+              <React.Fragment key={msg.id}>
+                <MessageBubble
+                  message={msg}
+                  onStartExercise={isReplying || activeExercise ? null : () => handleStartExercise(msg, msg.id)}
+                  onRate={(rating) => handleRate(msg, rating)}
+                />
+                {activeExercise && activeExercise.messageId === msg.id && (
+                  <InteractiveExercise
+                    {...activeExercise}
+                    onComplete={handleExerciseComplete}
+                    onCancel={() => setActiveExercise(null)}
+                  />
+                )}
+              </React.Fragment>
             ))}
+            {activeExercise && activeExercise.messageId === null && (
+              <InteractiveExercise
+                {...activeExercise}
+                onComplete={handleExerciseComplete}
+                onCancel={() => setActiveExercise(null)}
+              />
+            )}
             <div ref={messagesEndRef} />
           </div>
           
@@ -254,10 +1168,19 @@ const TherapySession = () => {
               value={inputText}
               onChange={(e) => setInputText(e.target.value)}
               placeholder="Share what's on your mind..."
-              onKeyPress={(e) => e.key === 'Enter' && !e.shiftKey && handleSendMessage()}
+              onKeyPress={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                  e.preventDefault();
+                  handleSendMessage();
+                }
+              }}
             />
-            <button onClick={handleSendMessage}>Send</button>
-            <button onClick={handleEndSession} className="end-session-btn">
+            {isReplying ? (
+              <button onClick={handleCancelReply} className="stop-reply-btn">Stop</button>
+            ) : (
+              <button onClick={handleSendMessage} disabled={!inputText.trim()}>Send</button>
+            )}
+            <button onClick={handleEndSession} className="end-session-btn" disabled={isChangingSession}>
               End Session
             </button>
           </div>
@@ -267,6 +1190,11 @@ const TherapySession = () => {
       {sessionSummary && (
         <div className="session-summary">
           <h2>Session Summary</h2>
+          {sessionNotice && sessionNotice.type === 'auto-closed' && (
+            <p className="session-notice">
+              Your session from {formatSessionStart(sessionNotice.startTime)} was closed automatically after a period of inactivity. Here's what it covered.
+            </p>
+          )}
           <div className="summary-content">
             <h3>Main Themes</h3>
             <ul>
@@ -290,16 +1218,29 @@ const TherapySession = () => {
               <h4>{sessionSummary.homeActivity.activity.name}</h4>
               <p>{sessionSummary.homeActivity.instructions}</p>
               <p>{sessionSummary.homeActivity.recommendation}</p>
+              <p className="homework-added">
+                This has been added to your home practice. You can mark it done each day on your Progress Dashboard.
+              </p>
             </div>
             
             <h3>Next Session</h3>
             <p>Recommended date: {new Date(sessionSummary.nextSessionRecommendation.recommendedDate).toLocaleDateString()}</p>
             <p>Suggested focus: {sessionSummary.nextSessionRecommendation.recommendedFocus}</p>
+            {sessionSummary.nextSessionRecommendation.safetyFollowUp && (
+              <p className="safety-follow-up">{sessionSummary.nextSessionRecommendation.reason}</p>
+            )}
           </div>
           
-          <button onClick={handleStartSession}>Start New Session</button>
+          <button onClick={handleStartSession} disabled={isChangingSession}>Start New Session</button>
+          <button onClick={dismissSessionSummary}>Close Summary</button>
         </div>
       )}
+      
+      {!sessionSummary && sessionNotice && sessionNotice.type === 'auto-closed' && (
+        <p className="session-notice">
+          Your session from {formatSessionStart(sessionNotice.startTime)} was closed after a period of inactivity.
+        </p>
+      )}
     </div>
   );
 };
@@ -308,14 +1249,44 @@ export default TherapySession;
 
 // File: src/components/MessageBubble.js
 import React from 'react';
+import { FEEDBACK_RATINGS } from '../services/EffectivenessLearner';
 
-const MessageBubble = ({ message }) => {
-  const { sender, text, content, followUp, timestamp } = message;
+// `onStartExercise` and `onRate` are only passed where they can act, i.e. in a live session
+const MessageBubble = ({ message, onStartExercise = null, onRate = null }) => {
+  const {
+    sender,
+    text,
+    content,
+    followUp,
+    timestamp,
+    isStreaming,
+    isCancelled,
+    isError,
+    exercise,
+    exerciseDone,
+    deliveryId,
+    feedback
+  } = message;
+  
+  const classNames = ['message-bubble', sender];
+  if (isStreaming) classNames.push('streaming');
+  if (isError) classNames.push('error');
   
   return (
-    <div className={`message-bubble ${sender}`}>
+    <div className={classNames.join(' ')} aria-busy={isStreaming || undefined}>
       <div className="message-content">
-        <p>{text}</p>
+        {isStreaming && !text ? (
+          <div className="typing-indicator" role="status" aria-label="The companion is typing">
+            <span></span><span></span><span></span>
+          </div>
+        ) : (
+          <p>
+            {text}
+            {isStreaming && <span className="streaming-cursor" aria-hidden="true">▍</span>}
+          </p>
+        )}
+        
+        {isCancelled && <p className="reply-cancelled">(reply stopped)</p>}
         
         {content && (
           <div className="activity-content">
@@ -328,6 +1299,27 @@ const MessageBubble = ({ message }) => {
             <p>{followUp}</p>
           </div>
         )}
+        
+        {exercise && !isStreaming && onStartExercise && !exerciseDone && (
+          <button type="button" className="start-exercise-btn" onClick={onStartExercise}>
+            Try it with me now
+          </button>
+        )}
+        {exercise && exerciseDone && <p className="exercise-done">Exercise done</p>}
+        
+        {deliveryId && !isStreaming && !feedback && onRate && (
+          <div className="intervention-feedback" role="group" aria-label="Did this help?">
+            <span>Did this help?</span>
+            {Object.keys(FEEDBACK_RATINGS).map(rating => (
+              <button key={rating} type="button" onClick={() => onRate(rating)}>
+                {FEEDBACK_RATINGS[rating].label}
+              </button>
+            ))}
+          </div>
+        )}
+        {feedback && FEEDBACK_RATINGS[feedback.rating] && (
+          <p className="intervention-feedback-given">Did this help? {FEEDBACK_RATINGS[feedback.rating].label}</p>
+        )}
       </div>
       <div className="message-timestamp">
         {new Date(timestamp).toLocaleTimeString()}
@@ -339,31 +1331,99 @@ const MessageBubble = ({ message }) => {
 export default MessageBubble;
 
 // File: src/components/SafetyAlert.js
-import React from 'react';
+import React, { useState, useEffect, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import SafetyPlanView from './SafetyPlanView';
+import { toDialable } from '../services/SafetyPlan';
+import { getNotifiedNames } from '../services/escalation/EscalationService';
+
+// `?&body=` works for both iOS and Android SMS handlers
+const smsLink = ({ number, keyword }) =>
+  `sms:${toDialable(number)}${keyword ? `?&body=${encodeURIComponent(keyword)}` : ''}`;
 
 const SafetyAlert = ({ info, onClose }) => {
+  const { getEscalation } = useContext(TherapyContext);
+  const [notifiedContacts, setNotifiedContacts] = useState([]);
+  
+  // Contacts are notified after the alert is shown, so the user is told who
+  // was reached once sending finishes
+  useEffect(() => {
+    let cancelled = false;
+    getEscalation(info.safetyEventId).then(escalation => {
+      if (!cancelled) setNotifiedContacts(getNotifiedNames(escalation));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [getEscalation, info.safetyEventId]);
+  
   return (
     <div className="safety-alert">
       <div className="safety-alert-content">
         <h2>{info.type === 'emergency' ? 'Important Safety Information' : 'Support Resources'}</h2>
         <p>{info.message}</p>
         
-        {info.resources && (
+        {info.safetyPlan && (
+          <div className="safety-alert-plan">
+            <h3>Your Safety Plan</h3>
+            <SafetyPlanView plan={info.safetyPlan} />
+          </div>
+        )}
+        
+        {info.resources && (
           <div className="resources">
             <h3>Resources Available Now:</h3>
             <ul>
               {info.resources.map((resource, i) => (
                 <li key={i}>
-                  <strong>{resource.name}</strong>: {resource.contact} ({resource.available})
+                  <strong>{resource.name}</strong> ({resource.available})
+                  {resource.description && <p>{resource.description}</p>}
+                  <div className="resource-actions">
+                    {resource.phone && (
+                      <a href={`tel:${toDialable(resource.phone)}`} className="resource-call">
+                        Call {resource.phone}
+                      </a>
+                    )}
+                    {resource.text && (
+                      <a href={smsLink(resource.text)} className="resource-text">
+                        Text {resource.text.keyword ? `${resource.text.keyword} to ` : ''}{resource.text.number}
+                      </a>
+                    )}
+                    {resource.url && (
+                      <a href={resource.url} target="_blank" rel="noopener noreferrer" className="resource-link">
+                        Website
+                      </a>
+                    )}
+                  </div>
                 </li>
               ))}
             </ul>
+            {info.resourceDirectory && (
+              <p className="resource-directory-note">
+                Showing resources for {info.resourceDirectory.region}
+                {info.resourceDirectory.isFallback && '. Set your country in My Profile to see local services'}
+                {' '}(directory {info.resourceDirectory.version}).
+              </p>
+            )}
           </div>
         )}
         
+        {notifiedContacts.length > 0 && (
+          <p className="safety-alert-notified">
+            As you asked, we've let {notifiedContacts.join(' and ')} know you may need support.
+          </p>
+        )}
+        
         {info.instructions && <p className="instructions">{info.instructions}</p>}
         {info.continuePrompt && <p>{info.continuePrompt}</p>}
         
+        {info.explanation && (
+          <details className="safety-explanation">
+            <summary>Why am I seeing this?</summary>
+            <p>{info.explanation}</p>
+          </details>
+        )}
+        
         <button onClick={onClose}>Acknowledge</button>
       </div>
     </div>
@@ -373,98 +1433,221 @@ const SafetyAlert = ({ info, onClose }) => {
 export default SafetyAlert;
 
 // File: src/components/Dashboard.js
-import React, { useContext } from 'react';
+import React, { useContext, useMemo, useState } from 'react';
 import { TherapyContext } from '../context/TherapyContext';
+import ProgressTracker from '../services/ProgressTracker';
+import DateRangeSelector, { createDefaultRange, resolveDateRange } from './DateRangeSelector';
+import EmotionChart, { DIMENSION_LABELS, EVENT_LABELS, EventMarker } from './EmotionChart';
+import ExportPanel from './ExportPanel';
+import HomeworkList from './HomeworkList';
+import QuestionnaireTrends from './QuestionnaireTrends';
+import DueQuestionnaires from './DueQuestionnaires';
+
+const DIMENSIONS = ['overall', 'anxiety', 'depression', 'anger', 'joy'];
+
+// Lower is better for these, so a drop counts as an improvement
+const NEGATIVE_DIMENSIONS = ['anxiety', 'depression', 'anger'];
+
+const describeChange = (dimension, change) => {
+  if (change === null) return 'Not enough data';
+  if (change === 0) return 'No change';
+  const improved = NEGATIVE_DIMENSIONS.includes(dimension) ? change < 0 : change > 0;
+  return `${change > 0 ? '+' : ''}${change} (${improved ? 'better' : 'worse'})`;
+};
 
-const Dashboard = () => {
-  const { sessionHistory, userProfile } = useContext(TherapyContext);
+const Dashboard = ({ onViewHistory }) => {
+  const { sessionHistory, sessions, assignments, questionnaireResults, userProfile } = useContext(TherapyContext);
+  const [range, setRange] = useState(() => createDefaultRange());
+  const [showTable, setShowTable] = useState(false);
   
-  // Mock progress data - in a real app, this would be calculated from session history
-  const emotionalProgress = [
-    { date: '01/10', anxiety: 7, depression: 6, overall: 5 },
-    { date: '01/17', anxiety: 6, depression: 6, overall: 5 },
-    { date: '01/24', anxiety: 6, depression: 5, overall: 6 },
-    { date: '01/31', anxiety: 5, depression: 5, overall: 6 },
-    { date: '02/07', anxiety: 4, depression: 4, overall: 7 }
-  ];
+  const tracker = useMemo(
+    () => new ProgressTracker({
+      sessions,
+      interactions: sessionHistory,
+      assignments,
+      questionnaires: questionnaireResults,
+      userProfile
+    }),
+    [sessions, sessionHistory, assignments, questionnaireResults, userProfile]
+  );
+  const report = useMemo(() => tracker.getReport(), [tracker]);
   
-  const activityCompletion = [
-    { name: 'Breathing Exercise', completed: 8, goal: 10 },
-    { name: 'Thought Journal', completed: 12, goal: 14 },
-    { name: 'Meditation', completed: 5, goal: 10 }
-  ];
+  const { start, end, bucket } = useMemo(() => resolveDateRange(range), [range]);
+  const series = useMemo(() => tracker.getEmotionalAverages({ bucket, start, end }), [tracker, bucket, start, end]);
+  const events = useMemo(() => tracker.getEvents({ start, end }), [tracker, start, end]);
+  const comparison = useMemo(() => tracker.comparePeriods(start, end), [tracker, start, end]);
   
-  const insights = [
-    'You've made consistent progress in reducing anxiety levels',
-    'Morning sessions appear to be more effective for you',
-    'Breathing exercises show the strongest correlation with mood improvement'
-  ];
+  const { activityCompletion, questionnaires, insights } = report;
+
+  if (!report.hasData) {
+    return (
+      <div className="dashboard">
+        <h2>Your Therapy Progress</h2>
+        <DueQuestionnaires />
+        <div className="dashboard-section empty-state">
+          <h3>Nothing to show yet</h3>
+          <p>Once you've completed your first session, your emotional trends, activities and insights will appear here.</p>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="dashboard">
       <h2>Your Therapy Progress</h2>
+      <DueQuestionnaires />
       
       <div className="dashboard-section">
         <h3>Emotional Wellbeing Trends</h3>
-        <div className="chart-placeholder">
-          {/* In a real app, this would be a chart component */}
-          <table className="progress-table">
-            <thead>
-              <tr>
-                <th>Date</th>
-                <th>Anxiety</th>
-                <th>Depression</th>
-                <th>Overall</th>
+        <DateRangeSelector value={range} onChange={setRange} />
+        
+        <table className="period-comparison">
+          <caption>Compared with the previous {Math.round((end - start) / (24 * 60 * 60 * 1000))} days</caption>
+          <thead>
+            <tr>
+              <th>Dimension</th>
+              <th>This period</th>
+              <th>Previous period</th>
+              <th>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {DIMENSIONS.map(dimension => (
+              <tr key={dimension}>
+                <td>{DIMENSION_LABELS[dimension]}</td>
+                <td>{comparison.current[dimension] ?? '—'}</td>
+                <td>{comparison.previous[dimension] ?? '—'}</td>
+                <td>{describeChange(dimension, comparison.changes[dimension])}</td>
               </tr>
-            </thead>
-            <tbody>
-              {emotionalProgress.map((entry, i) => (
+            ))}
+          </tbody>
+        </table>
+        
+        {series.length === 0 ? (
+          <p className="empty-state">No check-ins in this period. Try a longer range.</p>
+        ) : (
+          <div className="chart-grid" aria-hidden={showTable}>
+            {DIMENSIONS.map(dimension => (
+              <EmotionChart
+                key={dimension}
+                dimension={dimension}
+                series={series}
+                events={events}
+                start={start}
+                end={end}
+              />
+            ))}
+          </div>
+        )}
+        
+        <div className="chart-legend" aria-hidden="true">
+          {Object.keys(EVENT_LABELS).map(type => (
+            <span key={type} className="legend-item">
+              <svg width="12" height="12" viewBox="0 0 12 12">
+                <EventMarker type={type} x={6} y={6} />
+              </svg>
+              {EVENT_LABELS[type]}
+            </span>
+          ))}
+        </div>
+        
+        <button type="button" aria-expanded={showTable} onClick={() => setShowTable(!showTable)}>
+          {showTable ? 'Hide data table' : 'Show data table'}
+        </button>
+        
+        {/* Always rendered so screen readers get the data even when the table is hidden visually */}
+        <table className={showTable ? 'progress-table' : 'progress-table visually-hidden'}>
+          <caption>Average emotional state per {bucket}, scored 1 to 10</caption>
+          <thead>
+            <tr>
+              <th>{bucket === 'week' ? 'Week of' : 'Date'}</th>
+              {DIMENSIONS.map(dimension => (
+                <th key={dimension}>{DIMENSION_LABELS[dimension]}</th>
+              ))}
+              <th>Events</th>
+            </tr>
+          </thead>
+          <tbody>
+            {series.map((entry, i) => {
+              const periodEnd = i + 1 < series.length ? series[i + 1].periodStart : end;
+              const periodEvents = events.filter(event => event.date >= (i === 0 ? start : entry.periodStart) && event.date < periodEnd);
+              return (
                 <tr key={i}>
                   <td>{entry.date}</td>
-                  <td>{entry.anxiety}</td>
-                  <td>{entry.depression}</td>
-                  <td>{entry.overall}</td>
+                  {DIMENSIONS.map(dimension => (
+                    <td key={dimension}>{entry[dimension]}</td>
+                  ))}
+                  <td>{periodEvents.map(event => `${EVENT_LABELS[event.type]}: ${event.label}`).join('; ') || '—'}</td>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      
+      <div className="dashboard-section">
+        <h3>Questionnaire Scores</h3>
+        <QuestionnaireTrends trends={questionnaires} />
+      </div>
+      
+      <div className="dashboard-section">
+        <HomeworkList />
       </div>
       
       <div className="dashboard-section">
         <h3>Activity Completion</h3>
-        <div className="activities-list">
-          {activityCompletion.map((activity, i) => (
-            <div key={i} className="activity-progress">
-              <h4>{activity.name}</h4>
-              <div className="progress-bar-container">
-                <div 
-                  className="progress-bar" 
-                  style={{ width: `${(activity.completed / activity.goal) * 100}%` }}
-                ></div>
+        {activityCompletion.length === 0 ? (
+          <p className="empty-state">No activities yet. Techniques you try in sessions and home activities you're given will be tracked here.</p>
+        ) : (
+          <div className="activities-list">
+            {activityCompletion.map((activity, i) => (
+              <div key={i} className="activity-progress">
+                <h4>{activity.name}</h4>
+                {activity.goal ? (
+                  <>
+                    <div className="progress-bar-container">
+                      <div 
+                        className="progress-bar" 
+                        style={{ width: `${Math.min(100, (activity.completed / activity.goal) * 100)}%` }}
+                      ></div>
+                    </div>
+                    <p>{activity.completed}/{activity.goal} completed</p>
+                  </>
+                ) : (
+                  <p>Practised {activity.completed} {activity.completed === 1 ? 'time' : 'times'}</p>
+                )}
               </div>
-              <p>{activity.completed}/{activity.goal} completed</p>
-            </div>
-          ))}
-        </div>
+            ))}
+          </div>
+        )}
       </div>
       
       <div className="dashboard-section">
         <h3>Insights</h3>
-        <ul className="insights-list">
-          {insights.map((insight, i) => (
-            <li key={i}>{insight}</li>
-          ))}
-        </ul>
+        {insights.length === 0 ? (
+          <p className="empty-state">Insights will appear after a few more sessions, once there's enough to spot patterns.</p>
+        ) : (
+          <ul className="insights-list">
+            {insights.map((insight, i) => (
+              <li key={i}>{insight}</li>
+            ))}
+          </ul>
+        )}
       </div>
       
       <div className="dashboard-section">
         <h3>Session History</h3>
         <div className="session-history">
-          <p>You've completed {sessionHistory.length} therapy interactions</p>
-          <button>View Detailed History</button>
+          <p>You've completed {report.sessionCount} {report.sessionCount === 1 ? 'session' : 'sessions'} and {report.interactionCount} therapy interactions</p>
+          <button onClick={onViewHistory}>View Detailed History</button>
         </div>
       </div>
+      
+      <div className="dashboard-section">
+        <h3>Export Your Data</h3>
+        <p>Take your progress to your therapist, or keep a backup.</p>
+        <ExportPanel />
+      </div>
     </div>
   );
 };
@@ -474,6 +1657,18 @@ export default Dashboard;
 // File: src/components/UserProfile.js
 import React, { useState, useContext } from 'react';
 import { TherapyContext } from '../context/TherapyContext';
+import { SUPPORTED_LOCALES, getCrisisResources } from '../services/CrisisResourceDirectory';
+import DataSecuritySettings from './DataSecuritySettings';
+import ImportPanel from './ImportPanel';
+import CareTeamSettings from './CareTeamSettings';
+import RecommendationInsights from './RecommendationInsights';
+import ReminderSettings from './ReminderSettings';
+import SafetyPlanEditor from './SafetyPlanEditor';
+import EscalationSettings from './EscalationSettings';
+import { QUESTIONNAIRES, DEFAULT_QUESTIONNAIRE_SCHEDULE, SCHEDULE_OPTIONS } from '../services/Questionnaires';
+
+const describeSchedule = (days) =>
+  (SCHEDULE_OPTIONS.find(option => option.value === days) || { label: `Every ${days} days` }).label;
 
 const UserProfile = () => {
   const { userProfile, updateProfile } = useContext(TherapyContext);
@@ -499,6 +1694,18 @@ const UserProfile = () => {
     });
   };
   
+  const handleScheduleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      questionnaireSchedule: {
+        ...DEFAULT_QUESTIONNAIRE_SCHEDULE,
+        ...formData.questionnaireSchedule,
+        [name]: parseInt(value, 10)
+      }
+    });
+  };
+  
   const handleGoalChange = (e) => {
     const value = e.target.value;
     
@@ -557,9 +1764,34 @@ const UserProfile = () => {
             <p><strong>Session Frequency:</strong> Every {userProfile.sessionFrequency} days</p>
             <p><strong>Preferred Activity Duration:</strong> {userProfile.preferredDuration}</p>
             <p><strong>Preferred Activity Type:</strong> {userProfile.preferredActivityType}</p>
+            <p><strong>Crisis Resources Region:</strong> {getCrisisResources(userProfile.locale).regionName}</p>
+          </div>
+          
+          <div className="profile-section">
+            <h3>Progress Questionnaires</h3>
+            {Object.keys(QUESTIONNAIRES).map(id => (
+              <p key={id}>
+                <strong>{QUESTIONNAIRES[id].name}:</strong>{' '}
+                {describeSchedule({ ...DEFAULT_QUESTIONNAIRE_SCHEDULE, ...userProfile.questionnaireSchedule }[id])}
+              </p>
+            ))}
           </div>
           
           <button onClick={() => setEditMode(true)}>Edit Profile</button>
+          
+          <SafetyPlanEditor />
+          
+          <EscalationSettings />
+          
+          <RecommendationInsights />
+          
+          <ReminderSettings />
+          
+          <CareTeamSettings />
+          
+          <DataSecuritySettings />
+          
+          <ImportPanel />
         </div>
       ) : (
         <form className="profile-edit-form" onSubmit={handleSubmit}>
@@ -654,6 +1886,40 @@ const UserProfile = () => {
                 <option value="reading">Reading</option>
               </select>
             </div>
+            
+            <div className="form-field">
+              <label htmlFor="locale">Country/Region for Crisis Resources:</label>
+              <select
+                id="locale"
+                name="locale"
+                value={formData.locale}
+                onChange={handleChange}
+              >
+                {SUPPORTED_LOCALES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+                <option value="international">Other (international resources)</option>
+              </select>
+            </div>
+          </div>
+          
+          <div className="form-section">
+            <h3>Progress Questionnaires</h3>
+            {Object.keys(QUESTIONNAIRES).map(id => (
+              <div key={id} className="form-field">
+                <label htmlFor={`schedule-${id}`}>{QUESTIONNAIRES[id].title}:</label>
+                <select
+                  id={`schedule-${id}`}
+                  name={id}
+                  value={{ ...DEFAULT_QUESTIONNAIRE_SCHEDULE, ...formData.questionnaireSchedule }[id]}
+                  onChange={handleScheduleChange}
+                >
+                  {SCHEDULE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
           </div>
           
           <div className="form-buttons">
@@ -671,11 +1937,18 @@ export default UserProfile;
 // File: src/components/Login.js
 import React, { useState } from 'react';
 
-const Login = ({ onLogin }) => {
+const Login = ({ onLogin, onRegister, onRequestPasswordReset, onResetPassword, notice }) => {
+  const [mode, setMode] = useState('login'); // 'login', 'register', 'forgot', 'reset'
   const [credentials, setCredentials] = useState({
+    name: '',
     email: '',
-    password: ''
+    password: '',
+    resetCode: '',
+    role: 'client'
   });
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(notice || null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
   
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -685,9 +1958,59 @@ const Login = ({ onLogin }) => {
     });
   };
   
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError(null);
+    setMessage(null);
+    setCredentials({ ...credentials, password: '', resetCode: '' });
+  };
+  
+  const submit = async (action) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
   const handleSubmit = (e) => {
     e.preventDefault();
-    onLogin(credentials);
+    
+    if (mode === 'login') {
+      submit(() => onLogin({ email: credentials.email, password: credentials.password }));
+    } else if (mode === 'register') {
+      submit(() => onRegister({
+        name: credentials.name,
+        email: credentials.email,
+        password: credentials.password,
+        role: credentials.role
+      }));
+    } else if (mode === 'forgot') {
+      submit(async () => {
+        const result = await onRequestPasswordReset(credentials.email);
+        setMode('reset');
+        setMessage(result && result.developmentResetToken
+          ? `Development mode: your reset code is ${result.developmentResetToken}`
+          : 'If an account exists for that email, we\'ve sent a reset code.');
+      });
+    } else if (mode === 'reset') {
+      submit(async () => {
+        await onResetPassword(credentials.resetCode, credentials.password);
+        switchMode('login');
+        setMessage('Your password has been reset. You can log in now.');
+      });
+    }
+  };
+  
+  const titles = {
+    login: 'Log In',
+    register: 'Create Account',
+    forgot: 'Send Reset Code',
+    reset: 'Reset Password'
   };
 
   return (
@@ -696,37 +2019,94 @@ const Login = ({ onLogin }) => {
         <h2>Therapy Companion</h2>
         <p>Your personal mental wellness assistant</p>
         
+        {message && <p className="form-notice" role="status">{message}</p>}
+        {error && <p className="form-error" role="alert">{error}</p>}
+        
         <form onSubmit={handleSubmit} className="login-form">
-          <div className="form-group">
-            <label htmlFor="email">Email</label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={credentials.email}
-              onChange={handleChange}
-              required
-            />
-          </div>
+          {mode === 'register' && (
+            <div className="form-group">
+              <label htmlFor="name">Name</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={credentials.name}
+                onChange={handleChange}
+                autoComplete="name"
+                required
+              />
+            </div>
+          )}
           
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={credentials.password}
-              onChange={handleChange}
-              required
-            />
-          </div>
+          {mode === 'register' && (
+            <div className="form-group">
+              <label htmlFor="role">Account Type</label>
+              <select id="role" name="role" value={credentials.role} onChange={handleChange}>
+                <option value="client">Personal - I want to use the companion</option>
+                <option value="therapist">Therapist - I support clients who use it</option>
+              </select>
+            </div>
+          )}
+          
+          {mode !== 'reset' && (
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={credentials.email}
+                onChange={handleChange}
+                autoComplete="email"
+                required
+              />
+            </div>
+          )}
+          
+          {mode === 'reset' && (
+            <div className="form-group">
+              <label htmlFor="resetCode">Reset Code</label>
+              <input
+                type="text"
+                id="resetCode"
+                name="resetCode"
+                value={credentials.resetCode}
+                onChange={handleChange}
+                autoComplete="one-time-code"
+                required
+              />
+            </div>
+          )}
+          
+          {mode !== 'forgot' && (
+            <div className="form-group">
+              <label htmlFor="password">{mode === 'reset' ? 'New Password' : 'Password'}</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={credentials.password}
+                onChange={handleChange}
+                autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                required
+              />
+            </div>
+          )}
           
-          <button type="submit" className="login-button">Log In</button>
+          <button type="submit" className="login-button" disabled={isSubmitting}>
+            {isSubmitting ? 'Please wait...' : titles[mode]}
+          </button>
         </form>
         
         <div className="login-options">
-          <a href="#forgot-password">Forgot Password?</a>
-          <a href="#create-account">Create Account</a>
+          {mode === 'login' ? (
+            <>
+              <a href="#forgot-password" onClick={(e) => { e.preventDefault(); switchMode('forgot'); }}>Forgot Password?</a>
+              <a href="#create-account" onClick={(e) => { e.preventDefault(); switchMode('register'); }}>Create Account</a>
+            </>
+          ) : (
+            <a href="#login" onClick={(e) => { e.preventDefault(); switchMode('login'); }}>Back to Log In</a>
+          )}
         </div>
       </div>
     </div>
@@ -735,119 +2115,3262 @@ const Login = ({ onLogin }) => {
 
 export default Login;
 
-// File: src/services/TherapyCompanionAgent.js
-// This is a simplified version of the core agent for React frontend
-// In a real app, most processing would happen on the backend
+// File: src/components/LockScreen.js
+import React, { useState } from 'react';
 
-class TherapyCompanionAgent {
-  constructor(userProfile) {
-    this.userProfile = userProfile;
-    this.sessionHistory = [];
-    this.currentEmotionalState = this.initializeEmotionalState();
-  }
-  
-  initializeEmotionalState() {
-    return {
-      overall: 5,
-      anxiety: 5,
-      depression: 5,
-      anger: 5,
-      joy: 5,
-      timestamp: new Date()
-    };
-  }
+const MIN_PASSPHRASE_LENGTH = 6;
+
+const LockScreen = ({ mode, onUnlock, onSetup, onWipe }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [showWipe, setShowWipe] = useState(false);
   
-  async startSession() {
-    // Simulate API call
-    await this.simulateDelay(500);
-    
-    // Generate greeting based on time of day and user profile
-    const greeting = this.generateGreeting();
-    
-    // Generate focus areas based on user profile
-    const focusAreas = this.userProfile.therapeuticGoals.slice(0, 2);
-    
-    // Generate suggested activities
-    const suggestedActivities = this.generateSuggestedActivities(focusAreas);
-    
-    return {
-      greeting,
-      focusAreas,
-      suggestedActivities
-    };
-  }
+  const isSetup = mode === 'setup';
   
-  async processUserInput(input) {
-    // Simulate NLP processing
-    await this.simulateDelay(700);
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
     
-    // Check for safety concerns
-    const safetyCheck = this.checkForSafetyConcerns(input);
-    if (safetyCheck.concernDetected) {
-      return this.generateSafetyResponse(safetyCheck);
+    if (isSetup) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+      }
+      if (passphrase !== confirmation) {
+        setError('The two entries don\'t match.');
+        return;
+      }
     }
     
-    // Update emotional state based on input
-    this.updateEmotionalState(input);
-    
-    // Record interaction in session history
-    this.recordInteraction(input, null); // Response will be added by UI
-    
-    // Analyze input for themes and needs
-    const analysis = this.analyzeInput(input);
-    
-    // Generate appropriate response based on analysis
-    return this.generateResponse(analysis);
-  }
+    setIsWorking(true);
+    try {
+      if (isSetup) {
+        await onSetup(passphrase);
+      } else {
+        await onUnlock(passphrase);
+      }
+    } catch (err) {
+      setError(err.message);
+      setIsWorking(false);
+    }
+  };
   
-  async endSession() {
-    // Simulate API call
-    await this.simulateDelay(1000);
-    
-    // Generate session summary
-    const summary = this.generateSessionSummary();
-    
-    // Suggest home activity
-    const homeActivity = this.suggestHomeActivity();
-    
-    // Recommend next session
-    const nextSessionRecommendation = this.suggestNextSession();
-    
-    return {
-      summary,
-      homeActivity,
-      nextSessionRecommendation
-    };
-  }
+  const handleWipe = async () => {
+    setIsWorking(true);
+    await onWipe();
+  };
+
+  return (
+    <div className="lock-screen">
+      <div className="lock-card">
+        <h2>{isSetup ? 'Protect your data' : 'Welcome back'}</h2>
+        <p>
+          {isSetup
+            ? 'Choose a passphrase or PIN. Your sessions and notes are encrypted on this device with it, and nobody can read them without it.'
+            : 'Your data is locked. Enter your passphrase or PIN to continue.'}
+        </p>
+        
+        <form onSubmit={handleSubmit} className="lock-form">
+          <div className="form-group">
+            <label htmlFor="passphrase">Passphrase or PIN</label>
+            <input
+              type="password"
+              id="passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete={isSetup ? 'new-password' : 'current-password'}
+              autoFocus
+              required
+            />
+          </div>
+          
+          {isSetup && (
+            <div className="form-group">
+              <label htmlFor="passphrase-confirmation">Confirm</label>
+              <input
+                type="password"
+                id="passphrase-confirmation"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                autoComplete="new-password"
+                required
+              />
+              <p className="hint">Longer passphrases are stronger. If you forget it, your data can't be recovered.</p>
+            </div>
+          )}
+          
+          {error && <p className="form-error" role="alert">{error}</p>}
+          
+          <button type="submit" disabled={isWorking}>
+            {isWorking ? 'Please wait...' : (isSetup ? 'Save Passphrase' : 'Unlock')}
+          </button>
+        </form>
+        
+        {!isSetup && (
+          <div className="lock-forgot">
+            {!showWipe ? (
+              <button type="button" className="link-button" onClick={() => setShowWipe(true)}>
+                Forgot your passphrase?
+              </button>
+            ) : (
+              <div className="wipe-confirm">
+                <p>Without your passphrase your data can't be decrypted. You can erase it from this device and start fresh.</p>
+                <button type="button" className="danger-button" onClick={handleWipe} disabled={isWorking}>
+                  Erase my data
+                </button>
+                <button type="button" onClick={() => setShowWipe(false)}>Cancel</button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
+
+// File: src/components/DataSecuritySettings.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+
+const WIPE_CONFIRMATION = 'DELETE';
+
+const DataSecuritySettings = () => {
+  const {
+    isEncrypted,
+    lockNow,
+    changePassphrase,
+    rotateEncryptionKey,
+    wipeAllData
+  } = useContext(TherapyContext);
   
-  // Helper methods
+  const [activeForm, setActiveForm] = useState(null); // 'passphrase', 'rotate', 'wipe'
+  const [fields, setFields] = useState({ current: '', next: '', confirmation: '' });
+  const [status, setStatus] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
   
-  simulateDelay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+  const openForm = (form) => {
+    setActiveForm(form);
+    setFields({ current: '', next: '', confirmation: '' });
+    setStatus(null);
+  };
   
-  generateGreeting() {
-    const hour = new Date().getHours();
-    let timeGreeting = "Hello";
-    
-    if (hour < 12) {
-      timeGreeting = "Good morning";
-    } else if (hour < 18) {
-      timeGreeting = "Good afternoon";
-    } else {
-      timeGreeting = "Good evening";
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setFields({
+      ...fields,
+      [name]: value
+    });
+  };
+  
+  const runAction = async (action, successMessage) => {
+    setIsWorking(true);
+    setStatus(null);
+    try {
+      await action();
+      setStatus({ type: 'success', message: successMessage });
+      setActiveForm(null);
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setIsWorking(false);
     }
-    
-    const greetings = [
-      `${timeGreeting}, ${this.userProfile.name}. How are you feeling today?`,
-      `${timeGreeting}. I'm here to support you today. What's on your mind?`,
-      `Welcome back, ${this.userProfile.name}. How have things been since we last spoke?`
-    ];
-    
-    return greetings[Math.floor(Math.random() * greetings.length)];
-  }
+  };
   
-  generateSuggestedActivities(focusAreas) {
+  const handleChangePassphrase = (e) => {
+    e.preventDefault();
+    if (fields.next !== fields.confirmation) {
+      setStatus({ type: 'error', message: 'The new passphrase entries don\'t match.' });
+      return;
+    }
+    runAction(() => changePassphrase(fields.current, fields.next), 'Your passphrase has been changed.');
+  };
+  
+  const handleRotateKey = (e) => {
+    e.preventDefault();
+    runAction(() => rotateEncryptionKey(fields.current), 'Your data has been re-encrypted with a new key.');
+  };
+  
+  const handleWipe = (e) => {
+    e.preventDefault();
+    wipeAllData();
+  };
+
+  return (
+    <div className="profile-section data-security">
+      <h3>Data &amp; Privacy</h3>
+      
+      {isEncrypted ? (
+        <p>Your sessions, emotional history and safety events are encrypted on this device.</p>
+      ) : (
+        <p className="warning">This browser doesn't support encryption, so your data is stored unencrypted on this device.</p>
+      )}
+      
+      {status && (
+        <p className={status.type === 'error' ? 'form-error' : 'form-success'} role="status">{status.message}</p>
+      )}
+      
+      <div className="security-actions">
+        {isEncrypted && <button type="button" onClick={lockNow}>Lock Now</button>}
+        {isEncrypted && <button type="button" onClick={() => openForm('passphrase')}>Change Passphrase</button>}
+        {isEncrypted && <button type="button" onClick={() => openForm('rotate')}>Rotate Encryption Key</button>}
+        <button type="button" className="danger-button" onClick={() => openForm('wipe')}>Delete All My Data</button>
+      </div>
+      
+      {activeForm === 'passphrase' && (
+        <form onSubmit={handleChangePassphrase} className="security-form">
+          <label htmlFor="current-passphrase">Current passphrase</label>
+          <input type="password" id="current-passphrase" name="current" value={fields.current} onChange={handleFieldChange} required />
+          <label htmlFor="new-passphrase">New passphrase</label>
+          <input type="password" id="new-passphrase" name="next" value={fields.next} onChange={handleFieldChange} minLength={6} required />
+          <label htmlFor="confirm-passphrase">Confirm new passphrase</label>
+          <input type="password" id="confirm-passphrase" name="confirmation" value={fields.confirmation} onChange={handleFieldChange} required />
+          <button type="submit" disabled={isWorking}>Save</button>
+          <button type="button" onClick={() => setActiveForm(null)}>Cancel</button>
+        </form>
+      )}
+      
+      {activeForm === 'rotate' && (
+        <form onSubmit={handleRotateKey} className="security-form">
+          <p>A new key will be generated and all of your data re-encrypted with it.</p>
+          <label htmlFor="rotate-passphrase">Passphrase</label>
+          <input type="password" id="rotate-passphrase" name="current" value={fields.current} onChange={handleFieldChange} required />
+          <button type="submit" disabled={isWorking}>{isWorking ? 'Re-encrypting...' : 'Rotate Key'}</button>
+          <button type="button" onClick={() => setActiveForm(null)}>Cancel</button>
+        </form>
+      )}
+      
+      {activeForm === 'wipe' && (
+        <form onSubmit={handleWipe} className="security-form">
+          <p>
+            This permanently deletes your profile, every session transcript, your emotional history and
+            safety records from this device. It can't be undone.
+          </p>
+          <label htmlFor="wipe-confirmation">Type {WIPE_CONFIRMATION} to confirm</label>
+          <input type="text" id="wipe-confirmation" name="confirmation" value={fields.confirmation} onChange={handleFieldChange} required />
+          <button type="submit" className="danger-button" disabled={fields.confirmation !== WIPE_CONFIRMATION}>
+            Delete Everything
+          </button>
+          <button type="button" onClick={() => setActiveForm(null)}>Cancel</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DataSecuritySettings;
+
+// File: src/components/DateRangeSelector.js
+import React from 'react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RANGE_PRESETS = [
+  { id: 'week', label: 'Past week', days: 7 },
+  { id: 'month', label: 'Past month', days: 30 },
+  { id: 'quarter', label: 'Past 3 months', days: 90 },
+  { id: 'custom', label: 'Custom' }
+];
+
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const fromInputValue = (value, endOfDay = false) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day);
+};
+
+// Turns a selector value into concrete dates plus the chart granularity:
+// daily points for short ranges, weekly beyond two months
+export const resolveDateRange = ({ preset, customStart, customEnd }, now = new Date()) => {
+  let start;
+  let end;
+  
+  if (preset === 'custom' && customStart && customEnd) {
+    start = fromInputValue(customStart);
+    end = fromInputValue(customEnd, true);
+    if (start > end) [start, end] = [fromInputValue(customEnd), fromInputValue(customStart, true)];
+  } else {
+    const { days } = RANGE_PRESETS.find(option => option.id === preset && option.days) || RANGE_PRESETS[1];
+    end = new Date(now);
+    end.setHours(23, 59, 59, 999);
+    start = new Date(end.getTime() - days * DAY_MS + 1);
+  }
+  
+  const bucket = end - start > 60 * DAY_MS ? 'week' : 'day';
+  return { start, end, bucket };
+};
+
+export const createDefaultRange = (now = new Date()) => ({
+  preset: 'month',
+  customStart: toInputValue(new Date(now.getTime() - 30 * DAY_MS)),
+  customEnd: toInputValue(now)
+});
+
+const DateRangeSelector = ({ value, onChange }) => {
+  return (
+    <div className="date-range-selector" role="group" aria-label="Date range">
+      {RANGE_PRESETS.map(option => (
+        <button
+          key={option.id}
+          type="button"
+          className={value.preset === option.id ? 'active' : ''}
+          aria-pressed={value.preset === option.id}
+          onClick={() => onChange({ ...value, preset: option.id })}
+        >
+          {option.label}
+        </button>
+      ))}
+      
+      {value.preset === 'custom' && (
+        <div className="custom-range">
+          <label>
+            From
+            <input
+              type="date"
+              value={value.customStart}
+              max={value.customEnd}
+              onChange={(e) => onChange({ ...value, customStart: e.target.value })}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              value={value.customEnd}
+              min={value.customStart}
+              onChange={(e) => onChange({ ...value, customEnd: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DateRangeSelector;
+
+// File: src/components/EmotionChart.js
+import React, { useState } from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 12, bottom: 40, left: 32 };
+const MARKER_ROW = HEIGHT - 14;
+
+export const DIMENSION_LABELS = {
+  overall: 'Overall',
+  anxiety: 'Anxiety',
+  depression: 'Depression',
+  anger: 'Anger',
+  joy: 'Joy'
+};
+
+export const EVENT_LABELS = {
+  session: 'Session',
+  safety: 'Safety event',
+  activity: 'Completed activity'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Sessions are circles, safety events triangles, activities squares, so the
+// overlay still reads without relying on colour
+export const EventMarker = ({ type, x, y }) => {
+  if (type === 'safety') {
+    return <polygon className="marker marker-safety" points={`${x},${y - 5} ${x + 5},${y + 4} ${x - 5},${y + 4}`} />;
+  }
+  if (type === 'activity') {
+    return <rect className="marker marker-activity" x={x - 4} y={y - 4} width={8} height={8} />;
+  }
+  return <circle className="marker marker-session" cx={x} cy={y} r={4} />;
+};
+
+const EmotionChart = ({ dimension, series, events = [], start, end }) => {
+  const [focused, setFocused] = useState(null);
+  
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const span = Math.max(1, end - start);
+  
+  const x = (date) => PADDING.left + ((new Date(date) - start) / span) * innerWidth;
+  const y = (value) => PADDING.top + ((10 - value) / 9) * innerHeight;
+  
+  const points = series.filter(entry => entry[dimension] !== null && entry[dimension] !== undefined);
+  const label = DIMENSION_LABELS[dimension];
+  const summary = points.length > 0
+    ? `${label} from ${formatDate(start)} to ${formatDate(end)}, ${points.length} data points, ranging ${Math.min(...points.map(p => p[dimension]))} to ${Math.max(...points.map(p => p[dimension]))} out of 10`
+    : `No ${label.toLowerCase()} data between ${formatDate(start)} and ${formatDate(end)}`;
+  
+  return (
+    <figure className={`emotion-chart emotion-chart-${dimension}`}>
+      <figcaption>{label}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={summary}>
+        {[1, 5, 10].map(value => (
+          <g key={value} className="gridline">
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} />
+            <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end">{value}</text>
+          </g>
+        ))}
+        
+        <text className="axis-label" x={PADDING.left} y={HEIGHT - 24} textAnchor="start">{formatDate(start)}</text>
+        <text className="axis-label" x={WIDTH - PADDING.right} y={HEIGHT - 24} textAnchor="end">{formatDate(end)}</text>
+        
+        {events.map((event, i) => (
+          <g key={`event-${i}`} className={`chart-event chart-event-${event.type}`}>
+            {event.type === 'safety' && (
+              <line className="event-line" x1={x(event.date)} x2={x(event.date)} y1={PADDING.top} y2={PADDING.top + innerHeight} />
+            )}
+            <EventMarker type={event.type} x={x(event.date)} y={MARKER_ROW} />
+            <title>{`${EVENT_LABELS[event.type]}: ${event.label} (${formatDate(event.date)})`}</title>
+          </g>
+        ))}
+        
+        {points.length > 1 && (
+          <polyline
+            className="series-line"
+            fill="none"
+            points={points.map(point => `${x(point.periodStart)},${y(point[dimension])}`).join(' ')}
+          />
+        )}
+        
+        {points.map((point, i) => (
+          <circle
+            key={`point-${i}`}
+            className={focused === i ? 'series-point focused' : 'series-point'}
+            cx={x(point.periodStart)}
+            cy={y(point[dimension])}
+            r={focused === i ? 6 : 3.5}
+            onMouseEnter={() => setFocused(i)}
+            onMouseLeave={() => setFocused(null)}
+          >
+            <title>{`${point.date}: ${label} ${point[dimension]}`}</title>
+          </circle>
+        ))}
+        
+        {focused !== null && points[focused] && (
+          <text
+            className="point-tooltip"
+            x={x(points[focused].periodStart)}
+            y={y(points[focused][dimension]) - 10}
+            textAnchor="middle"
+          >
+            {`${points[focused].date}: ${points[focused][dimension]}`}
+          </text>
+        )}
+      </svg>
+    </figure>
+  );
+};
+
+export default EmotionChart;
+
+// File: src/components/SessionHistoryBrowser.js
+import React, { useContext, useMemo, useState } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import SessionArchive from '../services/SessionArchive';
+import SessionTranscript from './SessionTranscript';
+
+const EMPTY_FILTERS = { query: '', theme: '', from: '', to: '', safetyOnly: false };
+
+const formatDuration = (start, end) => {
+  if (!end) return '';
+  const minutes = Math.max(1, Math.round((end - start) / 60000));
+  return `${minutes} min`;
+};
+
+const SessionHistoryBrowser = ({ onBack }) => {
+  const { sessions, sessionHistory } = useContext(TherapyContext);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selectedId, setSelectedId] = useState(null);
+  
+  const archive = useMemo(
+    () => new SessionArchive({ sessions, interactions: sessionHistory }),
+    [sessions, sessionHistory]
+  );
+  
+  const results = useMemo(() => archive.search({
+    ...filters,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`) : null,
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`) : null
+  }), [archive, filters]);
+  
+  const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+  
+  const selected = selectedId ? archive.getEntry(selectedId) : null;
+  if (selected) {
+    return <SessionTranscript entry={selected} onBack={() => setSelectedId(null)} />;
+  }
+  
+  return (
+    <div className="session-history-browser">
+      {onBack && <button onClick={onBack}>Back to Dashboard</button>}
+      <h2>Session History</h2>
+      
+      <div className="history-filters">
+        <label>
+          Search
+          <input
+            type="search"
+            value={filters.query}
+            onChange={(e) => updateFilter('query', e.target.value)}
+            placeholder="Words from your conversations..."
+          />
+        </label>
+        
+        <label>
+          Theme
+          <select value={filters.theme} onChange={(e) => updateFilter('theme', e.target.value)}>
+            <option value="">All themes</option>
+            {archive.getThemes().map(theme => (
+              <option key={theme} value={theme}>{theme}</option>
+            ))}
+          </select>
+        </label>
+        
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </label>
+        
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </label>
+        
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={filters.safetyOnly}
+            onChange={(e) => updateFilter('safetyOnly', e.target.checked)}
+          />
+          Only sessions where support resources were shown
+        </label>
+        
+        <button onClick={() => setFilters(EMPTY_FILTERS)}>Clear Filters</button>
+      </div>
+      
+      <p className="results-count" aria-live="polite">
+        {results.length} of {archive.getEntries().length} {archive.getEntries().length === 1 ? 'session' : 'sessions'}
+      </p>
+      
+      {results.length === 0 ? (
+        <p className="empty-state">
+          {archive.getEntries().length === 0
+            ? 'Your past sessions will be listed here once you have completed one.'
+            : 'No sessions match these filters.'}
+        </p>
+      ) : (
+        <ul className="history-list">
+          {results.map(entry => (
+            <li key={entry.id} className="history-item">
+              <button className="history-item-button" onClick={() => setSelectedId(entry.id)}>
+                <span className="history-date">
+                  {entry.startTime.toLocaleDateString()} {entry.startTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
+                <span className="history-meta">
+                  {entry.interactions.length} {entry.interactions.length === 1 ? 'message' : 'messages'}
+                  {entry.endTime && ` · ${formatDuration(entry.startTime, entry.endTime)}`}
+                  {!entry.isComplete && ' · not ended'}
+                </span>
+                {entry.themes.length > 0 && (
+                  <span className="history-themes">{entry.themes.join(', ')}</span>
+                )}
+                {entry.safetyEventCount > 0 && (
+                  <span className={entry.hasEmergency ? 'safety-badge emergency' : 'safety-badge'}>
+                    Support resources shown
+                  </span>
+                )}
+                {entry.preview && <span className="history-preview">"{entry.preview}"</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionHistoryBrowser;
+
+// File: src/components/SessionTranscript.js
+import React from 'react';
+import MessageBubble from './MessageBubble';
+import { toMessages } from '../services/SessionArchive';
+
+const DIMENSION_LABELS = {
+  overall: 'Overall',
+  anxiety: 'Anxiety',
+  depression: 'Depression',
+  anger: 'Anger',
+  joy: 'Joy'
+};
+
+const SessionTranscript = ({ entry, onBack }) => {
+  const { session, interactions, startTime } = entry;
+  const summary = session && session.summary;
+  const journey = summary && summary.emotionalJourney;
+  
+  return (
+    <div className="session-transcript">
+      <button onClick={onBack}>Back to History</button>
+      <h2>Session on {startTime.toLocaleDateString()}</h2>
+      {session && session.autoClosed && (
+        <p className="session-notice">This session was closed automatically after a period of inactivity.</p>
+      )}
+      
+      {summary ? (
+        <div className="session-summary">
+          <h3>Main Themes</h3>
+          {summary.mainThemes.length > 0 ? (
+            <ul>
+              {summary.mainThemes.map((theme, i) => (
+                <li key={i}>{theme}</li>
+              ))}
+            </ul>
+          ) : (
+            <p>No particular themes came up.</p>
+          )}
+          
+          <h3>Key Insights</h3>
+          <ul>
+            {summary.keyInsights.map((insight, i) => (
+              <li key={i}>{insight}</li>
+            ))}
+          </ul>
+          
+          <h3>Emotional Journey</h3>
+          <p>Overall trend: {journey.trend}</p>
+          {Object.keys(journey.dimensions).length > 0 && (
+            <table className="journey-table">
+              <thead>
+                <tr>
+                  <th>Dimension</th>
+                  <th>Start</th>
+                  <th>End</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(journey.dimensions).map(dimension => (
+                  <tr key={dimension}>
+                    <td>{DIMENSION_LABELS[dimension] || dimension}</td>
+                    <td>{journey.dimensions[dimension].start}</td>
+                    <td>{journey.dimensions[dimension].end}</td>
+                    <td>{journey.dimensions[dimension].change > 0 ? '+' : ''}{journey.dimensions[dimension].change}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          
+          {session.homeActivity && (
+            <>
+              <h3>Home Activity</h3>
+              <div className="home-activity">
+                <h4>{session.homeActivity.activity.name}</h4>
+                <p>{session.homeActivity.instructions}</p>
+                <p>{session.homeActivity.recommendation}</p>
+              </div>
+            </>
+          )}
+        </div>
+      ) : (
+        <p className="empty-state">This session wasn't ended, so there's no summary. The conversation is below.</p>
+      )}
+      
+      <h3>Transcript</h3>
+      <div className="messages-container">
+        {toMessages(interactions).map(message => (
+          <div key={message.id} className={message.isSafety ? 'transcript-safety' : undefined}>
+            <MessageBubble message={message} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SessionTranscript;
+
+// File: src/components/ExportPanel.js
+import React, { useContext, useState } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import ProgressTracker from '../services/ProgressTracker';
+import {
+  EXPORT_SECTIONS,
+  FORMAT_SECTIONS,
+  DEFAULT_EXPORT_SECTIONS,
+  buildJsonExport,
+  buildEmotionCsv,
+  buildReportHtml,
+  downloadFile,
+  printHtml,
+  exportFilename
+} from '../services/export/ExportService';
+
+const FORMATS = [
+  { id: 'pdf', label: 'Printable report (PDF)' },
+  { id: 'csv', label: 'Emotional states (CSV)' },
+  { id: 'json', label: 'Full backup (JSON)' }
+];
+
+const ExportPanel = () => {
+  const { userProfile, sessions, sessionHistory, assignments, questionnaireResults } = useContext(TherapyContext);
+  const [format, setFormat] = useState('pdf');
+  const [include, setInclude] = useState(DEFAULT_EXPORT_SECTIONS);
+  const [error, setError] = useState(null);
+  
+  const available = FORMAT_SECTIONS[format];
+  const selected = include.filter(section => available.includes(section));
+  
+  const toggleSection = (section) => {
+    setInclude(prev => (prev.includes(section)
+      ? prev.filter(item => item !== section)
+      : [...prev, section]));
+  };
+  
+  const handleExport = () => {
+    setError(null);
+    const data = { profile: userProfile, sessions, interactions: sessionHistory, include: selected };
+    
+    try {
+      if (format === 'pdf') {
+        const report = new ProgressTracker({
+          sessions,
+          interactions: sessionHistory,
+          assignments,
+          questionnaires: questionnaireResults,
+          userProfile
+        }).getReport();
+        printHtml(buildReportHtml({ ...data, report }));
+      } else if (format === 'csv') {
+        downloadFile(exportFilename('csv'), buildEmotionCsv(data), 'text/csv');
+      } else {
+        downloadFile(exportFilename('json'), JSON.stringify(buildJsonExport(data), null, 2), 'application/json');
+      }
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError('Export failed. Please try again.');
+    }
+  };
+  
+  return (
+    <div className="export-panel">
+      <fieldset>
+        <legend>Format</legend>
+        {FORMATS.map(option => (
+          <label key={option.id}>
+            <input
+              type="radio"
+              name="export-format"
+              value={option.id}
+              checked={format === option.id}
+              onChange={() => setFormat(option.id)}
+            />
+            {option.label}
+          </label>
+        ))}
+      </fieldset>
+      
+      {available.length > 1 && (
+        <fieldset>
+          <legend>Include</legend>
+          {available.map(section => (
+            <label key={section}>
+              <input
+                type="checkbox"
+                checked={include.includes(section)}
+                onChange={() => toggleSection(section)}
+              />
+              {EXPORT_SECTIONS[section]}
+            </label>
+          ))}
+        </fieldset>
+      )}
+      
+      <p className="security-note">
+        Exported files are not encrypted. Store them somewhere safe and only share them with people you trust.
+      </p>
+      {error && <p className="error">{error}</p>}
+      
+      <button onClick={handleExport} disabled={selected.length === 0}>
+        {format === 'pdf' ? 'Print / Save as PDF' : 'Download'}
+      </button>
+    </div>
+  );
+};
+
+export default ExportPanel;
+
+// File: src/components/ImportPanel.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import { parseImportFile, applyImport, previewImport } from '../services/export/ImportService';
+import { SCHEMA_VERSION } from '../services/storage/migrations';
+
+const FIELD_LABELS = {
+  therapeuticGoals: 'therapeutic goals',
+  currentStressors: 'current stressors',
+  sessionFrequency: 'session frequency',
+  preferredDuration: 'preferred duration',
+  preferredActivityType: 'preferred activity type',
+  locale: 'crisis resources region',
+  safetyPlan: 'safety plan',
+  escalation: 'crisis notifications',
+  interventionEffectiveness: 'technique effectiveness'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const ImportPanel = () => {
+  const { userProfile, sessions, sessionHistory, currentSession, importData } = useContext(TherapyContext);
+  
+  const [incoming, setIncoming] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge'); // 'merge' or 'replace'
+  const [status, setStatus] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  
+  const current = { profile: userProfile, sessions, interactions: sessionHistory };
+  const preview = incoming ? previewImport(current, incoming, mode) : null;
+  
+  const reset = () => {
+    setIncoming(null);
+    setFileName('');
+    setMode('merge');
+  };
+  
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    setStatus(null);
+    try {
+      setIncoming(parseImportFile(await file.text()));
+      setFileName(file.name);
+    } catch (error) {
+      reset();
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+  
+  const handleConfirm = async () => {
+    setIsWorking(true);
+    try {
+      await importData(applyImport(current, incoming, mode));
+      reset();
+      setStatus({ type: 'success', message: 'Your backup has been restored.' });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="profile-section data-import">
+      <h3>Restore From Backup</h3>
+      <p>Load a JSON backup exported from the Progress Dashboard, for example when moving to a new device.</p>
+      
+      {status && (
+        <p className={status.type === 'error' ? 'form-error' : 'form-success'} role="status">{status.message}</p>
+      )}
+      
+      {!incoming && (
+        <>
+          <label htmlFor="import-file">Backup file</label>
+          <input type="file" id="import-file" accept="application/json,.json" onChange={handleFileChange} disabled={!!currentSession} />
+          {currentSession && <p className="warning">End your current session before restoring a backup.</p>}
+        </>
+      )}
+      
+      {incoming && (
+        <div className="import-preview">
+          <p>
+            <strong>{fileName}</strong>
+            {incoming.exportedAt && ` exported on ${new Date(incoming.exportedAt).toLocaleDateString()}`}
+            {incoming.schemaVersion < SCHEMA_VERSION && ' (from an older version of the app; it has been upgraded)'}
+          </p>
+          
+          <fieldset>
+            <legend>How should it be combined with what's already here?</legend>
+            <label>
+              <input type="radio" name="import-mode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+              Merge: keep my current data and add anything new from the backup
+            </label>
+            <label>
+              <input type="radio" name="import-mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+              Replace: overwrite my current data with the backup
+            </label>
+          </fieldset>
+          
+          <h4>What will change</h4>
+          <ul>
+            {preview.profileChanges && (
+              <li>
+                Profile: {preview.profileChanges.length === 0
+                  ? 'no changes'
+                  : `updates ${preview.profileChanges.map(field => FIELD_LABELS[field] || field).join(', ')}`}
+              </li>
+            )}
+            {preview.sessions && (
+              <li>
+                Sessions: {preview.sessions.added} new, {preview.sessions.updated} updated
+                {preview.sessions.removed > 0 && <strong>, {preview.sessions.removed} removed</strong>}
+                {` (${preview.sessions.total} afterwards)`}
+              </li>
+            )}
+            {preview.interactions && (
+              <li>
+                Messages: {plural(preview.interactions.added, 'new message')}
+                {preview.interactions.removed > 0 && <strong>, {preview.interactions.removed} removed</strong>}
+                {` (${preview.interactions.total} afterwards)`}
+              </li>
+            )}
+          </ul>
+          
+          <button type="button" onClick={handleConfirm} disabled={isWorking}>
+            {isWorking ? 'Restoring...' : 'Restore'}
+          </button>
+          <button type="button" onClick={reset} disabled={isWorking}>Cancel</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportPanel;
+
+// File: src/components/CareTeamSettings.js
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import { SHARE_SCOPES } from '../services/careTeam/CareTeamService';
+
+const CareTeamSettings = () => {
+  const { userProfile, sessions, sessionHistory, careTeam, getSafetyEvents } = useContext(TherapyContext);
+  
+  const [links, setLinks] = useState([]);
+  const [code, setCode] = useState('');
+  const [invite, setInvite] = useState(null);
+  const [scopes, setScopes] = useState(Object.keys(SHARE_SCOPES));
+  const [status, setStatus] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  
+  const refreshLinks = useCallback(() => careTeam.getLinks(userProfile.id)
+    .then(setLinks)
+    .catch(error => setStatus({ type: 'error', message: error.message })), [careTeam, userProfile.id]);
+  
+  useEffect(() => {
+    if (careTeam) refreshLinks();
+  }, [careTeam, refreshLinks]);
+  
+  if (!careTeam) return null;
+  
+  const activeLinks = links.filter(link => link.status === 'active');
+  
+  const runAction = async (action) => {
+    setIsWorking(true);
+    setStatus(null);
+    try {
+      await action();
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+  
+  const handleLookup = (e) => {
+    e.preventDefault();
+    runAction(async () => setInvite(await careTeam.previewInvite(code)));
+  };
+  
+  const toggleScope = (scope) => {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(item => item !== scope) : [...prev, scope]));
+  };
+  
+  const handleConsent = () => runAction(async () => {
+    const safetyEvents = await getSafetyEvents();
+    await careTeam.acceptInvite(code, userProfile, scopes, { sessions, interactions: sessionHistory, userProfile, safetyEvents });
+    setStatus({ type: 'success', message: `You're now sharing with ${invite.therapistName}.` });
+    setInvite(null);
+    setCode('');
+    await refreshLinks();
+  });
+  
+  const handleRevoke = (link) => runAction(async () => {
+    await careTeam.revokeLink(userProfile.id, link.id);
+    setStatus({ type: 'success', message: `${link.therapistName} can no longer see your data.` });
+    await refreshLinks();
+  });
+
+  return (
+    <div className="profile-section care-team">
+      <h3>My Therapist</h3>
+      
+      {status && (
+        <p className={status.type === 'error' ? 'form-error' : 'form-success'} role="status">{status.message}</p>
+      )}
+      
+      {activeLinks.length > 0 ? (
+        <ul className="care-team-links">
+          {activeLinks.map(link => (
+            <li key={link.id}>
+              <p>
+                <strong>{link.therapistName}</strong> can see: {link.scopes.map(scope => SHARE_SCOPES[scope].toLowerCase()).join('; ')}.
+              </p>
+              <p>Shared since {new Date(link.consentedAt).toLocaleDateString()}</p>
+              <button type="button" className="danger-button" onClick={() => handleRevoke(link)} disabled={isWorking}>
+                Stop Sharing
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>You're not sharing anything with a therapist. Your conversations stay on this device.</p>
+      )}
+      
+      {!invite ? (
+        <form onSubmit={handleLookup} className="security-form">
+          <label htmlFor="invite-code">Got an invite code from your therapist?</label>
+          <input
+            type="text"
+            id="invite-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="off"
+            required
+          />
+          <button type="submit" disabled={isWorking}>Continue</button>
+        </form>
+      ) : (
+        <div className="consent-form">
+          <p><strong>{invite.therapistName}</strong> would like to follow your progress.</p>
+          <p>Choose what they can see. Your conversations themselves are never shared, and you can stop sharing at any time.</p>
+          <fieldset>
+            <legend>Share</legend>
+            {Object.keys(SHARE_SCOPES).map(scope => (
+              <label key={scope}>
+                <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                {SHARE_SCOPES[scope]}
+              </label>
+            ))}
+          </fieldset>
+          <p className="security-note">
+            Shared information is copied off this device so your therapist can see it, and isn't protected by your passphrase.
+          </p>
+          <button type="button" onClick={handleConsent} disabled={isWorking || scopes.length === 0}>
+            I Agree, Start Sharing
+          </button>
+          <button type="button" onClick={() => setInvite(null)} disabled={isWorking}>Cancel</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CareTeamSettings;
+
+// File: src/components/TherapistPortal.js
+import React, { useState, useEffect, useCallback } from 'react';
+import TherapistClientView from './TherapistClientView';
+
+const TherapistPortal = ({ therapist, careTeam }) => {
+  const [clients, setClients] = useState([]);
+  const [selectedClientId, setSelectedClientId] = useState(null);
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  
+  const loadClients = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setClients(await careTeam.getClients(therapist.id));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [careTeam, therapist.id]);
+  
+  useEffect(() => {
+    loadClients();
+  }, [loadClients]);
+  
+  const handleCreateInvite = async () => {
+    try {
+      setInvite(await careTeam.createInvite(therapist));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  const handleBack = () => {
+    setSelectedClientId(null);
+    loadClients();
+  };
+  
+  if (selectedClientId) {
+    return (
+      <TherapistClientView
+        therapist={therapist}
+        clientId={selectedClientId}
+        careTeam={careTeam}
+        onBack={handleBack}
+      />
+    );
+  }
+
+  return (
+    <div className="therapist-portal">
+      <h2>My Clients</h2>
+      {error && <p className="form-error" role="alert">{error}</p>}
+      
+      <div className="dashboard-section">
+        <h3>Invite a Client</h3>
+        <p>Clients link to you by entering an invite code in their profile. They choose what to share and can stop at any time.</p>
+        {invite ? (
+          <p className="invite-code">
+            Code: <strong>{invite.code}</strong> (single use, expires {new Date(invite.expiresAt).toLocaleDateString()})
+          </p>
+        ) : null}
+        <button type="button" onClick={handleCreateInvite}>{invite ? 'Create Another Code' : 'Create Invite Code'}</button>
+      </div>
+      
+      <div className="dashboard-section">
+        <h3>Linked Clients</h3>
+        {isLoading ? (
+          <p>Loading...</p>
+        ) : clients.length === 0 ? (
+          <p className="empty-state">No clients have linked to you yet.</p>
+        ) : (
+          <ul className="client-list">
+            {clients.map(client => (
+              <li key={client.linkId}>
+                <button className="client-item-button" onClick={() => setSelectedClientId(client.clientId)}>
+                  <span className="client-name">{client.clientName}</span>
+                  <span className="client-meta">
+                    {client.lastUpdated
+                      ? `Updated ${new Date(client.lastUpdated).toLocaleDateString()}`
+                      : 'Nothing shared yet'}
+                  </span>
+                  {client.safetyEventCount > 0 && (
+                    <span className="safety-badge">
+                      {client.safetyEventCount} safety {client.safetyEventCount === 1 ? 'event' : 'events'}
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TherapistPortal;
+
+// File: src/components/TherapistClientView.js
+import React, { useState, useEffect, useCallback } from 'react';
+import EmotionChart from './EmotionChart';
+import { SHARE_SCOPES } from '../services/careTeam/CareTeamService';
+import { INTERVENTION_LIBRARY } from '../services/InterventionEngine';
+import { RECURRENCE, parseDay } from '../services/AssignmentService';
+
+const CHART_DIMENSIONS = ['overall', 'anxiety', 'depression'];
+
+const EMPTY_HOMEWORK = { title: '', instructions: '', interventionId: '', dueDate: '', recurrence: 'none' };
+
+const TherapistClientView = ({ therapist, clientId, careTeam, onBack }) => {
+  const [record, setRecord] = useState(null);
+  const [error, setError] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [homework, setHomework] = useState(EMPTY_HOMEWORK);
+  const [status, setStatus] = useState(null);
+  
+  const loadRecord = useCallback(async () => {
+    try {
+      setRecord(await careTeam.getClientRecord(therapist.id, clientId));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [careTeam, therapist.id, clientId]);
+  
+  useEffect(() => {
+    loadRecord();
+  }, [loadRecord]);
+  
+  if (error) {
+    return (
+      <div className="therapist-client-view">
+        <button onClick={onBack}>Back to Clients</button>
+        <p className="form-error" role="alert">{error}</p>
+      </div>
+    );
+  }
+  
+  if (!record) return <div className="loading">Loading...</div>;
+  
+  const { link, snapshot, annotations } = record;
+  const sessions = (snapshot && snapshot.sessions) || [];
+  const safetyEvents = (snapshot && snapshot.safetyEvents) || [];
+  const weeklyEmotions = ((snapshot && snapshot.weeklyEmotions) || [])
+    .map(entry => ({ ...entry, periodStart: new Date(entry.periodStart) }));
+  
+  const handleAddNote = async (sessionId) => {
+    try {
+      await careTeam.addAnnotation(therapist.id, clientId, sessionId, notes[sessionId]);
+      setNotes({ ...notes, [sessionId]: '' });
+      await loadRecord();
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    }
+  };
+  
+  const handleAssignHomework = async (e) => {
+    e.preventDefault();
+    try {
+      await careTeam.assignHomework(therapist.id, clientId, {
+        ...homework,
+        interventionId: homework.interventionId || null,
+        dueDate: homework.dueDate || null
+      });
+      setHomework(EMPTY_HOMEWORK);
+      setStatus({ type: 'success', message: `Assigned. ${link.clientName} will see it next time they open the app.` });
+      await loadRecord();
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    }
+  };
+  
+  const handleUnlink = async () => {
+    if (!window.confirm(`Stop following ${link.clientName}? They'll need a new invite code to share with you again.`)) return;
+    await careTeam.revokeLink(therapist.id, link.id);
+    onBack();
+  };
+
+  return (
+    <div className="therapist-client-view">
+      <button onClick={onBack}>Back to Clients</button>
+      <h2>{link.clientName}</h2>
+      <p>
+        Sharing since {new Date(link.consentedAt).toLocaleDateString()}: {link.scopes.map(scope => SHARE_SCOPES[scope].toLowerCase()).join('; ')}.
+        {snapshot ? ` Last updated ${new Date(snapshot.updatedAt).toLocaleString()}.` : ' Nothing has been shared yet.'}
+      </p>
+      
+      {status && (
+        <p className={status.type === 'error' ? 'form-error' : 'form-success'} role="status">{status.message}</p>
+      )}
+      
+      {link.scopes.includes('safety') && (
+        <div className={safetyEvents.length > 0 ? 'dashboard-section safety-events flagged' : 'dashboard-section safety-events'}>
+          <h3>Safety Events</h3>
+          {safetyEvents.length === 0 ? (
+            <p>No crisis or support resources have been shown.</p>
+          ) : (
+            <ul>
+              {[...safetyEvents].reverse().map((event, i) => (
+                <li key={i}>
+                  <strong>{new Date(event.timestamp).toLocaleString()}</strong>:{' '}
+                  {event.type === 'emergency' ? 'Crisis resources shown' : 'Support resources shown'}
+                  {event.source === 'questionnaire' && ' after a questionnaire answer'}
+                  {event.riskType && ` (${event.riskType})`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      
+      {link.scopes.includes('trends') && (
+        <div className="dashboard-section">
+          <h3>Emotional Trends</h3>
+          {weeklyEmotions.length === 0 ? (
+            <p className="empty-state">No emotional data yet.</p>
+          ) : (
+            <div className="chart-grid">
+              {CHART_DIMENSIONS.map(dimension => (
+                <EmotionChart
+                  key={dimension}
+                  dimension={dimension}
+                  series={weeklyEmotions}
+                  start={weeklyEmotions[0].periodStart}
+                  end={new Date(weeklyEmotions[weeklyEmotions.length - 1].periodStart.getTime() + 7 * 24 * 60 * 60 * 1000)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      
+      <div className="dashboard-section">
+        <h3>Assign Homework</h3>
+        <form onSubmit={handleAssignHomework} className="homework-form">
+          <label htmlFor="homework-title">Title</label>
+          <input
+            type="text"
+            id="homework-title"
+            value={homework.title}
+            onChange={(e) => setHomework({ ...homework, title: e.target.value })}
+            required
+          />
+          <label htmlFor="homework-technique">Technique (optional)</label>
+          <select
+            id="homework-technique"
+            value={homework.interventionId}
+            onChange={(e) => setHomework({ ...homework, interventionId: e.target.value })}
+          >
+            <option value="">None</option>
+            {INTERVENTION_LIBRARY.map(intervention => (
+              <option key={intervention.id} value={intervention.id}>{intervention.name}</option>
+            ))}
+          </select>
+          <label htmlFor="homework-instructions">Instructions</label>
+          <textarea
+            id="homework-instructions"
+            value={homework.instructions}
+            onChange={(e) => setHomework({ ...homework, instructions: e.target.value })}
+          />
+          <label htmlFor="homework-due">Due (optional, defaults to a week)</label>
+          <input
+            type="date"
+            id="homework-due"
+            value={homework.dueDate}
+            onChange={(e) => setHomework({ ...homework, dueDate: e.target.value })}
+          />
+          <label htmlFor="homework-recurrence">Repeat</label>
+          <select
+            id="homework-recurrence"
+            value={homework.recurrence}
+            onChange={(e) => setHomework({ ...homework, recurrence: e.target.value })}
+          >
+            {Object.keys(RECURRENCE).map(value => (
+              <option key={value} value={value}>{RECURRENCE[value]}</option>
+            ))}
+          </select>
+          <button type="submit">Assign</button>
+        </form>
+        
+        {record.homework.length > 0 && (
+          <ul className="homework-list">
+            {record.homework.map(item => (
+              <li key={item.id}>
+                <strong>{item.title}</strong> - assigned {new Date(item.assignedAt).toLocaleDateString()},{' '}
+                {item.dueDate && `due ${parseDay(item.dueDate).toLocaleDateString()}, `}
+                {item.deliveredAt ? `seen ${new Date(item.deliveredAt).toLocaleDateString()}` : 'not seen yet'}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
+      {link.scopes.includes('summaries') && (
+        <div className="dashboard-section">
+          <h3>Sessions</h3>
+          {sessions.length === 0 ? (
+            <p className="empty-state">No completed sessions have been shared yet.</p>
+          ) : (
+            [...sessions].reverse().map(session => (
+              <div key={session.id} className="shared-session">
+                <h4>{new Date(session.startTime).toLocaleString()}</h4>
+                {session.summary && (
+                  <>
+                    <p><strong>Themes:</strong> {session.summary.mainThemes.join(', ') || 'None'}</p>
+                    <p><strong>Emotional trend:</strong> {session.summary.emotionalJourney.trend}</p>
+                    <ul>
+                      {session.summary.keyInsights.map((insight, i) => (
+                        <li key={i}>{insight}</li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                {session.homeActivity && <p><strong>Home activity:</strong> {session.homeActivity.name}</p>}
+                
+                <div className="annotations">
+                  {annotations.filter(note => note.sessionId === session.id).map(note => (
+                    <p key={note.id} className="annotation">
+                      <small>{new Date(note.createdAt).toLocaleString()}</small> {note.text}
+                    </p>
+                  ))}
+                  <label htmlFor={`note-${session.id}`}>Add a private note</label>
+                  <textarea
+                    id={`note-${session.id}`}
+                    value={notes[session.id] || ''}
+                    onChange={(e) => setNotes({ ...notes, [session.id]: e.target.value })}
+                  />
+                  <button type="button" onClick={() => handleAddNote(session.id)}>Save Note</button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+      
+      <button type="button" className="danger-button" onClick={handleUnlink}>Unlink Client</button>
+    </div>
+  );
+};
+
+export default TherapistClientView;
+
+// File: src/components/useTimedSequence.js
+import { useState, useEffect, useRef } from 'react';
+
+// Counts down through `steps` ({ seconds, ... }) one second at a time and
+// calls `onFinish` when the last one runs out
+const useTimedSequence = (steps, onFinish) => {
+  const [index, setIndex] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(steps.length > 0 ? steps[0].seconds : 0);
+  const [elapsed, setElapsed] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  
+  // Read at finish time, so a re-rendered parent's latest callback is used.
+  // Updated in an effect, ahead of the one that reads it, not during render.
+  const onFinishRef = useRef(onFinish);
+  useEffect(() => {
+    onFinishRef.current = onFinish;
+  });
+  
+  useEffect(() => {
+    if (!isRunning) return;
+    
+    const timer = setInterval(() => {
+      setElapsed(seconds => seconds + 1);
+      setSecondsLeft(seconds => seconds - 1);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [isRunning]);
+  
+  useEffect(() => {
+    if (!isRunning || secondsLeft > 0) return;
+    
+    if (index + 1 >= steps.length) {
+      setIsRunning(false);
+      onFinishRef.current({ stepsCompleted: steps.length, elapsed });
+      return;
+    }
+    
+    setIndex(index + 1);
+    setSecondsLeft(steps[index + 1].seconds);
+  }, [secondsLeft, isRunning, index, steps, elapsed]);
+  
+  const totalSeconds = steps.reduce((sum, step) => sum + step.seconds, 0);
+  
+  return {
+    step: steps[index],
+    index,
+    secondsLeft,
+    elapsed,
+    remaining: Math.max(0, totalSeconds - elapsed),
+    isRunning,
+    hasStarted: elapsed > 0 || isRunning,
+    start: () => setIsRunning(true),
+    pause: () => setIsRunning(false)
+  };
+};
+
+export const formatSeconds = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+export default useTimedSequence;
+
+// File: src/components/BreathingExercise.js
+import React, { useMemo } from 'react';
+import useTimedSequence, { formatSeconds } from './useTimedSequence';
+
+// Paced breathing: the circle grows and shrinks over each phase of the pattern
+const BreathingExercise = ({ exercise, onFinish }) => {
+  const steps = useMemo(() => {
+    const rounds = [];
+    for (let round = 1; round <= exercise.rounds; round++) {
+      exercise.phases.forEach(phase => rounds.push({ ...phase, round }));
+    }
+    return rounds;
+  }, [exercise]);
+  
+  const sequence = useTimedSequence(steps, ({ elapsed }) => onFinish({
+    completed: true,
+    stepsCompleted: exercise.rounds,
+    totalSteps: exercise.rounds,
+    durationSeconds: elapsed
+  }));
+  const { step, secondsLeft, isRunning, hasStarted } = sequence;
+  
+  const handleStop = () => {
+    sequence.pause();
+    onFinish({
+      completed: false,
+      stepsCompleted: step.round - 1,
+      totalSteps: exercise.rounds,
+      durationSeconds: sequence.elapsed
+    });
+  };
+  
+  return (
+    <div className="breathing-exercise">
+      <div className="breathing-stage">
+        <div
+          className={`breathing-circle ${hasStarted ? step.size : 'small'}`}
+          style={{ transitionDuration: `${step.seconds}s` }}
+          aria-hidden="true"
+        />
+        <p className="breathing-phase" aria-live="polite">
+          {hasStarted ? step.label : 'Get comfortable, then press Start'}
+        </p>
+        {hasStarted && <p className="breathing-count">{secondsLeft}</p>}
+      </div>
+      
+      <p className="exercise-progress">
+        Round {step.round} of {exercise.rounds} · {formatSeconds(sequence.remaining)} left
+      </p>
+      
+      {isRunning ? (
+        <button type="button" onClick={sequence.pause}>Pause</button>
+      ) : (
+        <button type="button" onClick={sequence.start}>{hasStarted ? 'Resume' : 'Start'}</button>
+      )}
+      {hasStarted && <button type="button" onClick={handleStop}>Stop here</button>}
+    </div>
+  );
+};
+
+export default BreathingExercise;
+
+// File: src/components/MuscleRelaxationExercise.js
+import React, { useMemo } from 'react';
+import useTimedSequence, { formatSeconds } from './useTimedSequence';
+
+// Progressive muscle relaxation: tense each group, then release it, on a timer
+const MuscleRelaxationExercise = ({ exercise, onFinish }) => {
+  const { muscleGroups, tenseSeconds, releaseSeconds } = exercise;
+  
+  const steps = useMemo(() => muscleGroups.flatMap((group, groupIndex) => [
+    { group, groupIndex, action: 'tense', label: `Tense your ${group.toLowerCase()}`, seconds: tenseSeconds },
+    { group, groupIndex, action: 'release', label: `Release and let your ${group.toLowerCase()} relax`, seconds: releaseSeconds }
+  ]), [muscleGroups, tenseSeconds, releaseSeconds]);
+  
+  const sequence = useTimedSequence(steps, ({ elapsed }) => onFinish({
+    completed: true,
+    stepsCompleted: muscleGroups.length,
+    totalSteps: muscleGroups.length,
+    durationSeconds: elapsed
+  }));
+  const { step, secondsLeft, isRunning, hasStarted } = sequence;
+  
+  const handleStop = () => {
+    sequence.pause();
+    onFinish({
+      completed: false,
+      stepsCompleted: step.groupIndex,
+      totalSteps: muscleGroups.length,
+      durationSeconds: sequence.elapsed
+    });
+  };
+  
+  return (
+    <div className="muscle-relaxation-exercise">
+      <p className={`pmr-instruction ${hasStarted ? step.action : ''}`} aria-live="polite">
+        {hasStarted ? `${step.label} · ${secondsLeft}` : 'Find a comfortable position, then press Start.'}
+      </p>
+      
+      <ol className="pmr-groups">
+        {muscleGroups.map((group, i) => (
+          <li
+            key={group}
+            className={!hasStarted ? undefined : i < step.groupIndex ? 'done' : i === step.groupIndex ? 'current' : undefined}
+            aria-current={hasStarted && i === step.groupIndex ? 'step' : undefined}
+          >
+            {group}
+          </li>
+        ))}
+      </ol>
+      
+      <p className="exercise-progress">{formatSeconds(sequence.remaining)} left</p>
+      
+      {isRunning ? (
+        <button type="button" onClick={sequence.pause}>Pause</button>
+      ) : (
+        <button type="button" onClick={sequence.start}>{hasStarted ? 'Resume' : 'Start'}</button>
+      )}
+      {hasStarted && <button type="button" onClick={handleStop}>Stop here</button>}
+    </div>
+  );
+};
+
+export default MuscleRelaxationExercise;
+
+// File: src/components/GroundingExercise.js
+import React, { useState } from 'react';
+
+// 5-4-3-2-1 grounding, one sense at a time. What the user names stays on screen
+// only; just the number of steps done is reported.
+const GroundingExercise = ({ exercise, onFinish }) => {
+  const { prompts } = exercise;
+  const [index, setIndex] = useState(0);
+  const [entries, setEntries] = useState(() => prompts.map(prompt => Array(prompt.count).fill('')));
+  const [startedAt] = useState(() => Date.now());
+  
+  const current = prompts[index];
+  const isLast = index === prompts.length - 1;
+  
+  const finish = (completed, stepsCompleted) => onFinish({
+    completed,
+    stepsCompleted,
+    totalSteps: prompts.length,
+    durationSeconds: Math.round((Date.now() - startedAt) / 1000)
+  });
+  
+  const updateEntry = (i, value) => {
+    setEntries(prev => prev.map((items, step) => (
+      step === index ? items.map((item, j) => (j === i ? value : item)) : items
+    )));
+  };
+  
+  return (
+    <div className="grounding-exercise">
+      <p className="exercise-progress">Step {index + 1} of {prompts.length}</p>
+      <h4>{current.count}</h4>
+      <p>{current.prompt}</p>
+      
+      {entries[index].map((value, i) => (
+        <input
+          key={i}
+          type="text"
+          value={value}
+          onChange={(e) => updateEntry(i, e.target.value)}
+          aria-label={`Thing you can ${current.sense}, ${i + 1} of ${current.count}`}
+          placeholder="Optional: type it, or just say it to yourself"
+        />
+      ))}
+      
+      {index > 0 && <button type="button" onClick={() => setIndex(index - 1)}>Back</button>}
+      {isLast ? (
+        <button type="button" onClick={() => finish(true, prompts.length)}>Finish</button>
+      ) : (
+        <button type="button" onClick={() => setIndex(index + 1)}>Next</button>
+      )}
+      <button type="button" onClick={() => finish(false, index)}>Stop here</button>
+    </div>
+  );
+};
+
+export default GroundingExercise;
+
+// File: src/components/ThoughtRecordForm.js
+import React, { useState } from 'react';
+import { THOUGHT_RECORD_LABELS } from '../services/InterventionEngine';
+
+const FIELD_HINTS = {
+  situation: 'Where were you, who were you with, and what was happening?',
+  automaticThought: 'What went through your mind? Write it the way it sounded in your head.',
+  evidenceFor: 'What facts support this thought?',
+  evidenceAgainst: 'What facts don\'t fit it? What would a friend point out?',
+  balancedThought: 'Taking all of that into account, what is a fairer way to see it?'
+};
+
+const REQUIRED_FIELDS = ['situation', 'automaticThought', 'balancedThought'];
+
+const ThoughtRecordForm = ({ onFinish }) => {
+  const [values, setValues] = useState(() => Object.keys(THOUGHT_RECORD_LABELS).reduce((all, field) => ({ ...all, [field]: '' }), {}));
+  const [startedAt] = useState(() => Date.now());
+  const [error, setError] = useState(null);
+  
+  const filled = Object.keys(values).filter(field => values[field].trim());
+  
+  const finish = (completed) => onFinish({
+    completed,
+    stepsCompleted: filled.length,
+    totalSteps: Object.keys(values).length,
+    durationSeconds: Math.round((Date.now() - startedAt) / 1000),
+    responses: filled.reduce((all, field) => ({ ...all, [field]: values[field].trim() }), {})
+  });
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const missing = REQUIRED_FIELDS.filter(field => !values[field].trim());
+    if (missing.length > 0) {
+      setError(`Please fill in: ${missing.map(field => THOUGHT_RECORD_LABELS[field].toLowerCase()).join(', ')}.`);
+      return;
+    }
+    finish(true);
+  };
+  
+  return (
+    <form className="thought-record-form" onSubmit={handleSubmit}>
+      {error && <p className="form-error" role="alert">{error}</p>}
+      
+      {Object.keys(THOUGHT_RECORD_LABELS).map(field => (
+        <div key={field} className="form-group">
+          <label htmlFor={`thought-record-${field}`}>
+            {THOUGHT_RECORD_LABELS[field]}
+            {!REQUIRED_FIELDS.includes(field) && ' (optional)'}
+          </label>
+          <textarea
+            id={`thought-record-${field}`}
+            value={values[field]}
+            onChange={(e) => setValues({ ...values, [field]: e.target.value })}
+            placeholder={FIELD_HINTS[field]}
+          />
+        </div>
+      ))}
+      
+      <button type="submit">Save thought record</button>
+      <button type="button" onClick={() => finish(false)} disabled={filled.length === 0}>Stop here</button>
+    </form>
+  );
+};
+
+export default ThoughtRecordForm;
+
+// File: src/components/InteractiveExercise.js
+import React, { useState } from 'react';
+import BreathingExercise from './BreathingExercise';
+import GroundingExercise from './GroundingExercise';
+import MuscleRelaxationExercise from './MuscleRelaxationExercise';
+import ThoughtRecordForm from './ThoughtRecordForm';
+
+const EXERCISE_COMPONENTS = {
+  breathing: BreathingExercise,
+  grounding: GroundingExercise,
+  'muscle-relaxation': MuscleRelaxationExercise,
+  'thought-record': ThoughtRecordForm
+};
+
+// 0-10 distress rating taken before and after; either can be skipped
+const DistressRating = ({ question, onSubmit }) => {
+  const [value, setValue] = useState(5);
+  
+  return (
+    <div className="distress-rating">
+      <label htmlFor="distress-rating">{question}</label>
+      <input
+        type="range"
+        id="distress-rating"
+        min="0"
+        max="10"
+        value={value}
+        onChange={(e) => setValue(parseInt(e.target.value, 10))}
+        aria-valuetext={`${value} out of 10`}
+      />
+      <p className="rating-value">{value} / 10 <span>(0 is completely calm, 10 is the most distressed you can imagine)</span></p>
+      <button type="button" onClick={() => onSubmit(value)}>Continue</button>
+      <button type="button" onClick={() => onSubmit(null)}>Skip</button>
+    </div>
+  );
+};
+
+// Runs one exercise inside the chat: rating, the exercise itself, rating again.
+// `onComplete` gets the result the agent's completeExercise expects.
+const InteractiveExercise = ({ name, interventionId, exercise, onComplete, onCancel }) => {
+  const [stage, setStage] = useState('before'); // 'before', 'exercise', 'after'
+  const [beforeRating, setBeforeRating] = useState(null);
+  const [progress, setProgress] = useState(null);
+  
+  const Exercise = EXERCISE_COMPONENTS[exercise.type];
+  if (!Exercise) return null;
+  
+  const handleFinish = (result) => {
+    setProgress(result);
+    setStage('after');
+  };
+  
+  const handleAfterRating = (afterRating) => {
+    onComplete({
+      interventionId,
+      name,
+      type: exercise.type,
+      beforeRating,
+      afterRating,
+      ...progress
+    });
+  };
+  
+  return (
+    <section className="interactive-exercise" aria-label={name}>
+      <h3>{name}</h3>
+      
+      {stage === 'before' && (
+        <>
+          <DistressRating
+            question="Before you start: how distressed do you feel right now?"
+            onSubmit={(rating) => {
+              setBeforeRating(rating);
+              setStage('exercise');
+            }}
+          />
+          <button type="button" onClick={onCancel}>Not now</button>
+        </>
+      )}
+      
+      {stage === 'exercise' && <Exercise exercise={exercise} onFinish={handleFinish} />}
+      
+      {stage === 'after' && (
+        <DistressRating question="And how distressed do you feel now?" onSubmit={handleAfterRating} />
+      )}
+    </section>
+  );
+};
+
+export default InteractiveExercise;
+
+// File: src/components/RecommendationInsights.js
+import React, { useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import { INTERVENTION_LIBRARY } from '../services/InterventionEngine';
+import { explainRecommendation } from '../services/EffectivenessLearner';
+
+const CATEGORY_LABELS = {
+  'breathing-exercise': 'Breathing exercises',
+  grounding: 'Grounding',
+  'cognitive-reframing': 'Cognitive reframing',
+  'thought-record': 'Thought records',
+  'behavioral-activation': 'Behavioral activation',
+  relaxation: 'Relaxation'
+};
+
+const CATEGORIES = [...new Set(INTERVENTION_LIBRARY.map(intervention => intervention.category))];
+
+// Why the companion suggests what it does: each technique's learned score and
+// the feedback behind it
+const RecommendationInsights = () => {
+  const { userProfile } = useContext(TherapyContext);
+  
+  const explanations = CATEGORIES
+    .map(category => explainRecommendation(userProfile, category))
+    .sort((a, b) => b.score - a.score);
+  
+  return (
+    <div className="profile-section recommendation-insights">
+      <h3>Why These Techniques Are Recommended</h3>
+      <p>
+        Suggestions are weighted by how well each kind of technique has worked for you. After a
+        technique, answer "Did this help?" or rate your distress in a guided exercise, and the
+        scores below adjust. Recent feedback counts more than older feedback.
+      </p>
+      
+      <ul className="technique-scores">
+        {explanations.map(({ category, score, count, reasons }) => (
+          <li key={category}>
+            <div className="technique-score-header">
+              <strong>{CATEGORY_LABELS[category] || category}</strong>
+              <span>{Math.round(score * 100)}% match{count > 0 && ` · ${count} outcome${count === 1 ? '' : 's'}`}</span>
+            </div>
+            <div
+              className="technique-score-bar"
+              role="meter"
+              aria-valuemin="0"
+              aria-valuemax="100"
+              aria-valuenow={Math.round(score * 100)}
+              aria-label={`${CATEGORY_LABELS[category] || category} match`}
+            >
+              <div style={{ width: `${Math.round(score * 100)}%` }} />
+            </div>
+            <ul>
+              {reasons.map((reason, i) => (
+                <li key={i}>{reason}</li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RecommendationInsights;
+
+// File: src/components/HomeworkList.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import { RECURRENCE, getAssignmentStatus, getOpenAssignments } from '../services/AssignmentService';
+
+const HELPFULNESS_LABELS = {
+  1: 'Not at all',
+  2: 'A little',
+  3: 'Somewhat',
+  4: 'Quite a bit',
+  5: 'A lot'
+};
+
+const formatDue = (assignment) => {
+  const due = new Date(assignment.dueDate).toLocaleDateString();
+  return assignment.recurrence === 'none' ? `Due ${due}` : `${RECURRENCE[assignment.recurrence]} until ${due}`;
+};
+
+// Open home practice, with a way to mark each one done and say how much it helped
+const HomeworkList = ({ title = 'Home Practice' }) => {
+  const { assignments, completeAssignment, dismissAssignment } = useContext(TherapyContext);
+  
+  // The assignment being marked done, and what's been entered so far
+  const [completing, setCompleting] = useState(null);
+  const [error, setError] = useState(null);
+  
+  const open = getOpenAssignments(assignments);
+  if (open.length === 0) return null;
+  
+  const startCompleting = (assignment) => {
+    setError(null);
+    setCompleting({ id: assignment.id, rating: null, note: '' });
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await completeAssignment(completing.id, { rating: completing.rating, note: completing.note });
+      setCompleting(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  return (
+    <div className="homework-list">
+      <h3>{title}</h3>
+      <ul>
+        {open.map(assignment => {
+          const status = getAssignmentStatus(assignment);
+          return (
+            <li key={assignment.id} className={status.isOverdue ? 'homework-overdue' : undefined}>
+              <strong>{assignment.title}</strong>
+              {assignment.assignedBy && <span className="assigned-by"> - from {assignment.assignedBy}</span>}
+              <p className="homework-schedule">
+                {formatDue(assignment)}
+                {status.isOverdue && ' (overdue)'}
+                {assignment.recurrence !== 'none' && ` · done ${status.completedCount} of ${status.expectedCount} so far`}
+              </p>
+              {assignment.instructions && <p>{assignment.instructions}</p>}
+              
+              {completing && completing.id === assignment.id ? (
+                <form className="homework-complete-form" onSubmit={handleSubmit}>
+                  <fieldset>
+                    <legend>How much did it help?</legend>
+                    {Object.keys(HELPFULNESS_LABELS).map(value => (
+                      <label key={value}>
+                        <input
+                          type="radio"
+                          name={`rating-${assignment.id}`}
+                          value={value}
+                          checked={completing.rating === Number(value)}
+                          onChange={() => setCompleting({ ...completing, rating: Number(value) })}
+                        />
+                        {value} - {HELPFULNESS_LABELS[value]}
+                      </label>
+                    ))}
+                  </fieldset>
+                  <textarea
+                    value={completing.note}
+                    onChange={(e) => setCompleting({ ...completing, note: e.target.value })}
+                    placeholder="Anything you noticed? (optional)"
+                  />
+                  {error && <p className="error-message">{error}</p>}
+                  <button type="submit" disabled={completing.rating === null}>Save</button>
+                  <button type="button" onClick={() => setCompleting(null)}>Cancel</button>
+                </form>
+              ) : (
+                <div className="homework-actions">
+                  {status.isDueNow ? (
+                    <button type="button" onClick={() => startCompleting(assignment)}>Mark as done</button>
+                  ) : (
+                    <span className="homework-done">Done for {assignment.recurrence === 'weekly' ? 'this week' : 'today'}</span>
+                  )}
+                  <button type="button" onClick={() => dismissAssignment(assignment.id)}>Remove</button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default HomeworkList;
+
+// File: src/components/ReminderSettings.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import ReminderScheduler from '../services/ReminderScheduler';
+import { DEFAULT_REMINDER_TIME } from '../services/AssignmentService';
+
+const ReminderSettings = () => {
+  const { userProfile, updateProfile } = useContext(TherapyContext);
+  const [permission, setPermission] = useState(() => ReminderScheduler.getPermission());
+  
+  const reminderTime = userProfile.reminderTime || DEFAULT_REMINDER_TIME;
+  const isOn = Boolean(userProfile.remindersEnabled) && permission === 'granted';
+  
+  // Turning reminders on is when the browser asks for permission
+  const handleToggle = async () => {
+    if (isOn) {
+      updateProfile({ remindersEnabled: false });
+      return;
+    }
+    
+    const result = await ReminderScheduler.requestPermission();
+    setPermission(result);
+    if (result === 'granted') updateProfile({ remindersEnabled: true, reminderTime });
+  };
+  
+  return (
+    <div className="profile-section reminder-settings">
+      <h3>Home Practice Reminders</h3>
+      {permission === 'unsupported' ? (
+        <p>This browser can't show notifications, so reminders aren't available here.</p>
+      ) : (
+        <>
+          <p>
+            Get a notification at a set time on days you still have home practice to do. Reminders
+            only work while the app is open in a tab.
+          </p>
+          <label>
+            <input type="checkbox" checked={isOn} onChange={handleToggle} />
+            Remind me about home practice
+          </label>
+          {isOn && (
+            <div className="form-field">
+              <label htmlFor="reminderTime">Remind me at:</label>
+              <input
+                type="time"
+                id="reminderTime"
+                value={reminderTime}
+                onChange={(e) => e.target.value && updateProfile({ reminderTime: e.target.value })}
+              />
+            </div>
+          )}
+          {permission === 'denied' && (
+            <p className="error-message">Notifications are blocked for this site. Allow them in your browser settings to get reminders.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReminderSettings;
+
+// File: src/components/MoodCheckIn.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import { CHECK_IN_FIELDS, DEFAULT_CHECK_IN_VALUE, MAX_NOTES_LENGTH, isCheckIn } from '../services/MoodCheckIn';
+
+// Starts from the last check-in so a similar day is a few taps
+const initialValues = (sessionHistory) => {
+  const last = [...sessionHistory].reverse().find(isCheckIn);
+  const values = { notes: '' };
+  CHECK_IN_FIELDS.forEach(({ key }) => {
+    const previous = last && (key in last.checkIn ? last.checkIn[key] : last.emotionalState[key]);
+    values[key] = previous || DEFAULT_CHECK_IN_VALUE;
+  });
+  return values;
+};
+
+const MoodCheckIn = ({ onStartSession, onViewDashboard }) => {
+  const { sessionHistory, recordCheckIn } = useContext(TherapyContext);
+  
+  const [values, setValues] = useState(() => initialValues(sessionHistory));
+  const [saved, setSaved] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      setSaved(await recordCheckIn(values));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  if (saved) {
+    return (
+      <div className="mood-check-in">
+        <h2>Thanks for checking in</h2>
+        <p>
+          Saved at {new Date(saved.timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.
+          It's on your Progress Dashboard, and your next session will start from how you're feeling now.
+        </p>
+        <button onClick={onStartSession}>Start a Session</button>
+        <button onClick={onViewDashboard}>See Your Progress</button>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="mood-check-in">
+      <h2>How are you right now?</h2>
+      <p>A quick check-in between sessions. Move each slider to where you are today.</p>
+      
+      <form onSubmit={handleSubmit}>
+        {CHECK_IN_FIELDS.map(({ key, label, low, high }) => (
+          <div key={key} className="check-in-field">
+            <label htmlFor={`check-in-${key}`}>
+              {label}: <strong>{values[key]}</strong>
+            </label>
+            <input
+              type="range"
+              id={`check-in-${key}`}
+              min="1"
+              max="10"
+              value={values[key]}
+              onChange={(e) => setValues({ ...values, [key]: Number(e.target.value) })}
+            />
+            <div className="scale-labels">
+              <span>{low}</span>
+              <span>{high}</span>
+            </div>
+          </div>
+        ))}
+        
+        <div className="check-in-field">
+          <label htmlFor="check-in-notes">Anything else? (optional)</label>
+          <textarea
+            id="check-in-notes"
+            value={values.notes}
+            maxLength={MAX_NOTES_LENGTH}
+            onChange={(e) => setValues({ ...values, notes: e.target.value })}
+            placeholder="What's been going on today?"
+          />
+        </div>
+        
+        {error && <p className="error-message" role="alert">{error}</p>}
+        <button type="submit" disabled={isSaving}>{isSaving ? 'Saving...' : 'Save Check-In'}</button>
+      </form>
+    </div>
+  );
+};
+
+export default MoodCheckIn;
+
+// File: src/components/QuestionnaireForm.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import SafetyAlert from './SafetyAlert';
+import { QUESTIONNAIRES, getSeverityBand, getQuestionnaireTrend } from '../services/Questionnaires';
+
+const CHANGE_TEXT = {
+  improved: 'a meaningful improvement',
+  worsened: 'a meaningful increase',
+  'no-reliable-change': 'within the range of normal week-to-week variation'
+};
+
+// Administers one instrument: every item must be answered before it's scored
+const QuestionnaireForm = ({ instrumentId, onDone, onCancel }) => {
+  const { questionnaireResults, submitQuestionnaire, acknowledgeSafetyEvent } = useContext(TherapyContext);
+  const instrument = QUESTIONNAIRES[instrumentId];
+  
+  const [answers, setAnswers] = useState(() => instrument.items.map(() => null));
+  const [outcome, setOutcome] = useState(null);
+  const [showSafetyAlert, setShowSafetyAlert] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const unanswered = answers.filter(answer => answer === null).length;
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (unanswered > 0) return;
+    
+    setIsSaving(true);
+    setError(null);
+    try {
+      const result = await submitQuestionnaire(instrumentId, answers);
+      setOutcome(result);
+      if (result.safetyResponse) setShowSafetyAlert(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  if (outcome) {
+    const { result } = outcome;
+    const band = getSeverityBand(instrumentId, result.total);
+    const { sincePrevious } = getQuestionnaireTrend(questionnaireResults, instrumentId);
+    const maxScore = instrument.items.length * 3;
+    
+    return (
+      <div className="questionnaire questionnaire-result">
+        {showSafetyAlert && (
+          <SafetyAlert
+            info={outcome.safetyResponse}
+            onClose={() => {
+              setShowSafetyAlert(false);
+              acknowledgeSafetyEvent(outcome.safetyResponse.safetyEventId);
+            }}
+          />
+        )}
+        <h3>{instrument.title}</h3>
+        <p className="questionnaire-score">
+          Your score: <strong>{result.total}</strong> out of {maxScore} ({band.label.toLowerCase()})
+        </p>
+        {sincePrevious && (
+          <p>
+            That's {Math.abs(sincePrevious.change)} {Math.abs(sincePrevious.change) === 1 ? 'point' : 'points'}
+            {sincePrevious.change <= 0 ? ' lower' : ' higher'} than on {sincePrevious.from.toLocaleDateString()},
+            {' '}{CHANGE_TEXT[sincePrevious.direction]}.
+          </p>
+        )}
+        <p className="questionnaire-note">
+          This is a screening measure, not a diagnosis. If your score worries you, please talk it through with your therapist or doctor.
+        </p>
+        {outcome.safetyResponse && !showSafetyAlert && (
+          <button type="button" onClick={() => setShowSafetyAlert(true)}>Show Support Resources</button>
+        )}
+        <button type="button" onClick={onDone}>Done</button>
+      </div>
+    );
+  }
+  
+  return (
+    <form className="questionnaire" onSubmit={handleSubmit}>
+      <h3>{instrument.title}</h3>
+      <p>{instrument.stem}</p>
+      
+      <ol className="questionnaire-items">
+        {instrument.items.map((item, i) => (
+          <li key={i}>
+            <fieldset>
+              <legend>{item}</legend>
+              {instrument.options.map(option => (
+                <label key={option.value}>
+                  <input
+                    type="radio"
+                    name={`${instrumentId}-item-${i}`}
+                    value={option.value}
+                    checked={answers[i] === option.value}
+                    onChange={() => setAnswers(prev => prev.map((answer, j) => (j === i ? option.value : answer)))}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </fieldset>
+          </li>
+        ))}
+      </ol>
+      
+      {error && <p className="error-message" role="alert">{error}</p>}
+      <button type="submit" disabled={unanswered > 0 || isSaving}>
+        {unanswered > 0 ? `${unanswered} left to answer` : isSaving ? 'Saving...' : 'See My Score'}
+      </button>
+      {onCancel && <button type="button" onClick={onCancel}>Not Now</button>}
+    </form>
+  );
+};
+
+export default QuestionnaireForm;
+
+// File: src/components/DueQuestionnaires.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import QuestionnaireForm from './QuestionnaireForm';
+import { QUESTIONNAIRES, getDueQuestionnaires } from '../services/Questionnaires';
+
+// Prompts for the questionnaires the user's schedule says are due
+const DueQuestionnaires = () => {
+  const { userProfile, questionnaireResults } = useContext(TherapyContext);
+  const [active, setActive] = useState(null);
+  
+  const due = getDueQuestionnaires(questionnaireResults, userProfile.questionnaireSchedule);
+  
+  if (active) {
+    return <QuestionnaireForm instrumentId={active} onDone={() => setActive(null)} onCancel={() => setActive(null)} />;
+  }
+  if (due.length === 0) return null;
+  
+  return (
+    <div className="due-questionnaires">
+      <h3>Time for a quick check on your progress</h3>
+      <p>These short questionnaires take about two minutes and help you and your therapist see how things are changing.</p>
+      <ul>
+        {due.map(({ instrument, lastCompletedAt }) => (
+          <li key={instrument}>
+            <strong>{QUESTIONNAIRES[instrument].title}</strong>
+            {lastCompletedAt && <span> - last done {lastCompletedAt.toLocaleDateString()}</span>}
+            <button type="button" onClick={() => setActive(instrument)}>Start</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DueQuestionnaires;
+
+// File: src/components/QuestionnaireTrends.js
+import React, { useState } from 'react';
+import QuestionnaireForm from './QuestionnaireForm';
+import { QUESTIONNAIRES, getSeverityBand } from '../services/Questionnaires';
+
+const DIRECTION_TEXT = {
+  improved: 'improved',
+  worsened: 'got worse',
+  'no-reliable-change': 'no reliable change'
+};
+
+const describeChange = ({ change, from, direction }) =>
+  `${change > 0 ? '+' : ''}${change} since ${from.toLocaleDateString()} (${DIRECTION_TEXT[direction]})`;
+
+// Scores, severity bands and change over time for each instrument; `trends`
+// comes from ProgressTracker.getQuestionnaireTrends
+const QuestionnaireTrends = ({ trends }) => {
+  const [active, setActive] = useState(null);
+  
+  return (
+    <div className="questionnaire-trends">
+      {trends.length === 0 && (
+        <p className="empty-state">No questionnaires yet. PHQ-9 (mood) and GAD-7 (anxiety) scores will be tracked here.</p>
+      )}
+      
+      {trends.map(({ instrument, entries, latest, sinceFirst, sincePrevious }) => {
+        const definition = QUESTIONNAIRES[instrument];
+        const maxScore = definition.items.length * 3;
+        const band = getSeverityBand(instrument, latest.total);
+        return (
+          <div key={instrument} className="questionnaire-trend">
+            <h4>{definition.title}</h4>
+            <p>
+              Latest: <strong>{latest.total}</strong>/{maxScore}, {band.label.toLowerCase()}
+              {' '}({new Date(latest.completedAt).toLocaleDateString()})
+            </p>
+            
+            <div className="severity-scale" aria-hidden="true">
+              {definition.bands.map((entry, i) => {
+                const min = i === 0 ? 0 : definition.bands[i - 1].max + 1;
+                return (
+                  <div
+                    key={entry.severity}
+                    className={`severity-band severity-${entry.severity}${entry === band ? ' current' : ''}`}
+                    style={{ flexGrow: entry.max - min + 1 }}
+                  >
+                    {entry.label}
+                  </div>
+                );
+              })}
+            </div>
+            
+            {sincePrevious && <p>Since last time: {describeChange(sincePrevious)}</p>}
+            {sinceFirst && entries.length > 2 && <p>Since your first: {describeChange(sinceFirst)}</p>}
+            
+            <table className="questionnaire-history">
+              <caption>{definition.name} scores</caption>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Score</th>
+                  <th>Severity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...entries].reverse().map(result => (
+                  <tr key={result.id}>
+                    <td>{new Date(result.completedAt).toLocaleDateString()}</td>
+                    <td>{result.total}</td>
+                    <td>{getSeverityBand(instrument, result.total).label}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+      
+      {active ? (
+        <QuestionnaireForm instrumentId={active} onDone={() => setActive(null)} onCancel={() => setActive(null)} />
+      ) : (
+        <div className="questionnaire-actions">
+          {Object.keys(QUESTIONNAIRES).map(id => (
+            <button key={id} type="button" onClick={() => setActive(id)}>
+              Take {QUESTIONNAIRES[id].name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionnaireTrends;
+
+// File: src/components/SafetyPlanView.js
+import React from 'react';
+import { SAFETY_PLAN_SECTIONS, toDialable } from '../services/SafetyPlan';
+
+// The plan's steps in order, skipping empty ones; anyone with a number gets
+// call and text links so they can be reached in one tap
+const SafetyPlanView = ({ plan }) => (
+  <ol className="safety-plan">
+    {SAFETY_PLAN_SECTIONS.filter(section => (plan[section.id] || []).length > 0).map(section => (
+      <li key={section.id} className={`safety-plan-step safety-plan-${section.id}`}>
+        <h4>{section.title}</h4>
+        <ul>
+          {plan[section.id].map((entry, i) => (section.kind === 'text' ? (
+            <li key={i}>{entry}</li>
+          ) : (
+            <li key={i} className="safety-plan-contact">
+              <strong>{entry.name}</strong>
+              {entry.phone && (
+                <span className="resource-actions">
+                  <a href={`tel:${toDialable(entry.phone)}`} className="resource-call">
+                    Call {entry.phone}
+                  </a>
+                  <a href={`sms:${toDialable(entry.phone)}`} className="resource-text">
+                    Text
+                  </a>
+                </span>
+              )}
+            </li>
+          )))}
+        </ul>
+      </li>
+    ))}
+  </ol>
+);
+
+export default SafetyPlanView;
+
+// File: src/components/SafetyPlanEditor.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import {
+  SAFETY_PLAN_SECTIONS,
+  createEmptySafetyPlan,
+  normalizeSafetyPlan,
+  validateSafetyPlan
+} from '../services/SafetyPlan';
+import { recipientKey } from '../services/escalation/EscalationService';
+
+const EMPTY_CONTACT = { name: '', phone: '' };
+
+const SafetyPlanEditor = () => {
+  const { userProfile, updateProfile } = useContext(TherapyContext);
+  const [plan, setPlan] = useState(() => ({ ...createEmptySafetyPlan(), ...userProfile.safetyPlan }));
+  const [errors, setErrors] = useState([]);
+  const [saved, setSaved] = useState(false);
+  
+  const updateSection = (id, entries) => {
+    setPlan(prev => ({ ...prev, [id]: entries }));
+    setSaved(false);
+  };
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const normalized = normalizeSafetyPlan(plan);
+    const problems = validateSafetyPlan(normalized);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    
+    // Crisis notifications only ever go to people still on the plan
+    const onPlan = new Set([...normalized.contacts, ...normalized.professionals].map(recipientKey));
+    const escalation = userProfile.escalation && {
+      ...userProfile.escalation,
+      recipients: userProfile.escalation.recipients.filter(recipient => onPlan.has(recipientKey(recipient)))
+    };
+    
+    updateProfile({ safetyPlan: normalized, ...(escalation ? { escalation } : {}) });
+    setPlan(normalized);
+    setSaved(true);
+  };
+  
+  return (
+    <form className="profile-section safety-plan-editor" onSubmit={handleSubmit}>
+      <h3>My Safety Plan</h3>
+      <p>
+        Write down what helps before you need it. When things get hard, work through the steps in order
+        until you feel safer. Your plan is shown first whenever the app offers crisis support, and the
+        Safety Plan button at the top opens it at any time, even without an internet connection.
+      </p>
+      
+      {SAFETY_PLAN_SECTIONS.map((section, step) => (
+        <fieldset key={section.id} className="form-section">
+          <legend>Step {step + 1}: {section.title}</legend>
+          <p className="hint">{section.prompt}</p>
+          
+          {section.kind === 'text' ? (
+            <textarea
+              aria-label={section.title}
+              value={plan[section.id].join('\n')}
+              onChange={(e) => updateSection(section.id, e.target.value.split('\n'))}
+              placeholder="One per line"
+            />
+          ) : (
+            <>
+              {plan[section.id].map((contact, i) => (
+                <div key={i} className="form-field safety-plan-contact-row">
+                  <input
+                    type="text"
+                    aria-label="Name or place"
+                    placeholder="Name or place"
+                    value={contact.name}
+                    onChange={(e) => updateSection(section.id, plan[section.id].map((entry, j) => (
+                      j === i ? { ...entry, name: e.target.value } : entry
+                    )))}
+                  />
+                  <input
+                    type="tel"
+                    aria-label="Phone number"
+                    placeholder="Phone (optional)"
+                    value={contact.phone}
+                    onChange={(e) => updateSection(section.id, plan[section.id].map((entry, j) => (
+                      j === i ? { ...entry, phone: e.target.value } : entry
+                    )))}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateSection(section.id, plan[section.id].filter((_, j) => j !== i))}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button type="button" onClick={() => updateSection(section.id, [...plan[section.id], EMPTY_CONTACT])}>
+                Add
+              </button>
+            </>
+          )}
+        </fieldset>
+      ))}
+      
+      {errors.length > 0 && (
+        <ul className="error-message" role="alert">
+          {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+      {saved && <p className="success-message">Your safety plan has been saved.</p>}
+      <button type="submit">Save Safety Plan</button>
+    </form>
+  );
+};
+
+export default SafetyPlanEditor;
+
+// File: src/components/SafetyPlanQuickAccess.js
+import React, { useState, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import SafetyPlanView from './SafetyPlanView';
+import { hasSafetyPlan, toDialable } from '../services/SafetyPlan';
+import { getCrisisResources } from '../services/CrisisResourceDirectory';
+
+// Always-visible header button. Everything it shows is already on the device,
+// so it works without a connection.
+const SafetyPlanQuickAccess = ({ onEditPlan }) => {
+  const { userProfile } = useContext(TherapyContext);
+  const [isOpen, setIsOpen] = useState(false);
+  
+  const plan = userProfile.safetyPlan;
+  const directory = getCrisisResources(userProfile.locale);
+  
+  return (
+    <>
+      <button type="button" className="safety-plan-button" onClick={() => setIsOpen(true)}>
+        Safety Plan
+      </button>
+      
+      {isOpen && (
+        <div className="safety-alert" role="dialog" aria-label="My safety plan">
+          <div className="safety-alert-content">
+            <h2>My Safety Plan</h2>
+            {hasSafetyPlan(plan) ? (
+              <SafetyPlanView plan={plan} />
+            ) : (
+              <p>
+                You haven't written a safety plan yet. It only takes a few minutes and gives you
+                steps and people to turn to when things get hard.
+              </p>
+            )}
+            
+            <div className="resources">
+              <h3>Crisis Lines</h3>
+              <ul>
+                {directory.resources.filter(resource => resource.phone).map((resource, i) => (
+                  <li key={i}>
+                    <strong>{resource.name}</strong> ({resource.available})
+                    <div className="resource-actions">
+                      <a href={`tel:${toDialable(resource.phone)}`} className="resource-call">
+                        Call {resource.phone}
+                      </a>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            
+            {onEditPlan && (
+              <button type="button" onClick={() => { setIsOpen(false); onEditPlan(); }}>
+                {hasSafetyPlan(plan) ? 'Edit My Plan' : 'Write My Plan'}
+              </button>
+            )}
+            <button type="button" onClick={() => setIsOpen(false)}>Close</button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SafetyPlanQuickAccess;
+
+// File: src/components/EscalationSettings.js
+import React, { useState, useEffect, useContext } from 'react';
+import { TherapyContext } from '../context/TherapyContext';
+import {
+  DEFAULT_ESCALATION,
+  ESCALATION_THRESHOLDS,
+  buildEscalationMessage,
+  recipientKey
+} from '../services/escalation/EscalationService';
+import { sortSafetyEvents } from '../services/SafetyEventLog';
+
+const MAX_EVENTS_SHOWN = 10;
+
+const ESCALATION_STATUS_TEXT = {
+  sent: 'Contacts notified',
+  partial: 'Some contacts notified',
+  failed: 'Notification failed',
+  duplicate: 'Already notified about this',
+  'rate-limited': 'Not sent (message limit reached)',
+  'below-threshold': 'Not sent (below your setting)',
+  'not-consented': 'Nobody notified'
+};
+
+// Consent for crisis notifications plus the safety log. Recipients can only
+// be people from the user's safety plan who have a phone number.
+const EscalationSettings = () => {
+  const { userProfile, updateProfile, getSafetyEvents } = useContext(TherapyContext);
+  const [events, setEvents] = useState([]);
+  
+  const settings = { ...DEFAULT_ESCALATION, ...userProfile.escalation };
+  const plan = userProfile.safetyPlan || {};
+  const candidates = [
+    ...(plan.contacts || []).map(entry => ({ ...entry, role: 'contact' })),
+    ...(plan.professionals || []).map(entry => ({ ...entry, role: 'professional' }))
+  ].filter(entry => entry.name && entry.phone);
+  const selected = new Set(settings.recipients.map(recipientKey));
+  
+  useEffect(() => {
+    let cancelled = false;
+    getSafetyEvents()
+      .then(stored => {
+        if (!cancelled) setEvents(sortSafetyEvents(stored).slice(0, MAX_EVENTS_SHOWN));
+      })
+      .catch(error => console.error('Failed to load safety events:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [userProfile.id, getSafetyEvents]);
+  
+  const saveSettings = (changes) => updateProfile({ escalation: { ...settings, ...changes } });
+  
+  const toggleRecipient = (candidate) => {
+    const key = recipientKey(candidate);
+    saveSettings({
+      recipients: selected.has(key)
+        ? settings.recipients.filter(recipient => recipientKey(recipient) !== key)
+        : [...settings.recipients, { name: candidate.name, phone: candidate.phone, role: candidate.role }]
+    });
+  };
+  
+  return (
+    <div className="profile-section escalation-settings">
+      <h3>Crisis Notifications</h3>
+      <p>
+        If you'd like, the app can send a short message to people you choose when it detects you may be in
+        crisis. They're told to check in with you; nothing you've written is ever included. You'll always see
+        who was contacted, and you can turn this off at any time.
+      </p>
+      
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={() => saveSettings({ enabled: !settings.enabled })}
+          disabled={!settings.enabled && candidates.length === 0}
+        />
+        I agree to the app notifying the people below
+      </label>
+      
+      {candidates.length === 0 ? (
+        <p className="hint">Add people with a phone number to your safety plan first.</p>
+      ) : (
+        <fieldset>
+          <legend>Who to notify</legend>
+          {candidates.map(candidate => (
+            <label key={recipientKey(candidate)}>
+              <input
+                type="checkbox"
+                checked={selected.has(recipientKey(candidate))}
+                onChange={() => toggleRecipient(candidate)}
+              />
+              {candidate.name} ({candidate.phone})
+            </label>
+          ))}
+        </fieldset>
+      )}
+      
+      <div className="form-field">
+        <label htmlFor="escalationThreshold">Notify them:</label>
+        <select
+          id="escalationThreshold"
+          value={settings.minSeverity}
+          onChange={(e) => saveSettings({ minSeverity: e.target.value })}
+        >
+          {Object.keys(ESCALATION_THRESHOLDS).map(key => (
+            <option key={key} value={key}>{ESCALATION_THRESHOLDS[key]}</option>
+          ))}
+        </select>
+      </div>
+      
+      <details>
+        <summary>What they'll receive</summary>
+        <p>{buildEscalationMessage(userProfile.name, { severity: 'emergency' })}</p>
+        <p className="hint">Each person gets at most one message an hour and three a day, and repeated alerts about the same thing aren't sent again.</p>
+      </details>
+      
+      <h4>Safety Log</h4>
+      {events.length === 0 ? (
+        <p className="empty-state">The app hasn't shown you any crisis or support resources.</p>
+      ) : (
+        <table className="safety-log">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>What was detected</th>
+              <th>Shown</th>
+              <th>Acknowledged</th>
+              <th>Notifications</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map(event => (
+              <tr key={event.id}>
+                <td>{new Date(event.timestamp).toLocaleString()}</td>
+                <td>{event.severity} ({event.riskType}, from a {event.source})</td>
+                <td>
+                  {event.safetyPlanShown ? 'Your safety plan and ' : ''}
+                  {event.resourcesShown.length} {event.resourcesShown.length === 1 ? 'resource' : 'resources'}
+                </td>
+                <td>{event.acknowledgedAt ? new Date(event.acknowledgedAt).toLocaleString() : 'No'}</td>
+                <td>{event.escalation ? ESCALATION_STATUS_TEXT[event.escalation.status] : 'Nobody notified'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default EscalationSettings;
+
+// File: src/services/TherapyCompanionAgent.js
+// This is a simplified version of the core agent for React frontend
+// In a real app, most processing would happen on the backend
+import NLPProcessor, { summarizeAnalysis } from './NLPProcessor';
+import InterventionEngine, { describeExerciseResult, findExercise } from './InterventionEngine';
+import EmotionTracker, { getWellbeingScore } from './EmotionTracker';
+import ResourceManager from './ResourceManager';
+import SafetyModule from './SafetyModule';
+import { getCrisisResources } from './CrisisResourceDirectory';
+import { computeReward, recordOutcome } from './EffectivenessLearner';
+import { createCheckIn, describeCheckIn, getFreshCheckIn, validateCheckIn } from './MoodCheckIn';
+import { getScreeningSignals, scoreQuestionnaire } from './Questionnaires';
+import { hasSafetyPlan } from './SafetyPlan';
+import { createSafetyEvent } from './SafetyEventLog';
+
+// Pace of the simulated typing when streaming a reply
+const STREAM_WORD_DELAY_MS = 40;
+
+// A mood change nobody was asked about is weaker evidence than a rating
+const UNRATED_OUTCOME_WEIGHT = 0.3;
+
+// Same error fetch() throws when aborted, so callers can handle both alike
+export const createAbortError = () => {
+  const error = new Error('The reply was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+class TherapyCompanionAgent {
+  // `simulateLatency` is for the in-browser demo; the server turns it off
+  // `escalation` is an EscalationService; without one, safety events are
+  // logged but nobody is notified
+  constructor(userProfile, { storage = null, history = [], simulateLatency = true, escalation = null } = {}) {
+    this.userProfile = userProfile;
+    this.storage = storage;
+    this.escalation = escalation;
+    // Safety events logged by this agent; the full log is in storage
+    this.safetyEvents = [];
+    // Notifications go out one event at a time, after the safety response
+    this.escalationQueue = Promise.resolve();
+    this.pendingEscalations = new Map();
+    this.simulateLatency = simulateLatency;
+    this.replyQueue = Promise.resolve();
+    this.sessionHistory = [...history];
+    this.nlpProcessor = new NLPProcessor();
+    this.interventionEngine = new InterventionEngine();
+    this.currentSession = null;
+    this.currentEmotionalState = this.initializeEmotionalState();
+    this.emotionTracker = new EmotionTracker(this.currentEmotionalState);
+    this.resourceManager = new ResourceManager();
+    this.safetyModule = new SafetyModule();
+  }
+  
+  // Picks up from the most recent recorded state, whether from a check-in or
+  // the end of the last session; a new user starts in the middle of each scale
+  initializeEmotionalState() {
+    const latest = this.sessionHistory.reduce((newest, interaction) => (
+      interaction.emotionalState && (!newest || new Date(interaction.timestamp) > new Date(newest.timestamp))
+        ? interaction
+        : newest
+    ), null);
+    if (latest) return { ...latest.emotionalState, timestamp: new Date() };
+    
+    return {
+      overall: 5,
+      anxiety: 5,
+      depression: 5,
+      anger: 5,
+      joy: 5,
+      timestamp: new Date()
+    };
+  }
+  
+  // `assignedHomework` is homework from the user's therapist (see
+  // CareTeamService.takePendingHomework); it's suggested ahead of anything else.
+  // `assignments` are earlier assignments still open (see AssignmentService),
+  // which the greeting checks in on.
+  async startSession({ assignedHomework = [], assignments = [] } = {}) {
+    // Simulate API call
+    await this.simulateDelay(500);
+    
+    // Generate greeting based on time of day and user profile, or on how
+    // they said they were feeling if they've checked in since last time
+    const checkIn = getFreshCheckIn(this.sessionHistory);
+    let greeting = checkIn ? this.generateCheckInGreeting(checkIn) : this.generateGreeting();
+    if (assignments.length > 0) {
+      greeting += ` ${this.askAboutAssignments(assignments)}`;
+    }
+    if (assignedHomework.length > 0) {
+      greeting += ` ${this.describeAssignedHomework(assignedHomework)}`;
+    }
+    
+    // Generate focus areas based on user profile
+    const focusAreas = this.userProfile.therapeuticGoals.slice(0, 2);
+    
+    // Generate suggested activities
+    const suggestedActivities = [
+      ...assignedHomework.map(item => this.toHomeworkSuggestion(item)),
+      ...assignments.map(assignment => this.toHomeworkSuggestion({
+        ...assignment,
+        therapistName: assignment.assignedBy
+      })),
+      ...this.generateSuggestedActivities(focusAreas)
+    ];
+    
+    this.currentSession = {
+      id: this.createId(),
+      startTime: new Date(),
+      focusAreas,
+      startEmotionalState: { ...this.currentEmotionalState }
+    };
+    
+    // Each session tracks its own emotional journey, starting from where the last one left off
+    this.emotionTracker.startSession(this.currentEmotionalState);
+    
+    return {
+      greeting,
+      focusAreas,
+      suggestedActivities
+    };
+  }
+  
+  async processUserInput(input) {
+    let response = null;
+    for await (const event of this.streamUserInput(input)) {
+      if (event.type === 'complete') response = event.response;
+    }
+    return response;
+  }
+  
+  // Streams the reply as `{ type: 'delta', text }` events followed by one
+  // `{ type: 'complete', response }`. Replies are handed out strictly in the
+  // order messages were sent. Aborting `signal` stops the reply with an
+  // AbortError; a cancelled reply isn't recorded. Screening runs before
+  // anything that can be aborted, so a message with a safety concern is
+  // always logged and answered.
+  async *streamUserInput(input, { signal } = {}) {
+    const previous = this.replyQueue;
+    let release;
+    this.replyQueue = new Promise(resolve => {
+      release = resolve;
+    });
+    
+    try {
+      await previous;
+      
+      // Analyze input for themes and needs
+      const analysis = this.analyzeInput(input);
+      
+      // Update emotional state based on input
+      this.updateEmotionalState(analysis);
+      
+      // Check for safety concerns, taking the updated emotional state into account
+      const safetyCheck = this.checkForSafetyConcerns(input, analysis);
+      if (safetyCheck.concernDetected) {
+        this.applySafetyConcern(safetyCheck);
+        
+        // Never drip-fed or cancellable: crisis resources arrive all at once
+        const safetyResponse = this.generateSafetyResponse(safetyCheck);
+        await this.logSafetyEvent(safetyCheck, safetyResponse, 'message');
+        this.recordInteraction(input, safetyResponse, analysis);
+        yield { type: 'complete', response: safetyResponse };
+        return;
+      }
+      
+      // Simulate NLP processing
+      await this.simulateDelay(700, signal);
+      
+      // Generate appropriate response based on analysis
+      const response = this.generateResponse(analysis, safetyCheck);
+      
+      const words = (response.message || response.introduction || '').split(/(?=\s)/);
+      for (const word of words) {
+        await this.simulateDelay(STREAM_WORD_DELAY_MS, signal);
+        yield { type: 'delta', text: word };
+      }
+      
+      // Record interaction in session history
+      this.recordInteraction(input, response, analysis);
+      
+      yield { type: 'complete', response };
+    } finally {
+      release();
+    }
+  }
+  
+  // Records how a guided exercise from the chat went and replies to it. Takes
+  // its turn in the reply queue so it lands in order with messages.
+  async completeExercise(result) {
+    const previous = this.replyQueue;
+    let release;
+    this.replyQueue = new Promise(resolve => {
+      release = resolve;
+    });
+    
+    try {
+      await previous;
+      await this.simulateDelay(400);
+      
+      const exercise = { ...result, completedAt: new Date() };
+      const hasRatings = Number.isFinite(exercise.beforeRating) && Number.isFinite(exercise.afterRating);
+      if (hasRatings) {
+        this.currentEmotionalState = this.emotionTracker.applyExerciseRatings(exercise.beforeRating, exercise.afterRating);
+      }
+      
+      // What the user wrote in a thought record is screened like any message
+      const responses = exercise.responses || {};
+      const written = Object.keys(responses).map(field => responses[field]).filter(Boolean).join('. ');
+      const analysis = this.analyzeInput(written || exercise.name);
+      const safetyCheck = written
+        ? this.checkForSafetyConcerns(written, analysis)
+        : { concernDetected: false };
+      
+      const response = safetyCheck.concernDetected
+        ? this.generateSafetyResponse(safetyCheck)
+        : this.generateExerciseFeedback(exercise);
+      if (safetyCheck.concernDetected) {
+        this.applySafetyConcern(safetyCheck);
+        await this.logSafetyEvent(safetyCheck, response, 'exercise');
+      }
+      
+      this.recordInteraction(describeExerciseResult(exercise), response, analysis, { exercise });
+      
+      const intervention = this.interventionEngine.library.find(entry => entry.id === exercise.interventionId);
+      if (intervention && hasRatings) {
+        const relief = exercise.beforeRating - exercise.afterRating;
+        this.learnFromOutcome({
+          category: intervention.category,
+          interventionId: intervention.id,
+          name: intervention.name,
+          relief,
+          reward: computeReward({ relief })
+        });
+      }
+      
+      return response;
+    } finally {
+      release();
+    }
+  }
+  
+  // Answer to "did this help?" for an intervention offered in this session.
+  // `rating` is one of FEEDBACK_RATINGS; each intervention is rated once.
+  async rateIntervention(deliveryId, rating) {
+    const interactions = this.getCurrentSessionInteractions();
+    const index = interactions.findIndex(interaction =>
+      interaction.agentResponse && interaction.agentResponse.deliveryId === deliveryId
+    );
+    if (index < 0) throw new Error('That suggestion isn\'t part of the current session.');
+    
+    const interaction = interactions[index];
+    if (interaction.feedback) return { profile: this.userProfile, interaction };
+    
+    // Mood at the next message, or now if the user hasn't said anything since
+    const next = interactions[index + 1];
+    const laterState = next ? next.emotionalState : this.currentEmotionalState;
+    const wellbeingChange = Math.round((getWellbeingScore(laterState) - getWellbeingScore(interaction.emotionalState)) * 10) / 10;
+    
+    const response = interaction.agentResponse;
+    interaction.feedback = { rating, ratedAt: new Date() };
+    this.learnFromOutcome({
+      category: response.category,
+      interventionId: response.interventionId,
+      name: response.name,
+      rating,
+      wellbeingChange,
+      reward: computeReward({ rating, wellbeingChange })
+    });
+    
+    if (this.storage) {
+      await this.storage.updateInteraction(
+        this.userProfile.id,
+        stored => stored.agentResponse && stored.agentResponse.deliveryId === deliveryId,
+        { feedback: interaction.feedback }
+      ).catch(error => console.error('Failed to save feedback:', error));
+    }
+    
+    return { profile: this.userProfile, interaction };
+  }
+  
+  // Interventions the user neither rated nor practised still taught us
+  // something through the mood change that followed, just less
+  learnFromUnratedInterventions(interactions, interventionsUsed) {
+    interactions
+      .filter(interaction => interaction.agentResponse && interaction.agentResponse.type === 'intervention')
+      .forEach((interaction, i) => {
+        const outcome = interventionsUsed[i];
+        const practised = interactions.some(other =>
+          other.exercise && other.exercise.interventionId === interaction.agentResponse.interventionId
+        );
+        if (interaction.feedback || practised || !outcome || outcome.change === null) return;
+        
+        this.learnFromOutcome({
+          category: outcome.category,
+          interventionId: outcome.interventionId,
+          name: outcome.name,
+          wellbeingChange: outcome.change,
+          reward: computeReward({ wellbeingChange: outcome.change }),
+          weight: UNRATED_OUTCOME_WEIGHT
+        });
+      });
+  }
+  
+  learnFromOutcome(outcome) {
+    this.userProfile = recordOutcome(this.userProfile, outcome);
+    
+    if (this.storage) {
+      this.storage.saveProfile(this.userProfile)
+        .catch(error => console.error('Failed to save learned effectiveness:', error));
+    }
+  }
+  
+  generateExerciseFeedback(exercise) {
+    const { name, completed, beforeRating, afterRating, responses } = exercise;
+    const parts = [];
+    
+    if (completed) {
+      parts.push(`Well done for working through ${name}.`);
+    } else {
+      parts.push(`Thanks for giving ${name} a try. Stopping partway still counts as practice.`);
+    }
+    
+    if (Number.isFinite(beforeRating) && Number.isFinite(afterRating)) {
+      const relief = beforeRating - afterRating;
+      if (relief >= 2) {
+        parts.push(`Your distress came down from ${beforeRating} to ${afterRating}. That's a real shift, and worth remembering next time things build up.`);
+      } else if (relief > 0) {
+        parts.push(`Your distress eased a little, from ${beforeRating} to ${afterRating}.`);
+      } else if (relief === 0) {
+        parts.push('Your distress stayed about the same. Not every technique helps every time, and that\'s useful to know too.');
+      } else {
+        parts.push(`It sounds like that was harder than expected, with distress going from ${beforeRating} to ${afterRating}. We can try something different.`);
+      }
+    }
+    
+    if (responses && responses.balancedThought) {
+      parts.push(`The balanced thought you came to was: "${responses.balancedThought}". Try coming back to it when the old thought shows up.`);
+    }
+    
+    return {
+      type: 'exercise-feedback',
+      interventionId: exercise.interventionId,
+      name,
+      message: parts.join(' '),
+      followUp: 'How would you like to continue?'
+    };
+  }
+  
+  // Picks a session back up after a reload, from the record the context saved
+  // when it started. Its interactions are already in sessionHistory.
+  resumeSession({ id, startTime, focusAreas, startEmotionalState }) {
+    const states = this.sessionHistory
+      .filter(interaction => interaction.sessionId === id && interaction.emotionalState)
+      .map(interaction => interaction.emotionalState);
+    const initialState = startEmotionalState || states[0] || this.currentEmotionalState;
+    
+    this.currentSession = { id, startTime: new Date(startTime), focusAreas, startEmotionalState: initialState };
+    this.emotionTracker.resumeSession([initialState, ...states]);
+    this.currentEmotionalState = this.emotionTracker.getCurrentState();
+  }
+  
+  // `endTime` lets a session abandoned long ago be closed as of when it was last used
+  async endSession({ endTime = new Date(), autoClosed = false } = {}) {
+    // Simulate API call
+    await this.simulateDelay(1000);
+    
+    // Generate session summary
+    const summary = this.generateSessionSummary(endTime);
+    this.learnFromUnratedInterventions(this.getCurrentSessionInteractions(), summary.interventionsUsed);
+    
+    // Suggest home activity
+    const homeActivity = this.suggestHomeActivity(summary);
+    
+    // Recommend next session
+    const nextSessionRecommendation = this.suggestNextSession(summary);
+    
+    const result = {
+      summary,
+      homeActivity,
+      nextSessionRecommendation
+    };
+    
+    if (this.storage && this.currentSession) {
+      await this.storage.saveSession(this.userProfile.id, {
+        id: this.currentSession.id,
+        startTime: this.currentSession.startTime,
+        endTime: summary.endTime,
+        focusAreas: this.currentSession.focusAreas,
+        ...(autoClosed ? { autoClosed } : {}),
+        ...result
+      });
+    }
+    
+    this.currentSession = null;
+    
+    return result;
+  }
+  
+  updateProfile(userProfile) {
+    this.userProfile = userProfile;
+  }
+  
+  // Helper methods
+  
+  simulateDelay(ms, signal) {
+    if (signal && signal.aborted) return Promise.reject(createAbortError());
+    if (!this.simulateLatency) return Promise.resolve();
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+  
+  getTimeGreeting() {
+    const hour = new Date().getHours();
+    
+    if (hour < 12) return "Good morning";
+    if (hour < 18) return "Good afternoon";
+    return "Good evening";
+  }
+  
+  generateGreeting() {
+    const timeGreeting = this.getTimeGreeting();
+    
+    const greetings = [
+      `${timeGreeting}, ${this.userProfile.name}. How are you feeling today?`,
+      `${timeGreeting}. I'm here to support you today. What's on your mind?`,
+      `Welcome back, ${this.userProfile.name}. How have things been since we last spoke?`
+    ];
+    
+    return greetings[Math.floor(Math.random() * greetings.length)];
+  }
+  
+  generateCheckInGreeting(checkIn) {
+    const notes = describeCheckIn(checkIn);
+    const when = new Date(checkIn.timestamp).toDateString() === new Date().toDateString() ? 'earlier today' : 'yesterday';
+    let greeting = `${this.getTimeGreeting()}, ${this.userProfile.name}. Thanks for checking in ${when}.`;
+    
+    if (notes.length > 0) {
+      const listed = notes.length > 1 ? `${notes.slice(0, -1).join(', ')} and ${notes[notes.length - 1]}` : notes[0];
+      greeting += ` You mentioned ${listed}.`;
+    }
+    return `${greeting} Has anything changed since then?`;
+  }
+  
+  describeAssignedHomework(assignedHomework) {
+    const [first] = assignedHomework;
+    if (assignedHomework.length === 1) {
+      return `${first.therapistName} has asked you to work on "${first.title}". We can start with that whenever you're ready.`;
+    }
+    return `${first.therapistName} has set ${assignedHomework.length} activities for you to work on. They're listed below, and we can start with any of them.`;
+  }
+  
+  askAboutAssignments(assignments) {
+    const [first] = assignments;
+    if (assignments.length > 1) {
+      return `How has your home practice been going? You have ${assignments.length} activities on the go, including "${first.title}".`;
+    }
+    
+    const done = first.completions ? first.completions.length : 0;
+    const progress = done > 0 ? ` You've marked it done ${done === 1 ? 'once' : `${done} times`} so far.` : '';
+    if (first.source === 'therapist') {
+      return `How have you been getting on with "${first.title}" from ${first.assignedBy || 'your therapist'}?${progress}`;
+    }
+    return `Last time we agreed you'd try "${first.title}" between sessions. How has that been going?${progress}`;
+  }
+  
+  toHomeworkSuggestion(item) {
+    const activity = item.interventionId ? this.resourceManager.getActivity(item.interventionId) : null;
+    return {
+      type: 'homework',
+      id: item.id,
+      name: item.title,
+      duration: activity ? activity.duration : null,
+      instructions: item.instructions,
+      interventionId: item.interventionId,
+      assignedBy: item.therapistName
+    };
+  }
+  
+  generateSuggestedActivities(focusAreas) {
     const activityMap = {
       'anxiety-management': [
         { type: 'exercise', name: 'Progressive Muscle Relaxation', duration: '10 min' },
@@ -857,84 +5380,6004 @@ class TherapyCompanionAgent {
         { type: 'exercise', name: 'Gratitude Journal', duration: '5 min' },
         { type: 'technique', name: 'Positive Memory Recall', duration: '10 min' }
       ],
-      'stress-reduction': [
-        { type: 'meditation', name: 'Body Scan for Stress', duration: '12 min' },
-        { type: 'technique', name: 'Stress Inventory Assessment', duration: '10 min' }
+      'stress-reduction': [
+        { type: 'meditation', name: 'Body Scan for Stress', duration: '12 min' },
+        { type: 'technique', name: 'Stress Inventory Assessment', duration: '10 min' }
+      ],
+      'relationship-skills': [
+        { type: 'exercise', name: 'Active Listening Practice', duration: '10 min' },
+        { type: 'technique', name: 'Boundary Setting Script', duration: '15 min' }
+      ]
+    };
+    
+    const activities = [];
+    focusAreas.forEach(area => {
+      if (activityMap[area]) {
+        activities.push(...activityMap[area]);
+      }
+    });
+    
+    // Ones with a guided version can be started right from the suggestion
+    return activities
+      .slice(0, 3) // Limit to 3 activities
+      .map(activity => ({ ...activity, ...findExercise(activity.name) }));
+  }
+  
+  checkForSafetyConcerns(input, analysis, screeningSignals = []) {
+    return this.safetyModule.evaluate(input, {
+      emotionalState: this.currentEmotionalState,
+      analysis,
+      screeningSignals
+    });
+  }
+  
+  generateSafetyResponse(safetyCheck) {
+    const directory = getCrisisResources(this.userProfile.locale);
+    const emergencyResources = directory.resources;
+    const resourceDirectory = {
+      version: directory.version,
+      region: directory.regionName,
+      isFallback: directory.isFallback
+    };
+    // The user's own plan comes before the generic hotlines
+    const safetyPlan = hasSafetyPlan(this.userProfile.safetyPlan) ? this.userProfile.safetyPlan : null;
+    
+    if (safetyCheck.severity === 'emergency') {
+      return {
+        type: 'emergency',
+        severity: safetyCheck.severity,
+        riskType: safetyCheck.riskType,
+        message: "I'm concerned about what you've shared. It sounds like you're going through a really difficult time, and it's important that you talk to a qualified professional right away.",
+        safetyPlan,
+        resources: emergencyResources,
+        resourceDirectory,
+        explanation: safetyCheck.explanation,
+        instructions: safetyPlan
+          ? "Please use your safety plan now and reach out to someone on it. If you can't reach anyone, or you're in danger, contact one of these resources immediately. They're available 24/7 and are trained to help with exactly what you're experiencing."
+          : "Please reach out to one of these resources immediately. They're available 24/7 and are trained to help with exactly what you're experiencing."
+      };
+    } else {
+      return {
+        type: 'resource',
+        severity: safetyCheck.severity,
+        riskType: safetyCheck.riskType,
+        message: "I'm concerned about what you've shared. While we can continue our conversation, I also want to make sure you have access to additional support if needed.",
+        safetyPlan,
+        resources: emergencyResources,
+        resourceDirectory,
+        explanation: safetyCheck.explanation,
+        continuePrompt: "Would you like to continue our conversation or would it be helpful to discuss strategies for managing these difficult feelings?"
+      };
+    }
+  }
+  
+  // Writes the audit record for a safety response and, with the user's
+  // consent, starts notifying the people they chose. The response gets the
+  // event's id so the user's acknowledgement can be recorded against it.
+  // Failures are logged, never thrown: they mustn't hold back the crisis resources.
+  async logSafetyEvent(safetyCheck, response, source) {
+    const event = createSafetyEvent({
+      id: this.createId(),
+      safetyCheck,
+      response,
+      source,
+      sessionId: this.currentSession ? this.currentSession.id : null
+    });
+    response.safetyEventId = event.id;
+    this.safetyEvents.push(event);
+    
+    try {
+      if (this.storage) await this.storage.appendSafetyEvent(this.userProfile.id, event);
+    } catch (error) {
+      console.error('Failed to log safety event:', error);
+    }
+    
+    if (this.escalation) this.notifyContacts(event);
+    return event;
+  }
+  
+  // Sending can be slow, so it isn't awaited by the safety response. Events
+  // are handled one at a time so rate limits and de-duplication see earlier
+  // deliveries; the outcome is stored on the event as `escalation`.
+  notifyContacts(event) {
+    const run = this.escalationQueue
+      .then(async () => {
+        const logged = this.storage ? await this.storage.getSafetyEvents(this.userProfile.id) : this.safetyEvents;
+        const previous = logged.filter(entry => entry.id !== event.id);
+        event.escalation = await this.escalation.escalate(event, previous, {
+          settings: this.userProfile.escalation,
+          userName: this.userProfile.name
+        });
+        if (this.storage) await this.storage.updateSafetyEvent(this.userProfile.id, event.id, { escalation: event.escalation });
+        return event.escalation;
+      })
+      .catch(error => {
+        console.error('Failed to notify contacts:', error);
+        return event.escalation || null;
+      })
+      .finally(() => this.pendingEscalations.delete(event.id));
+    
+    this.pendingEscalations.set(event.id, run);
+    this.escalationQueue = run;
+    return run;
+  }
+  
+  // The escalation outcome for a safety event, once sending has finished;
+  // null when nobody was to be notified or the event is unknown
+  async getEscalation(eventId) {
+    if (this.pendingEscalations.has(eventId)) return this.pendingEscalations.get(eventId);
+    const events = this.storage ? await this.storage.getSafetyEvents(this.userProfile.id) : this.safetyEvents;
+    const event = events.find(entry => entry.id === eventId);
+    return (event && event.escalation) || null;
+  }
+  
+  // Records that the user acknowledged the alert for a safety event. Only the
+  // first acknowledgement counts; returns null for an unknown event.
+  async acknowledgeSafetyEvent(eventId, now = new Date()) {
+    const local = this.safetyEvents.find(event => event.id === eventId);
+    if (!this.storage) {
+      if (local && !local.acknowledgedAt) local.acknowledgedAt = now;
+      return local || null;
+    }
+    
+    const stored = (await this.storage.getSafetyEvents(this.userProfile.id)).find(event => event.id === eventId);
+    if (!stored) return null;
+    if (stored.acknowledgedAt) return stored;
+    
+    if (local) local.acknowledgedAt = now;
+    return this.storage.updateSafetyEvent(this.userProfile.id, eventId, { acknowledgedAt: now });
+  }
+  
+  analyzeInput(input) {
+    const analysis = this.nlpProcessor.analyze(input);
+    
+    // Flag themes that match stressors the user has already told us about
+    const stressors = (this.userProfile.currentStressors || []).map(s => s.toLowerCase());
+    analysis.relatedStressors = analysis.themes.filter(theme => stressors.includes(theme));
+    
+    return analysis;
+  }
+  
+  updateEmotionalState(analysis) {
+    this.currentEmotionalState = this.emotionTracker.update(analysis);
+    return this.currentEmotionalState;
+  }
+  
+  // Risk language moves the state directly. Distress concerns are skipped
+  // because they were read from the state in the first place.
+  applySafetyConcern(safetyCheck) {
+    if (safetyCheck.riskType === 'distress') return this.currentEmotionalState;
+    this.currentEmotionalState = this.emotionTracker.applySafetyConcern(safetyCheck.severity);
+    return this.currentEmotionalState;
+  }
+  
+  generateResponse(analysis, safetyCheck = {}) {
+    // Avoid offering the same technique again straight away
+    const recentInterventions = this.getCurrentSessionInteractions()
+      .map(interaction => interaction.agentResponse && interaction.agentResponse.interventionId)
+      .filter(Boolean)
+      .slice(-3);
+    
+    // Moderate distress: acknowledge it and steer towards grounding, without escalating
+    const isSupportive = safetyCheck.severity === 'supportive';
+    
+    const response = this.interventionEngine.selectIntervention(analysis, {
+      userProfile: this.userProfile,
+      emotionalState: this.currentEmotionalState,
+      recentInterventions,
+      need: isSupportive ? 'distress' : undefined
+    });
+    
+    if (isSupportive) {
+      response.introduction = `It sounds like things feel really heavy right now, and I'm glad you're talking about it. ${response.introduction}`;
+      response.safety = {
+        severity: safetyCheck.severity,
+        explanation: safetyCheck.explanation
+      };
+    }
+    
+    // Lets the user's "did this help?" answer find its way back to this intervention
+    if (response.type === 'intervention') {
+      response.deliveryId = this.createId();
+    }
+    
+    return response;
+  }
+  
+  // `extra` adds fields to the stored interaction, e.g. an exercise result
+  recordInteraction(input, response, analysis, extra = {}) {
+    const interaction = {
+      sessionId: this.currentSession ? this.currentSession.id : null,
+      timestamp: new Date(),
+      userInput: input,
+      agentResponse: response,
+      emotionalState: { ...this.currentEmotionalState },
+      focusArea: this.currentSession ? this.currentSession.focusAreas[0] : null,
+      analysis: summarizeAnalysis(analysis),
+      ...extra
+    };
+    
+    this.sessionHistory.push(interaction);
+    
+    if (this.storage) {
+      this.storage.appendInteraction(this.userProfile.id, interaction)
+        .catch(error => console.error('Failed to save interaction:', error));
+    }
+    
+    return interaction;
+  }
+  
+  // Records a mood check-in made outside a session (see MoodCheckIn) and
+  // starts from it from now on
+  async recordCheckIn(values) {
+    const errors = validateCheckIn(values);
+    if (errors.length > 0) throw new Error(`Invalid check-in: ${errors.join('; ')}`);
+    
+    const interaction = createCheckIn(values);
+    this.sessionHistory.push(interaction);
+    // A session in progress keeps its own emotional journey
+    if (!this.currentSession) this.currentEmotionalState = { ...interaction.emotionalState };
+    
+    if (this.storage) await this.storage.appendInteraction(this.userProfile.id, interaction);
+    return interaction;
+  }
+  
+  // Scores a completed questionnaire (see Questionnaires) and saves the result.
+  // Answers that point to risk get the same safety response a message would;
+  // `safetyResponse` is null otherwise.
+  async submitQuestionnaire(instrumentId, answers) {
+    const result = scoreQuestionnaire(instrumentId, answers);
+    result.sessionId = this.currentSession ? this.currentSession.id : null;
+    
+    const screeningSignals = getScreeningSignals(result);
+    let safetyResponse = null;
+    if (screeningSignals.length > 0) {
+      const safetyCheck = this.checkForSafetyConcerns('', null, screeningSignals);
+      if (safetyCheck.concernDetected) {
+        safetyResponse = {
+          ...this.generateSafetyResponse(safetyCheck),
+          message: "Thank you for answering that question honestly. You said you've had thoughts that you'd be better off dead or of hurting yourself, and that matters. Please don't carry this alone: talking to someone trained to help can make a real difference."
+        };
+        result.safety = { severity: safetyCheck.severity, riskType: safetyCheck.riskType };
+        await this.logSafetyEvent(safetyCheck, safetyResponse, 'questionnaire');
+      }
+    }
+    
+    if (this.storage) await this.storage.appendQuestionnaireResult(this.userProfile.id, result);
+    return { result, safetyResponse };
+  }
+  
+  getCurrentSessionInteractions() {
+    if (!this.currentSession) return [];
+    
+    const { id } = this.currentSession;
+    return this.sessionHistory.filter(interaction => interaction.sessionId === id);
+  }
+  
+  generateSessionSummary(endTime = new Date()) {
+    const interactions = this.getCurrentSessionInteractions();
+    const emotionalJourney = this.emotionTracker.analyzeTrend();
+    const interventionsUsed = this.getInterventionOutcomes(interactions);
+    const exercises = this.getExerciseResults(interactions);
+    const safetyConcerns = this.getSafetyConcerns(interactions);
+    
+    return {
+      startTime: this.currentSession ? this.currentSession.startTime : null,
+      endTime,
+      interactionCount: interactions.length,
+      mainThemes: this.getMainThemes(interactions),
+      keyInsights: this.generateKeyInsights(interactions, emotionalJourney, interventionsUsed, exercises, safetyConcerns),
+      emotionalJourney,
+      primaryNeed: this.getPrimaryNeed(interactions),
+      interventionsUsed,
+      exercises,
+      safetyConcerns
+    };
+  }
+  
+  // Safety responses given during the session, with the most serious severity,
+  // or null if there were none
+  getSafetyConcerns(interactions) {
+    const sessionId = this.currentSession ? this.currentSession.id : null;
+    const ids = new Set();
+    const severities = [];
+    const riskTypes = new Set();
+    
+    // Questionnaire concerns aren't recorded as interactions, so they come from
+    // the event log; interactions cover events logged before a reload
+    this.safetyEvents
+      .filter(event => sessionId && event.sessionId === sessionId)
+      .forEach(event => {
+        ids.add(event.id);
+        severities.push(event.severity);
+        riskTypes.add(event.riskType);
+      });
+    interactions.forEach(interaction => {
+      const response = interaction.agentResponse;
+      if (!response || !response.safetyEventId || ids.has(response.safetyEventId)) return;
+      ids.add(response.safetyEventId);
+      severities.push(response.severity);
+      riskTypes.add(response.riskType);
+    });
+    
+    if (ids.size === 0) return null;
+    return {
+      count: ids.size,
+      severity: severities.includes('emergency') ? 'emergency' : 'warning',
+      riskTypes: [...riskTypes]
+    };
+  }
+  
+  getMainThemes(interactions) {
+    const counts = {};
+    interactions.forEach(interaction => {
+      const themes = interaction.analysis ? interaction.analysis.themes : [];
+      themes.forEach(theme => {
+        counts[theme] = (counts[theme] || 0) + 1;
+      });
+    });
+    
+    const themes = Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a])
+      .slice(0, 3);
+    
+    // Nothing specific came up, so fall back to what the session was meant to focus on
+    const source = themes.length > 0
+      ? themes
+      : (this.currentSession ? this.currentSession.focusAreas : []);
+    
+    return source.map(theme => this.formatLabel(theme));
+  }
+  
+  getPrimaryNeed(interactions) {
+    const counts = {};
+    interactions.forEach(interaction => {
+      const response = interaction.agentResponse;
+      const need = response && response.type === 'intervention' && response.need;
+      if (need) counts[need] = (counts[need] || 0) + 1;
+    });
+    
+    const needs = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return needs[0] || null;
+  }
+  
+  // For each intervention offered, compares wellbeing when it was offered
+  // with wellbeing at the user's next message
+  getInterventionOutcomes(interactions) {
+    return interactions
+      .map((interaction, i) => {
+        const response = interaction.agentResponse;
+        if (!response || response.type !== 'intervention') return null;
+        
+        const next = interactions[i + 1];
+        const change = next
+          ? Math.round((getWellbeingScore(next.emotionalState) - getWellbeingScore(interaction.emotionalState)) * 10) / 10
+          : null;
+        
+        return {
+          interventionId: response.interventionId,
+          category: response.category,
+          name: response.name,
+          change
+        };
+      })
+      .filter(Boolean);
+  }
+  
+  getExerciseResults(interactions) {
+    return interactions
+      .filter(interaction => interaction.exercise)
+      .map(({ exercise }) => ({
+        interventionId: exercise.interventionId,
+        name: exercise.name,
+        completed: exercise.completed,
+        beforeRating: exercise.beforeRating,
+        afterRating: exercise.afterRating
+      }));
+  }
+  
+  generateKeyInsights(interactions, emotionalJourney, interventionsUsed, exercises = [], safetyConcerns = null) {
+    // Acknowledged first, and never outweighed by a mood that seemed to lift
+    const safetyInsight = 'You shared some very painful thoughts today, and telling someone took courage. Your safety plan and the crisis resources are there whenever you need them, day or night.';
+    
+    if (interactions.length === 0) {
+      return safetyConcerns
+        ? [safetyInsight]
+        : ['This was a brief check-in. Making time to show up for yourself still counts.'];
+    }
+    
+    const insights = [];
+    
+    if (safetyConcerns) {
+      insights.push(safetyInsight);
+    } else if (emotionalJourney.trend === 'improving') {
+      insights.push('Your overall sense of wellbeing improved over the course of this session.');
+    } else if (emotionalJourney.trend === 'declining') {
+      insights.push('This session brought up some difficult feelings. Be gentle with yourself for the rest of the day.');
+    } else {
+      insights.push('Your emotional state stayed fairly steady during this session.');
+    }
+    
+    // Call out the dimension that moved the most
+    const changes = Object.keys(emotionalJourney.dimensions)
+      .filter(dimension => dimension !== 'overall')
+      .map(dimension => ({ dimension, ...emotionalJourney.dimensions[dimension] }))
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    const biggest = changes[0];
+    if (biggest && Math.abs(biggest.change) >= 1) {
+      const direction = biggest.change > 0 ? 'rose' : 'eased';
+      insights.push(`${this.formatLabel(biggest.dimension)} ${direction} from about ${biggest.start} to ${biggest.end} out of 10.`);
+    }
+    
+    // The user's own ratings say more than the inferred mood change
+    const rated = exercises
+      .filter(exercise => Number.isFinite(exercise.beforeRating) && Number.isFinite(exercise.afterRating))
+      .sort((a, b) => (b.beforeRating - b.afterRating) - (a.beforeRating - a.afterRating));
+    const helpful = interventionsUsed.filter(outcome => outcome.change !== null && outcome.change > 0);
+    
+    if (rated.length > 0 && rated[0].beforeRating > rated[0].afterRating) {
+      insights.push(`${rated[0].name} brought your distress down from ${rated[0].beforeRating} to ${rated[0].afterRating}.`);
+    } else if (helpful.length > 0) {
+      const best = helpful.sort((a, b) => b.change - a.change)[0];
+      insights.push(`${best.name} seemed to help. Your mood lifted after trying it.`);
+    } else if (interventionsUsed.length > 0) {
+      const names = [...new Set(interventionsUsed.map(outcome => outcome.name))];
+      insights.push(`You explored ${names.join(' and ')}. Skills like these get easier with practice.`);
+    }
+    
+    const stressors = {};
+    interactions.forEach(interaction => {
+      const related = interaction.analysis ? interaction.analysis.relatedStressors : [];
+      related.forEach(stressor => {
+        stressors[stressor] = (stressors[stressor] || 0) + 1;
+      });
+    });
+    const topStressor = Object.keys(stressors).sort((a, b) => stressors[b] - stressors[a])[0];
+    if (topStressor) {
+      insights.push(`${this.formatLabel(topStressor)} came up as a source of stress, as it has before.`);
+    }
+    
+    return insights;
+  }
+  
+  suggestHomeActivity(summary) {
+    return this.resourceManager.suggestHomeActivity({
+      userProfile: this.userProfile,
+      primaryNeed: summary.primaryNeed,
+      interventionsUsed: summary.interventionsUsed
+    });
+  }
+  
+  suggestNextSession(summary) {
+    const frequency = parseInt(this.userProfile.sessionFrequency, 10) || 7;
+    const endState = summary.emotionalJourney.endState || this.currentEmotionalState;
+    
+    // Check in sooner if things got harder or the user is leaving in a lot of distress.
+    // After a safety concern, check in the next day whatever the mood did.
+    const safetyFollowUp = Boolean(summary.safetyConcerns);
+    const needsEarlierCheckIn = summary.emotionalJourney.trend === 'declining'
+      || endState.anxiety >= 7
+      || endState.depression >= 7;
+    let days = frequency;
+    if (safetyFollowUp) {
+      days = 1;
+    } else if (needsEarlierCheckIn) {
+      days = Math.min(frequency, 2);
+    }
+    
+    const recommendedDate = new Date();
+    recommendedDate.setDate(recommendedDate.getDate() + days);
+    
+    let recommendedFocus;
+    if (safetyFollowUp) {
+      recommendedFocus = 'Check in on how you are doing and review your safety plan';
+    } else if (summary.interactionCount > 0 && summary.mainThemes.length > 0) {
+      recommendedFocus = `Continue exploring ${summary.mainThemes[0].toLowerCase()}`;
+    } else if (this.userProfile.therapeuticGoals.length > 0) {
+      recommendedFocus = this.formatLabel(this.userProfile.therapeuticGoals[0]);
+    } else {
+      recommendedFocus = 'General check-in';
+    }
+    
+    let reason = `Based on your preferred session frequency of every ${frequency} days.`;
+    if (safetyFollowUp) {
+      // Distress warnings come from very high anxiety or low mood, not from anything the user said about harm
+      const harmShared = summary.safetyConcerns.riskTypes.some(riskType => riskType !== 'distress');
+      reason = harmShared
+        ? 'A check-in tomorrow is suggested because you shared thoughts of harming yourself in this session.'
+        : 'A check-in tomorrow is suggested because you were in a lot of distress during this session.';
+    } else if (needsEarlierCheckIn) {
+      reason = 'An earlier check-in is suggested because this session was a difficult one.';
+    }
+    
+    return {
+      recommendedDate,
+      recommendedFocus,
+      reason,
+      safetyFollowUp
+    };
+  }
+  
+  formatLabel(value) {
+    const text = value.replace(/-/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+export default TherapyCompanionAgent;
+
+// File: src/services/NLPProcessor.js
+// Lexicon- and rule-based language analysis that runs entirely in the browser.
+// Nothing here calls out to a network service, so user messages never leave the device.
+
+const SENTIMENT_LEXICON = {
+  // Negative
+  'sad': -2, 'unhappy': -2, 'miserable': -3, 'awful': -3, 'terrible': -3, 'horrible': -3,
+  'bad': -2, 'worse': -2, 'worst': -3, 'hate': -3, 'hopeless': -3, 'worthless': -3,
+  'lonely': -2, 'alone': -1, 'tired': -1, 'exhausted': -2, 'drained': -2, 'stressed': -2,
+  'anxious': -2, 'worried': -2, 'scared': -2, 'afraid': -2, 'nervous': -2, 'panic': -3,
+  'angry': -2, 'furious': -3, 'annoyed': -1, 'frustrated': -2, 'upset': -2, 'hurt': -2,
+  'overwhelmed': -2, 'stuck': -1, 'empty': -2, 'numb': -2, 'guilty': -2, 'ashamed': -2,
+  'failure': -2, 'failed': -2, 'cry': -2, 'crying': -2, 'struggling': -2, 'difficult': -1,
+  'hard': -1, 'problem': -1, 'pain': -2, 'broken': -2, 'lost': -1, 'useless': -3,
+  // Positive
+  'happy': 2, 'glad': 2, 'good': 2, 'great': 3, 'better': 2, 'best': 3, 'calm': 2,
+  'relaxed': 2, 'peaceful': 2, 'hopeful': 2, 'proud': 2, 'excited': 2, 'grateful': 2,
+  'thankful': 2, 'love': 2, 'enjoy': 2, 'enjoyed': 2, 'fine': 1, 'okay': 1, 'ok': 1,
+  'helpful': 2, 'helped': 2, 'improving': 2, 'improved': 2, 'confident': 2, 'safe': 1,
+  'rested': 2, 'motivated': 2, 'accomplished': 2, 'content': 1, 'wonderful': 3, 'amazing': 3,
+  'calmer': 2, 'relieved': 2
+};
+
+const NEGATIONS = [
+  'not', 'no', 'never', 'none', 'nothing', 'nobody', 'neither', 'nor', 'without',
+  "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't", "weren't", "can't",
+  "cannot", "couldn't", "won't", "wouldn't", "haven't", "hasn't", "shouldn't", "ain't"
+];
+
+const INTENSIFIERS = {
+  'very': 1.5, 'really': 1.5, 'so': 1.4, 'extremely': 2, 'incredibly': 2, 'totally': 1.5,
+  'completely': 1.8, 'super': 1.5, 'too': 1.3, 'quite': 1.2,
+  'slightly': 0.5, 'somewhat': 0.6, 'bit': 0.6, 'little': 0.6, 'kinda': 0.7, 'kind': 0.7
+};
+
+// How many tokens back a negation or intensifier still applies
+const MODIFIER_WINDOW = 3;
+
+const EMOTION_LEXICON = {
+  anxiety: [
+    'anxious', 'anxiety', 'worried', 'worry', 'worrying', 'nervous', 'panic', 'panicking',
+    'scared', 'afraid', 'fear', 'tense', 'restless', 'uneasy', 'overthinking', 'dread',
+    'on edge', 'freaking out', 'racing thoughts', 'heart racing', "can't relax", 'stressed', 'overwhelmed'
+  ],
+  depression: [
+    'sad', 'depressed', 'down', 'hopeless', 'empty', 'numb', 'worthless', 'unmotivated',
+    'lonely', 'tired', 'exhausted', 'crying', 'cry', 'miserable', 'pointless', 'drained',
+    'no energy', "can't get out of bed", 'no motivation', 'give up', 'giving up', 'guilty'
+  ],
+  anger: [
+    'angry', 'mad', 'furious', 'annoyed', 'irritated', 'frustrated', 'resentful', 'rage',
+    'livid', 'pissed', 'fed up', 'hate', 'unfair', 'sick of'
+  ],
+  joy: [
+    'happy', 'glad', 'joy', 'excited', 'grateful', 'thankful', 'proud', 'calm', 'relaxed',
+    'peaceful', 'hopeful', 'content', 'good', 'great', 'better', 'enjoy', 'enjoyed', 'love',
+    'calmer', 'relieved'
+  ]
+};
+
+const THEME_KEYWORDS = {
+  work: ['work', 'job', 'boss', 'manager', 'coworker', 'coworkers', 'colleague', 'colleagues', 'office', 'deadline', 'deadlines', 'career', 'meeting', 'shift'],
+  relationships: ['partner', 'boyfriend', 'girlfriend', 'husband', 'wife', 'relationship', 'dating', 'breakup', 'divorce', 'friend', 'friends', 'argument', 'fight'],
+  family: ['family', 'mom', 'dad', 'mother', 'father', 'parents', 'sister', 'brother', 'kids', 'children', 'son', 'daughter'],
+  sleep: ['sleep', 'sleeping', 'insomnia', 'awake', 'nightmare', 'nightmares', 'tired', 'bed', 'rest'],
+  health: ['health', 'sick', 'illness', 'doctor', 'pain', 'diagnosis', 'hospital', 'medication', 'body'],
+  school: ['school', 'exam', 'exams', 'class', 'classes', 'homework', 'teacher', 'grades', 'college', 'university', 'study'],
+  finances: ['money', 'bills', 'rent', 'debt', 'finances', 'financial', 'pay', 'afford', 'loan'],
+  'self-esteem': ['worthless', 'failure', 'ugly', 'stupid', 'confidence', 'confident', 'myself', 'not good enough'],
+  loneliness: ['lonely', 'alone', 'isolated', 'nobody', 'no one', 'miss']
+};
+
+// Patterns for explicit asks. Types line up with the intervention ids the agent selects from.
+const REQUEST_PATTERNS = [
+  { type: 'breathing-exercise', patterns: [/\bbreath(e|ing)?\b/, /\bcalm (me )?down\b/] },
+  { type: 'grounding', patterns: [/\bground(ing)?\b/, /\b5[- ]4[- ]3[- ]2[- ]1\b/, /\bpresent moment\b/] },
+  { type: 'cognitive-reframing', patterns: [/\breframe\b/, /\b(look|see) (at )?(it|this|things) differently\b/, /\bchallenge (my|these|those) thoughts?\b/] },
+  { type: 'thought-record', patterns: [/\bthought (record|journal|diary)\b/, /\bwrite (it|things|my thoughts) down\b/, /\bjournal(ing)?\b/] },
+  { type: 'behavioral-activation', patterns: [/\bget (myself )?(moving|going|motivated)\b/, /\bsomething to do\b/, /\bactivit(y|ies)\b/] },
+  { type: 'relaxation', patterns: [/\brelax(ation)?\b/, /\bmuscle relaxation\b/, /\bmeditat(e|ion)\b/] },
+  { type: 'advice', patterns: [/\bwhat (should|can|do) i do\b/, /\bany (advice|tips|ideas)\b/, /\bhow (do|can) i (cope|deal|handle|stop)\b/] },
+  { type: 'listen', patterns: [/\bjust (want|need) to (talk|vent)\b/, /\blisten to me\b/, /\bneed to vent\b/] }
+];
+
+// Phrasings that make a match a request rather than a passing mention
+const REQUEST_CUES = /\b(can|could|would|will) (we|you)\b|\b(let's|lets)\b|\bi('d| would) like\b|\bi (want|need)\b|\bhelp me\b|\bshow me\b|\bteach me\b|\bhow (do|can) i\b|\bwhat (should|can|do) i\b|\bany (advice|tips|ideas)\b|\bjust (want|need)\b|\bneed to vent\b/;
+
+class NLPProcessor {
+  analyze(text) {
+    const normalized = this.normalize(text);
+    const tokens = this.tokenize(normalized);
+    
+    const sentiment = this.analyzeSentiment(tokens);
+    const emotions = this.detectEmotions(tokens);
+    const themes = this.extractThemes(tokens);
+    const requests = this.detectRequests(normalized);
+    
+    return {
+      text,
+      tokens,
+      wordCount: tokens.length,
+      isQuestion: /\?\s*$/.test(text.trim()),
+      sentiment,
+      emotions,
+      dominantEmotion: this.getDominantEmotion(emotions),
+      themes,
+      requests,
+      timestamp: new Date()
+    };
+  }
+  
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  tokenize(normalized) {
+    return normalized.match(/[a-z0-9]+(?:'[a-z]+)?/g) || [];
+  }
+  
+  // Returns true when one of the MODIFIER_WINDOW tokens before `index` is a negation
+  isNegated(tokens, index) {
+    const start = Math.max(0, index - MODIFIER_WINDOW);
+    return tokens.slice(start, index).some(token => NEGATIONS.includes(token));
+  }
+  
+  getIntensity(tokens, index) {
+    const previous = tokens[index - 1];
+    return INTENSIFIERS[previous] || 1;
+  }
+  
+  analyzeSentiment(tokens) {
+    let total = 0;
+    const positiveWords = [];
+    const negativeWords = [];
+    
+    tokens.forEach((token, index) => {
+      const base = SENTIMENT_LEXICON[token];
+      if (base === undefined) return;
+      
+      let value = base * this.getIntensity(tokens, index);
+      // A negated word flips, but "not happy" is milder than "sad"
+      if (this.isNegated(tokens, index)) {
+        value = -value * 0.5;
+      }
+      
+      total += value;
+      if (value > 0) positiveWords.push(token);
+      if (value < 0) negativeWords.push(token);
+    });
+    
+    // Squash into -1..1 so long messages don't dominate
+    const score = total === 0 ? 0 : total / Math.sqrt(total * total + 15);
+    
+    let label = 'neutral';
+    if (score >= 0.2) label = 'positive';
+    if (score <= -0.2) label = 'negative';
+    
+    return {
+      score: Math.round(score * 100) / 100,
+      label,
+      positiveWords,
+      negativeWords
+    };
+  }
+  
+  // Finds lexicon entries (single words or phrases) in the token list,
+  // returning the index of the first token of each non-negated match
+  findMatches(tokens, entries) {
+    const matches = [];
+    
+    entries.forEach(entry => {
+      const parts = entry.split(' ');
+      for (let i = 0; i <= tokens.length - parts.length; i++) {
+        const matched = parts.every((part, offset) => tokens[i + offset] === part);
+        // Phrases like "can't relax" carry their own negation, so only check single words
+        if (matched && (parts.length > 1 || !this.isNegated(tokens, i))) {
+          matches.push({ entry, index: i });
+        }
+      }
+    });
+    
+    return matches;
+  }
+  
+  detectEmotions(tokens) {
+    const emotions = {};
+    
+    Object.keys(EMOTION_LEXICON).forEach(emotion => {
+      const matches = this.findMatches(tokens, EMOTION_LEXICON[emotion]);
+      const weight = matches.reduce(
+        (sum, match) => sum + this.getIntensity(tokens, match.index),
+        0
+      );
+      
+      // 0..1 intensity; three strong signals is about as high as a single message goes
+      emotions[emotion] = Math.min(1, Math.round((weight / 3) * 100) / 100);
+    });
+    
+    return emotions;
+  }
+  
+  getDominantEmotion(emotions) {
+    let dominant = null;
+    let highest = 0;
+    
+    Object.keys(emotions).forEach(emotion => {
+      if (emotions[emotion] > highest) {
+        highest = emotions[emotion];
+        dominant = emotion;
+      }
+    });
+    
+    return dominant;
+  }
+  
+  extractThemes(tokens) {
+    const scored = Object.keys(THEME_KEYWORDS)
+      .map(theme => {
+        const parts = THEME_KEYWORDS[theme];
+        // Themes don't care about negation: "I can't sleep" is still about sleep
+        const count = parts.reduce((sum, keyword) => {
+          const words = keyword.split(' ');
+          let hits = 0;
+          for (let i = 0; i <= tokens.length - words.length; i++) {
+            if (words.every((word, offset) => tokens[i + offset] === word)) hits++;
+          }
+          return sum + hits;
+        }, 0);
+        return { theme, count };
+      })
+      .filter(item => item.count > 0)
+      .sort((a, b) => b.count - a.count);
+    
+    return scored.map(item => item.theme);
+  }
+  
+  detectRequests(normalized) {
+    const hasCue = REQUEST_CUES.test(normalized) || /\?\s*$/.test(normalized);
+    if (!hasCue) return [];
+    
+    return REQUEST_PATTERNS
+      .filter(({ patterns }) => patterns.some(pattern => pattern.test(normalized)))
+      .map(({ type }) => ({ type }));
+  }
+}
+
+// Raw tokens are only needed while analysing, so stored, exported and served
+// interactions keep the rest of the analysis without them
+export const summarizeAnalysis = (analysis) => {
+  if (!analysis) return analysis;
+  const { tokens, ...summary } = analysis;
+  return summary;
+};
+
+export default NLPProcessor;
+
+// File: src/services/InterventionEngine.js
+// Library of CBT/DBT techniques and the logic for choosing one for the current turn.
+// Categories double as the keys of userProfile.interventionEffectiveness.
+
+import { getEffectiveness } from './EffectivenessLearner';
+
+export const INTERVENTION_LIBRARY = [
+  {
+    id: 'box-breathing',
+    category: 'breathing-exercise',
+    name: 'Box Breathing',
+    activityType: 'exercise',
+    duration: '5 min',
+    introduction: "Let's slow things down with box breathing. It gives your nervous system a steady rhythm to follow.",
+    steps: [
+      'Sit upright and let your shoulders drop.',
+      'Breathe in through your nose for a count of 4.',
+      'Hold your breath for a count of 4.',
+      'Breathe out slowly through your mouth for a count of 4.',
+      'Hold again for a count of 4, then repeat for 4 or 5 rounds.'
+    ],
+    exercise: {
+      type: 'breathing',
+      rounds: 4,
+      phases: [
+        { label: 'Breathe in', seconds: 4, size: 'large' },
+        { label: 'Hold', seconds: 4, size: 'large' },
+        { label: 'Breathe out', seconds: 4, size: 'small' },
+        { label: 'Hold', seconds: 4, size: 'small' }
+      ]
+    },
+    followUp: 'How does your body feel now compared to a few minutes ago?'
+  },
+  {
+    id: 'extended-exhale',
+    category: 'breathing-exercise',
+    name: 'Extended Exhale Breathing',
+    activityType: 'meditation',
+    duration: '5 min',
+    introduction: 'A longer out-breath than in-breath signals safety to your body. Let\'s try it together.',
+    steps: [
+      'Rest one hand on your belly.',
+      'Breathe in gently through your nose for a count of 4.',
+      'Breathe out through pursed lips for a count of 6 to 8.',
+      'Keep going for about ten breaths, letting the exhale get a little slower each time.'
+    ],
+    exercise: {
+      type: 'breathing',
+      rounds: 10,
+      phases: [
+        { label: 'Breathe in', seconds: 4, size: 'large' },
+        { label: 'Breathe out slowly', seconds: 7, size: 'small' }
+      ]
+    },
+    followUp: 'What did you notice as your breathing slowed down?'
+  },
+  {
+    id: 'grounding-54321',
+    category: 'grounding',
+    name: '5-4-3-2-1 Grounding Exercise',
+    activityType: 'exercise',
+    duration: '5 min',
+    introduction: "When thoughts are spinning, anchoring in your senses can help. Let's try the 5-4-3-2-1 exercise.",
+    steps: [
+      'Name 5 things you can see around you.',
+      'Name 4 things you can physically feel, like your feet on the floor.',
+      'Name 3 things you can hear.',
+      'Name 2 things you can smell, or two smells you like.',
+      'Name 1 thing you can taste, or one kind thing you can say to yourself.'
+    ],
+    exercise: {
+      type: 'grounding',
+      prompts: [
+        { count: 5, sense: 'see', prompt: 'Name 5 things you can see around you.' },
+        { count: 4, sense: 'feel', prompt: 'Name 4 things you can physically feel.' },
+        { count: 3, sense: 'hear', prompt: 'Name 3 things you can hear.' },
+        { count: 2, sense: 'smell', prompt: 'Name 2 things you can smell, or two smells you like.' },
+        { count: 1, sense: 'taste', prompt: 'Name 1 thing you can taste, or one kind thing you can say to yourself.' }
+      ]
+    },
+    followUp: 'How present do you feel right now, on a scale from 1 to 10?'
+  },
+  {
+    id: 'stop-skill',
+    category: 'grounding',
+    name: 'STOP Skill',
+    activityType: 'meditation',
+    duration: '5 min',
+    introduction: "This is a DBT skill for moments when emotions are running high. It's called STOP.",
+    steps: [
+      'Stop: pause whatever you are doing and stay still for a moment.',
+      'Take a step back: take one slow breath before reacting.',
+      'Observe: notice what you are feeling, thinking and what is happening around you.',
+      'Proceed mindfully: ask yourself what would help most right now, and do that.'
+    ],
+    followUp: 'What did you notice when you paused to observe?'
+  },
+  {
+    id: 'cognitive-reframing',
+    category: 'cognitive-reframing',
+    name: 'Cognitive Reframing',
+    activityType: 'journaling',
+    duration: '10 min',
+    introduction: "Sometimes the way we interpret a situation makes it feel heavier. Let's look at the thought behind what you're feeling.",
+    steps: [
+      'Write down the thought that is bothering you most right now.',
+      'Ask yourself: what evidence supports this thought, and what evidence doesn\'t?',
+      'Consider what you would say to a close friend who had this thought.',
+      'Write a more balanced version of the thought that still feels true to you.'
+    ],
+    followUp: 'How believable does the balanced thought feel compared to the original one?'
+  },
+  {
+    id: 'decatastrophizing',
+    category: 'cognitive-reframing',
+    name: 'Decatastrophizing',
+    activityType: 'journaling',
+    duration: '10 min',
+    introduction: "Our minds often jump to the worst case. Let's walk through it step by step.",
+    steps: [
+      'What is the worst thing you fear might happen?',
+      'How likely is that, realistically, on a scale from 0 to 100%?',
+      'If it did happen, how might you cope? Who or what could help?',
+      'What is the most likely outcome?'
+    ],
+    followUp: 'Looking at the most likely outcome, how does the situation feel now?'
+  },
+  {
+    id: 'thought-record',
+    category: 'thought-record',
+    name: 'Thought Record',
+    activityType: 'journaling',
+    duration: '15 min',
+    introduction: "A thought record can help untangle what happened from what your mind told you about it. Let's fill one in.",
+    steps: [
+      'Situation: where were you and what was happening?',
+      'Emotions: what did you feel, and how strong was it from 0 to 100?',
+      'Automatic thought: what went through your mind?',
+      'Evidence for and against that thought.',
+      'Balanced thought: what is a fairer way to see it? Re-rate your emotion.'
+    ],
+    exercise: { type: 'thought-record' },
+    followUp: 'Did writing it out change how strongly you feel about it?'
+  },
+  {
+    id: 'activity-scheduling',
+    category: 'behavioral-activation',
+    name: 'Activity Scheduling',
+    activityType: 'journaling',
+    duration: '10 min',
+    introduction: "When energy is low, waiting to feel motivated can keep us stuck. Let's plan one small, doable activity instead.",
+    steps: [
+      'List two or three activities that used to give you a sense of enjoyment or accomplishment.',
+      'Pick the smallest, easiest one.',
+      'Decide exactly when today or tomorrow you will do it.',
+      'Afterwards, rate how much enjoyment and accomplishment it gave you from 0 to 10.'
+    ],
+    followUp: 'Which activity did you pick, and when will you do it?'
+  },
+  {
+    id: 'mindful-walk',
+    category: 'behavioral-activation',
+    name: 'Ten-Minute Mindful Walk',
+    activityType: 'exercise',
+    duration: '10 min',
+    introduction: 'Gentle movement is one of the quickest ways to shift a low mood. How about a short walk?',
+    steps: [
+      'Step outside, or walk around your home if that is easier.',
+      'Walk at a comfortable pace and notice the feeling of each step.',
+      'Name a few things you see along the way.',
+      'When you finish, notice any change in your energy.'
+    ],
+    followUp: 'How did your energy change after moving a little?'
+  },
+  {
+    id: 'opposite-action',
+    category: 'behavioral-activation',
+    name: 'Opposite Action',
+    activityType: 'exercise',
+    duration: '5 min',
+    introduction: "This DBT skill works by acting opposite to what an emotion is urging you to do, when that urge isn't helping.",
+    steps: [
+      'Name the emotion and the urge that comes with it (for example, withdrawing or lashing out).',
+      'Ask whether acting on the urge would help in this situation.',
+      'If not, choose an action that is the opposite of the urge.',
+      'Do it fully, including your posture, voice and facial expression.'
+    ],
+    followUp: 'What opposite action could you try the next time this urge shows up?'
+  },
+  {
+    id: 'progressive-muscle-relaxation',
+    category: 'relaxation',
+    name: 'Progressive Muscle Relaxation',
+    activityType: 'exercise',
+    duration: '10 min',
+    introduction: 'Stress tends to settle in our muscles. Tensing and releasing them can help your body let go of it.',
+    steps: [
+      'Get comfortable and close your eyes if you like.',
+      'Tense the muscles in your feet for 5 seconds, then release for 10.',
+      'Move up through your calves, thighs, stomach, hands, arms and shoulders.',
+      'Finish with your face and jaw, then notice how your whole body feels.'
+    ],
+    exercise: {
+      type: 'muscle-relaxation',
+      tenseSeconds: 5,
+      releaseSeconds: 10,
+      muscleGroups: ['Feet', 'Calves', 'Thighs', 'Stomach', 'Hands', 'Arms', 'Shoulders', 'Face and jaw']
+    },
+    followUp: 'Which part of your body felt the most different after releasing?'
+  },
+  {
+    id: 'body-scan',
+    category: 'relaxation',
+    name: 'Body Scan for Stress',
+    activityType: 'meditation',
+    duration: '12 min',
+    introduction: "Let's take a few minutes to check in with your body without trying to change anything.",
+    steps: [
+      'Settle into a comfortable position and take three slow breaths.',
+      'Bring your attention to the top of your head and slowly move it downwards.',
+      'Notice any tension, warmth or discomfort without judging it.',
+      'Breathe into any tight areas and let them soften as much as they will.'
+    ],
+    followUp: 'Where did you notice the most tension?'
+  }
+];
+
+// Which categories suit each need, in rough order of preference
+const NEED_CATEGORIES = {
+  anxiety: ['breathing-exercise', 'grounding', 'relaxation', 'cognitive-reframing'],
+  'low-mood': ['behavioral-activation', 'cognitive-reframing', 'thought-record'],
+  anger: ['grounding', 'breathing-exercise', 'cognitive-reframing'],
+  distress: ['grounding', 'breathing-exercise', 'thought-record']
+};
+
+const REFLECTIONS = {
+  positive: [
+    "It's really good to hear that. What do you think helped things go well?",
+    "That sounds like a positive moment. It's worth noticing what made the difference."
+  ],
+  listen: [
+    "I'm here and I'm listening. Take your time and share whatever feels important.",
+    "Of course. This is your space, so say as much or as little as you like."
+  ],
+  explore: [
+    "Thank you for sharing that. Can you tell me a bit more about what's been going on?",
+    "I'd like to understand that better. How has it been affecting you?"
+  ]
+};
+
+export const THOUGHT_RECORD_LABELS = {
+  situation: 'Situation',
+  automaticThought: 'Automatic thought',
+  evidenceFor: 'Evidence for',
+  evidenceAgainst: 'Evidence against',
+  balancedThought: 'Balanced thought'
+};
+
+// The guided version of a library entry, for a suggestion that only has a name
+export const findExercise = (name) => {
+  const intervention = INTERVENTION_LIBRARY.find(entry => entry.name === name && entry.exercise);
+  return intervention
+    ? { interventionId: intervention.id, category: intervention.category, exercise: intervention.exercise }
+    : null;
+};
+
+// One line for the transcript standing in for a finished exercise. `result`
+// is what InteractiveExercise reports; ratings are distress from 0 to 10.
+export const describeExerciseResult = (result) => {
+  const parts = [`${result.completed ? 'Completed' : 'Stopped partway through'} ${result.name}`];
+  if (Number.isFinite(result.beforeRating) && Number.isFinite(result.afterRating)) {
+    parts.push(`distress ${result.beforeRating} → ${result.afterRating}`);
+  }
+  
+  const responses = result.responses || {};
+  const written = Object.keys(responses)
+    .filter(field => responses[field])
+    .map(field => `${THOUGHT_RECORD_LABELS[field] || field}: ${responses[field]}`);
+  
+  return [`${parts.join(', ')}.`, ...written].join('\n');
+};
+
+const DEFAULT_EFFECTIVENESS = 0.5;
+const PREFERRED_TYPE_BOOST = 1.5;
+const RECENT_PENALTY = 0.2;
+// Extra weight for categories with little feedback yet, so a technique that
+// got one bad rating early still gets another chance (see EffectivenessLearner)
+const EXPLORATION_BONUS = 0.2;
+
+const parseMinutes = (duration) => parseInt(duration, 10) || 0;
+
+class InterventionEngine {
+  constructor(library = INTERVENTION_LIBRARY, random = Math.random) {
+    this.library = library;
+    this.random = random;
+  }
+  
+  selectIntervention(analysis, { userProfile = {}, emotionalState = {}, recentInterventions = [], need: forcedNeed } = {}) {
+    const need = forcedNeed || this.identifyNeed(analysis, emotionalState);
+    
+    if (REFLECTIONS[need]) {
+      return this.buildReflection(need, analysis);
+    }
+    
+    const candidates = this.getCandidates(need);
+    const filtered = this.filterByPreferences(candidates, userProfile);
+    const chosen = this.weightedChoice(filtered, userProfile, recentInterventions);
+    
+    return this.buildResponse(chosen, need, analysis, userProfile);
+  }
+  
+  identifyNeed(analysis, emotionalState) {
+    const requested = analysis.requests.map(request => request.type);
+    
+    // An explicit ask for a technique always wins
+    const requestedCategory = requested.find(type =>
+      this.library.some(intervention => intervention.category === type)
+    );
+    if (requestedCategory) return `request:${requestedCategory}`;
+    if (requested.includes('listen')) return 'listen';
+    
+    const { dominantEmotion, sentiment } = analysis;
+    if (dominantEmotion === 'anxiety') return 'anxiety';
+    if (dominantEmotion === 'depression') return 'low-mood';
+    if (dominantEmotion === 'anger') return 'anger';
+    if (dominantEmotion === 'joy' && sentiment.label !== 'negative') return 'positive';
+    
+    if (sentiment.label === 'negative') {
+      // Without a clear emotion, lean on whichever dimension is currently highest
+      if (emotionalState.anxiety >= 7) return 'anxiety';
+      if (emotionalState.depression >= 7) return 'low-mood';
+      return 'distress';
+    }
+    
+    if (sentiment.label === 'positive') return 'positive';
+    if (requested.includes('advice')) return 'distress';
+    
+    return 'explore';
+  }
+  
+  getCandidates(need) {
+    if (need.startsWith('request:')) {
+      const category = need.slice('request:'.length);
+      return this.library.filter(intervention => intervention.category === category);
+    }
+    
+    const categories = NEED_CATEGORIES[need] || NEED_CATEGORIES.distress;
+    return this.library.filter(intervention => categories.includes(intervention.category));
+  }
+  
+  // Drops anything longer than the user's preferred duration; falls back to the
+  // unfiltered list rather than leaving nothing to offer
+  filterByPreferences(candidates, userProfile) {
+    const maxMinutes = parseMinutes(userProfile.preferredDuration);
+    if (!maxMinutes) return candidates;
+    
+    const fitting = candidates.filter(intervention => parseMinutes(intervention.duration) <= maxMinutes);
+    return fitting.length > 0 ? fitting : candidates;
+  }
+  
+  getWeight(intervention, userProfile, recentInterventions) {
+    const learned = getEffectiveness(userProfile, intervention.category);
+    const score = learned !== null ? learned : DEFAULT_EFFECTIVENESS;
+    
+    const stats = (userProfile.interventionStats || {})[intervention.category];
+    const tries = stats ? stats.count : 0;
+    
+    let weight = 0.25 + score + EXPLORATION_BONUS / Math.sqrt(1 + tries);
+    if (intervention.activityType === userProfile.preferredActivityType) {
+      weight *= PREFERRED_TYPE_BOOST;
+    }
+    if (recentInterventions.includes(intervention.id)) {
+      weight *= RECENT_PENALTY;
+    }
+    
+    return weight;
+  }
+  
+  // Weighted random pick, so effective techniques come up more often
+  // without the user getting the same one every time
+  weightedChoice(candidates, userProfile, recentInterventions) {
+    const weights = candidates.map(intervention =>
+      this.getWeight(intervention, userProfile, recentInterventions)
+    );
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    
+    let threshold = this.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      threshold -= weights[i];
+      if (threshold < 0) return candidates[i];
+    }
+    
+    return candidates[candidates.length - 1];
+  }
+  
+  buildResponse(intervention, need, analysis, userProfile) {
+    return {
+      type: 'intervention',
+      interventionId: intervention.id,
+      category: intervention.category,
+      need,
+      name: intervention.name,
+      duration: intervention.duration,
+      introduction: `${this.getAcknowledgement(analysis, userProfile)} ${intervention.introduction}`,
+      content: intervention.steps.map((step, i) => `${i + 1}. ${step}`).join('\n'),
+      steps: intervention.steps,
+      exercise: intervention.exercise || null,
+      followUp: intervention.followUp
+    };
+  }
+  
+  buildReflection(need, analysis) {
+    const options = REFLECTIONS[need];
+    const message = options[Math.floor(this.random() * options.length)];
+    const theme = analysis.themes[0];
+    
+    return {
+      type: 'reflection',
+      need,
+      message: theme && need === 'explore'
+        ? `It sounds like ${theme} is on your mind. ${message}`
+        : message
+    };
+  }
+  
+  getAcknowledgement(analysis, userProfile) {
+    const theme = (analysis.relatedStressors && analysis.relatedStressors[0]) || analysis.themes[0];
+    const name = userProfile.name ? `, ${userProfile.name}` : '';
+    
+    if (analysis.requests.length > 0 && analysis.dominantEmotion === null) {
+      return `Sure${name}.`;
+    }
+    if (theme) {
+      return `Thank you for telling me about what's happening with ${theme}${name}.`;
+    }
+    return `Thank you for sharing that${name}.`;
+  }
+}
+
+export default InterventionEngine;
+
+// File: src/services/EmotionTracker.js
+// Keeps the five emotional dimensions (1-10) in step with what the user says.
+// Each message pulls the state towards a target estimated from the NLP analysis,
+// with exponential smoothing so a single word doesn't swing the whole picture.
+
+const DIMENSIONS = ['overall', 'anxiety', 'depression', 'anger', 'joy'];
+const NEGATIVE_DIMENSIONS = ['anxiety', 'depression', 'anger'];
+
+const BASELINE = 5;
+const MIN_SCORE = 1;
+const MAX_SCORE = 10;
+
+// Share of the gap to the target closed per message, and how fast
+// dimensions with no signal drift back towards the baseline
+const SMOOTHING = 0.4;
+const DRIFT = 0.1;
+
+// How much each point of distress relief (0-10) reported after an exercise moves
+// the dimensions it tends to ease
+const RELIEF_EFFECTS = { overall: 0.3, anxiety: -0.3, anger: -0.15, depression: -0.15 };
+
+// Crisis language often carries few emotion words, so a message the safety
+// module flags moves the state at least this far, whatever the lexicon found.
+// Kept short of SafetyModule's high distress levels so the state alone doesn't
+// raise the alert again on the next message.
+const SAFETY_CONCERN_STATES = {
+  emergency: { overall: 2.5, joy: 1.5, depression: 8, anxiety: 7 },
+  warning: { overall: 3.5, joy: 3, depression: 7, anxiety: 6 }
+};
+
+// Change in wellbeing needed before a trend counts as improving/declining
+const TREND_THRESHOLD = 0.5;
+
+const clamp = (value) => Math.min(MAX_SCORE, Math.max(MIN_SCORE, value));
+const round = (value) => Math.round(value * 10) / 10;
+
+// Single 1-10 "how well is the user doing" score, higher is better
+export const getWellbeingScore = (state) => {
+  const inverted = NEGATIVE_DIMENSIONS.reduce((sum, dimension) => sum + (MAX_SCORE + MIN_SCORE - state[dimension]), 0);
+  return round((state.overall + state.joy + inverted) / 5);
+};
+
+class EmotionTracker {
+  constructor(initialState, { smoothing = SMOOTHING, drift = DRIFT } = {}) {
+    this.smoothing = smoothing;
+    this.drift = drift;
+    this.history = [];
+    this.startSession(initialState);
+  }
+  
+  startSession(initialState) {
+    this.history = [{ ...initialState, timestamp: new Date() }];
+  }
+  
+  // Rebuilds a session's journey from saved states, oldest first
+  resumeSession(states) {
+    this.history = states.map(state => ({ ...state }));
+  }
+  
+  getCurrentState() {
+    return this.history[this.history.length - 1];
+  }
+  
+  getHistory() {
+    return [...this.history];
+  }
+  
+  update(analysis) {
+    const previous = this.getCurrentState();
+    const targets = this.estimateTargets(analysis, previous);
+    
+    // Very short messages ("ok", "fine") are weak evidence, so they move things less
+    const confidence = Math.min(1, 0.4 + analysis.wordCount / 20);
+    
+    const next = { timestamp: new Date() };
+    DIMENSIONS.forEach(dimension => {
+      const target = targets[dimension];
+      const rate = target === undefined ? this.drift : this.smoothing * confidence;
+      const goal = target === undefined ? BASELINE : target;
+      next[dimension] = round(clamp(previous[dimension] + rate * (goal - previous[dimension])));
+    });
+    
+    this.history.push(next);
+    return next;
+  }
+  
+  // Before/after distress ratings from an exercise are direct evidence, so they
+  // shift the state without smoothing
+  applyExerciseRatings(beforeRating, afterRating) {
+    const previous = this.getCurrentState();
+    const relief = beforeRating - afterRating;
+    
+    const next = { ...previous, timestamp: new Date() };
+    Object.keys(RELIEF_EFFECTS).forEach(dimension => {
+      next[dimension] = round(clamp(previous[dimension] + relief * RELIEF_EFFECTS[dimension]));
+    });
+    
+    this.history.push(next);
+    return next;
+  }
+  
+  // A detected safety concern is direct evidence of how the user is doing, so
+  // it overrides smoothing: negative dimensions rise to at least, and the others
+  // fall to at most, the level for its severity
+  applySafetyConcern(severity) {
+    const levels = SAFETY_CONCERN_STATES[severity];
+    const previous = this.getCurrentState();
+    if (!levels) return previous;
+    
+    const next = { ...previous, timestamp: new Date() };
+    Object.keys(levels).forEach(dimension => {
+      next[dimension] = NEGATIVE_DIMENSIONS.includes(dimension)
+        ? Math.max(previous[dimension], levels[dimension])
+        : Math.min(previous[dimension], levels[dimension]);
+    });
+    
+    this.history.push(next);
+    return next;
+  }
+  
+  // Returns a 1-10 target for each dimension the message says something about
+  estimateTargets(analysis, previous) {
+    const { emotions, sentiment } = analysis;
+    const targets = {};
+    
+    NEGATIVE_DIMENSIONS.concat('joy').forEach(dimension => {
+      if (emotions[dimension] > 0) {
+        targets[dimension] = BASELINE + emotions[dimension] * (MAX_SCORE - BASELINE);
+      }
+    });
+    
+    // Positive talk without explicit joy words still lifts joy a little,
+    // and joy words in a negative message shouldn't count for much
+    if (targets.joy === undefined && sentiment.label === 'positive') {
+      targets.joy = BASELINE + sentiment.score * 3;
+    }
+    
+    if (sentiment.label !== 'neutral' || Object.keys(targets).length > 0) {
+      const fromSentiment = BASELINE + sentiment.score * (MAX_SCORE - BASELINE);
+      const projected = { ...previous, ...targets };
+      targets.overall = (fromSentiment + getWellbeingScore({ ...projected, overall: fromSentiment })) / 2;
+    }
+    
+    return targets;
+  }
+  
+  analyzeTrend(states = this.history) {
+    if (states.length < 2) {
+      return { trend: 'stable', change: 0, dimensions: {} };
+    }
+    
+    // Compare the average of the first and last thirds to smooth out single outliers
+    const window = Math.max(1, Math.floor(states.length / 3));
+    const average = (slice, getter) => slice.reduce((sum, state) => sum + getter(state), 0) / slice.length;
+    const first = states.slice(0, window);
+    const last = states.slice(-window);
+    
+    const change = round(average(last, getWellbeingScore) - average(first, getWellbeingScore));
+    
+    let trend = 'stable';
+    if (change >= TREND_THRESHOLD) trend = 'improving';
+    if (change <= -TREND_THRESHOLD) trend = 'declining';
+    
+    const dimensions = {};
+    DIMENSIONS.forEach(dimension => {
+      const start = round(average(first, state => state[dimension]));
+      const end = round(average(last, state => state[dimension]));
+      dimensions[dimension] = { start, end, change: round(end - start) };
+    });
+    
+    return {
+      trend,
+      change,
+      startState: states[0],
+      endState: states[states.length - 1],
+      dimensions
+    };
+  }
+}
+
+export default EmotionTracker;
+
+// File: src/services/ResourceManager.js
+// Home practice activities and the instructions that go with them.
+// In-session techniques come from the intervention library; the extras here
+// are better suited to doing on your own between sessions.
+
+import { INTERVENTION_LIBRARY } from './InterventionEngine';
+import { getEffectiveness } from './EffectivenessLearner';
+
+const HOME_ONLY_ACTIVITIES = [
+  {
+    id: 'gratitude-journal',
+    category: 'behavioral-activation',
+    name: 'Gratitude Journal',
+    activityType: 'journaling',
+    duration: '5 min',
+    steps: [
+      'Each evening, write down three things that went well today, however small.',
+      'For each one, note why it happened or what part you played in it.'
+    ]
+  },
+  {
+    id: 'worry-time',
+    category: 'cognitive-reframing',
+    name: 'Scheduled Worry Time',
+    activityType: 'journaling',
+    duration: '15 min',
+    steps: [
+      'Pick a fixed 15-minute slot each day for worrying, not too close to bedtime.',
+      'When a worry shows up outside that time, jot it down and postpone it.',
+      'During worry time, go through the list and note which worries you can act on.'
+    ]
+  },
+  {
+    id: 'wind-down-routine',
+    category: 'relaxation',
+    name: 'Evening Wind-Down Routine',
+    activityType: 'meditation',
+    duration: '20 min',
+    steps: [
+      'Put screens away 30 minutes before bed.',
+      'Dim the lights and do something calm, like reading or stretching.',
+      'Finish with five slow breaths once you are in bed.'
+    ]
+  }
+];
+
+// Which categories make good homework for each need the engine detects
+const NEED_CATEGORIES = {
+  anxiety: ['breathing-exercise', 'relaxation', 'cognitive-reframing'],
+  'low-mood': ['behavioral-activation', 'thought-record'],
+  anger: ['grounding', 'breathing-exercise'],
+  distress: ['grounding', 'thought-record', 'relaxation']
+};
+
+const DEFAULT_EFFECTIVENESS = 0.5;
+
+const parseMinutes = (duration) => parseInt(duration, 10) || 0;
+
+class ResourceManager {
+  constructor(activities = [...INTERVENTION_LIBRARY, ...HOME_ONLY_ACTIVITIES]) {
+    this.activities = activities;
+  }
+  
+  getActivity(id) {
+    return this.activities.find(activity => activity.id === id) || null;
+  }
+  
+  suggestHomeActivity({ userProfile = {}, primaryNeed = null, interventionsUsed = [] } = {}) {
+    // Practising something that already helped in session is the strongest option
+    const helped = interventionsUsed
+      .filter(outcome => outcome.change !== null && outcome.change > 0)
+      .sort((a, b) => b.change - a.change)
+      .map(outcome => this.getActivity(outcome.interventionId))
+      .filter(Boolean);
+    
+    if (helped.length > 0) {
+      return this.buildHomeActivity(helped[0], 'It seemed to help during today\'s session, so practising it will make it easier to reach for when you need it.');
+    }
+    
+    const need = primaryNeed && primaryNeed.startsWith('request:') ? null : primaryNeed;
+    const categories = NEED_CATEGORIES[need] || this.getCategoriesForGoals(userProfile.therapeuticGoals || []);
+    const candidates = this.activities.filter(activity => categories.includes(activity.category));
+    const activity = this.rankByPreference(candidates.length > 0 ? candidates : this.activities, userProfile)[0];
+    
+    return this.buildHomeActivity(activity, 'It fits what we worked on today and your preferences.');
+  }
+  
+  getCategoriesForGoals(goals) {
+    const goalCategories = {
+      'anxiety-management': NEED_CATEGORIES.anxiety,
+      'stress-reduction': ['relaxation', 'breathing-exercise'],
+      'mood-improvement': NEED_CATEGORIES['low-mood'],
+      'sleep-improvement': ['relaxation'],
+      'self-esteem': ['cognitive-reframing', 'thought-record'],
+      'relationship-skills': ['grounding', 'cognitive-reframing'],
+      'work-life-balance': ['behavioral-activation', 'relaxation']
+    };
+    
+    return goals.reduce((categories, goal) => categories.concat(goalCategories[goal] || []), []);
+  }
+  
+  rankByPreference(activities, userProfile) {
+    const maxMinutes = parseMinutes(userProfile.preferredDuration);
+    
+    const score = (activity) => {
+      const learned = getEffectiveness(userProfile, activity.category);
+      let value = learned !== null ? learned : DEFAULT_EFFECTIVENESS;
+      if (activity.activityType === userProfile.preferredActivityType) value += 0.3;
+      if (maxMinutes && parseMinutes(activity.duration) > maxMinutes) value -= 0.5;
+      return value;
+    };
+    
+    return [...activities].sort((a, b) => score(b) - score(a));
+  }
+  
+  buildHomeActivity(activity, reason) {
+    return {
+      activity: {
+        id: activity.id,
+        name: activity.name,
+        category: activity.category,
+        activityType: activity.activityType,
+        duration: activity.duration
+      },
+      instructions: activity.steps.join(' '),
+      steps: activity.steps,
+      recommendation: `Try this once a day until your next session (about ${activity.duration} each time). ${reason}`
+    };
+  }
+}
+
+export default ResourceManager;
+
+// File: src/services/SafetyModule.js
+// Local, rule-plus-scoring risk classifier for the tiered safety protocol.
+// Each pattern carries a weight; matches are discounted when negated, about
+// someone else, or clearly in the past, and the strongest remaining signals
+// decide between the emergency, warning and supportive tiers.
+
+const RISK_PATTERNS = [
+  // Suicide: explicit statements
+  { id: 'kill-self', riskType: 'suicide', weight: 1, selfReferential: true, pattern: /\b(kill|killing|killed) myself\b/ },
+  { id: 'end-life', riskType: 'suicide', weight: 1, selfReferential: true, pattern: /\b(end|ending|take|taking) my (own )?life\b/ },
+  { id: 'want-to-die', riskType: 'suicide', weight: 0.9, selfReferential: true, pattern: /\b(i )?(want|wanna|wish|ready) (to )?(die|be dead)\b|\bwish i (was|were) dead\b/ },
+  { id: 'not-want-to-live', riskType: 'suicide', weight: 0.9, selfReferential: true, pattern: /\b(don't|do not|dont|no longer) want to (live|be alive|exist|be here|wake up)\b/ },
+  { id: 'suicidal', riskType: 'suicide', weight: 0.9, selfReferential: false, pattern: /\bsuicidal\b|\b(thinking|thought|thoughts) (about|of) (suicide|ending it)\b|\bconsidering suicide\b/ },
+  { id: 'suicide-mention', riskType: 'suicide', weight: 0.6, selfReferential: false, pattern: /\bsuicide\b/ },
+  // Suicide: paraphrases and indirect statements
+  { id: 'better-off-without-me', riskType: 'suicide', weight: 0.85, selfReferential: true, pattern: /\bbetter off without me\b|\bwouldn't (even )?(notice|care|miss me) if i (was|were) gone\b|\b(nobody|no one|no-one) would (even )?(miss me|notice|care) if i (was|were|'m) gone\b/ },
+  { id: 'life-not-worth-living', riskType: 'suicide', weight: 0.85, selfReferential: false, pattern: /\b(life|my life|living) (isn't|is not|isnt|ain't|is no longer) worth (living|it)\b|\bnot worth living\b/ },
+  { id: 'end-it-all', riskType: 'suicide', weight: 0.85, selfReferential: false, pattern: /\bend it all\b|\bnot be (here|around) anymore\b|\bdisappear forever\b/ },
+  { id: 'no-point-living', riskType: 'suicide', weight: 0.7, selfReferential: false, pattern: /\bno (point|reason) (in )?(living|to live|going on|being alive)\b/ },
+  { id: 'no-point', riskType: 'suicide', weight: 0.5, selfReferential: false, pattern: /\b(don't|do not|dont|can't|cant) see (the|any) point( anymore| in anything| of anything)?\b/ },
+  { id: 'burden', riskType: 'suicide', weight: 0.5, selfReferential: true, pattern: /\bi('m| am) (just )?(a|such a) burden\b/ },
+  { id: 'goodbye', riskType: 'suicide', weight: 0.6, selfReferential: false, pattern: /\b(this is|saying) (my )?goodbye\b|\bgoodbye forever\b/ },
+  // Suicide: a plan, means or farewells. Serious on their own, not just
+  // alongside another signal
+  { id: 'plan-method', riskType: 'suicide', weight: 0.9, selfReferential: false, pattern: /\b(going to|gonna|planning to|plan to|about to|want to|i will|i'll) (overdose|od|hang myself|shoot myself|drown myself|jump (off|from|in front of))\b/ },
+  { id: 'plan-take-all', riskType: 'suicide', weight: 0.9, selfReferential: false, pattern: /\b(going to|gonna|planning to|plan to|about to|want to|i will|i'll) take (them all|all of them|all (of )?(the|my|these|those) (pills|tablets|meds|medication))\b|\btake (them|all (of )?(the|my) (pills|tablets|meds|medication)) (all )?at once\b/ },
+  { id: 'farewell', riskType: 'suicide', weight: 0.9, selfReferential: true, pattern: /\b(wrote|written|writing|left) (my |a )?(goodbye|suicide|farewell) (letters?|notes?)\b|\bsaid my goodbyes\b|\bgiv(e|en|ing) away (all )?my (things|stuff|belongings)\b/ },
+  { id: 'cant-go-on', riskType: 'suicide', weight: 0.35, selfReferential: false, pattern: /\bcan't (go on|keep going|do this anymore|take (it|this|much more) anymore)\b/ },
+  // Self-harm
+  { id: 'harm-self', riskType: 'self-harm', weight: 0.9, selfReferential: true, pattern: /\b(hurt|hurting|harm|harming|cut|cutting|burn|burning|hit|hitting|punish|punishing) myself\b/ },
+  { id: 'self-harm-mention', riskType: 'self-harm', weight: 0.7, selfReferential: false, pattern: /\bself[- ]?harm(ing)?\b/ },
+  { id: 'cutting', riskType: 'self-harm', weight: 0.8, selfReferential: false, pattern: /\bcutting (again|my (arms?|wrists?|legs?|skin|thighs?))\b|\b(started|been|stop|keep) cutting\b/ },
+  { id: 'harm-urge', riskType: 'self-harm', weight: 0.8, selfReferential: false, pattern: /\b(urges?|want|wanting) to (cut|hurt|harm|burn)\b/ }
+];
+
+// Mentions of means or a plan make any suicide signal more serious
+const PLAN_PATTERN = /\b(pills|overdose|rope|noose|gun|bridge|jump|a plan|the plan|note|wrote a letter|said my goodbyes)\b/;
+const PLAN_BOOST = 0.2;
+
+// Extra distinct signals of the same risk type add a little on top of the strongest one
+const CORROBORATION_BOOST = 0.1;
+
+const NEGATORS = ['not', 'never', "don't", 'dont', 'do not', "won't", "wouldn't", "didn't", "isn't", "wasn't"];
+const NEGATION_WINDOW = 3;
+// Lowered rather than zeroed, so a denial still shows up in the explanation;
+// on its own it stays below the supportive tier
+const NEGATION_FACTOR = 0.15;
+
+const FIRST_PERSON = ['i', "i'm", 'im', "i've", "i'd", "i'll", 'me', 'myself'];
+const THIRD_PARTY = [
+  'he', "he's", 'she', "she's", 'they', "they're", 'him', 'her', 'them', 'friend', 'friends',
+  'brother', 'sister', 'mom', 'mother', 'dad', 'father', 'son', 'daughter', 'cousin', 'partner',
+  'boyfriend', 'girlfriend', 'husband', 'wife', 'someone', 'somebody', 'classmate', 'coworker',
+  'colleague', 'character', 'movie', 'show', 'book', 'article', 'documentary', 'news', 'celebrity'
+];
+const THIRD_PARTY_FACTOR = 0.35;
+
+const HISTORICAL_PATTERN = /\bused to\b|\bin the past\b|\byears ago\b|\bwhen i was (younger|a kid|a teenager|in school)\b|\bclean (for|since)\b/;
+const HISTORICAL_FACTOR = 0.5;
+
+export const SEVERITY_THRESHOLDS = {
+  emergency: 0.8,
+  warning: 0.5,
+  supportive: 0.2
+};
+
+// Emotional-state levels (1-10) for the distress-driven tiers
+const DISTRESS_LEVELS = {
+  high: { anxiety: 8.5, depression: 8.5, overall: 2 },
+  moderate: { anxiety: 7, depression: 7, overall: 3.5 }
+};
+const STRONG_NEGATIVE_SENTIMENT = -0.7;
+
+const RISK_LABELS = {
+  suicide: 'suicidal thoughts',
+  'self-harm': 'self-harm',
+  distress: 'high emotional distress'
+};
+
+const normalize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[‘’]/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const words = (text) => text.match(/[a-z]+(?:'[a-z]+)?/g) || [];
+
+class SafetyModule {
+  constructor({ patterns = RISK_PATTERNS, thresholds = SEVERITY_THRESHOLDS } = {}) {
+    this.patterns = patterns;
+    this.thresholds = thresholds;
+  }
+  
+  // `screeningSignals` are risk signals from questionnaire answers (see
+  // Questionnaires.getScreeningSignals); they're weighed alongside the text's
+  evaluate(input, { emotionalState = null, analysis = null, screeningSignals = [] } = {}) {
+    const text = normalize(input);
+    const clauses = this.splitClauses(text);
+    const signals = screeningSignals.map(signal => ({
+      ...signal,
+      source: 'questionnaire',
+      baseWeight: signal.weight,
+      adjustments: [],
+      boosts: []
+    }));
+    
+    clauses.forEach(clause => {
+      this.patterns.forEach(rule => {
+        const match = clause.match(rule.pattern);
+        if (!match) return;
+        signals.push(this.scoreSignal(rule, clause, match));
+      });
+    });
+    
+    const scores = this.scoreRiskTypes(signals, text);
+    const distress = this.assessDistress(emotionalState, analysis);
+    
+    return this.classify(scores, distress, signals);
+  }
+  
+  // Splitting on sentence boundaries, commas and "but" keeps negation and
+  // subject checks from leaking between unrelated parts of a message ("I'm
+  // not okay, I want to die")
+  splitClauses(text) {
+    return text
+      .split(/[.!?;,\n]+|\s+but\s+/)
+      .map(clause => clause.trim())
+      .filter(Boolean);
+  }
+  
+  scoreSignal(rule, clause, match) {
+    const before = clause.slice(0, match.index);
+    const adjustments = [];
+    let weight = rule.weight;
+    
+    if (this.isNegated(before)) {
+      weight *= NEGATION_FACTOR;
+      adjustments.push('negated');
+    }
+    
+    if (!rule.selfReferential && this.getSubject(before) === 'third-party') {
+      weight *= THIRD_PARTY_FACTOR;
+      adjustments.push('third-party');
+    }
+    
+    if (HISTORICAL_PATTERN.test(clause)) {
+      weight *= HISTORICAL_FACTOR;
+      adjustments.push('historical');
+    }
+    
+    return {
+      id: rule.id,
+      riskType: rule.riskType,
+      matchedText: match[0],
+      baseWeight: rule.weight,
+      weight: Math.round(weight * 100) / 100,
+      adjustments,
+      boosts: []
+    };
+  }
+  
+  // "I would never kill myself", "I'm not suicidal". Only the few words right
+  // before the match count, so "I can't stop thinking about..." isn't a negation.
+  isNegated(before) {
+    const preceding = words(before).slice(-NEGATION_WINDOW).join(' ');
+    return NEGATORS.some(negator => new RegExp(`(^| )${negator}( |$)`).test(preceding));
+  }
+  
+  // Walks back from the match to the nearest person reference. With no
+  // subject at all ("thinking about suicide") the user is assumed to mean themselves.
+  getSubject(before) {
+    const tokens = words(before);
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      if (FIRST_PERSON.includes(tokens[i])) return 'self';
+      if (THIRD_PARTY.includes(tokens[i])) return 'third-party';
+    }
+    return 'self';
+  }
+  
+  scoreRiskTypes(signals, text) {
+    const scores = {};
+    
+    Object.keys(RISK_LABELS).forEach(riskType => {
+      const relevant = signals
+        .filter(signal => signal.riskType === riskType && signal.weight > 0)
+        .sort((a, b) => b.weight - a.weight);
+      if (relevant.length === 0) return;
+      
+      // Denials don't corroborate anything
+      const corroborating = relevant.filter(signal => !signal.adjustments.includes('negated'));
+      const distinct = new Set([relevant[0].id, ...corroborating.map(signal => signal.id)]).size;
+      let score = relevant[0].weight + CORROBORATION_BOOST * (distinct - 1);
+      
+      if (riskType === 'suicide' && relevant[0].adjustments.length === 0 && PLAN_PATTERN.test(text)) {
+        score += PLAN_BOOST;
+        relevant[0].boosts.push('mentions means or a plan');
+      }
+      
+      scores[riskType] = Math.min(1, Math.round(score * 100) / 100);
+    });
+    
+    return scores;
+  }
+  
+  assessDistress(emotionalState, analysis) {
+    if (!emotionalState) return { level: 'none', reasons: [] };
+    
+    const check = (levels) => {
+      const reasons = [];
+      if (emotionalState.anxiety >= levels.anxiety) reasons.push(`anxiety at ${emotionalState.anxiety}/10`);
+      if (emotionalState.depression >= levels.depression) reasons.push(`low mood at ${emotionalState.depression}/10`);
+      if (emotionalState.overall <= levels.overall) reasons.push(`overall wellbeing at ${emotionalState.overall}/10`);
+      return reasons;
+    };
+    
+    const high = check(DISTRESS_LEVELS.high);
+    if (high.length > 0) return { level: 'high', reasons: high };
+    
+    const moderate = check(DISTRESS_LEVELS.moderate);
+    if (analysis && analysis.sentiment.score <= STRONG_NEGATIVE_SENTIMENT) {
+      moderate.push('strongly negative wording');
+    }
+    if (moderate.length > 0) return { level: 'moderate', reasons: moderate };
+    
+    return { level: 'none', reasons: [] };
+  }
+  
+  classify(scores, distress, signals) {
+    const suicide = scores.suicide || 0;
+    const selfHarm = scores['self-harm'] || 0;
+    const strongest = Math.max(suicide, selfHarm);
+    const riskType = suicide >= selfHarm ? 'suicide' : 'self-harm';
+    
+    let severity = 'none';
+    let resolvedRisk = null;
+    
+    if (suicide >= this.thresholds.emergency) {
+      severity = 'emergency';
+      resolvedRisk = 'suicide';
+    } else if (strongest >= this.thresholds.warning) {
+      severity = 'warning';
+      resolvedRisk = riskType;
+    } else if (distress.level === 'high') {
+      severity = 'warning';
+      resolvedRisk = 'distress';
+    } else if (strongest >= this.thresholds.supportive || distress.level === 'moderate') {
+      severity = 'supportive';
+      resolvedRisk = strongest >= this.thresholds.supportive ? riskType : 'distress';
+    }
+    
+    return {
+      concernDetected: severity === 'emergency' || severity === 'warning',
+      severity,
+      riskType: resolvedRisk,
+      scores,
+      distress,
+      signals,
+      explanation: this.explain(severity, resolvedRisk, signals, distress)
+    };
+  }
+  
+  explain(severity, riskType, signals, distress) {
+    const parts = [];
+    const counted = signals.filter(signal => signal.weight > 0);
+    const discounted = signals.filter(signal => signal.adjustments.length > 0);
+    
+    if (severity === 'none' && discounted.length === 0) {
+      return 'No safety concerns detected.';
+    }
+    
+    if (severity !== 'none') {
+      parts.push(`Safety level "${severity}" for ${RISK_LABELS[riskType]}.`);
+    }
+    
+    const answers = counted.filter(signal => signal.source === 'questionnaire');
+    const language = counted.filter(signal => signal.source !== 'questionnaire');
+    if (answers.length > 0) {
+      parts.push(`Questionnaire answers that can indicate risk: ${answers.map(signal => signal.matchedText).join(', ')}.`);
+    }
+    if (language.length > 0) {
+      const phrases = language.map(signal => `"${signal.matchedText}"`).join(', ');
+      parts.push(`Language that can indicate risk: ${phrases}.`);
+    }
+    
+    discounted.forEach(signal => {
+      parts.push(`"${signal.matchedText}" was given less weight (${signal.adjustments.join(', ')}).`);
+    });
+    
+    signals.filter(signal => signal.boosts.length > 0).forEach(signal => {
+      parts.push(`"${signal.matchedText}" was given more weight (${signal.boosts.join(', ')}).`);
+    });
+    
+    if (distress.reasons.length > 0 && (riskType === 'distress' || counted.length === 0)) {
+      parts.push(`Emotional state: ${distress.reasons.join(', ')}.`);
+    }
+    
+    return parts.join(' ');
+  }
+}
+
+export default SafetyModule;
+
+// File: src/services/CrisisResourceDirectory.js
+// Versioned directory of crisis lines, keyed by country and then language.
+// Bump CRISIS_DIRECTORY_VERSION whenever an entry changes, and re-check every
+// number against the provider's own site before release.
+
+export const CRISIS_DIRECTORY_VERSION = '2026.10';
+
+export const CRISIS_DIRECTORY = {
+  US: {
+    name: 'United States',
+    defaultLanguage: 'en',
+    resources: {
+      en: [
+        { name: '988 Suicide & Crisis Lifeline', phone: '988', text: { number: '988' }, url: 'https://988lifeline.org', available: '24/7', description: 'Call or text for free, confidential support.' },
+        { name: 'Crisis Text Line', text: { number: '741741', keyword: 'HOME' }, url: 'https://www.crisistextline.org', available: '24/7', description: 'Text with a trained crisis counselor.' }
+      ],
+      es: [
+        { name: '988 Lifeline en español', phone: '988', text: { number: '988', keyword: 'AYUDA' }, url: 'https://988lifeline.org/es/', available: '24/7', description: 'Llame al 988 y oprima 2, o envíe AYUDA por texto.' }
+      ]
+    },
+    emergency: '911'
+  },
+  CA: {
+    name: 'Canada',
+    defaultLanguage: 'en',
+    resources: {
+      en: [
+        { name: '9-8-8 Suicide Crisis Helpline', phone: '988', text: { number: '988' }, url: 'https://988.ca', available: '24/7', description: 'Call or text, in English or French.' },
+        { name: 'Kids Help Phone', phone: '1-800-668-6868', text: { number: '686868', keyword: 'CONNECT' }, url: 'https://kidshelpphone.ca', available: '24/7', description: 'Support for young people.' }
       ],
-      'relationship-skills': [
-        { type: 'exercise', name: 'Active Listening Practice', duration: '10 min' },
-        { type: 'technique', name: 'Boundary Setting Script', duration: '15 min' }
+      fr: [
+        { name: 'Ligne d\'aide en cas de crise de suicide 9-8-8', phone: '988', text: { number: '988' }, url: 'https://988.ca/fr', available: '24/7', description: 'Appelez ou textez, en français ou en anglais.' },
+        { name: 'Jeunesse, J\'écoute', phone: '1-800-668-6868', text: { number: '686868', keyword: 'PARLER' }, url: 'https://jeunessejecoute.ca', available: '24/7', description: 'Soutien pour les jeunes.' }
+      ]
+    },
+    emergency: '911'
+  },
+  GB: {
+    name: 'United Kingdom',
+    defaultLanguage: 'en',
+    resources: {
+      en: [
+        { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org', available: '24/7', description: 'Free to call from any phone.' },
+        { name: 'Shout', text: { number: '85258', keyword: 'SHOUT' }, url: 'https://giveusashout.org', available: '24/7', description: 'Free, confidential text support.' }
+      ]
+    },
+    emergency: '999'
+  },
+  IE: {
+    name: 'Ireland',
+    defaultLanguage: 'en',
+    resources: {
+      en: [
+        { name: 'Samaritans Ireland', phone: '116 123', url: 'https://www.samaritans.org/ireland', available: '24/7', description: 'Free to call from any phone.' },
+        { name: '50808 Text Support', text: { number: '50808', keyword: 'HELLO' }, url: 'https://text50808.ie', available: '24/7', description: 'Free text support.' }
       ]
+    },
+    emergency: '112'
+  },
+  AU: {
+    name: 'Australia',
+    defaultLanguage: 'en',
+    resources: {
+      en: [
+        { name: 'Lifeline Australia', phone: '13 11 14', text: { number: '0477 13 11 14' }, url: 'https://www.lifeline.org.au', available: '24/7', description: 'Crisis support and suicide prevention.' },
+        { name: 'Beyond Blue', phone: '1300 22 4636', url: 'https://www.beyondblue.org.au', available: '24/7', description: 'Mental health support.' }
+      ]
+    },
+    emergency: '000'
+  },
+  NZ: {
+    name: 'New Zealand',
+    defaultLanguage: 'en',
+    resources: {
+      en: [
+        { name: '1737, Need to Talk?', phone: '1737', text: { number: '1737' }, url: 'https://1737.org.nz', available: '24/7', description: 'Call or text to talk with a trained counsellor.' },
+        { name: 'Lifeline Aotearoa', phone: '0800 543 354', url: 'https://www.lifeline.org.nz', available: '24/7', description: 'Free crisis support.' }
+      ]
+    },
+    emergency: '111'
+  },
+  ES: {
+    name: 'España',
+    defaultLanguage: 'es',
+    resources: {
+      es: [
+        { name: 'Línea 024 de atención a la conducta suicida', phone: '024', url: 'https://www.sanidad.gob.es/linea024/', available: '24/7', description: 'Gratuita y confidencial.' }
+      ]
+    },
+    emergency: '112'
+  },
+  MX: {
+    name: 'México',
+    defaultLanguage: 'es',
+    resources: {
+      es: [
+        { name: 'Línea de la Vida', phone: '800 911 2000', url: 'https://www.gob.mx/salud/conadic', available: '24/7', description: 'Orientación y apoyo emocional gratuito.' }
+      ]
+    },
+    emergency: '911'
+  },
+  FR: {
+    name: 'France',
+    defaultLanguage: 'fr',
+    resources: {
+      fr: [
+        { name: '3114, numéro national de prévention du suicide', phone: '3114', url: 'https://3114.fr', available: '24/7', description: 'Gratuit, confidentiel.' }
+      ]
+    },
+    emergency: '112'
+  },
+  DE: {
+    name: 'Deutschland',
+    defaultLanguage: 'de',
+    resources: {
+      de: [
+        { name: 'TelefonSeelsorge', phone: '0800 111 0 111', url: 'https://www.telefonseelsorge.de', available: '24/7', description: 'Kostenlos und anonym. Alternativ 0800 111 0 222.' }
+      ]
+    },
+    emergency: '112'
+  },
+  IN: {
+    name: 'India',
+    defaultLanguage: 'en',
+    resources: {
+      en: [
+        { name: 'Tele-MANAS', phone: '14416', url: 'https://telemanas.mohfw.gov.in', available: '24/7', description: 'National tele mental health helpline, in multiple languages.' }
+      ]
+    },
+    emergency: '112'
+  }
+};
+
+// Used when we don't have a directory entry for the user's country
+export const INTERNATIONAL_RESOURCES = [
+  { name: 'Find A Helpline', url: 'https://findahelpline.com', available: '24/7', description: 'Search free, confidential helplines in your country.' },
+  { name: 'IASP Crisis Centres', url: 'https://www.iasp.info/crisis-centres-helplines/', available: 'Varies by centre', description: 'International directory of crisis centres.' },
+  { name: 'Local emergency services', phone: '112', available: '24/7', description: 'If you are in immediate danger, call your local emergency number. 112 works from mobile phones in many countries.' }
+];
+
+// Options for the profile's locale setting
+export const SUPPORTED_LOCALES = Object.keys(CRISIS_DIRECTORY).reduce((locales, country) => {
+  Object.keys(CRISIS_DIRECTORY[country].resources).forEach(language => {
+    locales.push({ value: `${language}-${country}`, label: `${CRISIS_DIRECTORY[country].name} (${language})` });
+  });
+  return locales;
+}, []);
+
+const parseLocale = (locale) => {
+  const [language = '', country = ''] = (locale || '').replace('_', '-').split('-');
+  return { language: language.toLowerCase(), country: country.toUpperCase() };
+};
+
+export const getCrisisResources = (locale) => {
+  const { language, country } = parseLocale(locale);
+  const region = CRISIS_DIRECTORY[country];
+  
+  if (!region) {
+    return {
+      version: CRISIS_DIRECTORY_VERSION,
+      country: null,
+      language,
+      regionName: 'International',
+      resources: INTERNATIONAL_RESOURCES,
+      isFallback: true
+    };
+  }
+  
+  const resolvedLanguage = region.resources[language] ? language : region.defaultLanguage;
+  const emergency = {
+    name: 'Emergency services',
+    phone: region.emergency,
+    available: '24/7',
+    description: 'If you are in immediate danger, call now.'
+  };
+  
+  return {
+    version: CRISIS_DIRECTORY_VERSION,
+    country,
+    language: resolvedLanguage,
+    regionName: region.name,
+    resources: [...region.resources[resolvedLanguage], emergency],
+    isFallback: false
+  };
+};
+
+// File: src/services/storage/StorageService.js
+// Single entry point for persisting profiles, sessions and interactions.
+// The context and the agent both go through this; where the data actually
+// lives is up to the adapter (IndexedDB, localStorage, a remote API, memory).
+
+import { SCHEMA_VERSION, migrate } from './migrations';
+import IndexedDBAdapter from './IndexedDBAdapter';
+import LocalStorageAdapter from './LocalStorageAdapter';
+import MemoryStorageAdapter from './MemoryStorageAdapter';
+import { LockedError } from '../security/EncryptionService';
+
+const KEY_PREFIX = 'therapy-companion';
+
+// Everything else (profile, transcripts, emotional states, safety events) is
+// encrypted once encryption is set up
+const PLAINTEXT_COLLECTIONS = ['meta', 'encryption'];
+const DATA_COLLECTIONS = ['profile', 'interactions', 'sessions', 'activeSession', 'assignments', 'questionnaires', 'safetyEvents'];
+
+// Dates go through JSON as ISO strings; turn them back into Date objects on the way out
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+export const reviveDates = (key, value) => (
+  typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value
+);
+
+class StorageService {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.encryption = null;
+    this.openedUsers = new Set();
+    this.pending = Promise.resolve();
+  }
+  
+  // Runs read-modify-write updates one at a time so quick successive
+  // messages can't overwrite each other's changes
+  serialize(task) {
+    const run = this.pending.then(task, task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+  
+  key(userId, collection) {
+    return `${KEY_PREFIX}:${userId}:${collection}`;
+  }
+  
+  async read(userId, collection, fallback = null) {
+    let raw = await this.adapter.get(this.key(userId, collection));
+    if (raw === null || raw === undefined) return fallback;
+    
+    if (this.encryption && this.encryption.isEncrypted(raw)) {
+      raw = await this.encryption.decrypt(raw);
+    } else if (!this.encryption && raw.startsWith('{"encrypted":')) {
+      throw new LockedError();
+    }
+    
+    return JSON.parse(raw, reviveDates);
+  }
+  
+  async write(userId, collection, value) {
+    let raw = JSON.stringify(value);
+    if (this.encryption && !PLAINTEXT_COLLECTIONS.includes(collection)) {
+      raw = await this.encryption.encrypt(raw);
+    }
+    
+    await this.adapter.set(this.key(userId, collection), raw);
+    return value;
+  }
+  
+  async readAll(userId) {
+    const records = {};
+    for (const collection of DATA_COLLECTIONS) {
+      records[collection] = await this.read(userId, collection);
+    }
+    return records;
+  }
+  
+  async writeAll(userId, records) {
+    for (const collection of DATA_COLLECTIONS) {
+      if (records[collection] !== null && records[collection] !== undefined) {
+        await this.write(userId, collection, records[collection]);
+      }
+    }
+  }
+  
+  // Overwrites the given collections in one queued step, e.g. when restoring a backup
+  replaceUserData(userId, records) {
+    return this.serialize(() => this.writeAll(userId, records));
+  }
+  
+  // Encryption at rest. `encryption` is an EncryptionService; until one is
+  // attached, records are stored as plain JSON.
+  
+  useEncryption(encryption) {
+    this.encryption = encryption;
+  }
+  
+  async hasEncryption(userId) {
+    return (await this.read(userId, 'encryption')) !== null;
+  }
+  
+  // Creates the first key and re-writes any existing plain records encrypted
+  setupEncryption(userId, passphrase) {
+    return this.serialize(async () => {
+      const records = await this.readAll(userId);
+      await this.encryption.createKey();
+      await this.write(userId, 'encryption', await this.encryption.exportKeyring(passphrase));
+      await this.writeAll(userId, records);
+    });
+  }
+  
+  async unlock(userId, passphrase) {
+    const keyring = await this.read(userId, 'encryption');
+    await this.encryption.unlock(passphrase, keyring);
+  }
+  
+  lock() {
+    if (this.encryption) this.encryption.lock();
+    this.openedUsers.clear();
+  }
+  
+  async changePassphrase(userId, currentPassphrase, newPassphrase) {
+    // Unlocking again confirms the current passphrase
+    await this.unlock(userId, currentPassphrase);
+    await this.write(userId, 'encryption', await this.encryption.exportKeyring(newPassphrase));
+  }
+  
+  // The new key is saved alongside the old one before anything is re-encrypted,
+  // so an interrupted rotation never leaves records without a usable key
+  rotateEncryptionKey(userId, passphrase) {
+    return this.serialize(async () => {
+      await this.unlock(userId, passphrase);
+      const records = await this.readAll(userId);
+      const previousKeyIds = Object.keys(this.encryption.keys);
+      
+      await this.encryption.createKey();
+      await this.write(userId, 'encryption', await this.encryption.exportKeyring(passphrase));
+      await this.writeAll(userId, records);
+      
+      previousKeyIds.forEach(keyId => this.encryption.retireKey(keyId));
+      await this.write(userId, 'encryption', await this.encryption.exportKeyring(passphrase));
+    });
+  }
+  
+  // Brings a user's stored data up to the current schema. Safe to call repeatedly.
+  async open(userId) {
+    if (this.openedUsers.has(userId)) return;
+    
+    const meta = await this.read(userId, 'meta', null);
+    const storedVersion = meta ? meta.schemaVersion : null;
+    
+    if (storedVersion !== null && storedVersion < SCHEMA_VERSION) {
+      const data = {
+        profile: await this.read(userId, 'profile'),
+        interactions: await this.read(userId, 'interactions', []),
+        sessions: await this.read(userId, 'sessions', [])
+      };
+      const migrated = migrate(data, storedVersion);
+      
+      await this.write(userId, 'profile', migrated.profile);
+      await this.write(userId, 'interactions', migrated.interactions);
+      await this.write(userId, 'sessions', migrated.sessions);
+    } else if (storedVersion !== null && storedVersion > SCHEMA_VERSION) {
+      throw new Error(`Stored data uses schema version ${storedVersion}, newer than this app supports (${SCHEMA_VERSION}).`);
+    }
+    
+    await this.write(userId, 'meta', { schemaVersion: SCHEMA_VERSION, updatedAt: new Date() });
+    this.openedUsers.add(userId);
+  }
+  
+  getProfile(userId) {
+    return this.read(userId, 'profile');
+  }
+  
+  saveProfile(profile) {
+    return this.serialize(() => this.write(profile.id, 'profile', profile));
+  }
+  
+  getInteractions(userId) {
+    return this.read(userId, 'interactions', []);
+  }
+  
+  appendInteraction(userId, interaction) {
+    return this.serialize(async () => {
+      const interactions = await this.getInteractions(userId);
+      interactions.push(interaction);
+      await this.write(userId, 'interactions', interactions);
+      return interaction;
+    });
+  }
+  
+  getSessions(userId) {
+    return this.read(userId, 'sessions', []);
+  }
+  
+  saveSession(userId, session) {
+    return this.serialize(async () => {
+      const sessions = await this.getSessions(userId);
+      const index = sessions.findIndex(existing => existing.id === session.id);
+      
+      if (index >= 0) {
+        sessions[index] = session;
+      } else {
+        sessions.push(session);
+      }
+      
+      await this.write(userId, 'sessions', sessions);
+      return session;
+    });
+  }
+  
+  // Merges `changes` into the first stored interaction `matches` accepts
+  updateInteraction(userId, matches, changes) {
+    return this.serialize(async () => {
+      const interactions = await this.getInteractions(userId);
+      const index = interactions.findIndex(matches);
+      if (index < 0) return null;
+      
+      interactions[index] = { ...interactions[index], ...changes };
+      await this.write(userId, 'interactions', interactions);
+      return interactions[index];
+    });
+  }
+  
+  // The session in progress, if any, so it survives a reload
+  getActiveSession(userId) {
+    return this.read(userId, 'activeSession');
+  }
+  
+  saveActiveSession(userId, session) {
+    return this.serialize(() => this.write(userId, 'activeSession', session));
+  }
+  
+  clearActiveSession(userId) {
+    return this.serialize(() => this.adapter.remove(this.key(userId, 'activeSession')));
+  }
+  
+  // Home practice assignments, see AssignmentService
+  getAssignments(userId) {
+    return this.read(userId, 'assignments', []);
+  }
+  
+  saveAssignments(userId, assignments) {
+    return this.serialize(() => this.write(userId, 'assignments', assignments));
+  }
+  
+  // Scored questionnaires, see Questionnaires
+  getQuestionnaireResults(userId) {
+    return this.read(userId, 'questionnaires', []);
+  }
+  
+  appendQuestionnaireResult(userId, result) {
+    return this.serialize(async () => {
+      const results = await this.getQuestionnaireResults(userId);
+      results.push(result);
+      await this.write(userId, 'questionnaires', results);
+      return result;
+    });
+  }
+  
+  // Safety audit log, see SafetyEventLog
+  getSafetyEvents(userId) {
+    return this.read(userId, 'safetyEvents', []);
+  }
+  
+  appendSafetyEvent(userId, event) {
+    return this.serialize(async () => {
+      const events = await this.getSafetyEvents(userId);
+      events.push(event);
+      await this.write(userId, 'safetyEvents', events);
+      return event;
+    });
+  }
+  
+  // Merges `changes` into the logged event with this id
+  updateSafetyEvent(userId, eventId, changes) {
+    return this.serialize(async () => {
+      const events = await this.getSafetyEvents(userId);
+      const index = events.findIndex(event => event.id === eventId);
+      if (index < 0) return null;
+      
+      events[index] = { ...events[index], ...changes };
+      await this.write(userId, 'safetyEvents', events);
+      return events[index];
+    });
+  }
+  
+  // Removes every record for the user, including their encryption keys. Queued
+  // behind pending writes so none of them lands after the wipe.
+  clearUser(userId) {
+    return this.serialize(async () => {
+      const keys = await this.adapter.keys(`${KEY_PREFIX}:${userId}:`);
+      await Promise.all(keys.map(key => this.adapter.remove(key)));
+      this.openedUsers.delete(userId);
+      if (this.encryption) this.encryption.lock();
+    });
+  }
+}
+
+// Prefers IndexedDB for offline use, then localStorage, then memory (e.g. private browsing)
+export const createDefaultAdapter = () => {
+  if (IndexedDBAdapter.isAvailable()) return new IndexedDBAdapter();
+  if (LocalStorageAdapter.isAvailable()) return new LocalStorageAdapter();
+  return new MemoryStorageAdapter();
+};
+
+export const createStorageService = (adapter = createDefaultAdapter()) => new StorageService(adapter);
+
+export default StorageService;
+
+// File: src/services/storage/migrations.js
+// Schema history for stored user data. Add a migration whenever a stored
+// structure changes shape, and bump SCHEMA_VERSION to match.
+//
+// v1: the structures documented in the README (profile, flat session history)
+// v2: profile gains `locale`; interactions gain `sessionId`; completed sessions are stored
+
+export const SCHEMA_VERSION = 2;
+
+const MIGRATIONS = {
+  // v1 -> v2
+  1: (data) => ({
+    profile: data.profile && {
+      ...data.profile,
+      locale: data.profile.locale || 'en-US',
+      interventionEffectiveness: data.profile.interventionEffectiveness || {}
+    },
+    // Older interactions weren't tied to a session
+    interactions: (data.interactions || []).map(interaction => ({
+      sessionId: null,
+      ...interaction
+    })),
+    sessions: data.sessions || []
+  })
+};
+
+export const migrate = (data, fromVersion) => {
+  let migrated = data;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`No migration from schema version ${version}`);
+    }
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return migrated;
+};
+
+// File: src/services/storage/IndexedDBAdapter.js
+// Key-value adapter over a single IndexedDB object store.
+
+const DB_NAME = 'therapy-companion';
+const STORE_NAME = 'records';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class IndexedDBAdapter {
+  static isAvailable() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+  
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+  
+  getDatabase() {
+    if (!this.dbPromise) {
+      const request = window.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+  
+  async store(mode) {
+    const db = await this.getDatabase();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+  
+  async get(key) {
+    const value = await promisify((await this.store('readonly')).get(key));
+    return value === undefined ? null : value;
+  }
+  
+  async set(key, value) {
+    await promisify((await this.store('readwrite')).put(value, key));
+  }
+  
+  async remove(key) {
+    await promisify((await this.store('readwrite')).delete(key));
+  }
+  
+  async keys(prefix = '') {
+    const keys = await promisify((await this.store('readonly')).getAllKeys());
+    return keys.filter(key => key.startsWith(prefix));
+  }
+}
+
+export default IndexedDBAdapter;
+
+// File: src/services/storage/LocalStorageAdapter.js
+// Key-value adapter over window.localStorage, wrapped in promises so it is
+// interchangeable with the async adapters.
+
+class LocalStorageAdapter {
+  static isAvailable() {
+    try {
+      const testKey = '__therapy-companion-test__';
+      window.localStorage.setItem(testKey, testKey);
+      window.localStorage.removeItem(testKey);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  constructor(storage = typeof window !== 'undefined' ? window.localStorage : null) {
+    this.storage = storage;
+  }
+  
+  async get(key) {
+    return this.storage.getItem(key);
+  }
+  
+  async set(key, value) {
+    this.storage.setItem(key, value);
+  }
+  
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+  
+  async keys(prefix = '') {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key.startsWith(prefix)) keys.push(key);
+    }
+    return keys;
+  }
+}
+
+export default LocalStorageAdapter;
+
+// File: src/services/storage/MemoryStorageAdapter.js
+// Non-persistent adapter for tests and environments without browser storage.
+
+class MemoryStorageAdapter {
+  constructor() {
+    this.records = new Map();
+  }
+  
+  async get(key) {
+    return this.records.has(key) ? this.records.get(key) : null;
+  }
+  
+  async set(key, value) {
+    this.records.set(key, value);
+  }
+  
+  async remove(key) {
+    this.records.delete(key);
+  }
+  
+  async keys(prefix = '') {
+    return [...this.records.keys()].filter(key => key.startsWith(prefix));
+  }
+}
+
+export default MemoryStorageAdapter;
+
+// File: src/services/storage/RemoteStorageAdapter.js
+// Key-value adapter backed by a remote API, for syncing across devices.
+// Expects GET/PUT/DELETE on `${baseUrl}/storage/:key` and GET `${baseUrl}/storage?prefix=`.
+
+class RemoteStorageAdapter {
+  constructor({ baseUrl, getAuthToken = () => null, fetchImpl = (...args) => fetch(...args) }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.getAuthToken = getAuthToken;
+    this.fetch = fetchImpl;
+  }
+  
+  async request(path, options = {}) {
+    const token = await this.getAuthToken();
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...options.headers
+      }
+    });
+    
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Remote storage request failed with status ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+  
+  async get(key) {
+    const body = await this.request(`/storage/${encodeURIComponent(key)}`);
+    return body ? body.value : null;
+  }
+  
+  async set(key, value) {
+    await this.request(`/storage/${encodeURIComponent(key)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ value })
+    });
+  }
+  
+  async remove(key) {
+    await this.request(`/storage/${encodeURIComponent(key)}`, { method: 'DELETE' });
+  }
+  
+  async keys(prefix = '') {
+    const body = await this.request(`/storage?prefix=${encodeURIComponent(prefix)}`);
+    return body ? body.keys : [];
+  }
+}
+
+export default RemoteStorageAdapter;
+
+// File: src/services/security/EncryptionService.js
+// Client-side encryption for stored data using WebCrypto.
+// Random AES-GCM data keys encrypt the records; each data key is wrapped with
+// a key derived from the user's passphrase or PIN (PBKDF2). Changing the
+// passphrase only re-wraps the keys, while rotation adds a new data key and
+// retires the old one once everything has been re-encrypted.
+
+const PBKDF2_ITERATIONS = 600000;
+const ENVELOPE_VERSION = 1;
+
+export class LockedError extends Error {
+  constructor(message = 'Your data is locked. Enter your passphrase to continue.') {
+    super(message);
+    this.name = 'LockedError';
+  }
+}
+
+export class IncorrectPassphraseError extends Error {
+  constructor(message = 'That passphrase is incorrect.') {
+    super(message);
+    this.name = 'IncorrectPassphraseError';
+  }
+}
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+class EncryptionService {
+  static isSupported(cryptoImpl = typeof window !== 'undefined' ? window.crypto : null) {
+    return !!(cryptoImpl && cryptoImpl.subtle);
+  }
+  
+  constructor(cryptoImpl = window.crypto) {
+    this.crypto = cryptoImpl;
+    this.keys = {};
+    this.activeKeyId = null;
+  }
+  
+  isUnlocked() {
+    return this.activeKeyId !== null;
+  }
+  
+  lock() {
+    this.keys = {};
+    this.activeKeyId = null;
+  }
+  
+  async deriveWrappingKey(passphrase, salt, iterations) {
+    const material = await this.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    
+    return this.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+  
+  async wrapKey(keyId, passphrase) {
+    const salt = this.crypto.getRandomValues(new Uint8Array(16));
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await this.deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const wrapped = await this.crypto.subtle.wrapKey('raw', this.keys[keyId], wrappingKey, { name: 'AES-GCM', iv });
+    
+    return {
+      keyId,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      iterations: PBKDF2_ITERATIONS,
+      wrappedKey: toBase64(wrapped),
+      createdAt: new Date().toISOString()
+    };
+  }
+  
+  // Metadata describing every key in the ring, safe to store in plain text
+  async exportKeyring(passphrase) {
+    const keys = await Promise.all(Object.keys(this.keys).map(keyId => this.wrapKey(keyId, passphrase)));
+    return {
+      version: ENVELOPE_VERSION,
+      activeKeyId: this.activeKeyId,
+      keys
+    };
+  }
+  
+  // Adds a fresh data key to the ring and makes it the one new records use
+  async createKey() {
+    // Extractable only so it can be wrapped; the raw key is never exported
+    const dataKey = await this.crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    const keyId = toBase64(this.crypto.getRandomValues(new Uint8Array(6)));
+    
+    this.keys[keyId] = dataKey;
+    this.activeKeyId = keyId;
+    return keyId;
+  }
+  
+  retireKey(keyId) {
+    if (keyId === this.activeKeyId) {
+      throw new Error('The active key cannot be retired.');
+    }
+    delete this.keys[keyId];
+  }
+  
+  async unlock(passphrase, keyring) {
+    const keys = {};
+    
+    try {
+      for (const entry of keyring.keys) {
+        const wrappingKey = await this.deriveWrappingKey(passphrase, fromBase64(entry.salt), entry.iterations);
+        keys[entry.keyId] = await this.crypto.subtle.unwrapKey(
+          'raw',
+          fromBase64(entry.wrappedKey),
+          wrappingKey,
+          { name: 'AES-GCM', iv: fromBase64(entry.iv) },
+          { name: 'AES-GCM', length: 256 },
+          true,
+          ['encrypt', 'decrypt']
+        );
+      }
+    } catch (error) {
+      // AES-GCM authentication fails when the derived key is wrong
+      throw new IncorrectPassphraseError();
+    }
+    
+    this.keys = keys;
+    this.activeKeyId = keyring.activeKeyId;
+  }
+  
+  isEncrypted(raw) {
+    return typeof raw === 'string' && raw.startsWith('{"encrypted":');
+  }
+  
+  async encrypt(plaintext) {
+    if (!this.isUnlocked()) throw new LockedError();
+    
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const data = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.keys[this.activeKeyId],
+      new TextEncoder().encode(plaintext)
+    );
+    
+    return JSON.stringify({
+      encrypted: ENVELOPE_VERSION,
+      keyId: this.activeKeyId,
+      iv: toBase64(iv),
+      data: toBase64(data)
+    });
+  }
+  
+  async decrypt(raw) {
+    if (!this.isUnlocked()) throw new LockedError();
+    
+    const envelope = JSON.parse(raw);
+    const key = this.keys[envelope.keyId];
+    if (!key) {
+      throw new Error('This record was encrypted with a key that is no longer available.');
+    }
+    
+    const data = await this.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return new TextDecoder().decode(data);
+  }
+}
+
+export default EncryptionService;
+
+// File: src/services/auth/AuthError.js
+// Error raised by AuthService and its providers. `code` is stable and safe to
+// branch on; `message` is written to be shown to the user.
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+export default AuthError;
+
+// File: src/services/auth/AuthService.js
+// Authentication front door for the app. The actual checks are done by a
+// provider (MockAuthProvider locally, RemoteAuthProvider against a backend);
+// this class keeps the current session, restores it on reload and logs the
+// user out when it expires.
+
+import MockAuthProvider from './MockAuthProvider';
+import AuthError from './AuthError';
+
+const SESSION_KEY = 'therapy-companion:auth-session';
+// Shared with the API server, which checks the same things
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Clients use the companion; therapists get the portal for clients who have linked to them
+export const ROLES = ['client', 'therapist'];
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AuthService {
+  constructor({ provider, sessionStore = typeof window !== 'undefined' ? window.localStorage : null } = {}) {
+    this.provider = provider;
+    this.sessionStore = sessionStore;
+    this.session = null;
+    this.expiryTimer = null;
+    this.expiryListeners = [];
+  }
+  
+  validateCredentials({ email, password, name }, { requireName = false } = {}) {
+    if (!EMAIL_PATTERN.test(email || '')) {
+      throw new AuthError('invalid-email', 'Please enter a valid email address.');
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError('weak-password', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    if (requireName && !(name || '').trim()) {
+      throw new AuthError('missing-name', 'Please tell us what to call you.');
+    }
+  }
+  
+  async login(email, password) {
+    if (!email || !password) {
+      throw new AuthError('invalid-credentials', 'Please enter your email and password.');
+    }
+    
+    const session = await this.provider.login(email.trim().toLowerCase(), password);
+    return this.setSession(session);
+  }
+  
+  async register({ name, email, password, role = 'client' }) {
+    this.validateCredentials({ name, email, password }, { requireName: true });
+    if (!ROLES.includes(role)) {
+      throw new AuthError('invalid-role', 'Please choose whether this is a personal or therapist account.');
+    }
+    
+    const session = await this.provider.register({
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      password,
+      role
+    });
+    return this.setSession(session);
+  }
+  
+  requestPasswordReset(email) {
+    if (!EMAIL_PATTERN.test(email || '')) {
+      return Promise.reject(new AuthError('invalid-email', 'Please enter a valid email address.'));
+    }
+    return this.provider.requestPasswordReset(email.trim().toLowerCase());
+  }
+  
+  async resetPassword(resetToken, newPassword) {
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError('weak-password', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    await this.provider.resetPassword(resetToken.trim(), newPassword);
+  }
+  
+  async logout() {
+    const { session } = this;
+    this.clearSession();
+    if (session) {
+      await this.provider.logout(session.token).catch(error => console.error('Logout failed:', error));
+    }
+  }
+  
+  // Restores a saved session if it hasn't expired yet
+  getSession() {
+    if (this.session) return this.session;
+    if (!this.sessionStore) return null;
+    
+    const raw = this.sessionStore.getItem(SESSION_KEY);
+    if (!raw) return null;
+    
+    let saved = null;
+    try {
+      saved = JSON.parse(raw);
+    } catch (error) {
+      console.error('Discarding an unreadable saved session:', error);
+    }
+    
+    // Corrupt entries go the same way as expired ones: the user signs in again.
+    // An unreadable expiry compares false, so it counts as expired too.
+    if (!saved || !saved.token || !(new Date(saved.expiresAt) > new Date())) {
+      this.sessionStore.removeItem(SESSION_KEY);
+      return null;
+    }
+    
+    this.session = saved;
+    this.scheduleExpiry();
+    return saved;
+  }
+  
+  getToken() {
+    const session = this.getSession();
+    return session ? session.token : null;
+  }
+  
+  // Called with no arguments when the current session times out. Returns an unsubscribe function.
+  onSessionExpired(listener) {
+    this.expiryListeners.push(listener);
+    return () => {
+      this.expiryListeners = this.expiryListeners.filter(existing => existing !== listener);
+    };
+  }
+  
+  setSession(session) {
+    this.session = session;
+    if (this.sessionStore) {
+      this.sessionStore.setItem(SESSION_KEY, JSON.stringify(session));
+    }
+    this.scheduleExpiry();
+    return session;
+  }
+  
+  clearSession() {
+    clearTimeout(this.expiryTimer);
+    this.session = null;
+    if (this.sessionStore) {
+      this.sessionStore.removeItem(SESSION_KEY);
+    }
+  }
+  
+  scheduleExpiry() {
+    clearTimeout(this.expiryTimer);
+    const remaining = new Date(this.session.expiresAt) - new Date();
+    
+    this.expiryTimer = setTimeout(() => {
+      this.clearSession();
+      this.expiryListeners.forEach(listener => listener());
+    }, Math.max(0, remaining));
+  }
+}
+
+export const createAuthService = (provider = new MockAuthProvider()) => new AuthService({ provider });
+
+export default AuthService;
+
+// File: src/services/auth/MockAuthProvider.js
+// Local, development-only auth provider. Accounts live in localStorage with
+// salted password hashes, so nothing leaves the browser. Don't ship this as
+// the production provider.
+
+import AuthError from './AuthError';
+
+const USERS_KEY = 'therapy-companion:mock-auth-users';
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const RESET_TTL_MS = 15 * 60 * 1000;
+
+const randomToken = (bytes = 24) => Array.from(
+  window.crypto.getRandomValues(new Uint8Array(bytes)),
+  byte => byte.toString(16).padStart(2, '0')
+).join('');
+
+const hashPassword = async (password, salt) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+class MockAuthProvider {
+  constructor({ store = window.localStorage, sessionTtlMs = SESSION_TTL_MS } = {}) {
+    this.store = store;
+    this.sessionTtlMs = sessionTtlMs;
+    this.resetTokens = {};
+  }
+  
+  loadUsers() {
+    return JSON.parse(this.store.getItem(USERS_KEY) || '{}');
+  }
+  
+  saveUsers(users) {
+    this.store.setItem(USERS_KEY, JSON.stringify(users));
+  }
+  
+  createSession(user) {
+    return {
+      token: randomToken(),
+      // Accounts created before roles existed are clients
+      user: { id: user.id, name: user.name, email: user.email, role: user.role || 'client' },
+      expiresAt: new Date(Date.now() + this.sessionTtlMs).toISOString()
+    };
+  }
+  
+  async login(email, password) {
+    const user = this.loadUsers()[email];
+    // Same message either way, so the form doesn't reveal which emails have accounts
+    if (!user || await hashPassword(password, user.salt) !== user.passwordHash) {
+      throw new AuthError('invalid-credentials', 'That email and password combination is not correct.');
+    }
+    return this.createSession(user);
+  }
+  
+  async register({ name, email, password, role }) {
+    const users = this.loadUsers();
+    if (users[email]) {
+      throw new AuthError('email-taken', 'An account with that email already exists.');
+    }
+    
+    const salt = randomToken(16);
+    const user = {
+      id: `user-${randomToken(8)}`,
+      name,
+      email,
+      role,
+      salt,
+      passwordHash: await hashPassword(password, salt),
+      createdAt: new Date().toISOString()
+    };
+    
+    users[email] = user;
+    this.saveUsers(users);
+    return this.createSession(user);
+  }
+  
+  // A real provider emails a link. Locally the code is returned so the
+  // reset form can show it.
+  async requestPasswordReset(email) {
+    if (!this.loadUsers()[email]) {
+      return { sent: true };
+    }
+    
+    const resetToken = randomToken(4);
+    this.resetTokens[resetToken] = { email, expiresAt: Date.now() + RESET_TTL_MS };
+    return { sent: true, developmentResetToken: resetToken };
+  }
+  
+  async resetPassword(resetToken, newPassword) {
+    const entry = this.resetTokens[resetToken];
+    if (!entry || entry.expiresAt < Date.now()) {
+      throw new AuthError('invalid-reset-token', 'That reset code is invalid or has expired.');
+    }
+    
+    const users = this.loadUsers();
+    const user = users[entry.email];
+    user.salt = randomToken(16);
+    user.passwordHash = await hashPassword(newPassword, user.salt);
+    this.saveUsers(users);
+    delete this.resetTokens[resetToken];
+  }
+  
+  async logout() {
+    // Nothing to revoke locally
+  }
+}
+
+export default MockAuthProvider;
+
+// File: src/services/auth/RemoteAuthProvider.js
+// Auth provider for a backend exposing /auth/login, /auth/register,
+// /auth/password-reset, /auth/password-reset/confirm and /auth/logout.
+
+import AuthError from './AuthError';
+
+class RemoteAuthProvider {
+  constructor({ baseUrl, fetchImpl = (...args) => fetch(...args) }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.fetch = fetchImpl;
+  }
+  
+  async request(path, body, token = null) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new AuthError('network', 'We couldn\'t reach the server. Check your connection and try again.');
+    }
+    
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new AuthError(
+        (data && data.code) || 'server-error',
+        (data && data.message) || 'Something went wrong. Please try again.'
+      );
+    }
+    return data;
+  }
+  
+  login(email, password) {
+    return this.request('/auth/login', { email, password });
+  }
+  
+  register(details) {
+    return this.request('/auth/register', details);
+  }
+  
+  requestPasswordReset(email) {
+    return this.request('/auth/password-reset', { email });
+  }
+  
+  resetPassword(resetToken, newPassword) {
+    return this.request('/auth/password-reset/confirm', { resetToken, newPassword });
+  }
+  
+  logout(token) {
+    return this.request('/auth/logout', {}, token);
+  }
+}
+
+export default RemoteAuthProvider;
+
+// File: src/services/ProgressTracker.js
+// Turns stored sessions and interactions into the numbers and observations
+// the Dashboard shows. Everything is derived on demand; nothing here is stored.
+
+import { getWellbeingScore } from './EmotionTracker';
+import { getAssignmentStatus } from './AssignmentService';
+import { QUESTIONNAIRES, getQuestionnaireTrend } from './Questionnaires';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIMENSIONS = ['overall', 'anxiety', 'depression', 'anger', 'joy'];
+
+// Minimum samples before we're willing to call something a pattern
+const MIN_SAMPLES = 2;
+const MEANINGFUL_CHANGE = 0.3;
+
+const round = (value) => Math.round(value * 10) / 10;
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const getDayStart = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// Monday 00:00 local time of the week containing `date`
+export const getWeekStart = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const getTimeOfDay = (date) => {
+  const hour = new Date(date).getHours();
+  if (hour < 12) return 'morning';
+  if (hour < 18) return 'afternoon';
+  return 'evening';
+};
+
+const formatShortDate = (date) => `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}`;
+
+class ProgressTracker {
+  constructor({ sessions = [], interactions = [], assignments = [], questionnaires = [], userProfile = {}, now = new Date() } = {}) {
+    this.sessions = [...sessions].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    this.interactions = interactions.filter(interaction => interaction.emotionalState);
+    this.assignments = assignments;
+    this.questionnaires = questionnaires;
+    this.userProfile = userProfile;
+    this.now = now;
+  }
+  
+  hasData() {
+    return this.sessions.length > 0 || this.interactions.length > 0 || this.questionnaires.length > 0;
+  }
+  
+  getReport() {
+    return {
+      hasData: this.hasData(),
+      sessionCount: this.sessions.length,
+      interactionCount: this.interactions.length,
+      weeklyEmotions: this.getWeeklyEmotionalAverages(),
+      activityCompletion: this.getActivityCompletion(),
+      questionnaires: this.getQuestionnaireTrends(),
+      insights: this.generateInsights()
+    };
+  }
+  
+  isInRange(date, start, end) {
+    const time = new Date(date).getTime();
+    return (!start || time >= new Date(start).getTime()) && (!end || time <= new Date(end).getTime());
+  }
+  
+  // Average emotional state per day or week, optionally limited to a date range
+  getEmotionalAverages({ bucket = 'week', start = null, end = null } = {}) {
+    const getBucketStart = bucket === 'day' ? getDayStart : getWeekStart;
+    const buckets = {};
+    
+    this.interactions
+      .filter(interaction => this.isInRange(interaction.timestamp, start, end))
+      .forEach(interaction => {
+        const bucketStart = getBucketStart(interaction.timestamp);
+        const key = bucketStart.getTime();
+        if (!buckets[key]) buckets[key] = { bucketStart, states: [] };
+        buckets[key].states.push(interaction.emotionalState);
+      });
+    
+    return Object.keys(buckets)
+      .sort((a, b) => a - b)
+      .map(key => {
+        const { bucketStart, states } = buckets[key];
+        const entry = {
+          periodStart: bucketStart,
+          date: formatShortDate(bucketStart),
+          sampleCount: states.length
+        };
+        DIMENSIONS.forEach(dimension => {
+          entry[dimension] = round(average(states.map(state => state[dimension])));
+        });
+        return entry;
+      });
+  }
+  
+  getWeeklyEmotionalAverages() {
+    return this.getEmotionalAverages({ bucket: 'week' });
+  }
+  
+  // Averages for [start, end] against the equally long period just before it
+  comparePeriods(start, end) {
+    const length = new Date(end).getTime() - new Date(start).getTime();
+    const previousEnd = new Date(new Date(start).getTime() - 1);
+    const previousStart = new Date(new Date(start).getTime() - length);
+    
+    const averageFor = (from, to) => {
+      const states = this.interactions
+        .filter(interaction => this.isInRange(interaction.timestamp, from, to))
+        .map(interaction => interaction.emotionalState);
+      const result = { sampleCount: states.length };
+      DIMENSIONS.forEach(dimension => {
+        result[dimension] = states.length > 0 ? round(average(states.map(state => state[dimension]))) : null;
+      });
+      return result;
+    };
+    
+    const current = averageFor(start, end);
+    const previous = averageFor(previousStart, previousEnd);
+    const changes = {};
+    DIMENSIONS.forEach(dimension => {
+      changes[dimension] = current[dimension] !== null && previous[dimension] !== null
+        ? round(current[dimension] - previous[dimension])
+        : null;
+    });
+    
+    return { current, previous, changes, previousStart, previousEnd };
+  }
+  
+  // A technique counts as done when the user carried on the conversation
+  // after it was offered
+  getCompletedActivities() {
+    return this.interactions
+      .map((interaction, i) => {
+        // Guided exercises report completion themselves
+        const { exercise } = interaction;
+        if (exercise) {
+          return exercise.completed
+            ? { id: exercise.interventionId, name: exercise.name, date: interaction.timestamp }
+            : null;
+        }
+        
+        const response = interaction.agentResponse;
+        if (!response || response.type !== 'intervention') return null;
+        
+        const next = this.interactions[i + 1];
+        const engaged = next && next.sessionId === interaction.sessionId
+          && !(next.exercise && next.exercise.interventionId === response.interventionId);
+        return engaged
+          ? { id: response.interventionId, name: response.name, date: interaction.timestamp }
+          : null;
+      })
+      .filter(Boolean);
+  }
+  
+  // Sessions, safety responses and completed activities, for chart overlays
+  getEvents({ start = null, end = null } = {}) {
+    const events = [];
+    
+    this.sessions.forEach(session => {
+      events.push({ type: 'session', date: new Date(session.startTime), label: 'Session' });
+    });
+    
+    this.interactions.forEach(interaction => {
+      const response = interaction.agentResponse;
+      if (response && (response.type === 'emergency' || response.type === 'resource')) {
+        events.push({
+          type: 'safety',
+          date: new Date(interaction.timestamp),
+          label: response.type === 'emergency' ? 'Crisis resources shown' : 'Support resources shown'
+        });
+      }
+    });
+    
+    // Questionnaire answers can raise a safety response too
+    this.questionnaires.filter(result => result.safety).forEach(result => {
+      events.push({
+        type: 'safety',
+        date: new Date(result.completedAt),
+        label: `${QUESTIONNAIRES[result.instrument].name} answers`
+      });
+    });
+    
+    this.getCompletedActivities().forEach(activity => {
+      events.push({ type: 'activity', date: new Date(activity.date), label: activity.name });
+    });
+    
+    return events
+      .filter(event => this.isInRange(event.date, start, end))
+      .sort((a, b) => a.date - b.date);
+  }
+  
+  getCompletionCounts() {
+    const counts = {};
+    const count = (id, name, times = 1) => {
+      if (!counts[id]) counts[id] = { id, name, completed: 0 };
+      counts[id].completed += times;
+    };
+    
+    this.getCompletedActivities().forEach(activity => count(activity.id, activity.name));
+    // Home practice the user marked done
+    this.assignments.forEach(assignment => {
+      if (assignment.completions.length > 0) {
+        count(assignment.interventionId || assignment.id, assignment.title, assignment.completions.length);
+      }
+    });
+    
+    return counts;
+  }
+  
+  // Goals come from assignments: one per day (or week) they were due so far.
+  // Sessions from before assignments were tracked fall back to daily practice
+  // of their home activity until the next session, capped at the user's
+  // preferred session frequency.
+  getActivityGoals() {
+    const frequencyDays = parseInt(this.userProfile.sessionFrequency, 10) || 7;
+    const goals = {};
+    const addGoal = (id, name, goal) => {
+      if (!goals[id]) goals[id] = { id, name, goal: 0 };
+      goals[id].goal += goal;
+    };
+    
+    this.assignments.forEach(assignment => {
+      if (new Date(assignment.startDate) > this.now) return;
+      const { expectedCount } = getAssignmentStatus(assignment, this.now);
+      addGoal(assignment.interventionId || assignment.id, assignment.title, expectedCount);
+    });
+    
+    const trackedSessions = new Set(this.assignments.map(assignment => assignment.sessionId).filter(Boolean));
+    
+    this.sessions.forEach((session, i) => {
+      const home = session.homeActivity;
+      if (!home || !home.activity || !session.endTime || trackedSessions.has(session.id)) return;
+      
+      const start = new Date(session.endTime);
+      const nextStart = this.sessions[i + 1] ? new Date(this.sessions[i + 1].startTime) : this.now;
+      const end = Math.min(nextStart.getTime(), start.getTime() + frequencyDays * DAY_MS);
+      const days = Math.max(1, Math.ceil((end - start.getTime()) / DAY_MS));
+      
+      addGoal(home.activity.id, home.activity.name, days);
+    });
+    
+    return goals;
+  }
+  
+  getActivityCompletion() {
+    const counts = this.getCompletionCounts();
+    const goals = this.getActivityGoals();
+    const ids = new Set([...Object.keys(counts), ...Object.keys(goals)]);
+    
+    return [...ids]
+      .map(id => ({
+        id,
+        name: (goals[id] || counts[id]).name,
+        completed: counts[id] ? counts[id].completed : 0,
+        goal: goals[id] ? goals[id].goal : null
+      }))
+      .sort((a, b) => (b.goal || 0) - (a.goal || 0) || b.completed - a.completed);
+  }
+  
+  // One trend per instrument the user has completed
+  getQuestionnaireTrends() {
+    return Object.keys(QUESTIONNAIRES)
+      .map(id => ({ instrument: id, ...getQuestionnaireTrend(this.questionnaires, id) }))
+      .filter(trend => trend.latest);
+  }
+  
+  generateInsights() {
+    return [
+      this.getTrendInsight(),
+      this.getTimeOfDayInsight(),
+      this.getInterventionInsight(),
+      this.getThemeInsight()
+    ].filter(Boolean);
+  }
+  
+  getTrendInsight() {
+    const weeks = this.getWeeklyEmotionalAverages();
+    if (weeks.length < MIN_SAMPLES) return null;
+    
+    const first = weeks[0];
+    const last = weeks[weeks.length - 1];
+    
+    const improvements = ['anxiety', 'depression', 'anger']
+      .map(dimension => ({ dimension, change: last[dimension] - first[dimension] }))
+      .sort((a, b) => a.change - b.change);
+    const best = improvements[0];
+    
+    if (best.change <= -MEANINGFUL_CHANGE * 2) {
+      return `Your ${best.dimension} levels have come down from ${first[best.dimension]} to ${last[best.dimension]} since the week of ${first.date}.`;
+    }
+    
+    const wellbeingChange = getWellbeingScore(last) - getWellbeingScore(first);
+    if (wellbeingChange >= MEANINGFUL_CHANGE) {
+      return `Your overall wellbeing has improved since the week of ${first.date}.`;
+    }
+    if (wellbeingChange <= -MEANINGFUL_CHANGE) {
+      return `The last few weeks look harder than when you started. It may help to talk this through with your therapist.`;
+    }
+    return 'Your emotional wellbeing has been fairly steady over recent weeks.';
+  }
+  
+  getTimeOfDayInsight() {
+    const buckets = {};
+    
+    this.sessions.forEach(session => {
+      const journey = session.summary && session.summary.emotionalJourney;
+      if (!journey || typeof journey.change !== 'number') return;
+      
+      const timeOfDay = getTimeOfDay(session.startTime);
+      if (!buckets[timeOfDay]) buckets[timeOfDay] = [];
+      buckets[timeOfDay].push(journey.change);
+    });
+    
+    const ranked = Object.keys(buckets)
+      .filter(timeOfDay => buckets[timeOfDay].length >= MIN_SAMPLES)
+      .map(timeOfDay => ({ timeOfDay, change: average(buckets[timeOfDay]) }))
+      .sort((a, b) => b.change - a.change);
+    
+    if (ranked.length < 2) return null;
+    
+    const best = ranked[0];
+    const worst = ranked[ranked.length - 1];
+    if (best.change - worst.change < MEANINGFUL_CHANGE) return null;
+    
+    const label = best.timeOfDay.charAt(0).toUpperCase() + best.timeOfDay.slice(1);
+    return `${label} sessions appear to be more effective for you than ${worst.timeOfDay} ones.`;
+  }
+  
+  getInterventionInsight() {
+    const outcomes = {};
+    
+    this.sessions.forEach(session => {
+      const used = (session.summary && session.summary.interventionsUsed) || [];
+      used.forEach(outcome => {
+        if (outcome.change === null || outcome.change === undefined) return;
+        if (!outcomes[outcome.name]) outcomes[outcome.name] = [];
+        outcomes[outcome.name].push(outcome.change);
+      });
+    });
+    
+    const ranked = Object.keys(outcomes)
+      .filter(name => outcomes[name].length >= MIN_SAMPLES)
+      .map(name => ({ name, change: average(outcomes[name]) }))
+      .sort((a, b) => b.change - a.change);
+    
+    if (ranked.length === 0 || ranked[0].change < MEANINGFUL_CHANGE) return null;
+    return `${ranked[0].name} shows the strongest link with mood improvement for you so far.`;
+  }
+  
+  getThemeInsight() {
+    const recent = this.sessions.slice(-5);
+    if (recent.length < 3) return null;
+    
+    const counts = {};
+    recent.forEach(session => {
+      const themes = (session.summary && session.summary.mainThemes) || [];
+      themes.forEach(theme => {
+        counts[theme] = (counts[theme] || 0) + 1;
+      });
+    });
+    
+    const top = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    if (!top || counts[top] < MIN_SAMPLES) return null;
+    return `${top} came up in ${counts[top]} of your last ${recent.length} sessions.`;
+  }
+}
+
+export default ProgressTracker;
+
+// File: src/services/SessionArchive.js
+// Groups the flat interaction log into browsable sessions. Interactions saved
+// before sessions had ids (schema v1) are grouped by calendar day instead.
+// Mood check-ins aren't conversations, so they're left out.
+
+import { isCheckIn } from './MoodCheckIn';
+
+const SAFETY_RESPONSE_TYPES = ['emergency', 'resource'];
+
+const dayKey = (date) => {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+const isSafetyResponse = (response) => Boolean(response) && SAFETY_RESPONSE_TYPES.includes(response.type);
+
+// Rebuilds the chat bubbles shown during the session from stored interactions
+export const toMessages = (interactions) => interactions.flatMap((interaction, i) => {
+  const response = interaction.agentResponse || {};
+  const next = interactions[i + 1];
+  return [
+    {
+      id: `${i}-user`,
+      sender: 'user',
+      text: interaction.userInput,
+      timestamp: interaction.timestamp
+    },
+    {
+      id: `${i}-agent`,
+      sender: 'agent',
+      text: response.message || response.introduction,
+      content: response.content,
+      followUp: response.followUp,
+      timestamp: interaction.timestamp,
+      isSafety: isSafetyResponse(response),
+      deliveryId: response.deliveryId,
+      feedback: interaction.feedback,
+      ...(response.exercise ? {
+        exercise: response.exercise,
+        interventionId: response.interventionId,
+        name: response.name,
+        exerciseDone: Boolean(next && next.exercise && next.exercise.interventionId === response.interventionId)
+      } : {})
+    }
+  ];
+});
+
+class SessionArchive {
+  constructor({ sessions = [], interactions = [] } = {}) {
+    this.entries = this.buildEntries(sessions, interactions);
+  }
+  
+  buildEntries(sessions, interactions) {
+    const entries = {};
+    
+    sessions.forEach(session => {
+      entries[session.id] = { id: session.id, session, interactions: [] };
+    });
+    
+    interactions.filter(interaction => !isCheckIn(interaction)).forEach(interaction => {
+      const id = interaction.sessionId || `day-${dayKey(interaction.timestamp)}`;
+      if (!entries[id]) entries[id] = { id, session: null, interactions: [] };
+      entries[id].interactions.push(interaction);
+    });
+    
+    return Object.values(entries)
+      .map(entry => this.describe(entry))
+      .sort((a, b) => b.startTime - a.startTime);
+  }
+  
+  describe({ id, session, interactions }) {
+    const sorted = [...interactions].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    
+    // Summaries store display labels, so prefer the raw themes from the
+    // interactions and only fall back to the summary when there are none
+    const detected = sorted.flatMap(interaction => (interaction.analysis ? interaction.analysis.themes : []));
+    const themes = detected.length > 0 || !(session && session.summary)
+      ? [...new Set(detected)]
+      : session.summary.mainThemes.map(theme => theme.toLowerCase());
+    
+    const safetyEvents = sorted.filter(interaction => isSafetyResponse(interaction.agentResponse));
+    
+    return {
+      id,
+      session,
+      interactions: sorted,
+      startTime: new Date(session ? session.startTime : first.timestamp),
+      endTime: session && session.endTime ? new Date(session.endTime) : (last ? new Date(last.timestamp) : null),
+      // Sessions that were never ended have no summary or home activity
+      isComplete: Boolean(session),
+      themes,
+      safetyEventCount: safetyEvents.length,
+      hasEmergency: safetyEvents.some(interaction => interaction.agentResponse.type === 'emergency'),
+      preview: first ? first.userInput : ''
+    };
+  }
+  
+  getEntries() {
+    return this.entries;
+  }
+  
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+  
+  getThemes() {
+    return [...new Set(this.entries.flatMap(entry => entry.themes))].sort();
+  }
+  
+  matchesQuery(entry, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return true;
+    
+    const summary = entry.session && entry.session.summary;
+    const haystack = [
+      ...entry.themes,
+      ...entry.interactions.map(interaction => interaction.userInput),
+      ...entry.interactions.map(interaction => {
+        const response = interaction.agentResponse || {};
+        return [response.message, response.introduction, response.name].filter(Boolean).join(' ');
+      }),
+      ...(summary ? summary.keyInsights : []),
+      entry.session && entry.session.homeActivity ? entry.session.homeActivity.activity.name : ''
+    ];
+    
+    return haystack.some(text => text && text.toLowerCase().includes(needle));
+  }
+  
+  search({ query = '', theme = '', from = null, to = null, safetyOnly = false } = {}) {
+    return this.entries.filter(entry => {
+      if (from && entry.startTime < new Date(from)) return false;
+      if (to && entry.startTime > new Date(to)) return false;
+      if (safetyOnly && entry.safetyEventCount === 0) return false;
+      if (theme && !entry.themes.includes(theme)) return false;
+      return this.matchesQuery(entry, query);
+    });
+  }
+}
+
+export default SessionArchive;
+
+// File: src/services/export/ExportService.js
+// Builds the files users can take away: a printable report (saved as PDF from
+// the browser's print dialog), a CSV of emotional states and a full JSON
+// backup. The JSON format is documented in the README under "Data Export
+// Format" and is what the import flow reads back.
+
+import { SCHEMA_VERSION } from '../storage/migrations';
+import { isCheckIn } from '../MoodCheckIn';
+import { QUESTIONNAIRES, getSeverityBand } from '../Questionnaires';
+import { summarizeAnalysis } from '../NLPProcessor';
+
+export const EXPORT_FORMAT = 'therapy-companion-export';
+
+export const EXPORT_SECTIONS = {
+  profile: 'Profile and preferences',
+  summaries: 'Session summaries and home activities',
+  emotions: 'Emotional state history',
+  activities: 'Activity completion',
+  insights: 'Insights',
+  transcripts: 'Full conversation transcripts'
+};
+
+// Which sections each format can contain
+export const FORMAT_SECTIONS = {
+  pdf: ['profile', 'summaries', 'emotions', 'activities', 'insights', 'transcripts'],
+  csv: ['emotions'],
+  json: ['profile', 'summaries', 'emotions', 'transcripts']
+};
+
+// Transcripts are the most sensitive part, so they are opt-in
+export const DEFAULT_EXPORT_SECTIONS = ['profile', 'summaries', 'emotions', 'activities', 'insights'];
+
+const DIMENSIONS = ['overall', 'anxiety', 'depression', 'anger', 'joy'];
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+export const buildJsonExport = ({ profile, sessions = [], interactions = [], include = DEFAULT_EXPORT_SECTIONS, now = new Date() }) => {
+  const has = (section) => include.includes(section);
+  const data = {
+    format: EXPORT_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: toIso(now),
+    contents: FORMAT_SECTIONS.json.filter(has)
+  };
+  
+  if (has('profile')) data.profile = profile;
+  
+  if (has('summaries')) {
+    data.sessions = sessions.map(session => ({
+      ...session,
+      startTime: toIso(session.startTime),
+      endTime: toIso(session.endTime)
+    }));
+  }
+  
+  if (has('emotions') || has('transcripts')) {
+    data.interactions = interactions.map(interaction => {
+      const entry = {
+        sessionId: interaction.sessionId || null,
+        timestamp: toIso(interaction.timestamp),
+        focusArea: interaction.focusArea || null
+      };
+      if (has('emotions')) entry.emotionalState = interaction.emotionalState;
+      // Check-in scores count as emotional data; the free-text notes as transcript
+      if (isCheckIn(interaction) && (has('emotions') || has('transcripts'))) {
+        const { notes, ...scores } = interaction.checkIn;
+        entry.checkIn = {
+          ...(has('emotions') ? scores : {}),
+          ...(has('transcripts') ? { notes } : {})
+        };
+      }
+      if (has('transcripts') && !isCheckIn(interaction)) {
+        entry.userInput = interaction.userInput;
+        entry.agentResponse = interaction.agentResponse;
+        entry.analysis = summarizeAnalysis(interaction.analysis);
+        if (interaction.exercise) entry.exercise = interaction.exercise;
+      }
+      return entry;
+    });
+  }
+  
+  return data;
+};
+
+// Sleep and energy are only recorded by check-ins, so they're blank for session rows
+export const buildEmotionCsv = ({ interactions = [] }) => {
+  const header = ['timestamp', 'sessionId', ...DIMENSIONS, 'sleep', 'energy'];
+  const rows = interactions
+    .filter(interaction => interaction.emotionalState)
+    .map(interaction => [
+      toIso(interaction.timestamp),
+      interaction.sessionId || '',
+      ...DIMENSIONS.map(dimension => interaction.emotionalState[dimension]),
+      interaction.checkIn ? interaction.checkIn.sleep : '',
+      interaction.checkIn ? interaction.checkIn.energy : ''
+    ]);
+  
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+};
+
+const COLORS = {
+  overall: '#2c7a7b',
+  anxiety: '#c05621',
+  depression: '#553c9a',
+  anger: '#c53030',
+  joy: '#b7791f'
+};
+
+// Static version of the Dashboard chart; print output can't run React
+const renderTrendSvg = (series) => {
+  const width = 640;
+  const height = 220;
+  const pad = { top: 10, right: 10, bottom: 24, left: 28 };
+  const innerWidth = width - pad.left - pad.right;
+  const innerHeight = height - pad.top - pad.bottom;
+  
+  const x = (i) => pad.left + (series.length === 1 ? innerWidth / 2 : (i / (series.length - 1)) * innerWidth);
+  const y = (value) => pad.top + ((10 - value) / 9) * innerHeight;
+  
+  const grid = [1, 5, 10].map(value => `
+    <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="#ddd" />
+    <text x="${pad.left - 6}" y="${y(value) + 4}" font-size="10" text-anchor="end">${value}</text>`).join('');
+  
+  const lines = DIMENSIONS.map(dimension => {
+    const points = series.map((entry, i) => `${x(i)},${y(entry[dimension])}`).join(' ');
+    return `<polyline fill="none" stroke="${COLORS[dimension]}" stroke-width="2" points="${points}" />`;
+  }).join('');
+  
+  const labels = series.map((entry, i) => (
+    `<text x="${x(i)}" y="${height - 6}" font-size="10" text-anchor="middle">${escapeHtml(entry.date)}</text>`
+  )).join('');
+  
+  const legend = DIMENSIONS.map(dimension => (
+    `<span style="color:${COLORS[dimension]}">&#9632; ${dimension}</span>`
+  )).join(' ');
+  
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Weekly emotional averages">${grid}${lines}${labels}</svg><p class="legend">${legend}</p>`;
+};
+
+const renderList = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+const renderTranscript = (allInteractions) => {
+  const interactions = allInteractions.filter(interaction => !isCheckIn(interaction));
+  if (interactions.length === 0) return '';
+  const lines = interactions.map(interaction => {
+    const response = interaction.agentResponse || {};
+    return `<p><strong>You:</strong> ${escapeHtml(interaction.userInput)}</p>
+      <p><strong>Companion:</strong> ${escapeHtml(response.message || response.introduction)}</p>`;
+  }).join('');
+  return `<div class="transcript">${lines}</div>`;
+};
+
+export const buildReportHtml = ({ profile, sessions = [], interactions = [], report, include = DEFAULT_EXPORT_SECTIONS, now = new Date() }) => {
+  const has = (section) => include.includes(section);
+  const parts = [];
+  
+  parts.push(`<h1>Therapy Companion Progress Report</h1>
+    <p>Prepared for ${escapeHtml(profile && profile.name)} on ${escapeHtml(now.toLocaleDateString())}.
+    ${report.sessionCount} sessions and ${report.interactionCount} interactions in total.</p>`);
+  
+  if (has('profile') && profile) {
+    parts.push(`<h2>Goals and Stressors</h2>
+      <p><strong>Therapeutic goals:</strong> ${escapeHtml((profile.therapeuticGoals || []).join(', ') || 'None set')}</p>
+      <p><strong>Current stressors:</strong> ${escapeHtml((profile.currentStressors || []).join(', ') || 'None set')}</p>`);
+  }
+  
+  if (has('emotions') && report.weeklyEmotions.length > 0) {
+    const rows = report.weeklyEmotions.map(entry => (
+      `<tr><td>${escapeHtml(entry.date)}</td>${DIMENSIONS.map(dimension => `<td>${entry[dimension]}</td>`).join('')}</tr>`
+    )).join('');
+    parts.push(`<h2>Emotional Wellbeing Trends</h2>
+      ${renderTrendSvg(report.weeklyEmotions)}
+      <table><thead><tr><th>Week of</th>${DIMENSIONS.map(dimension => `<th>${dimension}</th>`).join('')}</tr></thead><tbody>${rows}</tbody></table>`);
+  }
+  
+  if (has('emotions') && report.questionnaires && report.questionnaires.length > 0) {
+    const rows = report.questionnaires.flatMap(({ instrument, entries }) => entries.map(result => (
+      `<tr><td>${escapeHtml(new Date(result.completedAt).toLocaleDateString())}</td><td>${escapeHtml(QUESTIONNAIRES[instrument].name)}</td>`
+      + `<td>${result.total}</td><td>${escapeHtml(getSeverityBand(instrument, result.total).label)}</td></tr>`
+    ))).join('');
+    parts.push(`<h2>Questionnaire Scores</h2>
+      <table><thead><tr><th>Date</th><th>Questionnaire</th><th>Score</th><th>Severity</th></tr></thead><tbody>${rows}</tbody></table>`);
+  }
+  
+  if (has('activities') && report.activityCompletion.length > 0) {
+    const rows = report.activityCompletion.map(activity => (
+      `<tr><td>${escapeHtml(activity.name)}</td><td>${activity.completed}${activity.goal ? ` / ${activity.goal}` : ''}</td></tr>`
+    )).join('');
+    parts.push(`<h2>Activity Completion</h2>
+      <table><thead><tr><th>Activity</th><th>Completed</th></tr></thead><tbody>${rows}</tbody></table>`);
+  }
+  
+  if (has('insights') && report.insights.length > 0) {
+    parts.push(`<h2>Insights</h2>${renderList(report.insights)}`);
+  }
+  
+  if (has('summaries') && sessions.length > 0) {
+    const sessionParts = sessions.map(session => {
+      const summary = session.summary || {};
+      const home = session.homeActivity;
+      return `<section class="session">
+        <h3>${escapeHtml(new Date(session.startTime).toLocaleString())}</h3>
+        <p><strong>Themes:</strong> ${escapeHtml((summary.mainThemes || []).join(', ') || 'None')}</p>
+        ${summary.emotionalJourney ? `<p><strong>Emotional trend:</strong> ${escapeHtml(summary.emotionalJourney.trend)}</p>` : ''}
+        ${summary.keyInsights && summary.keyInsights.length > 0 ? renderList(summary.keyInsights) : ''}
+        ${home ? `<p><strong>Home activity:</strong> ${escapeHtml(home.activity.name)} - ${escapeHtml(home.instructions)}</p>` : ''}
+        ${has('transcripts') ? renderTranscript(interactions.filter(interaction => interaction.sessionId === session.id)) : ''}
+      </section>`;
+    }).join('');
+    parts.push(`<h2>Session Summaries</h2>${sessionParts}`);
+  } else if (has('transcripts') && interactions.length > 0) {
+    parts.push(`<h2>Conversations</h2>${renderTranscript(interactions)}`);
+  }
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Therapy Companion Progress Report</title>
+<style>
+  body { font-family: Georgia, serif; color: #222; margin: 2em; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  .session { page-break-inside: avoid; border-top: 1px solid #eee; }
+  .transcript p { margin: 0.25em 0; }
+  .legend span { margin-right: 1em; }
+</style>
+</head>
+<body>
+${parts.join('\n')}
+<p><small>This report was generated by Therapy Companion. It is a self-help record, not a clinical assessment.</small></p>
+</body>
+</html>`;
+};
+
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Prints from a hidden iframe so popup blockers don't get in the way; the
+// browser's print dialog offers "Save as PDF"
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+  
+  const doc = frame.contentWindow.document;
+  doc.open();
+  doc.write(html);
+  doc.close();
+  
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+  setTimeout(() => document.body.removeChild(frame), 1000);
+};
+
+export const exportFilename = (extension, now = new Date()) => `therapy-companion-${now.toISOString().slice(0, 10)}.${extension}`;
+
+// File: src/services/export/ImportService.js
+// Reads a JSON backup produced by ExportService back in. Files are validated
+// and migrated to the current schema before anything is shown to the user,
+// and nothing is written until they confirm the preview.
+
+import { SCHEMA_VERSION, migrate } from '../storage/migrations';
+import { reviveDates } from '../storage/StorageService';
+import { EXPORT_FORMAT } from './ExportService';
+import { validateSafetyPlan } from '../SafetyPlan';
+import { validateEscalationSettings } from '../escalation/EscalationService';
+
+const DIMENSIONS = ['overall', 'anxiety', 'depression', 'anger', 'joy'];
+const SECTIONS = ['profile', 'sessions', 'interactions'];
+
+// Enough to point at the problem without flooding the screen
+const MAX_REPORTED_ERRORS = 10;
+
+export class ImportValidationError extends Error {
+  constructor(errors) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    const more = errors.length - shown.length;
+    super(`This file can't be imported: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`);
+    this.name = 'ImportValidationError';
+    this.errors = errors;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isDate = (value) => value instanceof Date && !isNaN(value.getTime());
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+export const validateEmotionalState = (state, path) => {
+  if (!isObject(state)) return [`${path} must be an object`];
+  return DIMENSIONS
+    .filter(dimension => typeof state[dimension] !== 'number' || state[dimension] < 0 || state[dimension] > 10)
+    .map(dimension => `${path}.${dimension} must be a number from 0 to 10`);
+};
+
+export const validateProfile = (profile, path = 'profile') => {
+  if (!isObject(profile)) return [`${path} must be an object`];
+  const errors = [];
+  
+  if (!isStringArray(profile.therapeuticGoals)) errors.push(`${path}.therapeuticGoals must be a list of text`);
+  if (!isStringArray(profile.currentStressors)) errors.push(`${path}.currentStressors must be a list of text`);
+  if (typeof profile.sessionFrequency !== 'number' || profile.sessionFrequency < 1) {
+    errors.push(`${path}.sessionFrequency must be a number of days`);
+  }
+  if (typeof profile.preferredDuration !== 'string') errors.push(`${path}.preferredDuration must be text`);
+  if (typeof profile.preferredActivityType !== 'string') errors.push(`${path}.preferredActivityType must be text`);
+  if (profile.locale !== undefined && typeof profile.locale !== 'string') errors.push(`${path}.locale must be text`);
+  
+  const effectiveness = profile.interventionEffectiveness;
+  if (effectiveness !== undefined && !(isObject(effectiveness) && Object.values(effectiveness).every(value => typeof value === 'number'))) {
+    errors.push(`${path}.interventionEffectiveness must map techniques to numbers`);
+  }
+  if (profile.safetyPlan !== undefined && profile.safetyPlan !== null) {
+    errors.push(...validateSafetyPlan(profile.safetyPlan, `${path}.safetyPlan`));
+  }
+  if (profile.escalation !== undefined) {
+    errors.push(...validateEscalationSettings(profile.escalation, `${path}.escalation`));
+  }
+  
+  return errors;
+};
+
+export const validateSession = (session, path) => {
+  if (!isObject(session)) return [`${path} must be an object`];
+  const errors = [];
+  
+  if (typeof session.id !== 'string' || !session.id) errors.push(`${path}.id is missing`);
+  if (!isDate(session.startTime)) errors.push(`${path}.startTime must be a date`);
+  if (session.endTime !== undefined && session.endTime !== null && !isDate(session.endTime)) {
+    errors.push(`${path}.endTime must be a date`);
+  }
+  if (session.summary !== undefined && !isObject(session.summary)) errors.push(`${path}.summary must be an object`);
+  
+  return errors;
+};
+
+export const validateInteraction = (interaction, path) => {
+  if (!isObject(interaction)) return [`${path} must be an object`];
+  const errors = [];
+  
+  if (!isDate(interaction.timestamp)) errors.push(`${path}.timestamp must be a date`);
+  if (interaction.sessionId !== null && interaction.sessionId !== undefined && typeof interaction.sessionId !== 'string') {
+    errors.push(`${path}.sessionId must be text`);
+  }
+  if (interaction.userInput !== undefined && typeof interaction.userInput !== 'string') {
+    errors.push(`${path}.userInput must be text`);
+  }
+  if (interaction.emotionalState !== undefined) {
+    errors.push(...validateEmotionalState(interaction.emotionalState, `${path}.emotionalState`));
+  }
+  
+  return errors;
+};
+
+// Files from before the export format existed are the README's v1 structures
+const readEnvelope = (raw) => {
+  if (raw.format === EXPORT_FORMAT) {
+    if (typeof raw.schemaVersion !== 'number') throw new ImportValidationError(['schemaVersion is missing']);
+    return { version: raw.schemaVersion, data: raw };
+  }
+  if (raw.userProfile || raw.sessionHistory) {
+    return { version: 1, data: { profile: raw.userProfile, interactions: raw.sessionHistory } };
+  }
+  throw new ImportValidationError(['it is not a Therapy Companion export']);
+};
+
+// Returns { profile?, sessions?, interactions?, schemaVersion, exportedAt }.
+// Sections missing from the file are left out rather than defaulted, so a
+// partial export never wipes data it didn't contain.
+export const parseImportFile = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text, reviveDates);
+  } catch (error) {
+    throw new ImportValidationError(['it is not valid JSON']);
+  }
+  if (!isObject(raw)) throw new ImportValidationError(['it is not a Therapy Companion export']);
+  
+  const { version, data } = readEnvelope(raw);
+  if (version > SCHEMA_VERSION) {
+    throw new ImportValidationError([`it was made by a newer version of the app (schema ${version})`]);
+  }
+  
+  const present = SECTIONS.filter(section => data[section] !== undefined && data[section] !== null);
+  if (present.length === 0) throw new ImportValidationError(['it contains no profile, sessions or interactions']);
+  
+  const migrated = version < SCHEMA_VERSION ? migrate(data, version) : data;
+  
+  const errors = [];
+  if (present.includes('profile')) errors.push(...validateProfile(migrated.profile));
+  if (present.includes('sessions')) {
+    if (!Array.isArray(migrated.sessions)) errors.push('sessions must be a list');
+    else migrated.sessions.forEach((session, i) => errors.push(...validateSession(session, `sessions[${i}]`)));
+  }
+  if (present.includes('interactions')) {
+    if (!Array.isArray(migrated.interactions)) errors.push('interactions must be a list');
+    else migrated.interactions.forEach((interaction, i) => errors.push(...validateInteraction(interaction, `interactions[${i}]`)));
+  }
+  if (errors.length > 0) throw new ImportValidationError(errors);
+  
+  const result = { schemaVersion: version, exportedAt: raw.exportedAt || null };
+  present.forEach(section => {
+    result[section] = migrated[section];
+  });
+  return result;
+};
+
+const interactionKey = (interaction) => `${interaction.sessionId || ''}|${new Date(interaction.timestamp).toISOString()}`;
+
+const union = (a = [], b = []) => [...new Set([...a, ...b])];
+
+const mergeProfile = (current, incoming, mode) => {
+  // The signed-in account decides who this is, whatever the file says
+  const identity = { id: current.id, name: current.name };
+  if (mode === 'replace') return { ...incoming, ...identity };
+  
+  return {
+    ...incoming,
+    ...current,
+    ...identity,
+    therapeuticGoals: union(current.therapeuticGoals, incoming.therapeuticGoals),
+    currentStressors: union(current.currentStressors, incoming.currentStressors),
+    interventionEffectiveness: {
+      ...incoming.interventionEffectiveness,
+      ...current.interventionEffectiveness
+    },
+    interventionStats: {
+      ...incoming.interventionStats,
+      ...current.interventionStats
+    }
+  };
+};
+
+// `mode` is 'merge' (keep existing data, add what's new, imported sessions
+// win on matching ids) or 'replace' (imported sections overwrite existing ones)
+export const applyImport = (current, incoming, mode = 'merge') => {
+  const result = { ...current };
+  
+  if (incoming.profile) result.profile = mergeProfile(current.profile, incoming.profile, mode);
+  
+  if (incoming.sessions) {
+    if (mode === 'replace') {
+      result.sessions = incoming.sessions;
+    } else {
+      const byId = new Map(current.sessions.map(session => [session.id, session]));
+      incoming.sessions.forEach(session => byId.set(session.id, session));
+      result.sessions = [...byId.values()].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    }
+  }
+  
+  if (incoming.interactions) {
+    if (mode === 'replace') {
+      result.interactions = incoming.interactions;
+    } else {
+      const byKey = new Map(current.interactions.map(interaction => [interactionKey(interaction), interaction]));
+      incoming.interactions.forEach(interaction => {
+        const key = interactionKey(interaction);
+        // An export without transcripts shouldn't strip them from what's already here
+        byKey.set(key, { ...byKey.get(key), ...interaction });
+      });
+      result.interactions = [...byKey.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+  }
+  
+  return result;
+};
+
+// Counts what applyImport would change, for the confirmation screen
+export const previewImport = (current, incoming, mode = 'merge') => {
+  const next = applyImport(current, incoming, mode);
+  const preview = { mode };
+  
+  if (incoming.profile) {
+    preview.profileChanges = Object.keys({ ...current.profile, ...next.profile })
+      .filter(field => JSON.stringify(current.profile[field]) !== JSON.stringify(next.profile[field]));
+  }
+  
+  if (incoming.sessions) {
+    const currentById = new Map(current.sessions.map(session => [session.id, session]));
+    const nextIds = new Set(next.sessions.map(session => session.id));
+    preview.sessions = {
+      added: next.sessions.filter(session => !currentById.has(session.id)).length,
+      updated: next.sessions.filter(session => currentById.has(session.id)
+        && JSON.stringify(currentById.get(session.id)) !== JSON.stringify(session)).length,
+      removed: current.sessions.filter(session => !nextIds.has(session.id)).length,
+      total: next.sessions.length
+    };
+  }
+  
+  if (incoming.interactions) {
+    const currentKeys = new Set(current.interactions.map(interactionKey));
+    const nextKeys = new Set(next.interactions.map(interactionKey));
+    preview.interactions = {
+      added: next.interactions.filter(interaction => !currentKeys.has(interactionKey(interaction))).length,
+      removed: current.interactions.filter(interaction => !nextKeys.has(interactionKey(interaction))).length,
+      total: next.interactions.length
+    };
+  }
+  
+  return preview;
+};
+
+// File: src/services/careTeam/CareTeamError.js
+// Error raised by CareTeamService and its providers. Same shape as AuthError:
+// `code` is stable to branch on, `message` can be shown to the user.
+
+class CareTeamError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CareTeamError';
+    this.code = code;
+  }
+}
+
+export default CareTeamError;
+
+// File: src/services/careTeam/CareTeamService.js
+// Links clients with their therapists. A therapist creates an invite code,
+// the client reviews what would be shared and consents; from then on the
+// client's app publishes a snapshot (never transcripts) after each session.
+// Therapists can annotate shared sessions and assign homework, which the
+// client's app picks up as assignments. Either side can end the link.
+//
+// Storage and access checks are the provider's job: MockCareTeamProvider
+// locally, RemoteCareTeamProvider against a backend.
+
+import ProgressTracker, { getDayStart } from '../ProgressTracker';
+import { RECURRENCE, parseDay } from '../AssignmentService';
+import MockCareTeamProvider from './MockCareTeamProvider';
+import CareTeamError from './CareTeamError';
+
+// What a client can choose to share. Conversation transcripts are deliberately not an option.
+export const SHARE_SCOPES = {
+  summaries: 'Session summaries and home activities',
+  trends: 'Weekly emotional trends',
+  safety: 'Times the app showed crisis or support resources'
+};
+
+const SAFETY_RESPONSE_TYPES = ['emergency', 'resource'];
+const MAX_ANNOTATION_LENGTH = 2000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The part of a client's data a therapist sees, limited to the consented scopes.
+// `safetyEvents` is the client's SafetyEventLog.
+export const buildSharedSnapshot = ({ sessions = [], interactions = [], userProfile = {}, safetyEvents = [] }, scopes, now = new Date()) => {
+  const snapshot = { updatedAt: now.toISOString() };
+  
+  if (scopes.includes('summaries')) {
+    snapshot.sessions = sessions.map(session => ({
+      id: session.id,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      focusAreas: session.focusAreas,
+      summary: session.summary,
+      homeActivity: session.homeActivity && {
+        name: session.homeActivity.activity.name,
+        instructions: session.homeActivity.instructions
+      }
+    }));
+  }
+  
+  if (scopes.includes('trends')) {
+    snapshot.weeklyEmotions = new ProgressTracker({ sessions, interactions, userProfile }).getWeeklyEmotionalAverages();
+  }
+  
+  if (scopes.includes('safety')) {
+    const fromInteractions = interactions
+      .filter(interaction => interaction.agentResponse && SAFETY_RESPONSE_TYPES.includes(interaction.agentResponse.type))
+      .map(interaction => ({
+        timestamp: interaction.timestamp,
+        sessionId: interaction.sessionId,
+        source: interaction.exercise ? 'exercise' : 'message',
+        type: interaction.agentResponse.type,
+        severity: interaction.agentResponse.severity || null,
+        riskType: interaction.agentResponse.riskType || null
+      }));
+    // Questionnaire answers aren't interactions, so those come from the log
+    const fromQuestionnaires = safetyEvents
+      .filter(event => event.source === 'questionnaire')
+      .map(event => ({
+        timestamp: event.timestamp,
+        sessionId: event.sessionId,
+        source: event.source,
+        type: event.responseType,
+        severity: event.severity,
+        riskType: event.riskType
+      }));
+    snapshot.safetyEvents = [...fromInteractions, ...fromQuestionnaires]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+  
+  return snapshot;
+};
+
+class CareTeamService {
+  constructor({ provider }) {
+    this.provider = provider;
+  }
+  
+  // Therapist side
+  
+  createInvite(therapist) {
+    return this.provider.createInvite({ therapistId: therapist.id, therapistName: therapist.name });
+  }
+  
+  getClients(therapistId) {
+    return this.provider.getClients(therapistId);
+  }
+  
+  getClientRecord(therapistId, clientId) {
+    return this.provider.getClientRecord(therapistId, clientId);
+  }
+  
+  addAnnotation(therapistId, clientId, sessionId, text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+      return Promise.reject(new CareTeamError('empty-annotation', 'Please write a note first.'));
+    }
+    if (trimmed.length > MAX_ANNOTATION_LENGTH) {
+      return Promise.reject(new CareTeamError('annotation-too-long', `Notes are limited to ${MAX_ANNOTATION_LENGTH} characters.`));
+    }
+    return this.provider.addAnnotation({ therapistId, clientId, sessionId, text: trimmed });
+  }
+  
+  // `dueDate` is a 'YYYY-MM-DD' day; `recurrence` is a key of RECURRENCE
+  assignHomework(therapistId, clientId, { title, instructions, interventionId = null, dueDate = null, recurrence = 'none' }) {
+    if (!(title || '').trim()) {
+      return Promise.reject(new CareTeamError('missing-title', 'Please give the homework a title.'));
+    }
+    if (dueDate !== null && (!DAY_PATTERN.test(dueDate) || parseDay(dueDate) < getDayStart(new Date()))) {
+      return Promise.reject(new CareTeamError('invalid-due-date', 'Please choose a due date from today onwards.'));
+    }
+    if (!RECURRENCE[recurrence]) {
+      return Promise.reject(new CareTeamError('invalid-recurrence', 'Please choose how often it repeats.'));
+    }
+    return this.provider.assignHomework({
+      therapistId,
+      clientId,
+      title: title.trim(),
+      instructions: (instructions || '').trim(),
+      interventionId,
+      dueDate,
+      recurrence
+    });
+  }
+  
+  // Client side
+  
+  // Lets the client see who is asking before they consent
+  previewInvite(code) {
+    return this.provider.previewInvite(code.trim().toUpperCase());
+  }
+  
+  async acceptInvite(code, client, scopes, data) {
+    const validScopes = scopes.filter(scope => SHARE_SCOPES[scope]);
+    if (validScopes.length === 0) {
+      throw new CareTeamError('no-scopes', 'Choose at least one thing to share.');
+    }
+    
+    const link = await this.provider.acceptInvite({
+      code: code.trim().toUpperCase(),
+      clientId: client.id,
+      clientName: client.name,
+      scopes: validScopes
+    });
+    
+    // Give the therapist something to look at straight away
+    if (data) await this.shareClientData(client.id, data);
+    return link;
+  }
+  
+  getLinks(clientId) {
+    return this.provider.getLinks(clientId);
+  }
+  
+  revokeLink(userId, linkId) {
+    return this.provider.revokeLink(userId, linkId);
+  }
+  
+  // Publishes a fresh snapshot to every active link, each limited to what that link consented to
+  async shareClientData(clientId, data) {
+    const links = (await this.provider.getLinks(clientId)).filter(link => link.status === 'active');
+    await Promise.all(links.map(link => (
+      this.provider.publishSnapshot(link.id, clientId, buildSharedSnapshot(data, link.scopes))
+    )));
+  }
+  
+  // Homework the client hasn't seen yet. It's marked as delivered, so each
+  // assignment is introduced at one session start only.
+  takePendingHomework(clientId) {
+    return this.provider.takePendingHomework(clientId);
+  }
+}
+
+export const createCareTeamService = (provider = new MockCareTeamProvider()) => new CareTeamService({ provider });
+
+export default CareTeamService;
+
+// File: src/services/careTeam/MockCareTeamProvider.js
+// Local, development-only care team provider. Everything lives in one
+// localStorage record so a therapist and a client account in the same browser
+// can try the whole flow. Access rules mirror what a real backend must enforce.
+
+import CareTeamError from './CareTeamError';
+
+const STORE_KEY = 'therapy-companion:mock-care-team';
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// No 0/O or 1/I, so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const randomId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const randomCode = () => Array.from(
+  window.crypto.getRandomValues(new Uint8Array(CODE_LENGTH)),
+  byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join('');
+
+const notLinked = () => new CareTeamError('not-linked', 'This client is no longer sharing with you.');
+
+class MockCareTeamProvider {
+  constructor({ store = window.localStorage } = {}) {
+    this.store = store;
+  }
+  
+  load() {
+    return {
+      invites: [],
+      links: [],
+      snapshots: {},
+      annotations: [],
+      homework: [],
+      ...JSON.parse(this.store.getItem(STORE_KEY) || '{}')
     };
+  }
+  
+  save(data) {
+    this.store.setItem(STORE_KEY, JSON.stringify(data));
+  }
+  
+  findActiveLink(data, therapistId, clientId) {
+    return data.links.find(link => (
+      link.therapistId === therapistId && link.clientId === clientId && link.status === 'active'
+    ));
+  }
+  
+  async createInvite({ therapistId, therapistName }) {
+    const data = this.load();
+    const invite = {
+      code: randomCode(),
+      therapistId,
+      therapistName,
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+    };
+    data.invites.push(invite);
+    this.save(data);
+    return invite;
+  }
+  
+  findInvite(data, code) {
+    const invite = data.invites.find(existing => existing.code === code);
+    if (!invite || new Date(invite.expiresAt) < new Date()) {
+      throw new CareTeamError('invalid-invite', 'That invite code is invalid or has expired. Ask your therapist for a new one.');
+    }
+    return invite;
+  }
+  
+  async previewInvite(code) {
+    const { therapistName, expiresAt } = this.findInvite(this.load(), code);
+    return { therapistName, expiresAt };
+  }
+  
+  async acceptInvite({ code, clientId, clientName, scopes }) {
+    const data = this.load();
+    const invite = this.findInvite(data, code);
+    
+    if (this.findActiveLink(data, invite.therapistId, clientId)) {
+      throw new CareTeamError('already-linked', `You're already sharing with ${invite.therapistName}.`);
+    }
+    
+    const link = {
+      id: randomId('link'),
+      therapistId: invite.therapistId,
+      therapistName: invite.therapistName,
+      clientId,
+      clientName,
+      scopes,
+      status: 'active',
+      consentedAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    
+    data.links.push(link);
+    // Invite codes are single use
+    data.invites = data.invites.filter(existing => existing !== invite);
+    this.save(data);
+    return link;
+  }
+  
+  async getLinks(clientId) {
+    return this.load().links.filter(link => link.clientId === clientId);
+  }
+  
+  async getClients(therapistId) {
+    const data = this.load();
+    return data.links
+      .filter(link => link.therapistId === therapistId && link.status === 'active')
+      .map(link => {
+        const snapshot = data.snapshots[link.id] || {};
+        return {
+          linkId: link.id,
+          clientId: link.clientId,
+          clientName: link.clientName,
+          scopes: link.scopes,
+          consentedAt: link.consentedAt,
+          lastUpdated: snapshot.updatedAt || null,
+          safetyEventCount: (snapshot.safetyEvents || []).length
+        };
+      });
+  }
+  
+  async revokeLink(userId, linkId) {
+    const data = this.load();
+    const link = data.links.find(existing => existing.id === linkId);
+    if (!link || (link.clientId !== userId && link.therapistId !== userId)) {
+      throw new CareTeamError('not-found', 'That connection no longer exists.');
+    }
+    
+    link.status = 'revoked';
+    link.revokedAt = new Date().toISOString();
+    // Ending consent removes the shared copy too
+    delete data.snapshots[link.id];
+    this.save(data);
+    return link;
+  }
+  
+  async publishSnapshot(linkId, clientId, snapshot) {
+    const data = this.load();
+    const link = data.links.find(existing => existing.id === linkId);
+    if (!link || link.clientId !== clientId || link.status !== 'active') throw notLinked();
+    
+    data.snapshots[linkId] = snapshot;
+    this.save(data);
+  }
+  
+  async getClientRecord(therapistId, clientId) {
+    const data = this.load();
+    const link = this.findActiveLink(data, therapistId, clientId);
+    if (!link) throw notLinked();
+    
+    return {
+      link,
+      snapshot: data.snapshots[link.id] || null,
+      annotations: data.annotations.filter(note => note.therapistId === therapistId && note.clientId === clientId),
+      homework: data.homework.filter(item => item.therapistId === therapistId && item.clientId === clientId)
+    };
+  }
+  
+  async addAnnotation({ therapistId, clientId, sessionId, text }) {
+    const data = this.load();
+    if (!this.findActiveLink(data, therapistId, clientId)) throw notLinked();
+    
+    const annotation = {
+      id: randomId('note'),
+      therapistId,
+      clientId,
+      sessionId,
+      text,
+      createdAt: new Date().toISOString()
+    };
+    data.annotations.push(annotation);
+    this.save(data);
+    return annotation;
+  }
+  
+  async assignHomework({ therapistId, clientId, title, instructions, interventionId, dueDate = null, recurrence = 'none' }) {
+    const data = this.load();
+    const link = this.findActiveLink(data, therapistId, clientId);
+    if (!link) throw notLinked();
+    
+    const homework = {
+      id: randomId('homework'),
+      therapistId,
+      therapistName: link.therapistName,
+      clientId,
+      title,
+      instructions,
+      interventionId,
+      dueDate,
+      recurrence,
+      assignedAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+    data.homework.push(homework);
+    this.save(data);
+    return homework;
+  }
+  
+  async takePendingHomework(clientId) {
+    const data = this.load();
+    const activeTherapists = data.links
+      .filter(link => link.clientId === clientId && link.status === 'active')
+      .map(link => link.therapistId);
+    
+    const pending = data.homework.filter(item => (
+      item.clientId === clientId && !item.deliveredAt && activeTherapists.includes(item.therapistId)
+    ));
+    
+    pending.forEach(item => {
+      item.deliveredAt = new Date().toISOString();
+    });
+    this.save(data);
+    return pending;
+  }
+}
+
+export default MockCareTeamProvider;
+
+// File: src/services/careTeam/RemoteCareTeamProvider.js
+// Care team provider for a backend exposing the /care-team endpoints. The
+// backend identifies the caller from the bearer token and must apply the
+// same access rules as MockCareTeamProvider.
+
+import CareTeamError from './CareTeamError';
+
+class RemoteCareTeamProvider {
+  constructor({ baseUrl, getToken, fetchImpl = (...args) => fetch(...args) }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.getToken = getToken;
+    this.fetch = fetchImpl;
+  }
+  
+  async request(method, path, body) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.getToken()}`
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new CareTeamError('network', 'We couldn\'t reach the server. Check your connection and try again.');
+    }
+    
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new CareTeamError(
+        (data && data.code) || 'server-error',
+        (data && data.message) || 'Something went wrong. Please try again.'
+      );
+    }
+    return data;
+  }
+  
+  createInvite() {
+    return this.request('POST', '/care-team/invites', {});
+  }
+  
+  previewInvite(code) {
+    return this.request('GET', `/care-team/invites/${encodeURIComponent(code)}`);
+  }
+  
+  acceptInvite({ code, scopes }) {
+    return this.request('POST', `/care-team/invites/${encodeURIComponent(code)}/accept`, { scopes });
+  }
+  
+  getLinks() {
+    return this.request('GET', '/care-team/links');
+  }
+  
+  getClients() {
+    return this.request('GET', '/care-team/clients');
+  }
+  
+  revokeLink(userId, linkId) {
+    return this.request('DELETE', `/care-team/links/${encodeURIComponent(linkId)}`);
+  }
+  
+  publishSnapshot(linkId, clientId, snapshot) {
+    return this.request('PUT', `/care-team/links/${encodeURIComponent(linkId)}/snapshot`, snapshot);
+  }
+  
+  getClientRecord(therapistId, clientId) {
+    return this.request('GET', `/care-team/clients/${encodeURIComponent(clientId)}`);
+  }
+  
+  addAnnotation({ clientId, sessionId, text }) {
+    return this.request('POST', `/care-team/clients/${encodeURIComponent(clientId)}/annotations`, { sessionId, text });
+  }
+  
+  assignHomework({ clientId, title, instructions, interventionId, dueDate, recurrence }) {
+    return this.request('POST', `/care-team/clients/${encodeURIComponent(clientId)}/homework`, {
+      title,
+      instructions,
+      interventionId,
+      dueDate,
+      recurrence
+    });
+  }
+  
+  takePendingHomework() {
+    return this.request('POST', '/care-team/homework/deliver', {});
+  }
+}
+
+export default RemoteCareTeamProvider;
+
+// File: src/services/RemoteTherapyAgent.js
+// Same interface as TherapyCompanionAgent, but the work happens on the API
+// server (therapy-companion-server.js). Interactions and finished sessions are
+// still written to local storage so the Dashboard and history work as usual.
+
+import TherapyCompanionAgent from './TherapyCompanionAgent';
+import { reviveDates } from './storage/StorageService';
+
+// Learned on the server from exercise outcomes and feedback, so a device
+// never pushes its possibly stale copy of these back
+const SERVER_LEARNED_FIELDS = ['interventionEffectiveness', 'interventionStats'];
+
+export class AgentRequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AgentRequestError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class RemoteTherapyAgent {
+  constructor(userProfile, { storage = null, history = [], baseUrl, getToken, fetchImpl = (...args) => fetch(...args) }) {
+    this.userProfile = userProfile;
+    this.storage = storage;
+    this.sessionHistory = [...history];
+    this.currentSession = null;
+    this.replyQueue = Promise.resolve();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.getToken = getToken;
+    this.fetch = fetchImpl;
+    
+    // The server starts from a bare default profile; the name, safety plan,
+    // escalation consent and locale it needs come from this device
+    this.syncProfile();
+  }
+  
+  async request(method, path, body, signal) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.getToken()}`
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new AgentRequestError(0, 'network', 'We couldn\'t reach the server. Check your connection and try again.');
+    }
+    
+    const text = await response.text();
+    const data = text ? JSON.parse(text, reviveDates) : null;
+    if (!response.ok) {
+      const error = new AgentRequestError(
+        response.status,
+        (data && data.code) || 'server-error',
+        (data && data.message) || 'Something went wrong. Please try again.'
+      );
+      error.details = data && data.details;
+      throw error;
+    }
+    return data;
+  }
+  
+  // Sends the profile settings the user owns to the server and keeps what it
+  // returns, learned fields included. Failures are logged; the next session
+  // start tries again.
+  async syncProfile() {
+    const settings = { ...this.userProfile };
+    SERVER_LEARNED_FIELDS.forEach(field => delete settings[field]);
+    
+    try {
+      const profile = await this.request('PUT', `/users/${encodeURIComponent(this.userProfile.id)}/profile`, settings);
+      this.userProfile = profile;
+      if (this.storage) await this.storage.saveProfile(profile);
+    } catch (error) {
+      console.error('Failed to sync profile to server:', error);
+    }
+  }
+  
+  async startSession({ assignedHomework = [], assignments = [] } = {}) {
+    await this.syncProfile();
+    
+    let result;
+    try {
+      result = await this.request('POST', '/sessions/start', { assignedHomework, assignments });
+    } catch (error) {
+      // A session left open on the server (e.g. the tab was closed) would block
+      // every new one, so close it and start again
+      if (error.code !== 'session-active' || !error.details) throw error;
+      await this.request('POST', `/sessions/${encodeURIComponent(error.details.sessionId)}/end`);
+      result = await this.request('POST', '/sessions/start', { assignedHomework, assignments });
+    }
+    
+    const { sessionId, startTime, ...session } = result;
+    this.currentSession = { id: sessionId, startTime, focusAreas: session.focusAreas };
+    return session;
+  }
+  
+  // The server keeps its own session state; if it has since closed the
+  // session, the next message fails with `session-not-found`
+  resumeSession({ id, startTime, focusAreas }) {
+    this.currentSession = { id, startTime: new Date(startTime), focusAreas };
+  }
+  
+  // One request at a time, so replies can't come back out of order
+  async processUserInput(input, { signal } = {}) {
+    if (!this.currentSession) throw new AgentRequestError(0, 'no-session', 'Start a session first.');
+    
+    const previous = this.replyQueue;
+    let release;
+    this.replyQueue = new Promise(resolve => {
+      release = resolve;
+    });
+    
+    try {
+      await previous;
+      const { response, interaction, safetyEvent } = await this.request(
+        'POST',
+        `/sessions/${encodeURIComponent(this.currentSession.id)}/message`,
+        { message: input },
+        signal
+      );
+      
+      this.sessionHistory.push(interaction);
+      if (this.storage) {
+        this.storage.appendInteraction(this.userProfile.id, interaction)
+          .catch(error => console.error('Failed to save interaction:', error));
+      }
+      await this.keepSafetyEvent(safetyEvent);
+      
+      return response;
+    } finally {
+      release();
+    }
+  }
+  
+  async completeExercise(result) {
+    if (!this.currentSession) throw new AgentRequestError(0, 'no-session', 'Start a session first.');
+    
+    const previous = this.replyQueue;
+    let release;
+    this.replyQueue = new Promise(resolve => {
+      release = resolve;
+    });
+    
+    try {
+      await previous;
+      const { response, interaction, safetyEvent } = await this.request(
+        'POST',
+        `/sessions/${encodeURIComponent(this.currentSession.id)}/exercises`,
+        result
+      );
+      
+      this.sessionHistory.push(interaction);
+      if (this.storage) {
+        this.storage.appendInteraction(this.userProfile.id, interaction)
+          .catch(error => console.error('Failed to save interaction:', error));
+      }
+      await this.keepSafetyEvent(safetyEvent);
+      
+      await this.refreshProfile();
+      return response;
+    } finally {
+      release();
+    }
+  }
+  
+  async rateIntervention(deliveryId, rating) {
+    if (!this.currentSession) throw new AgentRequestError(0, 'no-session', 'Start a session first.');
+    
+    const { profile, interaction } = await this.request(
+      'POST',
+      `/sessions/${encodeURIComponent(this.currentSession.id)}/feedback`,
+      { deliveryId, rating }
+    );
+    
+    this.userProfile = profile;
+    const local = this.sessionHistory.find(stored =>
+      stored.agentResponse && stored.agentResponse.deliveryId === deliveryId
+    );
+    if (local) local.feedback = interaction.feedback;
+    
+    if (this.storage) {
+      await this.storage.updateInteraction(
+        this.userProfile.id,
+        stored => stored.agentResponse && stored.agentResponse.deliveryId === deliveryId,
+        { feedback: interaction.feedback }
+      ).catch(error => console.error('Failed to save feedback:', error));
+      this.storage.saveProfile(profile).catch(error => console.error('Failed to save profile:', error));
+    }
+    
+    return { profile, interaction };
+  }
+  
+  async submitQuestionnaire(instrumentId, answers) {
+    const { result, safetyResponse, safetyEvent } = await this.request(
+      'POST',
+      `/users/${encodeURIComponent(this.userProfile.id)}/questionnaires`,
+      { instrument: instrumentId, answers }
+    );
+    
+    if (this.storage) await this.storage.appendQuestionnaireResult(this.userProfile.id, result);
+    await this.keepSafetyEvent(safetyEvent);
+    return { result, safetyResponse };
+  }
+  
+  // The server logs safety events and handles escalation; a local copy keeps
+  // the log visible on this device, and is saved before the reply like a local
+  // agent's would be
+  async keepSafetyEvent(safetyEvent) {
+    if (!safetyEvent || !this.storage) return;
+    await this.storage.appendSafetyEvent(this.userProfile.id, safetyEvent)
+      .catch(error => console.error('Failed to save safety event:', error));
+  }
+  
+  async acknowledgeSafetyEvent(eventId) {
+    const event = await this.request(
+      'POST',
+      `/users/${encodeURIComponent(this.userProfile.id)}/safety-events/${encodeURIComponent(eventId)}/acknowledge`
+    );
+    if (this.storage) await this.storage.updateSafetyEvent(this.userProfile.id, eventId, { acknowledgedAt: event.acknowledgedAt });
+    return event;
+  }
+  
+  // The server notifies contacts after replying; this waits for the outcome
+  async getEscalation(eventId) {
+    const { escalation } = await this.request(
+      'GET',
+      `/users/${encodeURIComponent(this.userProfile.id)}/safety-events/${encodeURIComponent(eventId)}/escalation`
+    );
+    if (escalation && this.storage) await this.storage.updateSafetyEvent(this.userProfile.id, eventId, { escalation });
+    return escalation;
+  }
+  
+  async recordCheckIn(values) {
+    const { interaction } = await this.request(
+      'POST',
+      `/users/${encodeURIComponent(this.userProfile.id)}/check-ins`,
+      values
+    );
+    
+    this.sessionHistory.push(interaction);
+    if (this.storage) await this.storage.appendInteraction(this.userProfile.id, interaction);
+    return interaction;
+  }
+  
+  // Effectiveness scores are learned on the server; pull them down after
+  // anything that may have changed them
+  async refreshProfile() {
+    try {
+      const profile = await this.request('GET', `/users/${encodeURIComponent(this.userProfile.id)}/profile`);
+      this.userProfile = profile;
+      if (this.storage) await this.storage.saveProfile(profile);
+    } catch (error) {
+      console.error('Failed to refresh profile from server:', error);
+    }
+  }
+  
+  // The server replies in one piece, so this yields a single `complete` event.
+  // Aborting cancels the request, though the server may already have recorded it.
+  async *streamUserInput(input, { signal } = {}) {
+    const response = await this.processUserInput(input, { signal });
+    yield { type: 'complete', response };
+  }
+  
+  async endSession({ endTime, autoClosed = false } = {}) {
+    if (!this.currentSession) return null;
+    
+    const { sessionId, ...result } = await this.request(
+      'POST',
+      `/sessions/${encodeURIComponent(this.currentSession.id)}/end`,
+      endTime ? { endTime } : {}
+    );
+    
+    if (this.storage) {
+      await this.storage.saveSession(this.userProfile.id, {
+        id: sessionId,
+        startTime: this.currentSession.startTime,
+        endTime: result.summary.endTime,
+        focusAreas: this.currentSession.focusAreas,
+        ...(autoClosed ? { autoClosed } : {}),
+        ...result
+      });
+    }
+    
+    this.currentSession = null;
+    await this.refreshProfile();
+    return result;
+  }
+  
+  updateProfile(userProfile) {
+    this.userProfile = userProfile;
+    this.request('PUT', `/users/${encodeURIComponent(userProfile.id)}/profile`, userProfile)
+      .catch(error => console.error('Failed to sync profile to server:', error));
+  }
+}
+
+// Agent factories for TherapyProvider's `agentFactory` prop
+export const createLocalAgent = (userProfile, options) => new TherapyCompanionAgent(userProfile, options);
+
+export const createRemoteAgentFactory = ({ baseUrl, getToken }) => (userProfile, options = {}) => (
+  new RemoteTherapyAgent(userProfile, { ...options, baseUrl, getToken })
+);
+
+export default RemoteTherapyAgent;
+
+// File: src/services/EffectivenessLearner.js
+// Learns how well each intervention category works for a user. Every outcome
+// becomes a 0-1 reward that's added to a tally of helpful and unhelpful
+// evidence per category; the tally fades back towards the starting score as it
+// ages, so recent experience counts most. The resulting scores are what
+// userProfile.interventionEffectiveness holds and InterventionEngine weighs.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Evidence loses half its weight every HALF_LIFE_DAYS
+const HALF_LIFE_DAYS = 30;
+
+// How many outcomes' worth of confidence the starting score carries
+const PRIOR_STRENGTH = 2;
+const DEFAULT_SCORE = 0.5;
+const MAX_EVIDENCE = 5;
+
+export const FEEDBACK_RATINGS = {
+  yes: { label: 'Yes', reward: 1 },
+  somewhat: { label: 'A little', reward: 0.6 },
+  no: { label: 'Not really', reward: 0 }
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Combines whichever signals are available: the user's answer to "did this
+// help?", distress relief reported around an exercise (0-10 scale) and the
+// change in wellbeing score that followed. Returns null with nothing to go on.
+export const computeReward = ({ rating = null, relief = null, wellbeingChange = null }) => {
+  const signals = [];
+  if (rating !== null && FEEDBACK_RATINGS[rating]) signals.push([FEEDBACK_RATINGS[rating].reward, 0.6]);
+  if (relief !== null) signals.push([clamp01(0.5 + relief / 10), 0.5]);
+  if (wellbeingChange !== null) signals.push([clamp01(0.5 + wellbeingChange / 4), 0.3]);
+  
+  if (signals.length === 0) return null;
+  const totalWeight = signals.reduce((sum, [, weight]) => sum + weight, 0);
+  return round(signals.reduce((sum, [reward, weight]) => sum + reward * weight, 0) / totalWeight);
+};
+
+const createStats = (profile, category, now) => {
+  const effectiveness = profile.interventionEffectiveness || {};
+  return {
+    prior: effectiveness[category] !== undefined ? effectiveness[category] : DEFAULT_SCORE,
+    helpful: 0,
+    unhelpful: 0,
+    count: 0,
+    updatedAt: now,
+    evidence: []
+  };
+};
+
+// Fades evidence by how long ago it was last updated
+export const decayStats = (stats, now = new Date()) => {
+  const days = Math.max(0, (new Date(now) - new Date(stats.updatedAt)) / DAY_MS);
+  const factor = 0.5 ** (days / HALF_LIFE_DAYS);
+  return {
+    ...stats,
+    helpful: stats.helpful * factor,
+    unhelpful: stats.unhelpful * factor
+  };
+};
+
+export const scoreFromStats = (stats) => round(
+  (stats.prior * PRIOR_STRENGTH + stats.helpful) / (PRIOR_STRENGTH + stats.helpful + stats.unhelpful)
+);
+
+// A category's score as of `now`, with old evidence faded; null if there's
+// neither learned data nor a starting score for it
+export const getEffectiveness = (profile, category, now = new Date()) => {
+  const stats = (profile.interventionStats || {})[category];
+  if (stats && stats.count > 0) return scoreFromStats(decayStats(stats, now));
+  
+  const effectiveness = profile.interventionEffectiveness || {};
+  return effectiveness[category] !== undefined ? effectiveness[category] : null;
+};
+
+// Returns an updated copy of the profile with one outcome applied. `weight`
+// below 1 is for weaker evidence, e.g. a mood change nobody was asked about.
+export const recordOutcome = (profile, outcome, now = new Date()) => {
+  const { category, reward, weight = 1 } = outcome;
+  if (!category || reward === null || reward === undefined) return profile;
+  
+  const allStats = profile.interventionStats || {};
+  const stats = decayStats(allStats[category] || createStats(profile, category, now), now);
+  
+  const updated = {
+    ...stats,
+    helpful: round(stats.helpful + reward * weight, 3),
+    unhelpful: round(stats.unhelpful + (1 - reward) * weight, 3),
+    count: stats.count + 1,
+    updatedAt: now,
+    evidence: [
+      {
+        date: now,
+        interventionId: outcome.interventionId || null,
+        name: outcome.name || null,
+        rating: outcome.rating || null,
+        relief: outcome.relief !== undefined ? outcome.relief : null,
+        wellbeingChange: outcome.wellbeingChange !== undefined ? outcome.wellbeingChange : null,
+        reward
+      },
+      ...stats.evidence
+    ].slice(0, MAX_EVIDENCE)
+  };
+  
+  return {
+    ...profile,
+    interventionStats: { ...allStats, [category]: updated },
+    interventionEffectiveness: {
+      ...profile.interventionEffectiveness,
+      [category]: scoreFromStats(updated)
+    }
+  };
+};
+
+// Plain-language reasons behind a category's current score, for UserProfile
+export const explainRecommendation = (profile, category, now = new Date()) => {
+  const effectiveness = profile.interventionEffectiveness || {};
+  const raw = (profile.interventionStats || {})[category];
+  const reasons = [];
+  
+  if (!raw || raw.count === 0) {
+    const score = effectiveness[category] !== undefined ? effectiveness[category] : DEFAULT_SCORE;
+    reasons.push(effectiveness[category] !== undefined
+      ? 'Based on your starting preferences. It will adjust as you give feedback.'
+      : 'Not tried yet, so it\'s offered now and then to see how it suits you.');
+    return { category, score, count: 0, reasons, evidence: [] };
+  }
+  
+  const stats = decayStats(raw, now);
+  const score = scoreFromStats(stats);
+  
+  const rated = raw.evidence.filter(item => item.rating);
+  if (rated.length > 0) {
+    const helped = rated.filter(item => item.rating !== 'no').length;
+    reasons.push(rated.length === 1
+      ? `You said it ${helped ? 'helped' : 'didn\'t help'} the one time you rated it.`
+      : `You said it helped ${helped} of the last ${rated.length} times you rated it.`);
+  }
+  
+  const reliefs = raw.evidence.filter(item => item.relief !== null);
+  if (reliefs.length > 0) {
+    const average = round(reliefs.reduce((sum, item) => sum + item.relief, 0) / reliefs.length, 1);
+    reasons.push(average > 0
+      ? `Your distress dropped by ${average} points on average during the exercise.`
+      : 'Your distress ratings didn\'t drop much during the exercise.');
+  }
+  
+  const changes = raw.evidence.filter(item => item.wellbeingChange !== null);
+  if (changes.length > 0) {
+    const average = round(changes.reduce((sum, item) => sum + item.wellbeingChange, 0) / changes.length, 1);
+    if (average > 0) reasons.push(`Your mood tended to lift afterwards (+${average} on average).`);
+    if (average < 0) reasons.push(`Your mood tended to dip afterwards (${average} on average).`);
+  }
+  
+  if (raw.count < 3) {
+    reasons.push('Only tried a few times so far, so it\'s still being explored.');
+  }
+  
+  const daysSince = Math.floor((new Date(now) - new Date(raw.updatedAt)) / DAY_MS);
+  if (daysSince >= HALF_LIFE_DAYS) {
+    reasons.push(`Last feedback was ${daysSince} days ago, so it counts for less now.`);
+  }
+  
+  return { category, score, count: raw.count, reasons, evidence: raw.evidence };
+};
+
+// File: src/services/AssignmentService.js
+// Home practice as tracked tasks. Homework comes from a session's home
+// activity or from the user's therapist, and becomes an assignment with a due
+// date that either happens once or repeats (daily or weekly) until then. Each
+// time it's done the user marks it with a 1-5 helpfulness rating.
+
+export const RECURRENCE = {
+  none: 'Once',
+  daily: 'Every day',
+  weekly: 'Every week'
+};
+
+const RECURRENCE_DAYS = { daily: 1, weekly: 7 };
+
+export const DEFAULT_REMINDER_TIME = '19:00';
+
+// Therapist homework without a due date of its own
+const DEFAULT_DUE_DAYS = 7;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// A 'YYYY-MM-DD' day from a date input, as local midnight rather than UTC
+export const parseDay = (value) => {
+  const [year, month, day] = value.split('-').map(part => parseInt(part, 10));
+  return new Date(year, month - 1, day);
+};
+
+// Calendar days rather than 24h steps, so daylight saving doesn't shift them
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const createId = () => `assignment-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createAssignment = ({
+  title,
+  instructions = '',
+  interventionId = null,
+  source,
+  sessionId = null,
+  homeworkId = null,
+  assignedBy = null,
+  dueDate,
+  recurrence = 'none'
+}, now = new Date()) => ({
+  id: createId(),
+  title,
+  instructions,
+  interventionId,
+  source, // 'session' or 'therapist'
+  sessionId,
+  homeworkId,
+  assignedBy,
+  recurrence,
+  createdAt: now,
+  startDate: startOfDay(now),
+  dueDate: startOfDay(dueDate),
+  completions: [],
+  status: 'active', // 'active', 'done' or 'dismissed'
+  dismissedAt: null,
+  lastRemindedAt: null
+});
+
+// The home activity an ended session suggested, daily until the next session
+export const fromSessionResult = (result, sessionId, now = new Date()) => {
+  const { homeActivity, nextSessionRecommendation } = result || {};
+  if (!homeActivity || !homeActivity.activity) return null;
+  
+  return createAssignment({
+    title: homeActivity.activity.name,
+    instructions: homeActivity.instructions,
+    interventionId: homeActivity.activity.id,
+    source: 'session',
+    sessionId,
+    dueDate: nextSessionRecommendation ? nextSessionRecommendation.recommendedDate : addDays(now, DEFAULT_DUE_DAYS),
+    recurrence: 'daily'
+  }, now);
+};
+
+// Adds the homework from a newly ended session. It takes over from the
+// previous session's, which stops repeating from today (or is dropped if it
+// was only set today).
+export const addSessionAssignment = (assignments, assignment, now = new Date()) => {
+  const today = startOfDay(now);
+  const supersede = (existing) => (startOfDay(existing.startDate) < today
+    ? { ...existing, dueDate: today }
+    : dismissAssignment(existing, now));
+  
+  return [
+    ...assignments.map(existing => (
+      existing.source === 'session' && existing.status === 'active' && startOfDay(existing.dueDate) > today
+        ? supersede(existing)
+        : existing
+    )),
+    assignment
+  ];
+};
+
+// Homework delivered by CareTeamService.takePendingHomework
+export const fromTherapistHomework = (item, now = new Date()) => createAssignment({
+  title: item.title,
+  instructions: item.instructions,
+  interventionId: item.interventionId,
+  source: 'therapist',
+  homeworkId: item.id,
+  assignedBy: item.therapistName,
+  dueDate: item.dueDate ? parseDay(item.dueDate) : addDays(now, DEFAULT_DUE_DAYS),
+  recurrence: RECURRENCE[item.recurrence] ? item.recurrence : 'none'
+}, now);
+
+// Start of each period the assignment should be done in. A one-off
+// assignment has a single period running up to its due date.
+export const getOccurrences = (assignment) => {
+  const step = RECURRENCE_DAYS[assignment.recurrence];
+  const start = startOfDay(assignment.startDate);
+  const due = startOfDay(assignment.dueDate);
+  if (!step) return [start];
+  
+  const days = [];
+  for (let day = start; day < due; day = addDays(day, step)) {
+    days.push(day);
+  }
+  return days.length > 0 ? days : [start];
+};
+
+// The period `date` falls in, as { start, end }, or null outside the schedule
+const getPeriod = (assignment, date) => {
+  const step = RECURRENCE_DAYS[assignment.recurrence];
+  const day = startOfDay(date);
+  
+  if (!step) {
+    // One-off homework stays open past its due date until it's done
+    return day >= startOfDay(assignment.startDate) ? { start: startOfDay(assignment.startDate), end: null } : null;
+  }
+  
+  const start = getOccurrences(assignment).filter(occurrence => occurrence <= day).pop();
+  if (!start) return null;
+  
+  const end = addDays(start, step);
+  return day < end ? { start, end } : null;
+};
+
+const isCompletedIn = (assignment, period) => assignment.completions.some(completion => {
+  const date = new Date(completion.date);
+  return date >= period.start && (!period.end || date < period.end);
+});
+
+// Where an assignment stands as of `now`
+export const getAssignmentStatus = (assignment, now = new Date()) => {
+  const period = assignment.status === 'active' ? getPeriod(assignment, now) : null;
+  const doneThisPeriod = Boolean(period) && isCompletedIn(assignment, period);
+  const until = startOfDay(assignment.dismissedAt && new Date(assignment.dismissedAt) < now ? assignment.dismissedAt : now);
+  const occurrencesSoFar = getOccurrences(assignment).filter(day => day <= until).length;
+  
+  return {
+    isOpen: Boolean(period),
+    isDueNow: Boolean(period) && !doneThisPeriod,
+    isOverdue: Boolean(period) && !doneThisPeriod && !RECURRENCE_DAYS[assignment.recurrence]
+      && startOfDay(now) > startOfDay(assignment.dueDate),
+    completedCount: assignment.completions.length,
+    expectedCount: Math.max(1, occurrencesSoFar)
+  };
+};
+
+export const getOpenAssignments = (assignments, now = new Date()) =>
+  assignments.filter(assignment => getAssignmentStatus(assignment, now).isOpen);
+
+// Returns the updated assignment. `rating` is how helpful it was, 1-5.
+export const completeAssignment = (assignment, { rating = null, note = '' } = {}, now = new Date()) => {
+  const status = getAssignmentStatus(assignment, now);
+  if (!status.isDueNow) throw new Error('This has already been done for now.');
+  
+  const updated = {
+    ...assignment,
+    completions: [...assignment.completions, { date: now, rating, note: note.trim() }]
+  };
+  if (!RECURRENCE_DAYS[assignment.recurrence]) updated.status = 'done';
+  return updated;
+};
+
+export const dismissAssignment = (assignment, now = new Date()) => ({ ...assignment, status: 'dismissed', dismissedAt: now });
+
+// Next time to remind the user, at `reminderTime` ('HH:MM') on a day the
+// assignment is still waiting to be done; null if there isn't one this week
+export const getNextReminder = (assignment, reminderTime = DEFAULT_REMINDER_TIME, now = new Date()) => {
+  const [hours, minutes] = reminderTime.split(':').map(part => parseInt(part, 10));
+  
+  for (let offset = 0; offset < 7; offset++) {
+    const at = addDays(startOfDay(now), offset);
+    at.setHours(hours, minutes, 0, 0);
     
-    const activities = [];
-    focusAreas.forEach(area => {
-      if (activityMap[area]) {
-        activities.push(...activityMap[area]);
-      }
+    const period = assignment.status === 'active' ? getPeriod(assignment, at) : null;
+    const alreadyReminded = assignment.lastRemindedAt && new Date(assignment.lastRemindedAt) >= startOfDay(at);
+    if (at > now && period && !isCompletedIn(assignment, period) && !alreadyReminded) return at;
+  }
+  return null;
+};
+
+// File: src/services/ReminderScheduler.js
+// Homework reminders through the Notification API. Timers only run while the
+// app is open; if the app has a service worker, notifications are shown
+// through it so they still appear while the tab is in the background.
+
+import { getNextReminder } from './AssignmentService';
+
+// Plan at most a day ahead; schedule() runs again when that's up
+const PLANNING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class ReminderScheduler {
+  constructor({ onReminderShown = () => {} } = {}) {
+    this.onReminderShown = onReminderShown;
+    this.timers = [];
+  }
+  
+  static isSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  }
+  
+  static getPermission() {
+    return ReminderScheduler.isSupported() ? window.Notification.permission : 'unsupported';
+  }
+  
+  static async requestPermission() {
+    if (!ReminderScheduler.isSupported()) return 'unsupported';
+    return window.Notification.requestPermission();
+  }
+  
+  schedule(assignments, { reminderTime, now = new Date() } = {}) {
+    this.cancel();
+    if (ReminderScheduler.getPermission() !== 'granted') return;
+    
+    assignments.forEach(assignment => {
+      const at = getNextReminder(assignment, reminderTime, now);
+      if (!at || at - now > PLANNING_WINDOW_MS) return;
+      this.timers.push(setTimeout(() => this.show(assignment), at - now));
     });
     
-    return activities.slice(0, 3); // Limit to 3 activities
+    this.timers.push(setTimeout(() => this.schedule(assignments, { reminderTime }), PLANNING_WINDOW_MS));
   }
   
-  checkForSafetyConcerns(input) {
-    const lowerInput = input.toLowerCase();
-    
-    // Check for suicide and self-harm keywords
-    const suicideKeywords = ['kill myself', 'end my life', 'suicide', 'don\'t want to live'];
-    const harmKeywords = ['hurt myself', 'self-harm', 'cutting', 'burn myself'];
+  async show(assignment) {
+    const title = 'Time for your home practice';
+    const options = {
+      body: assignment.title,
+      // Replaces rather than stacks repeat reminders for the same assignment
+      tag: `assignment-${assignment.id}`
+    };
     
-    for (const keyword of suicideKeywords) {
-      if (lowerInput.includes(keyword)) {
-        return { 
-          concernDetected: true, 
-          severity: 'emergency',
-          riskType: 'suicide'
+    try {
+      const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      if (registration) {
+        await registration.showNotification(title, options);
+      } else {
+        const notification = new window.Notification(title, options);
+        // Clicking the reminder brings the app forward
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
         };
       }
+      this.onReminderShown(assignment);
+    } catch (error) {
+      console.error('Failed to show reminder:', error);
     }
-    
-    for (const keyword of harmKeywords) {
-      if (lowerInput.includes(keyword)) {
-        return {
-          concernDetected: true,
-          severity: 'warning',
-          riskType: 'self-harm'
-        };
-      }
+  }
+  
+  cancel() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+}
+
+export default ReminderScheduler;
+
+// File: src/services/MoodCheckIn.js
+// Quick mood check-ins between sessions. A check-in is stored as an
+// interaction without a session, so it lands in the same emotional time
+// series the Dashboard charts, and the agent starts from it next time.
+
+// The five emotional dimensions use the same 1-10 scale as sessions
+export const CHECK_IN_FIELDS = [
+  { key: 'overall', label: 'Overall mood', low: 'Very low', high: 'Great' },
+  { key: 'anxiety', label: 'Anxiety', low: 'Calm', high: 'Very anxious' },
+  { key: 'depression', label: 'Sadness', low: 'None', high: 'Overwhelming' },
+  { key: 'anger', label: 'Irritability', low: 'None', high: 'Very irritable' },
+  { key: 'joy', label: 'Enjoyment', low: 'None', high: 'Lots' },
+  { key: 'sleep', label: 'Last night\'s sleep', low: 'Very poor', high: 'Very good' },
+  { key: 'energy', label: 'Energy', low: 'Exhausted', high: 'Full of energy' }
+];
+
+const EMOTION_KEYS = ['overall', 'anxiety', 'depression', 'anger', 'joy'];
+export const DEFAULT_CHECK_IN_VALUE = 5;
+export const MAX_NOTES_LENGTH = 1000;
+
+// A check-in this old no longer says much about how someone feels today
+export const CHECK_IN_FRESH_MS = 24 * 60 * 60 * 1000;
+
+const isScore = (value) => Number.isInteger(value) && value >= 1 && value <= 10;
+
+// Problems with `values`, as messages; empty when it's a valid check-in
+export const validateCheckIn = (values) => {
+  if (!values || typeof values !== 'object') return ['check-in must be an object'];
+  
+  const errors = CHECK_IN_FIELDS
+    .filter(({ key }) => !isScore(values[key]))
+    .map(({ key }) => `${key} must be a whole number from 1 to 10`);
+  
+  if (values.notes !== undefined && typeof values.notes !== 'string') {
+    errors.push('notes must be text');
+  } else if (values.notes && values.notes.length > MAX_NOTES_LENGTH) {
+    errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  return errors;
+};
+
+// The interaction record for a check-in
+export const createCheckIn = (values, now = new Date()) => {
+  const emotionalState = { timestamp: now };
+  EMOTION_KEYS.forEach(key => {
+    emotionalState[key] = values[key];
+  });
+  
+  return {
+    sessionId: null,
+    timestamp: now,
+    focusArea: null,
+    emotionalState,
+    checkIn: {
+      sleep: values.sleep,
+      energy: values.energy,
+      notes: (values.notes || '').trim()
+    }
+  };
+};
+
+export const isCheckIn = (interaction) => Boolean(interaction && interaction.checkIn);
+
+// The newest check-in since the last session, if it's from the past day
+export const getFreshCheckIn = (interactions, now = new Date()) => {
+  let latest = null;
+  let lastSessionActivity = 0;
+  
+  interactions.forEach(interaction => {
+    const time = new Date(interaction.timestamp).getTime();
+    if (isCheckIn(interaction)) {
+      if (!latest || time > new Date(latest.timestamp).getTime()) latest = interaction;
+    } else if (interaction.sessionId) {
+      lastSessionActivity = Math.max(lastSessionActivity, time);
+    }
+  });
+  
+  if (!latest) return null;
+  const time = new Date(latest.timestamp).getTime();
+  return time > lastSessionActivity && now.getTime() - time <= CHECK_IN_FRESH_MS ? latest : null;
+};
+
+// What stood out in a check-in, as short phrases for the greeting
+export const describeCheckIn = ({ emotionalState, checkIn }) => {
+  const notes = [];
+  if (emotionalState.anxiety >= 7) notes.push('your anxiety was running high');
+  if (emotionalState.depression >= 7) notes.push('you were feeling low');
+  if (emotionalState.anger >= 7) notes.push('you were feeling irritable');
+  if (checkIn.sleep <= 3) notes.push('you hadn\'t slept well');
+  if (checkIn.energy <= 3) notes.push('your energy was low');
+  if (notes.length === 0 && (emotionalState.overall >= 7 || emotionalState.joy >= 7)) {
+    notes.push('you were having a good day');
+  }
+  return notes;
+};
+
+// File: src/services/Questionnaires.js
+// Standard self-report measures, given on a schedule so progress on anxiety
+// and mood can be tracked with validated scores rather than the agent's own
+// estimates. Both instruments are free to use and are scored the standard way:
+// each item 0-3, summed, then placed in the published severity bands.
+
+const FREQUENCY_OPTIONS = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'Several days' },
+  { value: 2, label: 'More than half the days' },
+  { value: 3, label: 'Nearly every day' }
+];
+
+const TWO_WEEK_STEM = 'Over the last 2 weeks, how often have you been bothered by any of the following problems?';
+
+export const QUESTIONNAIRES = {
+  phq9: {
+    id: 'phq9',
+    name: 'PHQ-9',
+    title: 'Mood (PHQ-9)',
+    measures: 'depression',
+    stem: TWO_WEEK_STEM,
+    options: FREQUENCY_OPTIONS,
+    items: [
+      'Little interest or pleasure in doing things',
+      'Feeling down, depressed, or hopeless',
+      'Trouble falling or staying asleep, or sleeping too much',
+      'Feeling tired or having little energy',
+      'Poor appetite or overeating',
+      'Feeling bad about yourself, or that you are a failure or have let yourself or your family down',
+      'Trouble concentrating on things, such as reading the newspaper or watching television',
+      'Moving or speaking so slowly that other people could have noticed, or the opposite: being so fidgety or restless that you have been moving around a lot more than usual',
+      'Thoughts that you would be better off dead, or of hurting yourself in some way'
+    ],
+    bands: [
+      { max: 4, severity: 'minimal', label: 'Minimal' },
+      { max: 9, severity: 'mild', label: 'Mild' },
+      { max: 14, severity: 'moderate', label: 'Moderate' },
+      { max: 19, severity: 'moderately-severe', label: 'Moderately severe' },
+      { max: 27, severity: 'severe', label: 'Severe' }
+    ],
+    // Smallest change in total that's unlikely to be measurement noise
+    reliableChange: 5
+  },
+  gad7: {
+    id: 'gad7',
+    name: 'GAD-7',
+    title: 'Anxiety (GAD-7)',
+    measures: 'anxiety',
+    stem: TWO_WEEK_STEM,
+    options: FREQUENCY_OPTIONS,
+    items: [
+      'Feeling nervous, anxious, or on edge',
+      'Not being able to stop or control worrying',
+      'Worrying too much about different things',
+      'Trouble relaxing',
+      'Being so restless that it is hard to sit still',
+      'Becoming easily annoyed or irritable',
+      'Feeling afraid, as if something awful might happen'
+    ],
+    bands: [
+      { max: 4, severity: 'minimal', label: 'Minimal' },
+      { max: 9, severity: 'mild', label: 'Mild' },
+      { max: 14, severity: 'moderate', label: 'Moderate' },
+      { max: 21, severity: 'severe', label: 'Severe' }
+    ],
+    reliableChange: 4
+  }
+};
+
+// Days between administrations; 0 turns an instrument off
+export const DEFAULT_QUESTIONNAIRE_SCHEDULE = { phq9: 14, gad7: 14 };
+export const SCHEDULE_OPTIONS = [
+  { value: 7, label: 'Every week' },
+  { value: 14, label: 'Every 2 weeks' },
+  { value: 28, label: 'Every 4 weeks' },
+  { value: 0, label: 'Off' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PHQ-9 item 9 asks about thoughts of death or self-harm. Any answer above
+// "not at all" goes through the safety module like a risky message would;
+// these weights put "several days" at the warning tier and more at emergency.
+const SELF_HARM_ITEM = { instrument: 'phq9', index: 8 };
+const SELF_HARM_ITEM_WEIGHTS = { 1: 0.6, 2: 0.85, 3: 1 };
+
+// Problems with a set of answers, as messages; empty when they can be scored
+export const validateAnswers = (instrumentId, answers) => {
+  const instrument = QUESTIONNAIRES[instrumentId];
+  if (!instrument) return [`instrument must be one of ${Object.keys(QUESTIONNAIRES).join(', ')}`];
+  if (!Array.isArray(answers) || answers.length !== instrument.items.length) {
+    return [`answers must list all ${instrument.items.length} items`];
+  }
+  
+  const valid = instrument.options.map(option => option.value);
+  return answers
+    .map((answer, i) => (valid.includes(answer) ? null : `answer ${i + 1} must be one of ${valid.join(', ')}`))
+    .filter(Boolean);
+};
+
+export const getSeverityBand = (instrumentId, total) =>
+  QUESTIONNAIRES[instrumentId].bands.find(band => total <= band.max);
+
+export const scoreQuestionnaire = (instrumentId, answers, now = new Date()) => {
+  const errors = validateAnswers(instrumentId, answers);
+  if (errors.length > 0) throw new Error(`Invalid answers: ${errors.join('; ')}`);
+  
+  const total = answers.reduce((sum, answer) => sum + answer, 0);
+  const band = getSeverityBand(instrumentId, total);
+  
+  return {
+    id: `${instrumentId}-${now.getTime().toString(36)}`,
+    instrument: instrumentId,
+    completedAt: now,
+    answers: [...answers],
+    total,
+    severity: band.severity,
+    safety: null
+  };
+};
+
+// Signals for SafetyModule.evaluate from a scored result
+export const getScreeningSignals = (result) => {
+  if (result.instrument !== SELF_HARM_ITEM.instrument) return [];
+  
+  const answer = result.answers[SELF_HARM_ITEM.index];
+  if (!answer) return [];
+  
+  const instrument = QUESTIONNAIRES[result.instrument];
+  const option = instrument.options.find(entry => entry.value === answer);
+  return [{
+    id: 'phq9-item9',
+    riskType: 'suicide',
+    weight: SELF_HARM_ITEM_WEIGHTS[answer],
+    matchedText: `${instrument.name} item 9 answered "${option.label}"`
+  }];
+};
+
+// Instruments due as of `now`, with when each was last completed
+export const getDueQuestionnaires = (results, schedule = DEFAULT_QUESTIONNAIRE_SCHEDULE, now = new Date()) =>
+  Object.keys(QUESTIONNAIRES)
+    .filter(id => (schedule[id] ?? DEFAULT_QUESTIONNAIRE_SCHEDULE[id]) > 0)
+    .map(id => {
+      const last = results
+        .filter(result => result.instrument === id)
+        .reduce((latest, result) => (!latest || new Date(result.completedAt) > new Date(latest.completedAt) ? result : latest), null);
+      return { instrument: id, lastCompletedAt: last ? new Date(last.completedAt) : null };
+    })
+    .filter(({ instrument, lastCompletedAt }) => {
+      const interval = schedule[instrument] ?? DEFAULT_QUESTIONNAIRE_SCHEDULE[instrument];
+      return !lastCompletedAt || now - lastCompletedAt >= interval * DAY_MS;
+    });
+
+// 'improved', 'worsened' or 'no-reliable-change' for a change in total score
+export const classifyChange = (instrumentId, change) => {
+  if (Math.abs(change) < QUESTIONNAIRES[instrumentId].reliableChange) return 'no-reliable-change';
+  return change < 0 ? 'improved' : 'worsened';
+};
+
+// Results for one instrument, oldest first, with change since the first and previous
+export const getQuestionnaireTrend = (results, instrumentId) => {
+  const entries = results
+    .filter(result => result.instrument === instrumentId)
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+  if (entries.length === 0) return { entries, latest: null, sinceFirst: null, sincePrevious: null };
+  
+  const first = entries[0];
+  const latest = entries[entries.length - 1];
+  const previous = entries.length > 1 ? entries[entries.length - 2] : null;
+  const describe = (from) => {
+    const change = latest.total - from.total;
+    return { change, from: new Date(from.completedAt), direction: classifyChange(instrumentId, change) };
+  };
+  
+  return {
+    entries,
+    latest,
+    sinceFirst: entries.length > 1 ? describe(first) : null,
+    sincePrevious: previous ? describe(previous) : null
+  };
+};
+
+// File: src/services/SafetyPlan.js
+// A personal safety plan in the Stanley-Brown format: the steps a person
+// works through, in order, when a crisis starts to build. It's kept on the
+// profile so it's stored on the device and shown by SafetyAlert.
+
+const MAX_ENTRY_LENGTH = 200;
+const MAX_ENTRIES = 20;
+
+// `kind` is 'text' for a list of lines and 'contact' for names with an
+// optional phone number that SafetyAlert turns into call and text links
+export const SAFETY_PLAN_SECTIONS = [
+  {
+    id: 'warningSigns',
+    kind: 'text',
+    title: 'Warning signs',
+    prompt: 'Thoughts, images, moods, situations or behaviours that tell me a crisis may be developing'
+  },
+  {
+    id: 'copingStrategies',
+    kind: 'text',
+    title: 'Things I can do on my own',
+    prompt: 'Ways to take my mind off my problems without contacting anyone, like relaxing or being active'
+  },
+  {
+    id: 'distractions',
+    kind: 'contact',
+    title: 'People and places that take my mind off things',
+    prompt: 'People I can be around and social settings I can go to'
+  },
+  {
+    id: 'contacts',
+    kind: 'contact',
+    title: 'People I can ask for help',
+    prompt: 'Friends or family I trust to talk to when I\'m struggling'
+  },
+  {
+    id: 'professionals',
+    kind: 'contact',
+    title: 'Professionals I can contact',
+    prompt: 'My therapist, doctor, or a local urgent care or crisis service'
+  },
+  {
+    id: 'safeEnvironment',
+    kind: 'text',
+    title: 'Making my environment safe',
+    prompt: 'Steps to keep things I could use to hurt myself out of reach'
+  }
+];
+
+const PHONE_PATTERN = /^\+?[\d\s().-]{3,20}$/;
+
+// For tel: and sms: links
+export const toDialable = (number) => number.replace(/[^\d+]/g, '');
+
+export const createEmptySafetyPlan = () => ({
+  ...Object.fromEntries(SAFETY_PLAN_SECTIONS.map(section => [section.id, []])),
+  updatedAt: null
+});
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with a plan, as messages; empty when it can be saved
+export const validateSafetyPlan = (plan, path = 'safetyPlan') => {
+  if (!isObject(plan)) return [`${path} must be an object`];
+  const errors = [];
+  
+  SAFETY_PLAN_SECTIONS.forEach(({ id, kind }) => {
+    const entries = plan[id];
+    if (entries === undefined) return;
+    if (!Array.isArray(entries) || entries.length > MAX_ENTRIES) {
+      errors.push(`${path}.${id} must be a list of up to ${MAX_ENTRIES} entries`);
+      return;
     }
     
-    return { concernDetected: false };
+    entries.forEach((entry, i) => {
+      const entryPath = `${path}.${id}[${i}]`;
+      if (kind === 'text') {
+        if (typeof entry !== 'string' || entry.length > MAX_ENTRY_LENGTH) {
+          errors.push(`${entryPath} must be text of up to ${MAX_ENTRY_LENGTH} characters`);
+        }
+        return;
+      }
+      
+      if (!isObject(entry) || typeof entry.name !== 'string' || entry.name.length > MAX_ENTRY_LENGTH) {
+        errors.push(`${entryPath}.name must be text of up to ${MAX_ENTRY_LENGTH} characters`);
+      }
+      if (isObject(entry) && entry.phone && !(typeof entry.phone === 'string' && PHONE_PATTERN.test(entry.phone))) {
+        errors.push(`${entryPath}.phone must be a phone number`);
+      }
+    });
+  });
+  
+  return errors;
+};
+
+// Trims entries and drops blank ones, e.g. the empty rows left in the editor
+export const normalizeSafetyPlan = (plan, now = new Date()) => {
+  const normalized = { ...createEmptySafetyPlan(), updatedAt: now };
+  
+  SAFETY_PLAN_SECTIONS.forEach(({ id, kind }) => {
+    const entries = (plan && plan[id]) || [];
+    normalized[id] = kind === 'text'
+      ? entries.map(entry => entry.trim()).filter(Boolean)
+      : entries
+        .map(entry => ({ name: (entry.name || '').trim(), phone: (entry.phone || '').trim() }))
+        .filter(entry => entry.name || entry.phone);
+  });
+  
+  return normalized;
+};
+
+export const hasSafetyPlan = (plan) =>
+  Boolean(plan) && SAFETY_PLAN_SECTIONS.some(({ id }) => Array.isArray(plan[id]) && plan[id].length > 0);
+
+// File: src/services/SafetyEventLog.js
+// An audit record of every time the app responded to a safety concern: what
+// was detected, what the user was shown, whether they acknowledged it and
+// whether anyone was notified. Events are kept in their own collection so
+// they outlive edits to the chat history.
+
+// Where the concern was detected
+export const SAFETY_EVENT_SOURCES = ['message', 'exercise', 'questionnaire'];
+
+export const createSafetyEvent = ({ id, safetyCheck, response, source, sessionId = null, now = new Date() }) => ({
+  id,
+  timestamp: now,
+  sessionId,
+  source,
+  severity: safetyCheck.severity,
+  riskType: safetyCheck.riskType,
+  responseType: response.type,
+  // Every signal the safety module matched, including ones it discounted
+  signals: (safetyCheck.signals || []).map(signal => ({
+    id: signal.id,
+    riskType: signal.riskType,
+    source: signal.source || 'language',
+    matchedText: signal.matchedText,
+    weight: signal.weight,
+    adjustments: signal.adjustments || []
+  })),
+  distress: safetyCheck.distress ? safetyCheck.distress.level : null,
+  resourcesShown: (response.resources || []).map(resource => resource.name),
+  resourceDirectory: response.resourceDirectory || null,
+  safetyPlanShown: Boolean(response.safetyPlan),
+  acknowledgedAt: null,
+  escalation: null
+});
+
+// Newest first, for display
+export const sortSafetyEvents = (events) =>
+  [...events].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+// File: src/services/escalation/MockNotifier.js
+// Development stand-in for a real notifier (SMS, email, a care team inbox).
+// Nothing leaves the device: messages are kept in `sent`, and the console only
+// notes that one went out. A notifier is anything with an async
+// `send({ recipient, message, event })` that throws when delivery fails.
+
+import { toDialable } from '../SafetyPlan';
+
+// Console output ends up in logs and screenshots, so numbers keep only their last two digits
+export const maskPhone = (phone) => toDialable(phone || '').replace(/\d(?=\d{2})/g, '*');
+
+class MockNotifier {
+  constructor({ log = true } = {}) {
+    this.log = log;
+    this.sent = [];
   }
   
-  generateSafetyResponse(safetyCheck) {
-    const emergencyResources = [
-      {
-        name: 'National Suicide Prevention Lifeline',
-        contact: '1-800-273-8255',
-        available: '24/7'
-      },
-      {
-        name: 'Crisis Text Line',
-        contact: 'Text HOME to 741741',
-        available: '24/7'
+  async send({ recipient, message, event }) {
+    const delivery = {
+      recipient,
+      message,
+      eventId: event.id,
+      sentAt: new Date()
+    };
+    this.sent.push(delivery);
+    if (this.log) console.info(`[MockNotifier] Crisis notification for event ${event.id} to ${maskPhone(recipient.phone)}`);
+    return delivery;
+  }
+}
+
+export default MockNotifier;
+
+// File: src/services/escalation/EscalationService.js
+// Lets people the user trusts know when the app detects a crisis. Nothing is
+// sent without the user's consent (profile.escalation), and only to the
+// recipients they picked from their safety plan. Messages never include what
+// the user wrote.
+//
+// Limits are worked out from the safety event log, so they survive reloads:
+// a detection that repeats one already escalated is a duplicate, and each
+// recipient gets at most MAX_PER_RECIPIENT_PER_DAY messages, spaced by
+// RECIPIENT_COOLDOWN_MS.
+
+import MockNotifier from './MockNotifier';
+import { toDialable } from '../SafetyPlan';
+
+export const ESCALATION_THRESHOLDS = {
+  emergency: 'Only when the app shows emergency resources',
+  warning: 'Whenever the app shows crisis or support resources'
+};
+
+export const DEFAULT_ESCALATION = {
+  enabled: false,
+  minSeverity: 'emergency',
+  recipients: [] // { name, phone, role: 'contact' | 'professional' }
+};
+
+const SEVERITY_RANK = { warning: 1, emergency: 2 };
+const HOUR_MS = 60 * 60 * 1000;
+const DEDUPE_WINDOW_MS = 6 * HOUR_MS;
+const RECIPIENT_COOLDOWN_MS = HOUR_MS;
+const MAX_PER_RECIPIENT_PER_DAY = 3;
+
+const RECIPIENT_ROLES = ['contact', 'professional'];
+
+// Problems with profile.escalation, as messages; empty when it can be saved
+export const validateEscalationSettings = (settings, path = 'escalation') => {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) return [`${path} must be an object`];
+  const errors = [];
+  
+  if (typeof settings.enabled !== 'boolean') errors.push(`${path}.enabled must be true or false`);
+  if (!ESCALATION_THRESHOLDS[settings.minSeverity]) {
+    errors.push(`${path}.minSeverity must be one of ${Object.keys(ESCALATION_THRESHOLDS).join(', ')}`);
+  }
+  if (!Array.isArray(settings.recipients)) {
+    errors.push(`${path}.recipients must be a list`);
+  } else {
+    settings.recipients.forEach((recipient, i) => {
+      const valid = recipient && typeof recipient.name === 'string' && recipient.name
+        && typeof recipient.phone === 'string' && toDialable(recipient.phone).length >= 3
+        && RECIPIENT_ROLES.includes(recipient.role);
+      if (!valid) errors.push(`${path}.recipients[${i}] needs a name, a phone number and a role`);
+    });
+  }
+  
+  return errors;
+};
+
+export const recipientKey = (recipient) => `${recipient.name}|${toDialable(recipient.phone || '')}`;
+
+// Names of the people an escalation outcome actually reached
+export const getNotifiedNames = (escalation) => (escalation
+  ? escalation.recipients.filter(recipient => recipient.status === 'sent').map(recipient => recipient.name)
+  : []);
+
+export const buildEscalationMessage = (userName, event) =>
+  `${userName || 'Someone you support'} asked Therapy Companion to let you know if they might be in crisis. `
+  + `The app has just shown them ${event.severity === 'emergency' ? 'emergency crisis' : 'support'} resources. `
+  + 'Please check in with them. If you think they are in immediate danger, call your local emergency number.';
+
+const wasNotified = (event) => event.escalation && ['sent', 'partial'].includes(event.escalation.status);
+
+// Deliveries to one recipient from earlier events, newest first
+const deliveriesTo = (key, previousEvents) => previousEvents
+  .filter(wasNotified)
+  .filter(event => event.escalation.recipients.some(entry => entry.status === 'sent' && recipientKey(entry) === key))
+  .map(event => new Date(event.escalation.at))
+  .sort((a, b) => b - a);
+
+// Who to notify about `event`, without sending anything. `status` is
+// 'not-consented', 'below-threshold', 'duplicate', 'rate-limited' or 'send'.
+export const planEscalation = (event, previousEvents, settings, now = new Date()) => {
+  const consent = { ...DEFAULT_ESCALATION, ...settings };
+  if (!consent.enabled || consent.recipients.length === 0) return { status: 'not-consented', recipients: [] };
+  if ((SEVERITY_RANK[event.severity] || 0) < SEVERITY_RANK[consent.minSeverity]) {
+    return { status: 'below-threshold', recipients: [] };
+  }
+  
+  // One message per episode; an emergency after a warning still gets through
+  const isDuplicate = previousEvents.some(previous => wasNotified(previous)
+    && previous.riskType === event.riskType
+    && SEVERITY_RANK[previous.severity] >= SEVERITY_RANK[event.severity]
+    && now - new Date(previous.escalation.at) < DEDUPE_WINDOW_MS);
+  if (isDuplicate) return { status: 'duplicate', recipients: [] };
+  
+  const recipients = consent.recipients.map(recipient => {
+    const deliveries = deliveriesTo(recipientKey(recipient), previousEvents);
+    const today = deliveries.filter(at => now - at < 24 * HOUR_MS);
+    const isLimited = (deliveries.length > 0 && now - deliveries[0] < RECIPIENT_COOLDOWN_MS)
+      || today.length >= MAX_PER_RECIPIENT_PER_DAY;
+    return { ...recipient, status: isLimited ? 'rate-limited' : 'pending' };
+  });
+  
+  const status = recipients.some(recipient => recipient.status === 'pending') ? 'send' : 'rate-limited';
+  return { status, recipients };
+};
+
+class EscalationService {
+  constructor({ notifier }) {
+    this.notifier = notifier;
+  }
+  
+  // Returns the outcome to store on the event as `escalation`. Delivery
+  // failures are recorded rather than thrown, so they never block the
+  // safety response itself.
+  async escalate(event, previousEvents, { settings, userName }, now = new Date()) {
+    const plan = planEscalation(event, previousEvents, settings, now);
+    if (plan.status !== 'send') {
+      return { status: plan.status, at: now, recipients: plan.recipients };
+    }
+    
+    const message = buildEscalationMessage(userName, event);
+    const recipients = await Promise.all(plan.recipients.map(async recipient => {
+      if (recipient.status !== 'pending') return recipient;
+      try {
+        await this.notifier.send({ recipient, message, event });
+        return { ...recipient, status: 'sent' };
+      } catch (error) {
+        return { ...recipient, status: 'failed', error: error.message };
       }
-    ];
+    }));
     
-    if (safetyCheck.severity === 'emergency') {
-      return {
-        type: 'emergency',
-        message: "I'm concerned about what you've shared. It sounds like you're going through a really difficult time, and it's important that you talk to a qualified professional right away.",
-        resources: emergencyResources,
-        instructions: "Please reach out to one of these resources immediately. They're available 24/7 and are trained to help with exactly what you're experiencing."
-      };
-    } else {
-      return {
-        type: 'resource',
-        message: "I'm concerned about what you've shared. While we can continue our conversation, I also want to make sure you have access to additional support if needed.",
-        resources: emergencyResources,
-        continuePrompt: "Would you like to continue our conversation or would it be helpful to discuss strategies for managing these difficult feelings?"
-      };
-    }
+    const sent = recipients.filter(recipient => recipient.status === 'sent').length;
+    const attempted = recipients.filter(recipient => recipient.status !== 'rate-limited').length;
+    return {
+      status: sent === 0 ? 'failed' : sent === attempted && sent === recipients.length ? 'sent' : 'partial',
+      at: now,
+      recipients
+    };
   }
-  
\ No newline at end of file
+}
+
+export const createEscalationService = (notifier = new MockNotifier()) => new EscalationService({ notifier });
+
+export default EscalationService;
@@ -0,0 +1,1009 @@
+// File: server/index.js
+// Starts the Therapy Companion API. Configuration comes from the environment:
+//   PORT        port to listen on (default 4000)
+//   DATA_DIR    directory for stored user data and accounts; in-memory when unset
+//   API_TOKENS  comma-separated `token:userId` pairs accepted as bearer tokens
+//               alongside the ones /auth/login hands out, for scripts
+//   CORS_ORIGIN origin allowed to call the API from a browser
+//   AUTH_DEV_RESET_CODES  when set, password reset codes are returned in the
+//               response instead of being sent; development only
+// Consented safety escalations go through MockNotifier, which only records them,
+// until a real notifier is passed to createEscalationService.
+import http from 'http';
+import { createApp } from './app';
+import { createTokenAuthenticator, createAccountAuthenticator, combineAuthenticators } from './auth';
+import AccountService from './AccountService';
+import SessionManager from './SessionManager';
+import FileStorageAdapter from './FileStorageAdapter';
+import { createStorageService } from '../src/services/storage/StorageService';
+import MemoryStorageAdapter from '../src/services/storage/MemoryStorageAdapter';
+import { createEscalationService } from '../src/services/escalation/EscalationService';
+
+const port = Number(process.env.PORT) || 4000;
+
+const adapter = process.env.DATA_DIR
+  ? new FileStorageAdapter(process.env.DATA_DIR)
+  : new MemoryStorageAdapter();
+
+const accounts = new AccountService({
+  adapter,
+  exposeResetTokens: Boolean(process.env.AUTH_DEV_RESET_CODES)
+});
+
+const app = createApp({
+  sessions: new SessionManager({
+    storage: createStorageService(adapter),
+    escalation: createEscalationService(),
+    accounts
+  }),
+  accounts,
+  authenticate: combineAuthenticators(
+    createAccountAuthenticator(accounts),
+    createTokenAuthenticator(process.env.API_TOKENS || '')
+  ),
+  corsOrigin: process.env.CORS_ORIGIN || null
+});
+
+http.createServer(app).listen(port, () => {
+  console.log(`Therapy Companion API listening on port ${port}`);
+  if (!process.env.DATA_DIR) {
+    console.log('DATA_DIR is not set; data will be lost when the server stops.');
+  }
+});
+
+// File: server/HttpError.js
+// Error with an HTTP status. `code` and `message` are sent to the client as
+// `{ code, message }`, the same shape the app's remote providers read.
+
+class HttpError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export default HttpError;
+
+// File: server/app.js
+// Request handler for the documented endpoints:
+//   POST /auth/register
+//   POST /auth/login
+//   POST /auth/logout
+//   POST /auth/password-reset
+//   POST /auth/password-reset/confirm
+//   POST /sessions/start
+//   POST /sessions/:id/message
+//   POST /sessions/:id/end
+//   GET  /users/:id/profile
+//   PUT  /users/:id/profile
+//   POST /users/:id/check-ins
+//   POST /users/:id/questionnaires
+//   POST /users/:id/safety-events/:eventId/acknowledge
+//   GET  /users/:id/safety-events/:eventId/escalation
+// Everything outside /auth must carry a bearer token; users only ever see
+// their own sessions and profile.
+
+import HttpError from './HttpError';
+import { getBearerToken } from './auth';
+import {
+  validateStartBody,
+  validateMessageBody,
+  validateEndBody,
+  validateExerciseBody,
+  validateFeedbackBody,
+  validateProfileBody,
+  validateCheckInBody,
+  validateQuestionnaireBody,
+  validateLoginBody,
+  validateRegisterBody,
+  validatePasswordResetBody,
+  validateResetConfirmBody
+} from './validation';
+
+// Messages are short; anything much bigger is a mistake or abuse
+const MAX_BODY_BYTES = 64 * 1024;
+
+// An oversized body is rejected but not cut off: destroying the request would
+// reset the socket before the 413 is written. The rest is discarded as it
+// arrives, and the 413 goes out with `Connection: close` so it stops there.
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  let tooLarge = false;
+  const chunks = [];
+  
+  req.on('data', chunk => {
+    if (tooLarge) return;
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      tooLarge = true;
+      chunks.length = 0;
+      reject(new HttpError(413, 'payload-too-large', 'Request body is too large.'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  
+  req.on('end', () => {
+    if (tooLarge) return;
+    const raw = Buffer.concat(chunks).toString('utf8');
+    if (!raw) {
+      resolve({});
+      return;
+    }
+    try {
+      resolve(JSON.parse(raw));
+    } catch (error) {
+      reject(new HttpError(400, 'invalid-json', 'Request body must be valid JSON.'));
+    }
+  });
+  
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body, headers = {}) => {
+  if (body === null) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// `public` routes are reachable without a bearer token
+const ROUTES = [
+  { method: 'POST', pattern: /^\/auth\/register$/, handler: 'register', public: true },
+  { method: 'POST', pattern: /^\/auth\/login$/, handler: 'login', public: true },
+  { method: 'POST', pattern: /^\/auth\/logout$/, handler: 'logout', public: true },
+  { method: 'POST', pattern: /^\/auth\/password-reset$/, handler: 'requestPasswordReset', public: true },
+  { method: 'POST', pattern: /^\/auth\/password-reset\/confirm$/, handler: 'resetPassword', public: true },
+  { method: 'POST', pattern: /^\/sessions\/start$/, handler: 'startSession' },
+  { method: 'POST', pattern: /^\/sessions\/([^/]+)\/message$/, handler: 'sendMessage' },
+  { method: 'POST', pattern: /^\/sessions\/([^/]+)\/exercises$/, handler: 'completeExercise' },
+  { method: 'POST', pattern: /^\/sessions\/([^/]+)\/feedback$/, handler: 'rateIntervention' },
+  { method: 'POST', pattern: /^\/sessions\/([^/]+)\/end$/, handler: 'endSession' },
+  { method: 'GET', pattern: /^\/users\/([^/]+)\/profile$/, handler: 'getProfile' },
+  { method: 'PUT', pattern: /^\/users\/([^/]+)\/profile$/, handler: 'updateProfile' },
+  { method: 'POST', pattern: /^\/users\/([^/]+)\/check-ins$/, handler: 'recordCheckIn' },
+  { method: 'POST', pattern: /^\/users\/([^/]+)\/questionnaires$/, handler: 'submitQuestionnaire' },
+  { method: 'POST', pattern: /^\/users\/([^/]+)\/safety-events\/([^/]+)\/acknowledge$/, handler: 'acknowledgeSafetyEvent' },
+  { method: 'GET', pattern: /^\/users\/([^/]+)\/safety-events\/([^/]+)\/escalation$/, handler: 'getEscalation' }
+];
+
+const findRoute = (method, path) => {
+  const matches = ROUTES
+    .map(route => ({ route, match: path.match(route.pattern) }))
+    .filter(({ match }) => match);
+  
+  if (matches.length === 0) {
+    throw new HttpError(404, 'not-found', 'No such endpoint.');
+  }
+  
+  const found = matches.find(({ route }) => route.method === method);
+  if (!found) {
+    throw new HttpError(405, 'method-not-allowed', `${method} is not supported here.`);
+  }
+  
+  try {
+    return {
+      handler: found.route.handler,
+      isPublic: Boolean(found.route.public),
+      params: found.match.slice(1).map(decodeURIComponent)
+    };
+  } catch (error) {
+    throw new HttpError(400, 'invalid-path', 'The request path is not valid.');
+  }
+};
+
+// Users can only read and change their own profile
+const assertSelf = (userId, requestedId) => {
+  if (userId !== requestedId) {
+    throw new HttpError(403, 'forbidden', 'You can only access your own profile.');
+  }
+};
+
+// `accounts` (an AccountService) serves the /auth endpoints; without it they're 404s
+export const createApp = ({ sessions, accounts = null, authenticate, corsOrigin = null }) => {
+  const requireAccounts = () => {
+    if (!accounts) throw new HttpError(404, 'not-found', 'No such endpoint.');
+    return accounts;
+  };
+  
+  const handlers = {
+    async register(userId, params, body) {
+      validateRegisterBody(body);
+      return [201, await requireAccounts().register({
+        name: body.name.trim(),
+        email: normalizeEmail(body.email),
+        password: body.password,
+        role: body.role || 'client'
+      })];
+    },
+    
+    async login(userId, params, body) {
+      validateLoginBody(body);
+      return [200, await requireAccounts().login(normalizeEmail(body.email), body.password)];
+    },
+    
+    async logout(userId, params, body, req) {
+      requireAccounts().logout(getBearerToken(req));
+      return [204, null];
+    },
+    
+    async requestPasswordReset(userId, params, body) {
+      validatePasswordResetBody(body);
+      return [200, await requireAccounts().requestPasswordReset(normalizeEmail(body.email))];
+    },
+    
+    async resetPassword(userId, params, body) {
+      validateResetConfirmBody(body);
+      await requireAccounts().resetPassword(body.resetToken.trim(), body.newPassword);
+      return [204, null];
+    },
+    
+    async startSession(userId, params, body) {
+      validateStartBody(body);
+      return [201, await sessions.startSession(userId, body)];
+    },
+    
+    async sendMessage(userId, [sessionId], body) {
+      validateMessageBody(body);
+      return [200, await sessions.sendMessage(userId, sessionId, body.message)];
+    },
+    
+    async completeExercise(userId, [sessionId], body) {
+      validateExerciseBody(body);
+      return [201, await sessions.completeExercise(userId, sessionId, body)];
+    },
+    
+    async rateIntervention(userId, [sessionId], body) {
+      validateFeedbackBody(body);
+      return [200, await sessions.rateIntervention(userId, sessionId, body)];
+    },
+    
+    async endSession(userId, [sessionId], body) {
+      validateEndBody(body);
+      return [200, await sessions.endSession(userId, sessionId, body.endTime)];
+    },
+    
+    async getProfile(userId, [requestedId]) {
+      assertSelf(userId, requestedId);
+      const profile = await sessions.getProfile(userId);
+      if (!profile) throw new HttpError(404, 'not-found', 'No profile has been saved yet.');
+      return [200, profile];
+    },
+    
+    async updateProfile(userId, [requestedId], body) {
+      assertSelf(userId, requestedId);
+      validateProfileBody(body);
+      return [200, await sessions.updateProfile(userId, body)];
+    },
+    
+    async recordCheckIn(userId, [requestedId], body) {
+      assertSelf(userId, requestedId);
+      validateCheckInBody(body);
+      return [201, await sessions.recordCheckIn(userId, body)];
+    },
+    
+    async submitQuestionnaire(userId, [requestedId], body) {
+      assertSelf(userId, requestedId);
+      validateQuestionnaireBody(body);
+      return [201, await sessions.submitQuestionnaire(userId, body)];
+    },
+    
+    async acknowledgeSafetyEvent(userId, [requestedId, eventId]) {
+      assertSelf(userId, requestedId);
+      return [200, await sessions.acknowledgeSafetyEvent(userId, eventId)];
+    },
+    
+    // Waits for notifications still being sent
+    async getEscalation(userId, [requestedId, eventId]) {
+      assertSelf(userId, requestedId);
+      return [200, { escalation: await sessions.getEscalation(userId, eventId) }];
+    }
+  };
+  
+  const corsHeaders = corsOrigin
+    ? {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+    }
+    : {};
+  
+  return async (req, res) => {
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        res.end();
+        return;
+      }
+      
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const { handler, isPublic, params } = findRoute(req.method, pathname);
+      
+      const userId = isPublic ? null : await authenticate(req);
+      if (!isPublic && !userId) {
+        throw new HttpError(401, 'unauthorized', 'Please log in again.');
+      }
+      
+      const body = req.method === 'GET' ? {} : await readJsonBody(req);
+      const [status, result] = await handlers[handler](userId, params, body, req);
+      sendJson(res, status, result, corsHeaders);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, {
+          code: error.code,
+          message: error.message,
+          ...(error.details ? { details: error.details } : {})
+        }, error.status === 413 ? { ...corsHeaders, Connection: 'close' } : corsHeaders);
+        return;
+      }
+      
+      // Don't leak internals; the log has the detail
+      console.error('Unhandled error:', error);
+      sendJson(res, 500, { code: 'server-error', message: 'Something went wrong. Please try again.' }, corsHeaders);
+    }
+  };
+};
+
+// File: server/auth.js
+// Maps bearer tokens to user ids. App users sign in through AccountService;
+// the static token table is for scripts and other services. Anything with the
+// same `(req) => userId | null` shape can stand in for either.
+
+import crypto from 'crypto';
+
+const parseTokens = (config) => config
+  .split(',')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .map(pair => {
+    const separator = pair.indexOf(':');
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  })
+  .filter(([token, userId]) => token && userId);
+
+// Constant-time comparison so response timing doesn't give away valid tokens
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+export const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+export const createTokenAuthenticator = (config) => {
+  const tokens = parseTokens(config);
+  
+  return (req) => {
+    const token = getBearerToken(req);
+    if (!token) return null;
+    
+    const entry = tokens.find(([known]) => safeEqual(known, token));
+    return entry ? entry[1] : null;
+  };
+};
+
+export const createAccountAuthenticator = (accounts) => (req) => {
+  const token = getBearerToken(req);
+  return token ? accounts.authenticate(token) : null;
+};
+
+// The first authenticator that recognises the request wins
+export const combineAuthenticators = (...authenticators) => async (req) => {
+  for (const authenticate of authenticators) {
+    const userId = await authenticate(req);
+    if (userId) return userId;
+  }
+  return null;
+};
+
+// File: server/AccountService.js
+// Accounts and sign-in tokens behind the /auth endpoints the app's
+// RemoteAuthProvider calls, so remote mode signs in against the same server
+// its agent runs on. Accounts go through the storage adapter with scrypt
+// password hashes; tokens are held in memory, so a restart signs everyone out.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import HttpError from './HttpError';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Kept apart from StorageService's `therapy-companion:<userId>:` keys
+const ACCOUNT_PREFIX = 'therapy-companion-account:';
+// User id -> the email its account is stored under
+const ACCOUNT_ID_PREFIX = 'therapy-companion-account-id:';
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const RESET_TTL_MS = 15 * 60 * 1000;
+
+const randomToken = (bytes = 24) => crypto.randomBytes(bytes).toString('hex');
+
+const hashPassword = async (password, salt) => (await scrypt(password, salt, 32)).toString('hex');
+
+// Constant-time comparison so response timing doesn't give away a near match
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+class AccountService {
+  // Without a mailer, password reset codes can't reach anyone. With
+  // `exposeResetTokens` they're returned to the caller, as MockAuthProvider
+  // does; only for development.
+  constructor({ adapter, sessionTtlMs = SESSION_TTL_MS, sendResetToken = null, exposeResetTokens = false }) {
+    this.adapter = adapter;
+    this.sessionTtlMs = sessionTtlMs;
+    this.sendResetToken = sendResetToken;
+    this.exposeResetTokens = exposeResetTokens;
+    this.sessions = new Map();
+    this.resetTokens = new Map();
+    this.queue = Promise.resolve();
+  }
+  
+  // Account changes run one at a time, so two registrations can't claim the same email
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+  
+  async loadAccount(email) {
+    const raw = await this.adapter.get(`${ACCOUNT_PREFIX}${email}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+  
+  saveAccount(account) {
+    return this.adapter.set(`${ACCOUNT_PREFIX}${account.email}`, JSON.stringify(account));
+  }
+  
+  toUser(account) {
+    return { id: account.id, name: account.name, email: account.email, role: account.role };
+  }
+  
+  // The account's public details, or null for an id with no account (e.g. a
+  // static API token's user)
+  async getUser(userId) {
+    const email = await this.adapter.get(`${ACCOUNT_ID_PREFIX}${userId}`);
+    const account = email ? await this.loadAccount(email) : null;
+    return account ? this.toUser(account) : null;
+  }
+  
+  createSession(account) {
+    const token = randomToken();
+    const expiresAt = new Date(Date.now() + this.sessionTtlMs);
+    this.sessions.set(token, { userId: account.id, expiresAt });
+    return {
+      token,
+      user: this.toUser(account),
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+  
+  async login(email, password) {
+    const account = await this.loadAccount(email);
+    // Same message either way, so the form doesn't reveal which emails have accounts
+    if (!account || !safeEqual(await hashPassword(password, account.salt), account.passwordHash)) {
+      throw new HttpError(401, 'invalid-credentials', 'That email and password combination is not correct.');
+    }
+    return this.createSession(account);
+  }
+  
+  register({ name, email, password, role }) {
+    return this.serialize(async () => {
+      if (await this.loadAccount(email)) {
+        throw new HttpError(409, 'email-taken', 'An account with that email already exists.');
+      }
+      
+      const salt = randomToken(16);
+      const account = {
+        id: `user-${randomToken(8)}`,
+        name,
+        email,
+        role,
+        salt,
+        passwordHash: await hashPassword(password, salt),
+        createdAt: new Date().toISOString()
+      };
+      await this.saveAccount(account);
+      await this.adapter.set(`${ACCOUNT_ID_PREFIX}${account.id}`, email);
+      return this.createSession(account);
+    });
+  }
+  
+  // Returns the user id for a live token, or null
+  authenticate(token) {
+    const session = this.sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt <= new Date()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session.userId;
+  }
+  
+  logout(token) {
+    if (token) this.sessions.delete(token);
+  }
+  
+  // Always reports success, so the form doesn't reveal which emails have accounts
+  async requestPasswordReset(email) {
+    if (!await this.loadAccount(email)) return { sent: true };
+    
+    const resetToken = randomToken(4);
+    this.resetTokens.set(resetToken, { email, expiresAt: Date.now() + RESET_TTL_MS });
+    if (this.sendResetToken) await this.sendResetToken({ email, resetToken });
+    return this.exposeResetTokens ? { sent: true, developmentResetToken: resetToken } : { sent: true };
+  }
+  
+  resetPassword(resetToken, newPassword) {
+    return this.serialize(async () => {
+      const entry = this.resetTokens.get(resetToken);
+      if (!entry || entry.expiresAt < Date.now()) {
+        throw new HttpError(400, 'invalid-reset-token', 'That reset code is invalid or has expired.');
+      }
+      
+      const account = await this.loadAccount(entry.email);
+      account.salt = randomToken(16);
+      account.passwordHash = await hashPassword(newPassword, account.salt);
+      await this.saveAccount(account);
+      this.resetTokens.delete(resetToken);
+      
+      // A new password ends every existing sign-in for the account
+      [...this.sessions.keys()].forEach(token => {
+        if (this.sessions.get(token).userId === account.id) this.sessions.delete(token);
+      });
+    });
+  }
+}
+
+export default AccountService;
+
+// File: server/validation.js
+// Request body checks. Failures become 400 responses listing every problem.
+
+import HttpError from './HttpError';
+import { validateProfile } from '../src/services/export/ImportService';
+import { FEEDBACK_RATINGS } from '../src/services/EffectivenessLearner';
+import { validateCheckIn } from '../src/services/MoodCheckIn';
+import { validateAnswers } from '../src/services/Questionnaires';
+import { EMAIL_PATTERN, MIN_PASSWORD_LENGTH, ROLES } from '../src/services/auth/AuthService';
+
+export const MAX_MESSAGE_LENGTH = 5000;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const fail = (errors) => {
+  if (errors.length > 0) {
+    throw new HttpError(400, 'validation-failed', errors.join('; '), errors);
+  }
+};
+
+export const validateStartBody = (body) => {
+  const errors = [];
+  if (!isObject(body)) errors.push('body must be an object');
+  else {
+    ['assignedHomework', 'assignments'].forEach(field => {
+      if (body[field] === undefined) return;
+      if (!Array.isArray(body[field])) {
+        errors.push(`${field} must be a list`);
+      } else if (!body[field].every(item => isObject(item) && typeof item.title === 'string')) {
+        errors.push(`each ${field} item needs a title`);
+      }
+    });
+  }
+  fail(errors);
+};
+
+export const validateEndBody = (body) => {
+  if (!isObject(body)) fail(['body must be an object']);
+  if (body.endTime !== undefined && (typeof body.endTime !== 'string' || Number.isNaN(Date.parse(body.endTime)))) {
+    fail(['endTime must be a date']);
+  }
+};
+
+export const validateMessageBody = (body) => {
+  const errors = [];
+  if (!isObject(body) || typeof body.message !== 'string') {
+    errors.push('message must be text');
+  } else if (!body.message.trim()) {
+    errors.push('message must not be empty');
+  } else if (body.message.length > MAX_MESSAGE_LENGTH) {
+    errors.push(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  fail(errors);
+};
+
+const isRating = (value) => value === null || (Number.isInteger(value) && value >= 0 && value <= 10);
+
+export const validateExerciseBody = (body) => {
+  const errors = [];
+  if (!isObject(body)) {
+    fail(['body must be an object']);
+  }
+  
+  if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name must be text');
+  if (typeof body.completed !== 'boolean') errors.push('completed must be true or false');
+  ['beforeRating', 'afterRating'].forEach(field => {
+    if (body[field] !== undefined && !isRating(body[field])) {
+      errors.push(`${field} must be a whole number from 0 to 10`);
+    }
+  });
+  if (body.responses !== undefined) {
+    if (!isObject(body.responses)) {
+      errors.push('responses must be an object');
+    } else if (!Object.keys(body.responses).every(field => typeof body.responses[field] === 'string')) {
+      errors.push('every response must be text');
+    } else if (Object.keys(body.responses).some(field => body.responses[field].length > MAX_MESSAGE_LENGTH)) {
+      errors.push(`each response must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+  }
+  fail(errors);
+};
+
+export const validateFeedbackBody = (body) => {
+  const errors = [];
+  if (!isObject(body)) {
+    fail(['body must be an object']);
+  }
+  
+  if (typeof body.deliveryId !== 'string' || !body.deliveryId) errors.push('deliveryId must be text');
+  if (!Object.keys(FEEDBACK_RATINGS).includes(body.rating)) {
+    errors.push(`rating must be one of ${Object.keys(FEEDBACK_RATINGS).join(', ')}`);
+  }
+  fail(errors);
+};
+
+export const validateCheckInBody = (body) => {
+  fail(validateCheckIn(body));
+};
+
+export const validateQuestionnaireBody = (body) => {
+  if (!isObject(body)) fail(['body must be an object']);
+  fail(validateAnswers(body.instrument, body.answers));
+};
+
+const checkEmail = (body, errors) => {
+  if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) {
+    errors.push('email must be a valid email address');
+  }
+};
+
+const checkPassword = (value, field, errors) => {
+  if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`${field} must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+export const validateLoginBody = (body) => {
+  if (!isObject(body)) fail(['body must be an object']);
+  const errors = [];
+  if (typeof body.email !== 'string' || !body.email.trim()) errors.push('email must be text');
+  if (typeof body.password !== 'string' || !body.password) errors.push('password must be text');
+  fail(errors);
+};
+
+export const validateRegisterBody = (body) => {
+  if (!isObject(body)) fail(['body must be an object']);
+  const errors = [];
+  if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name must be text');
+  checkEmail(body, errors);
+  checkPassword(body.password, 'password', errors);
+  if (body.role !== undefined && !ROLES.includes(body.role)) {
+    errors.push(`role must be one of ${ROLES.join(', ')}`);
+  }
+  fail(errors);
+};
+
+export const validatePasswordResetBody = (body) => {
+  if (!isObject(body)) fail(['body must be an object']);
+  const errors = [];
+  checkEmail(body, errors);
+  fail(errors);
+};
+
+export const validateResetConfirmBody = (body) => {
+  if (!isObject(body)) fail(['body must be an object']);
+  const errors = [];
+  if (typeof body.resetToken !== 'string' || !body.resetToken.trim()) errors.push('resetToken must be text');
+  checkPassword(body.newPassword, 'newPassword', errors);
+  fail(errors);
+};
+
+export const validateProfileBody = (body) => {
+  const errors = validateProfile(body, 'profile');
+  if (isObject(body) && body.name !== undefined && typeof body.name !== 'string') {
+    errors.push('profile.name must be text');
+  }
+  fail(errors);
+};
+
+// File: server/SessionManager.js
+// Keeps one agent per user and tracks which user owns each session, so a
+// session id on its own is never enough to read or write someone's data.
+
+import HttpError from './HttpError';
+import TherapyCompanionAgent from '../src/services/TherapyCompanionAgent';
+
+const DEFAULT_PROFILE = {
+  therapeuticGoals: ['anxiety-management', 'stress-reduction'],
+  currentStressors: [],
+  sessionFrequency: 7,
+  preferredDuration: '10 min',
+  preferredActivityType: 'exercise',
+  locale: 'en-US',
+  interventionEffectiveness: {}
+};
+
+// Fields clients may set; identity fields always come from the token
+const PROFILE_FIELDS = [
+  'name',
+  'therapeuticGoals',
+  'currentStressors',
+  'sessionFrequency',
+  'preferredDuration',
+  'preferredActivityType',
+  'locale',
+  'interventionEffectiveness',
+  'interventionStats',
+  'remindersEnabled',
+  'reminderTime',
+  'questionnaireSchedule',
+  'safetyPlan',
+  'escalation'
+];
+
+const EXERCISE_FIELDS = [
+  'interventionId',
+  'name',
+  'type',
+  'completed',
+  'beforeRating',
+  'afterRating',
+  'stepsCompleted',
+  'totalSteps',
+  'durationSeconds',
+  'responses'
+];
+
+const CHECK_IN_FIELDS = ['overall', 'anxiety', 'depression', 'anger', 'joy', 'sleep', 'energy', 'notes'];
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) result[field] = source[field];
+  return result;
+}, {});
+
+// The logged event behind a safety response, so the app can keep a copy
+const withSafetyEvent = (agent, response) => {
+  const event = response && response.safetyEventId
+    ? agent.safetyEvents.find(entry => entry.id === response.safetyEventId)
+    : null;
+  return event ? { safetyEvent: event } : {};
+};
+
+// `escalation` is passed to each user's agent, see EscalationService.
+// `accounts` (an AccountService) names the profiles of new users.
+class SessionManager {
+  constructor({ storage, escalation = null, accounts = null }) {
+    this.storage = storage;
+    this.escalation = escalation;
+    this.accounts = accounts;
+    this.agents = new Map();
+    this.sessionOwners = new Map();
+  }
+  
+  async getAgent(userId) {
+    if (this.agents.has(userId)) return this.agents.get(userId);
+    
+    // Two requests for a new user could both get here; share one load
+    const loading = (async () => {
+      await this.storage.open(userId);
+      const profile = await this.storage.getProfile(userId)
+        || await this.storage.saveProfile({ ...DEFAULT_PROFILE, id: userId, name: await this.getAccountName(userId) });
+      const history = await this.storage.getInteractions(userId);
+      return new TherapyCompanionAgent(profile, {
+        storage: this.storage,
+        history,
+        simulateLatency: false,
+        escalation: this.escalation
+      });
+    })();
+    
+    this.agents.set(userId, loading);
+    try {
+      return await loading;
+    } catch (error) {
+      this.agents.delete(userId);
+      throw error;
+    }
+  }
+  
+  // Users signed in with a static API token have no account, and so no name
+  async getAccountName(userId) {
+    const user = this.accounts ? await this.accounts.getUser(userId) : null;
+    return user ? user.name : '';
+  }
+  
+  // Looks the session up for this user only. Someone else's session id gets
+  // the same 404 as one that doesn't exist.
+  async getOwnedSession(userId, sessionId) {
+    const agent = await this.getAgent(userId);
+    if (this.sessionOwners.get(sessionId) !== userId || !agent.currentSession || agent.currentSession.id !== sessionId) {
+      throw new HttpError(404, 'session-not-found', 'That session doesn\'t exist or has already ended.');
+    }
+    return agent;
+  }
+  
+  async startSession(userId, { assignedHomework = [], assignments = [] } = {}) {
+    const agent = await this.getAgent(userId);
+    if (agent.currentSession) {
+      throw new HttpError(409, 'session-active', 'You already have a session in progress. End it before starting another.', {
+        sessionId: agent.currentSession.id
+      });
+    }
+    
+    const result = await agent.startSession({ assignedHomework, assignments });
+    this.sessionOwners.set(agent.currentSession.id, userId);
+    
+    return {
+      sessionId: agent.currentSession.id,
+      startTime: agent.currentSession.startTime,
+      ...result
+    };
+  }
+  
+  async sendMessage(userId, sessionId, message) {
+    const agent = await this.getOwnedSession(userId, sessionId);
+    const response = await agent.processUserInput(message.trim());
+    const interaction = agent.sessionHistory[agent.sessionHistory.length - 1];
+    
+    return {
+      response,
+      interaction,
+      ...withSafetyEvent(agent, response)
+    };
+  }
+  
+  async completeExercise(userId, sessionId, result) {
+    const agent = await this.getOwnedSession(userId, sessionId);
+    const response = await agent.completeExercise(pick(result, EXERCISE_FIELDS));
+    const interaction = agent.sessionHistory[agent.sessionHistory.length - 1];
+    
+    return {
+      response,
+      interaction,
+      ...withSafetyEvent(agent, response)
+    };
+  }
+  
+  async rateIntervention(userId, sessionId, { deliveryId, rating }) {
+    const agent = await this.getOwnedSession(userId, sessionId);
+    try {
+      const { profile, interaction } = await agent.rateIntervention(deliveryId, rating);
+      return { profile, interaction };
+    } catch (error) {
+      throw new HttpError(404, 'intervention-not-found', error.message);
+    }
+  }
+  
+  // `endTime` is when the client says the session finished, e.g. its last
+  // activity for a session that was left open. Device clocks can be off, so
+  // it's kept between the session's start and now.
+  async endSession(userId, sessionId, endTime = null) {
+    const agent = await this.getOwnedSession(userId, sessionId);
+    const now = Date.now();
+    const reported = endTime ? new Date(endTime).getTime() : now;
+    const earliest = new Date(agent.currentSession.startTime).getTime();
+    const result = await agent.endSession({ endTime: new Date(Math.min(now, Math.max(earliest, reported))) });
+    this.sessionOwners.delete(sessionId);
+    return { sessionId, ...result };
+  }
+  
+  async recordCheckIn(userId, values) {
+    const agent = await this.getAgent(userId);
+    return { interaction: await agent.recordCheckIn(pick(values, CHECK_IN_FIELDS)) };
+  }
+  
+  async submitQuestionnaire(userId, { instrument, answers }) {
+    const agent = await this.getAgent(userId);
+    const outcome = await agent.submitQuestionnaire(instrument, answers);
+    return { ...outcome, ...withSafetyEvent(agent, outcome.safetyResponse) };
+  }
+  
+  async acknowledgeSafetyEvent(userId, eventId) {
+    const agent = await this.getAgent(userId);
+    const event = await agent.acknowledgeSafetyEvent(eventId);
+    if (!event) throw new HttpError(404, 'not-found', 'No such safety event.');
+    return event;
+  }
+  
+  async getEscalation(userId, eventId) {
+    const agent = await this.getAgent(userId);
+    return agent.getEscalation(eventId);
+  }
+  
+  async getProfile(userId) {
+    await this.storage.open(userId);
+    return this.storage.getProfile(userId);
+  }
+  
+  async updateProfile(userId, changes) {
+    const agent = await this.getAgent(userId);
+    const profile = await this.storage.saveProfile({
+      ...agent.userProfile,
+      ...pick(changes, PROFILE_FIELDS),
+      id: userId
+    });
+    agent.updateProfile(profile);
+    return profile;
+  }
+}
+
+export default SessionManager;
+
+// File: server/FileStorageAdapter.js
+// Key-value adapter storing one JSON file per key, with the same interface as
+// the browser adapters so StorageService works unchanged on the server.
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+class FileStorageAdapter {
+  constructor(directory) {
+    this.directory = directory;
+    this.ready = fs.mkdir(directory, { recursive: true });
+  }
+  
+  filePath(key) {
+    // Keys contain ':'; encoding keeps them safe as file names on every platform
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+  
+  async get(key) {
+    await this.ready;
+    try {
+      return await fs.readFile(this.filePath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  
+  // Write then rename, so a crash mid-write never leaves a half-written record.
+  // The random part keeps two writes to one key in the same millisecond apart.
+  async set(key, value) {
+    await this.ready;
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.${Date.now()}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(temp, value, 'utf8');
+    await fs.rename(temp, target);
+  }
+  
+  async remove(key) {
+    await this.ready;
+    await fs.rm(this.filePath(key), { force: true });
+  }
+  
+  async keys(prefix = '') {
+    await this.ready;
+    const files = await fs.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+      .filter(key => key.startsWith(prefix));
+  }
+}
+
+export default FileStorageAdapter;
@@ -0,0 +1,849 @@
+// File: src/services/SafetyModule.test.js
+// Labelled corpus for the safety classifier. Every phrase here has been
+// checked by hand; a change that moves one of them to another tier should be
+// deliberate, so add new misses to the corpus rather than loosening it.
+
+import SafetyModule, { SEVERITY_THRESHOLDS } from './SafetyModule';
+
+const safety = new SafetyModule();
+const evaluate = (text, context) => safety.evaluate(text, context);
+
+const EMERGENCY = [
+  'I want to kill myself',
+  "I've been thinking about ending my life",
+  'I wish I was dead',
+  "I don't want to wake up tomorrow",
+  'everyone would be better off without me',
+  'I just want to end it all',
+  "I'm suicidal",
+  // Plans, means and farewells
+  "I'm going to overdose",
+  "I have pills and I'm going to take them all tonight",
+  'planning to jump off the bridge',
+  "I'm going to hang myself tonight",
+  'I might take all the pills at once',
+  'wrote my goodbye letters',
+  "I've been giving away my things",
+  // Paraphrases
+  "life isn't worth living",
+  'nobody would miss me if I was gone'
+];
+
+const WARNING = [
+  ['I keep cutting my arms again', 'self-harm'],
+  ['I want to hurt myself', 'self-harm'],
+  ["I'm such a burden", 'suicide'],
+  ["there's no point living", 'suicide'],
+  ["I don't see the point anymore", 'suicide'],
+  ['this is goodbye', 'suicide']
+];
+
+const SUPPORTIVE = [
+  "I can't go on like this",
+  'my friend is suicidal',
+  'we watched a documentary about suicide',
+  'I used to self-harm years ago',
+  'I used to cut myself when I was a teenager'
+];
+
+const NONE = [
+  'I had a great day at work',
+  "I'm so stressed about my exams",
+  'I feel sad and lonely today',
+  'this traffic is killing me',
+  "I'm dying to see that movie",
+  'I could kill for a coffee',
+  'the deadline is killing me but I\'m okay',
+  'my boss wants me to take on the whole project',
+  'I jumped off the diving board',
+  "I'm going to jump in the pool",
+  'I have to take my pills tonight',
+  'I take all my meds every morning'
+];
+
+describe('SafetyModule corpus', () => {
+  test.each(EMERGENCY)('"%s" is an emergency', (text) => {
+    const result = evaluate(text);
+    expect(result.severity).toBe('emergency');
+    expect(result.riskType).toBe('suicide');
+    expect(result.concernDetected).toBe(true);
+  });
+  
+  test.each(WARNING)('"%s" is a %s warning', (text, riskType) => {
+    const result = evaluate(text);
+    expect(result.severity).toBe('warning');
+    expect(result.riskType).toBe(riskType);
+    expect(result.concernDetected).toBe(true);
+  });
+  
+  test.each(SUPPORTIVE)('"%s" is supportive only', (text) => {
+    const result = evaluate(text);
+    expect(result.severity).toBe('supportive');
+    expect(result.concernDetected).toBe(false);
+  });
+  
+  test.each(NONE)('"%s" raises nothing', (text) => {
+    const result = evaluate(text);
+    expect(result.severity).toBe('none');
+    expect(result.signals).toEqual([]);
+  });
+  
+  test('curly apostrophes and capitals are normalised', () => {
+    expect(evaluate('I DON’T WANT TO LIVE ANYMORE').severity).toBe('emergency');
+  });
+});
+
+describe('SafetyModule negation', () => {
+  test.each([
+    "I'm not suicidal",
+    'I would never hurt myself',
+    "I don't want to die",
+    "I'm not going to overdose"
+  ])('"%s" is discounted below the supportive tier', (text) => {
+    const result = evaluate(text);
+    expect(result.severity).toBe('none');
+    expect(result.signals).toHaveLength(1);
+    expect(result.signals[0].adjustments).toContain('negated');
+    expect(result.signals[0].weight).toBeGreaterThan(0);
+    expect(result.signals[0].weight).toBeLessThan(SEVERITY_THRESHOLDS.supportive);
+  });
+  
+  test('a denial still shows up in the explanation', () => {
+    expect(evaluate("I'm not suicidal").explanation).toMatch(/less weight \(negated\)/);
+  });
+  
+  test.each([
+    "I'm not okay, I want to die",
+    "I'm not okay. I want to kill myself",
+    "I didn't sleep but I want to die"
+  ])('negation does not cross into the next clause: "%s"', (text) => {
+    const result = evaluate(text);
+    expect(result.severity).toBe('emergency');
+    expect(result.signals.every(signal => !signal.adjustments.includes('negated'))).toBe(true);
+  });
+  
+  test('"can\'t stop thinking about" is not a negation', () => {
+    const result = evaluate("I can't stop thinking about suicide");
+    expect(result.severity).toBe('emergency');
+    expect(result.signals[0].adjustments).toEqual([]);
+  });
+  
+  test('a denial does not corroborate a real signal', () => {
+    const result = evaluate("I'm not suicidal, I just want to hurt myself");
+    expect(result.riskType).toBe('self-harm');
+    expect(result.scores.suicide).toBeLessThan(SEVERITY_THRESHOLDS.supportive);
+  });
+});
+
+describe('SafetyModule subject', () => {
+  test('someone else\'s risk is discounted to supportive', () => {
+    const result = evaluate('my friend is suicidal');
+    expect(result.signals[0].adjustments).toEqual(['third-party']);
+  });
+  
+  test('a plan attributed to someone else is not an emergency', () => {
+    const result = evaluate("my brother said he's going to jump off the bridge");
+    expect(result.severity).toBe('supportive');
+    expect(result.signals[0].adjustments).toContain('third-party');
+  });
+  
+  test('the nearest person reference wins', () => {
+    expect(evaluate("my sister worries but I'm suicidal").severity).toBe('emergency');
+    expect(evaluate("I'm worried my sister is suicidal").severity).toBe('supportive');
+  });
+  
+  test('with no subject the user is assumed to mean themselves', () => {
+    expect(evaluate('thinking about suicide a lot').severity).toBe('emergency');
+  });
+});
+
+describe('SafetyModule historical statements', () => {
+  test('past self-harm is discounted', () => {
+    const result = evaluate('I used to self-harm years ago');
+    expect(result.signals[0].adjustments).toEqual(['historical']);
+    expect(result.scores['self-harm']).toBe(0.35);
+  });
+  
+  test('only the clause that mentions the past is discounted', () => {
+    expect(evaluate('I used to self-harm, I want to cut again').severity).toBe('warning');
+  });
+});
+
+describe('SafetyModule tiers', () => {
+  test('means alongside another suicide signal add weight', () => {
+    const result = evaluate("I'm such a burden and I have a rope");
+    expect(result.scores.suicide).toBe(0.7);
+    expect(result.signals[0].boosts).toContain('mentions means or a plan');
+  });
+  
+  test('distinct signals of the same type corroborate', () => {
+    expect(evaluate("I'm such a burden. I can't go on").scores.suicide).toBe(0.6);
+  });
+  
+  test('self-harm alone never reaches the emergency tier', () => {
+    const result = evaluate('I want to hurt myself and I keep cutting my arms');
+    expect(result.scores['self-harm']).toBe(1);
+    expect(result.severity).toBe('warning');
+  });
+  
+  test('high distress without risk language is a distress warning', () => {
+    const result = evaluate('today was rough', {
+      emotionalState: { anxiety: 9, depression: 5, overall: 5 }
+    });
+    expect(result.severity).toBe('warning');
+    expect(result.riskType).toBe('distress');
+    expect(result.explanation).toMatch(/anxiety at 9\/10/);
+  });
+  
+  test('moderate distress is supportive', () => {
+    const result = evaluate('today was rough', {
+      emotionalState: { anxiety: 7, depression: 5, overall: 5 }
+    });
+    expect(result.severity).toBe('supportive');
+    expect(result.riskType).toBe('distress');
+  });
+  
+  test('questionnaire screening signals count alongside the text', () => {
+    const result = evaluate('', {
+      screeningSignals: [{ id: 'phq9-item9', riskType: 'suicide', weight: 0.9, matchedText: 'PHQ-9 item 9' }]
+    });
+    expect(result.severity).toBe('emergency');
+    expect(result.signals[0].source).toBe('questionnaire');
+    expect(result.explanation).toMatch(/Questionnaire answers/);
+  });
+  
+  test('nothing to report explains itself', () => {
+    expect(evaluate('hello').explanation).toBe('No safety concerns detected.');
+  });
+});
+
+// File: src/services/NLPProcessor.test.js
+// Labelled corpus for the language analysis the agent and safety module build on.
+
+import NLPProcessor from './NLPProcessor';
+
+const nlp = new NLPProcessor();
+
+describe('NLPProcessor sentiment', () => {
+  test.each([
+    ['I feel hopeless and worthless', 'negative'],
+    ["I'm so stressed and exhausted", 'negative'],
+    ['I had a great day and feel really happy', 'positive'],
+    ['I feel calm and grateful', 'positive'],
+    ['I went to the shop', 'neutral']
+  ])('"%s" is %s', (text, label) => {
+    expect(nlp.analyze(text).sentiment.label).toBe(label);
+  });
+  
+  test('negation flips a word at half strength', () => {
+    const negated = nlp.analyze('I am not happy').sentiment;
+    expect(negated.score).toBeLessThan(0);
+    expect(negated.negativeWords).toEqual(['happy']);
+  });
+  
+  test('intensifiers strengthen the next word', () => {
+    const plain = nlp.analyze('I am sad').sentiment.score;
+    const intense = nlp.analyze('I am extremely sad').sentiment.score;
+    expect(intense).toBeLessThan(plain);
+  });
+  
+  test('scores stay within -1..1', () => {
+    const score = nlp.analyze('awful terrible horrible miserable useless hopeless worthless').sentiment.score;
+    expect(score).toBeGreaterThanOrEqual(-1);
+  });
+});
+
+describe('NLPProcessor emotions', () => {
+  test.each([
+    ["I'm anxious and can't relax, my heart racing", 'anxiety'],
+    ['I feel empty and numb, no energy', 'depression'],
+    ["I'm furious and fed up with this", 'anger'],
+    ['I feel proud and hopeful', 'joy']
+  ])('"%s" is mostly %s', (text, emotion) => {
+    expect(nlp.analyze(text).dominantEmotion).toBe(emotion);
+  });
+  
+  test('negated emotion words are ignored', () => {
+    expect(nlp.analyze("I'm not anxious").emotions.anxiety).toBe(0);
+  });
+  
+  test('phrases that carry their own negation still count', () => {
+    expect(nlp.analyze("I can't relax").emotions.anxiety).toBeGreaterThan(0);
+  });
+  
+  test('nothing emotional leaves no dominant emotion', () => {
+    expect(nlp.analyze('I went to the shop').dominantEmotion).toBeNull();
+  });
+});
+
+describe('NLPProcessor themes', () => {
+  test.each([
+    ['My boss keeps moving my deadlines', ['work']],
+    ["I can't sleep, I keep having nightmares", ['sleep']],
+    ["I'm behind on rent and my bills", ['finances']],
+    ['My mom and dad are fighting about money', ['family', 'finances']]
+  ])('"%s" is about %j', (text, themes) => {
+    expect(nlp.analyze(text).themes).toEqual(expect.arrayContaining(themes));
+  });
+  
+  test('themes are ordered by how often they come up', () => {
+    expect(nlp.analyze('work work work, and my sister').themes).toEqual(['work', 'family']);
+  });
+});
+
+describe('NLPProcessor requests', () => {
+  test.each([
+    ['Can we do a breathing exercise?', 'breathing-exercise'],
+    ['Could you help me with grounding', 'grounding'],
+    ['I want to look at it differently', 'cognitive-reframing'],
+    ["Let's write my thoughts down", 'thought-record'],
+    ['I need something to do', 'behavioral-activation'],
+    ['Can you teach me to meditate', 'relaxation'],
+    ['What should I do?', 'advice'],
+    ['I just want to talk', 'listen']
+  ])('"%s" asks for %s', (text, type) => {
+    expect(nlp.analyze(text).requests).toContainEqual({ type });
+  });
+  
+  test('a passing mention is not a request', () => {
+    expect(nlp.analyze('I was breathing hard after the run').requests).toEqual([]);
+  });
+  
+  test('questions are detected from the trailing question mark', () => {
+    expect(nlp.analyze('Is this normal?').isQuestion).toBe(true);
+    expect(nlp.analyze('This is normal.').isQuestion).toBe(false);
+  });
+});
+
+// File: src/services/TherapyCompanionAgent.test.js
+// Agent behaviour around safety responses.
+
+import TherapyCompanionAgent from './TherapyCompanionAgent';
+import { createEscalationService, getNotifiedNames } from './escalation/EscalationService';
+
+const jo = { name: 'Jo', phone: '555 1234', role: 'contact' };
+const PROFILE = {
+  id: 'user-1',
+  name: 'Sam',
+  therapeuticGoals: ['anxiety-management'],
+  currentStressors: [],
+  sessionFrequency: 7,
+  preferredDuration: '10 min',
+  preferredActivityType: 'exercise',
+  interventionEffectiveness: {},
+  safetyPlan: { contacts: [jo] },
+  escalation: { enabled: true, minSeverity: 'emergency', recipients: [jo] }
+};
+
+// A notifier whose deliveries only finish when the test says so
+const createHeldNotifier = () => {
+  const held = [];
+  return {
+    held,
+    send: () => new Promise(resolve => held.push(resolve)),
+    release: () => held.splice(0).forEach(resolve => resolve())
+  };
+};
+
+describe('TherapyCompanionAgent crisis notifications', () => {
+  test('the crisis response does not wait for notifications to be sent', async () => {
+    const notifier = createHeldNotifier();
+    const agent = new TherapyCompanionAgent(PROFILE, { simulateLatency: false, escalation: createEscalationService(notifier) });
+    await agent.startSession();
+    
+    const response = await agent.processUserInput('I want to kill myself');
+    expect(response.type).toBe('emergency');
+    expect(agent.safetyEvents).toHaveLength(1);
+    
+    const escalation = agent.getEscalation(response.safetyEventId);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(notifier.held).toHaveLength(1);
+    notifier.release();
+    expect(getNotifiedNames(await escalation)).toEqual(['Jo']);
+  });
+  
+  test('a repeat detection still sees the earlier delivery and is not sent twice', async () => {
+    const notifier = createHeldNotifier();
+    const agent = new TherapyCompanionAgent(PROFILE, { simulateLatency: false, escalation: createEscalationService(notifier) });
+    await agent.startSession();
+    
+    const first = await agent.processUserInput('I want to kill myself');
+    const second = await agent.processUserInput('I want to end my life');
+    await new Promise(resolve => setImmediate(resolve));
+    notifier.release();
+    
+    expect((await agent.getEscalation(first.safetyEventId)).status).toBe('sent');
+    expect((await agent.getEscalation(second.safetyEventId)).status).toBe('duplicate');
+  });
+  
+  test('a failing notifier is logged, not thrown', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const escalation = { escalate: () => Promise.reject(new Error('notifier down')) };
+    const agent = new TherapyCompanionAgent(PROFILE, { simulateLatency: false, escalation });
+    await agent.startSession();
+    
+    const response = await agent.processUserInput('I want to kill myself');
+    expect(response.type).toBe('emergency');
+    expect(await agent.getEscalation(response.safetyEventId)).toBeNull();
+    expect(error).toHaveBeenCalledWith('Failed to notify contacts:', expect.any(Error));
+    error.mockRestore();
+  });
+});
+
+describe('TherapyCompanionAgent safety concerns in the session', () => {
+  const startAgent = async () => {
+    const agent = new TherapyCompanionAgent(PROFILE, { simulateLatency: false });
+    await agent.startSession();
+    return agent;
+  };
+  
+  test('a crisis message moves the emotional state even with few emotion words', async () => {
+    const agent = await startAgent();
+    await agent.processUserInput('I want to kill myself');
+    
+    const state = agent.currentEmotionalState;
+    expect(state.depression).toBeGreaterThanOrEqual(8);
+    expect(state.overall).toBeLessThanOrEqual(2.5);
+    expect(state.joy).toBeLessThanOrEqual(1.5);
+  });
+  
+  test('ordinary messages are left to smoothing', async () => {
+    const agent = await startAgent();
+    await agent.processUserInput('Work was busy today but fine');
+    
+    expect(agent.currentEmotionalState.depression).toBeLessThan(7);
+  });
+  
+  test('the summary acknowledges the concern and asks for a check-in the next day', async () => {
+    const agent = await startAgent();
+    await agent.processUserInput('I want to end my life');
+    // Later messages that sound better shouldn't hide it
+    await agent.processUserInput('Thanks, I feel a bit calmer and happier now, talking helped');
+    
+    const { summary, nextSessionRecommendation } = await agent.endSession();
+    expect(summary.safetyConcerns).toEqual({ count: 1, severity: 'emergency', riskTypes: ['suicide'] });
+    expect(summary.keyInsights[0]).toMatch(/painful thoughts/);
+    expect(nextSessionRecommendation.safetyFollowUp).toBe(true);
+    expect(nextSessionRecommendation.recommendedFocus).toMatch(/safety plan/);
+    expect(nextSessionRecommendation.reason).toMatch(/thoughts of harming yourself/);
+    
+    const days = (new Date(nextSessionRecommendation.recommendedDate) - new Date()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(1);
+  });
+  
+  test('a questionnaire concern counts towards the session', async () => {
+    const agent = await startAgent();
+    const { safetyResponse } = await agent.submitQuestionnaire('phq9', [1, 1, 1, 1, 1, 1, 1, 1, 2]);
+    expect(safetyResponse).not.toBeNull();
+    
+    const { summary, nextSessionRecommendation } = await agent.endSession();
+    expect(summary.safetyConcerns.count).toBe(1);
+    expect(summary.keyInsights).toHaveLength(1);
+    expect(nextSessionRecommendation.safetyFollowUp).toBe(true);
+  });
+  
+  test('a distress-only warning is not described as thoughts of harm', async () => {
+    const agent = await startAgent();
+    // Anxiety builds over the messages until it alone raises the warning
+    const message = "I'm terrified and panicking, my heart is racing and I'm shaking, so anxious and scared";
+    let response;
+    for (let count = 0; count < 3; count++) {
+      response = await agent.processUserInput(message);
+    }
+    expect(response.riskType).toBe('distress');
+    
+    const { summary, nextSessionRecommendation } = await agent.endSession();
+    expect(summary.safetyConcerns.riskTypes).toEqual(['distress']);
+    expect(nextSessionRecommendation.safetyFollowUp).toBe(true);
+    expect(nextSessionRecommendation.reason).toMatch(/a lot of distress/);
+    expect(nextSessionRecommendation.reason).not.toMatch(/harming yourself/);
+  });
+  
+  test('a session without concerns keeps the usual schedule', async () => {
+    const agent = await startAgent();
+    await agent.processUserInput('I had a good day and went for a walk');
+    
+    const { summary, nextSessionRecommendation } = await agent.endSession();
+    expect(summary.safetyConcerns).toBeNull();
+    expect(nextSessionRecommendation.safetyFollowUp).toBe(false);
+  });
+});
+
+// File: src/services/auth/AuthService.test.js
+// Restoring the saved session on reload.
+
+import AuthService from './AuthService';
+
+const SESSION_KEY = 'therapy-companion:auth-session';
+
+const createStore = (value) => {
+  const items = new Map(value === undefined ? [] : [[SESSION_KEY, value]]);
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, item) => items.set(key, item),
+    removeItem: key => items.delete(key)
+  };
+};
+
+describe('AuthService.getSession', () => {
+  const user = { id: 'user-1', name: 'Sam', role: 'client' };
+  
+  test('restores a saved session that has not expired', () => {
+    const saved = { token: 'abc', user, expiresAt: new Date(Date.now() + 60 * 1000).toISOString() };
+    const auth = new AuthService({ provider: {}, sessionStore: createStore(JSON.stringify(saved)) });
+    
+    expect(auth.getSession()).toEqual(saved);
+    auth.clearSession();
+  });
+  
+  test.each([
+    ['unparseable JSON', '{"token": "abc", '],
+    ['null', 'null'],
+    ['no token', JSON.stringify({ user, expiresAt: new Date(Date.now() + 60 * 1000).toISOString() })],
+    ['an unreadable expiry', JSON.stringify({ token: 'abc', user, expiresAt: 'soon' })],
+    ['an expired session', JSON.stringify({ token: 'abc', user, expiresAt: new Date(Date.now() - 1000).toISOString() })]
+  ])('discards %s and returns null', (label, raw) => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = createStore(raw);
+    const auth = new AuthService({ provider: {}, sessionStore: store });
+    
+    expect(auth.getSession()).toBeNull();
+    expect(store.items.has(SESSION_KEY)).toBe(false);
+    error.mockRestore();
+  });
+});
+
+// File: src/services/storage/StorageService.test.js
+// Ordering of writes against a wipe.
+
+import StorageService from './StorageService';
+import MemoryStorageAdapter from './MemoryStorageAdapter';
+
+// An adapter whose writes only finish when the test says so
+class HeldAdapter extends MemoryStorageAdapter {
+  constructor() {
+    super();
+    this.held = [];
+  }
+  
+  set(key, value) {
+    return new Promise(resolve => this.held.push({ key, finish: () => resolve(super.set(key, value)) }));
+  }
+  
+  release(matches = () => true) {
+    const released = this.held.filter(({ key }) => matches(key));
+    this.held = this.held.filter(write => !released.includes(write));
+    released.forEach(({ finish }) => finish());
+  }
+}
+
+describe('StorageService.clearUser', () => {
+  test('waits for pending writes, so none of them outlives the wipe', async () => {
+    const adapter = new HeldAdapter();
+    const storage = new StorageService(adapter);
+    
+    const writes = [
+      storage.appendInteraction('user-1', { userInput: 'hello' }),
+      storage.saveProfile({ id: 'user-1', name: 'Sam' })
+    ];
+    const wipe = storage.clearUser('user-1');
+    
+    // Finishing the first write alone must not let the wipe overtake the second
+    await new Promise(resolve => setImmediate(resolve));
+    adapter.release(key => key.endsWith(':interactions'));
+    await new Promise(resolve => setImmediate(resolve));
+    adapter.release();
+    await Promise.all([...writes, wipe]);
+    
+    expect(await adapter.keys()).toEqual([]);
+  });
+});
+
+// File: src/services/careTeam/CareTeamService.test.js
+// What a therapist sees of a client's data.
+
+import { buildSharedSnapshot } from './CareTeamService';
+
+describe('buildSharedSnapshot safety scope', () => {
+  const crisis = {
+    timestamp: new Date('2026-03-02T10:00:00Z'),
+    sessionId: 'session-1',
+    userInput: 'I want to end my life',
+    agentResponse: { type: 'emergency', severity: 'emergency', riskType: 'suicide' }
+  };
+  const itemNine = {
+    id: 'event-2',
+    timestamp: new Date('2026-03-01T09:00:00Z'),
+    sessionId: null,
+    source: 'questionnaire',
+    severity: 'warning',
+    riskType: 'suicide',
+    responseType: 'resource'
+  };
+  // Already covered by the crisis interaction
+  const logged = { ...itemNine, id: 'event-1', source: 'message', responseType: 'emergency', timestamp: crisis.timestamp };
+  
+  test('includes questionnaire safety events from the log, oldest first', () => {
+    const snapshot = buildSharedSnapshot({ interactions: [crisis], safetyEvents: [logged, itemNine] }, ['safety']);
+    
+    expect(snapshot.safetyEvents).toEqual([
+      { timestamp: itemNine.timestamp, sessionId: null, source: 'questionnaire', type: 'resource', severity: 'warning', riskType: 'suicide' },
+      { timestamp: crisis.timestamp, sessionId: 'session-1', source: 'message', type: 'emergency', severity: 'emergency', riskType: 'suicide' }
+    ]);
+  });
+  
+  test('shares nothing about safety without consent to that scope', () => {
+    const snapshot = buildSharedSnapshot({ interactions: [crisis], safetyEvents: [itemNine] }, ['summaries']);
+    expect(snapshot.safetyEvents).toBeUndefined();
+  });
+  
+  test('never includes what the client wrote', () => {
+    const snapshot = buildSharedSnapshot({ interactions: [crisis], safetyEvents: [itemNine] }, ['safety']);
+    expect(JSON.stringify(snapshot)).not.toMatch(/end my life/);
+  });
+});
+
+// File: server/remoteMode.test.js
+// End to end: the app's remote-mode auth and agent against a running API
+// server, over real HTTP.
+
+import http from 'http';
+import { createApp } from './app';
+import { createAccountAuthenticator } from './auth';
+import AccountService from './AccountService';
+import SessionManager from './SessionManager';
+import { createStorageService } from '../src/services/storage/StorageService';
+import MemoryStorageAdapter from '../src/services/storage/MemoryStorageAdapter';
+import AuthService from '../src/services/auth/AuthService';
+import RemoteAuthProvider from '../src/services/auth/RemoteAuthProvider';
+import RemoteTherapyAgent from '../src/services/RemoteTherapyAgent';
+
+const DETAILS = { name: 'Sam', email: 'sam@example.com', password: 'correct horse' };
+
+// The profile the app keeps on the device, as TherapyContext creates it
+const LOCAL_PROFILE = {
+  therapeuticGoals: ['anxiety-management'],
+  currentStressors: ['work'],
+  sessionFrequency: 7,
+  preferredDuration: '10 min',
+  preferredActivityType: 'exercise',
+  locale: 'en-GB',
+  interventionEffectiveness: {}
+};
+
+// Requests the app makes with a refused token also log a failed profile sync
+const silenceErrors = () => jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('remote mode', () => {
+  let server;
+  let baseUrl;
+  let authService;
+  
+  const createAgent = (user, getToken, settings = {}) => new RemoteTherapyAgent(
+    { ...LOCAL_PROFILE, id: user.id, name: user.name, ...settings },
+    { baseUrl, getToken }
+  );
+  
+  beforeAll(async () => {
+    const adapter = new MemoryStorageAdapter();
+    const accounts = new AccountService({ adapter, exposeResetTokens: true });
+    server = http.createServer(createApp({
+      sessions: new SessionManager({ storage: createStorageService(adapter), accounts }),
+      accounts,
+      authenticate: createAccountAuthenticator(accounts)
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+  
+  beforeEach(() => {
+    authService = new AuthService({ provider: new RemoteAuthProvider({ baseUrl }), sessionStore: null });
+  });
+  
+  // Cancels the expiry timer so Jest can exit
+  afterEach(() => authService.clearSession());
+  
+  test('a registered user can hold a session with the server-side agent', async () => {
+    const session = await authService.register(DETAILS);
+    expect(session.user).toMatchObject({ name: 'Sam', email: 'sam@example.com', role: 'client' });
+    
+    const agent = createAgent(session.user, () => authService.getToken());
+    await agent.startSession();
+    
+    const reply = await agent.processUserInput('Work has been really stressful this week');
+    expect(typeof reply.message).toBe('string');
+    
+    const crisis = await agent.processUserInput('I want to kill myself');
+    expect(crisis.type).toBe('emergency');
+    expect(crisis.safetyEventId).toBeTruthy();
+    
+    const result = await agent.endSession();
+    expect(result.summary).toBeTruthy();
+  });
+  
+  test('the server uses the profile saved on the device', async () => {
+    const session = await authService.register({ name: 'Ria', email: 'ria@example.com', password: 'correct horse' });
+    const safetyPlan = {
+      warningSigns: ['Not sleeping'],
+      contacts: [{ name: 'Jo', phone: '555 1234' }]
+    };
+    const agent = createAgent(session.user, () => authService.getToken(), { safetyPlan });
+    
+    // Pick the greeting that uses the name
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+    let greeting;
+    try {
+      ({ greeting } = await agent.startSession());
+    } finally {
+      random.mockRestore();
+    }
+    expect(greeting).toContain(', Ria.');
+    
+    const crisis = await agent.processUserInput('I want to kill myself');
+    expect(crisis.type).toBe('emergency');
+    expect(crisis.safetyPlan).toMatchObject(safetyPlan);
+    expect(agent.userProfile).toMatchObject({ name: 'Ria', locale: 'en-GB', safetyPlan });
+    
+    await agent.endSession();
+  });
+  
+  test('a new user\'s server profile is named after their account', async () => {
+    const session = await authService.register({ name: 'Lee', email: 'lee@example.com', password: 'correct horse' });
+    const call = (method, path, body) => fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${session.token}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    
+    // A client that never sends its profile still gets a named one
+    expect((await call('POST', '/sessions/start', {})).status).toBe(201);
+    const profile = await (await call('GET', `/users/${session.user.id}/profile`)).json();
+    expect(profile.name).toBe('Lee');
+  });
+  
+  test('a session ends at the time the app reports, within the session', async () => {
+    const session = await authService.register({ name: 'Kim', email: 'kim@example.com', password: 'correct horse' });
+    const agent = createAgent(session.user, () => authService.getToken());
+    
+    await agent.startSession();
+    await agent.processUserInput('Work was busy today but fine');
+    const lastActivity = new Date();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const { summary } = await agent.endSession({ endTime: lastActivity, autoClosed: true });
+    expect(new Date(summary.endTime).getTime()).toBe(lastActivity.getTime());
+    
+    // A clock running ahead can't end a session in the future
+    await agent.startSession();
+    const { summary: ahead } = await agent.endSession({ endTime: new Date(Date.now() + 60 * 60 * 1000) });
+    expect(new Date(ahead.endTime).getTime()).toBeLessThanOrEqual(Date.now());
+  });
+  
+  test('signing in again works and a wrong password does not', async () => {
+    const session = await authService.login(DETAILS.email, DETAILS.password);
+    expect(session.user.name).toBe('Sam');
+    
+    await expect(authService.login(DETAILS.email, 'not the password')).rejects.toMatchObject({ code: 'invalid-credentials' });
+    await expect(authService.register(DETAILS)).rejects.toMatchObject({ code: 'email-taken' });
+  });
+  
+  test('tokens the server did not issue are refused', async () => {
+    // What MockAuthProvider hands out: random and only known to the browser
+    const error = silenceErrors();
+    const agent = createAgent({ id: 'user-local', name: 'Sam' }, () => 'a1b2c3d4e5f6');
+    await expect(agent.startSession()).rejects.toMatchObject({ status: 401 });
+    error.mockRestore();
+  });
+  
+  test('logging out revokes the token', async () => {
+    const session = await authService.login(DETAILS.email, DETAILS.password);
+    const agent = createAgent(session.user, () => session.token);
+    
+    const error = silenceErrors();
+    await authService.logout();
+    await expect(agent.startSession()).rejects.toMatchObject({ status: 401 });
+    error.mockRestore();
+  });
+  
+  test('a password reset signs out existing sessions', async () => {
+    const session = await authService.login(DETAILS.email, DETAILS.password);
+    const { developmentResetToken } = await authService.requestPasswordReset(DETAILS.email);
+    await authService.resetPassword(developmentResetToken, 'battery staple');
+    
+    const error = silenceErrors();
+    await expect(createAgent(session.user, () => session.token).startSession()).rejects.toMatchObject({ status: 401 });
+    error.mockRestore();
+    await expect(authService.login(DETAILS.email, 'battery staple')).resolves.toMatchObject({ user: { id: session.user.id } });
+  });
+});
+
+// File: server/app.test.js
+// Request handling that only shows up over a real socket.
+
+import http from 'http';
+import { createApp } from './app';
+import { createTokenAuthenticator } from './auth';
+import SessionManager from './SessionManager';
+import { createStorageService } from '../src/services/storage/StorageService';
+import MemoryStorageAdapter from '../src/services/storage/MemoryStorageAdapter';
+
+// Node's client rather than fetch, so the body can be streamed at a known size
+const post = (port, path, body) => new Promise((resolve, reject) => {
+  const req = http.request({
+    port,
+    method: 'POST',
+    path,
+    headers: { Authorization: 'Bearer token', 'Content-Type': 'application/json', 'Content-Length': body.length }
+  }, res => {
+    let text = '';
+    res.on('data', chunk => {
+      text += chunk;
+    });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+describe('API request bodies', () => {
+  let server;
+  let port;
+  
+  beforeAll(async () => {
+    server = http.createServer(createApp({
+      sessions: new SessionManager({ storage: createStorageService(new MemoryStorageAdapter()) }),
+      authenticate: createTokenAuthenticator('token:sam')
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+  
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+  
+  test('an oversized body gets a 413 rather than a reset connection', async () => {
+    const response = await post(port, '/sessions/start', Buffer.alloc(1024 * 1024, 'a'));
+    expect(response.status).toBe(413);
+    expect(response.body.code).toBe('payload-too-large');
+    expect(response.headers.connection).toBe('close');
+  });
+  
+  test('an end time that isn\'t a date is a 400', async () => {
+    const response = await post(port, '/sessions/session-1/end', Buffer.from(JSON.stringify({ endTime: 'soon' })));
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('endTime must be a date');
+  });
+  
+  test('invalid JSON is a 400', async () => {
+    const response = await post(port, '/sessions/start', Buffer.from('{not json'));
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('invalid-json');
+  });
+});